@@ -33,9 +33,7 @@ if (fs.existsSync(envPath)) {
     process.exit(1);
 }
 
-const TelegramChannel = require('./src/channels/telegram/telegram');
-const DesktopChannel = require('./src/channels/local/desktop');
-const EmailChannel = require('./src/channels/email/smtp');
+const Notifier = require('./src/core/notifier');
 
 async function sendHookNotification() {
     try {
@@ -44,52 +42,9 @@ async function sendHookNotification() {
         // Get notification type from command line argument
         const notificationType = process.argv[2] || 'completed';
         
-        const channels = [];
-        const results = [];
-        
-        // Configure Desktop channel (always enabled for sound)
-        const desktopChannel = new DesktopChannel({
-            completedSound: 'Glass',
-            waitingSound: 'Tink'
-        });
-        channels.push({ name: 'Desktop', channel: desktopChannel });
-        
-        // Configure Telegram channel if enabled
-        if (process.env.TELEGRAM_ENABLED === 'true' && process.env.TELEGRAM_BOT_TOKEN) {
-            const telegramConfig = {
-                botToken: process.env.TELEGRAM_BOT_TOKEN,
-                chatId: process.env.TELEGRAM_CHAT_ID,
-                groupId: process.env.TELEGRAM_GROUP_ID
-            };
-            
-            if (telegramConfig.botToken && (telegramConfig.chatId || telegramConfig.groupId)) {
-                const telegramChannel = new TelegramChannel(telegramConfig);
-                channels.push({ name: 'Telegram', channel: telegramChannel });
-            }
-        }
-        
-        // Configure Email channel if enabled
-        if (process.env.EMAIL_ENABLED === 'true' && process.env.SMTP_USER) {
-            const emailConfig = {
-                smtp: {
-                    host: process.env.SMTP_HOST,
-                    port: parseInt(process.env.SMTP_PORT),
-                    secure: process.env.SMTP_SECURE === 'true',
-                    auth: {
-                        user: process.env.SMTP_USER,
-                        pass: process.env.SMTP_PASS
-                    }
-                },
-                from: process.env.EMAIL_FROM,
-                fromName: process.env.EMAIL_FROM_NAME,
-                to: process.env.EMAIL_TO
-            };
-            
-            if (emailConfig.smtp.host && emailConfig.smtp.auth.user && emailConfig.to) {
-                const emailChannel = new EmailChannel(emailConfig);
-                channels.push({ name: 'Email', channel: emailChannel });
-            }
-        }
+        // The notifier loads the enabled channels and owns delivery: routing, throttling, digests and retries
+        const notifier = new Notifier();
+        await notifier.initializeChannels();
         
         // Get current working directory and tmux session
         const currentDir = process.cwd();
@@ -110,44 +65,38 @@ async function sendHookNotification() {
             // Not in tmux or tmux not available, use default
         }
         
-        // Create notification
-        const notification = {
-            type: notificationType,
-            title: `Codex ${notificationType === 'completed' ? 'Task Completed' : 'Waiting for Input'}`,
-            message: `Codex has ${notificationType === 'completed' ? 'completed a task' : 'is waiting for input'}`,
-            project: projectName
-            // Don't set metadata here - let TelegramChannel extract real conversation content
-        };
-        
         console.log(`📱 Sending ${notificationType} notification for project: ${projectName}`);
         console.log(`🖥️ Tmux session: ${tmuxSession}`);
         
-        // Send notifications to all configured channels
-        for (const { name, channel } of channels) {
-            try {
-                console.log(`📤 Sending to ${name}...`);
-                const result = await channel.send(notification);
-                results.push({ name, success: result });
-                
-                if (result) {
-                    console.log(`✅ ${name} notification sent successfully!`);
-                } else {
-                    console.log(`❌ Failed to send ${name} notification`);
-                }
-            } catch (error) {
-                console.error(`❌ ${name} notification error:`, error.message);
-                results.push({ name, success: false, error: error.message });
-            }
+        // Don't pass conversation content here - let channels extract it from the tmux session
+        const outcome = await notifier.notify(notificationType, { project: projectName, tmuxSession });
+        
+        if (!outcome.results) {
+            // Disabled, snoozed, or held for quiet hours / the collapse window: not a failure
+            console.log(`⏸️ Notification not sent now: ${outcome.reason}`);
+            return;
         }
         
         // Report overall results
-        const successful = results.filter(r => r.success).length;
+        const results = Object.entries(outcome.results);
+        for (const [name, result] of results) {
+            if (result.success) {
+                console.log(`✅ ${name} notification ${result.queued ? `queued for the ${result.queued}` : 'sent successfully'}!`);
+            } else {
+                console.log(`❌ ${name} notification not sent: ${result.error || result.reason || 'failed'}` +
+                    (result.retryAt ? ` (retry after ${result.retryAt})` : ''));
+            }
+        }
+        const successful = results.filter(([, result]) => result.success).length;
         const total = results.length;
         
         if (successful > 0) {
             console.log(`\n✅ Successfully sent notifications via ${successful}/${total} channels`);
-            if (results.some(r => r.name === 'Telegram' && r.success)) {
-                console.log('📋 You can now send new commands via Telegram');
+            const relayChannels = results
+                .filter(([name, result]) => result.success && notifier.channels.get(name).supportsRelay())
+                .map(([name]) => name);
+            if (relayChannels.length > 0) {
+                console.log(`📋 You can now send new commands via ${relayChannels.join(', ')}`);
             }
         } else {
             console.log('\n❌ All notification channels failed');
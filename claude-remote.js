@@ -68,6 +68,24 @@ class ClaudeCodeRemoteCLI {
                 case 'commands':
                     await this.handleCommands(args.slice(1));
                     break;
+                case 'sessions':
+                    await this.handleSessions(args.slice(1));
+                    break;
+                case 'tokens':
+                    await this.handleTokens(args.slice(1));
+                    break;
+                case 'audit':
+                    await this.handleAudit(args.slice(1));
+                    break;
+                case 'route':
+                    await this.handleRoute(args.slice(1));
+                    break;
+                case 'snooze':
+                    await this.handleSnooze(args.slice(1));
+                    break;
+                case 'digest':
+                    await this.handleDigest(args.slice(1));
+                    break;
                 case 'monitor':
                     await this.handleMonitor(args.slice(1));
                     break;
@@ -109,14 +127,15 @@ class ClaudeCodeRemoteCLI {
         const typeIndex = args.findIndex(arg => arg === '--type');
         
         if (typeIndex === -1 || typeIndex + 1 >= args.length) {
-            console.error('Usage: claude-remote notify --type <completed|waiting>');
+            console.error('Usage: claude-remote notify --type <type>');
             process.exit(1);
         }
 
         const type = args[typeIndex + 1];
         
-        if (!['completed', 'waiting'].includes(type)) {
-            console.error('Invalid type. Use: completed or waiting');
+        const NotificationTypes = require('./src/core/notification-types');
+        if (!NotificationTypes.isKnown(type)) {
+            console.error(`Invalid type. Use one of: ${NotificationTypes.list().join(', ')}`);
             process.exit(1);
         }
 
@@ -241,9 +260,28 @@ class ClaudeCodeRemoteCLI {
     }
 
     async handleTest(args) {
-        console.log('Testing notification channels...\n');
-        
-        const results = await this.notifier.test();
+        const channelName = args[0];
+        let results;
+
+        if (channelName) {
+            // Test a single channel, even if it is disabled in config
+            const channelConfig = this.config.getChannel(channelName);
+            if (!channelConfig && !this.notifier.registry.has(channelName)) {
+                console.error(`Unknown channel: ${channelName}`);
+                process.exit(1);
+            }
+
+            console.log(`Testing ${channelName} channel...\n`);
+            const entry = this.notifier.registry.create(channelName, channelConfig || {});
+            if (!entry.valid) {
+                results = { [channelName]: { success: false, error: entry.error } };
+            } else {
+                results = { [channelName]: this.notifier._toChannelResult(channelName, await entry.channel.test()) };
+            }
+        } else {
+            console.log('Testing notification channels...\n');
+            results = await this.notifier.test();
+        }
         
         for (const [channel, result] of Object.entries(results)) {
             const status = result.success ? '✅ PASS' : '❌ FAIL';
@@ -251,6 +289,12 @@ class ClaudeCodeRemoteCLI {
             if (result.error) {
                 console.log(`   Error: ${result.error}`);
             }
+            if (result.endpoints) {
+                for (const [endpoint, endpointResult] of Object.entries(result.endpoints)) {
+                    const endpointStatus = endpointResult.success ? '✅' : '❌';
+                    console.log(`   ${endpointStatus} ${endpoint}${endpointResult.error ? ` - ${endpointResult.error}` : ''}`);
+                }
+            }
         }
         
         const passCount = Object.values(results).filter(r => r.success).length;
@@ -271,11 +315,14 @@ class ClaudeCodeRemoteCLI {
         console.log(`  Enabled: ${status.enabled ? 'Yes' : 'No'}`);
         console.log(`  Language: ${status.config.language}`);
         console.log(`  Sounds: ${status.config.sound.completed} / ${status.config.sound.waiting}`);
+        console.log(`  Held notifications: ${status.throttle.held}`);
+        console.log(`  Snoozed sessions: ${status.throttle.snoozed.join(', ') || 'none'}`);
+        console.log(`  Digest queue: ${status.digest.pending} (${status.digest.schedule})`);
         
         console.log('\nChannels:');
         
         // Display all available channels, including disabled ones
-        const allChannels = this.config._channels || {};
+        const allChannels = this.config.getChannels() || {};
         const activeChannels = status.channels || {};
         
         // Merge all channel information
@@ -296,10 +343,11 @@ class ClaudeCodeRemoteCLI {
                 configured = channelStatus.configured ? '✅' : '❌';
                 relay = channelStatus.supportsRelay ? '✅' : '❌';
             } else {
-                // Inactive channel, use configuration status
+                // Inactive channel, load it through the registry to inspect its configuration
+                const entry = this.notifier.registry.create(name, channelConfig);
                 enabled = channelConfig.enabled ? '✅' : '❌';
-                configured = this._isChannelConfigured(name, channelConfig) ? '✅' : '❌';
-                relay = this._supportsRelay(name) ? '✅' : '❌';
+                configured = entry.valid ? '✅' : '❌';
+                relay = entry.channel && entry.channel.supportsRelay() ? '✅' : '❌';
             }
             
             console.log(`  ${name}:`);
@@ -307,31 +355,19 @@ class ClaudeCodeRemoteCLI {
             console.log(`    Configured: ${configured}`);
             console.log(`    Supports Relay: ${relay}`);
         }
-    }
 
-    _isChannelConfigured(name, config) {
-        switch (name) {
-            case 'desktop':
-                return true; // Desktop notifications don't need special configuration
-            case 'email':
-                return config.config && 
-                       config.config.smtp && 
-                       config.config.smtp.host && 
-                       config.config.smtp.auth && 
-                       config.config.smtp.auth.user &&
-                       config.config.to;
-            default:
-                return false;
+        // Failed sends kept by the retry queue (pending retries, delivered late, given up)
+        const outbox = Object.entries(status.outbox || {});
+        console.log('\nFailed sends:');
+        if (outbox.length === 0) {
+            console.log('  none');
         }
-    }
-
-    _supportsRelay(name) {
-        switch (name) {
-            case 'email':
-                return true;
-            case 'desktop':
-            default:
-                return false;
+        for (const [name, counts] of outbox) {
+            console.log(`  ${name}: ${counts.failures} failure(s), ${counts.pending} retrying, ` +
+                `${counts.delivered} delivered on retry, ${counts.dead} given up`);
+            if (counts.lastError) {
+                console.log(`    Last error: ${counts.lastError}`);
+            }
         }
     }
 
@@ -845,6 +881,339 @@ class ClaudeCodeRemoteCLI {
         }
     }
 
+    async handleSessions(args) {
+        const SessionStore = require('./src/core/session-store');
+        const store = SessionStore.getDefault();
+        
+        const command = args[0];
+        
+        switch (command) {
+            case 'list': {
+                const includeExpired = args.includes('--all');
+                const sessions = store.listSessions({ includeExpired });
+                console.log(`📋 ${includeExpired ? 'Sessions' : 'Active sessions'}: ${sessions.length}\n`);
+                const now = Math.floor(Date.now() / 1000);
+                sessions.forEach(session => {
+                    const expired = session.expiresAt && session.expiresAt < now;
+                    console.log(`${session.token || '-'}  ${session.type || 'email'}  ${session.tmuxSession || '-'}${expired ? '  (expired)' : ''}`);
+                    console.log(`   Session: ${session.id}`);
+                    console.log(`   Project: ${session.project || session.notification?.project || '-'}`);
+                    console.log(`   Expires: ${session.expires || '-'}`);
+                    console.log('');
+                });
+                
+                const mappings = store.list(SessionStore.COLLECTIONS.SESSION_MAP).length;
+                const threads = store.list(SessionStore.COLLECTIONS.EMAIL_THREADS).length;
+                console.log(`Injection mappings: ${mappings}, email threads: ${threads}`);
+                console.log(`Store: ${store.filePath}`);
+                break;
+            }
+                
+            case 'migrate': {
+                const dataDirIndex = args.indexOf('--data-dir');
+                const dataDir = dataDirIndex !== -1 ? path.resolve(args[dataDirIndex + 1]) : undefined;
+                const counts = store.migrate({ dataDir });
+                const total = Object.values(counts).reduce((sum, n) => sum + n, 0);
+                console.log(`📦 Imported ${total} legacy records into ${store.filePath}`);
+                for (const [collection, count] of Object.entries(counts)) {
+                    console.log(`  • ${collection}: ${count}`);
+                }
+                if (total === 0) {
+                    console.log('Nothing to import (existing keys are never overwritten)');
+                }
+                break;
+            }
+                
+            case 'compact': {
+                const { before, after } = store.compact();
+                console.log(`🧹 Compacted session store: ${before} → ${after} records`);
+                break;
+            }
+                
+            default:
+                console.log('Usage: claude-remote sessions <list|migrate|compact>');
+                console.log('');
+                console.log('Commands:');
+                console.log('  list [--all]                 Show active sessions (--all includes expired)');
+                console.log('  migrate [--data-dir <dir>]   Import legacy session JSON files');
+                console.log('  compact                      Rewrite the store, dropping stale records');
+                break;
+        }
+    }
+
+    async handleTokens(args) {
+        const TokenManager = require('./src/core/token-manager');
+        const tokenManager = new TokenManager();
+        
+        const command = args[0];
+        
+        switch (command) {
+            case 'list': {
+                const includeInactive = args.includes('--all');
+                const tokens = tokenManager.list({ includeInactive });
+                console.log(`🔑 ${includeInactive ? 'Tokens' : 'Active tokens'}: ${tokens.length}\n`);
+                tokens.forEach(record => {
+                    const uses = record.maxUses ? `${record.uses}/${record.maxUses}` : `${record.uses}/∞`;
+                    console.log(`${record.token}  ${record.channel}  ${record.status}`);
+                    console.log(`   Recipient: ${record.recipient || '(any)'}`);
+                    console.log(`   Session: ${record.sessionId || '-'}`);
+                    console.log(`   Uses: ${uses}, expires: ${new Date(record.expiresAt * 1000).toISOString()}`);
+                    console.log('');
+                });
+                break;
+            }
+                
+            case 'revoke': {
+                const target = args[1];
+                let count = 0;
+                if (target === '--all') {
+                    count = tokenManager.revokeAll();
+                } else if (target === '--session' && args[2]) {
+                    count = tokenManager.revokeSession(args[2]);
+                } else if (target) {
+                    count = tokenManager.revoke(target) ? 1 : 0;
+                } else {
+                    console.error('Usage: claude-remote tokens revoke <token|--session <id>|--all>');
+                    process.exit(1);
+                }
+                console.log(count > 0 ? `🚫 Revoked ${count} token(s)` : 'No active token matched');
+                break;
+            }
+                
+            default:
+                console.log('Usage: claude-remote tokens <list|revoke>');
+                console.log('');
+                console.log('Commands:');
+                console.log('  list [--all]                          Show active tokens (--all includes inactive)');
+                console.log('  revoke <token|--session <id>|--all>   Revoke tokens so they can no longer run commands');
+                break;
+        }
+    }
+
+    async handleAudit(args) {
+        const fs = require('fs');
+        const AuditLog = require('./src/core/audit-log');
+        const audit = AuditLog.getDefault();
+        
+        const option = name => {
+            const index = args.indexOf(name);
+            return index !== -1 ? args[index + 1] : undefined;
+        };
+        const filters = {
+            channel: option('--channel'),
+            sender: option('--sender'),
+            token: option('--token'),
+            sessionId: option('--session'),
+            outcome: option('--outcome'),
+            since: option('--since'),
+            limit: option('--limit')
+        };
+        if (filters.since && isNaN(new Date(filters.since).getTime())) {
+            console.error(`Invalid --since date: ${filters.since}`);
+            process.exit(1);
+        }
+        
+        const command = args[0] && !args[0].startsWith('--') ? args[0] : 'list';
+        
+        switch (command) {
+            case 'list': {
+                const entries = audit.query({ ...filters, limit: filters.limit || 20 });
+                console.log(`🧾 Audit entries: ${entries.length}\n`);
+                entries.forEach(entry => {
+                    const policy = entry.policy ? ` (${entry.policy.action}: ${entry.policy.rule}${entry.policy.confirmed ? ', confirmed' : ''})` : '';
+                    console.log(`${entry.ts}  ${entry.channel}  ${entry.outcome}${policy}`);
+                    console.log(`   Sender: ${entry.sender || '-'}, token: ${entry.token || '-'}`);
+                    console.log(`   Target: ${entry.target || '-'}${entry.method ? ` via ${entry.method}` : ''}, session: ${entry.sessionId || '-'}`);
+                    console.log(`   Command: ${entry.command !== null ? entry.command.split('\n')[0].substring(0, 100) : `sha256:${entry.commandHash}`}`);
+                    if (entry.error || entry.policy?.reason) {
+                        console.log(`   ${entry.error ? 'Error' : 'Reason'}: ${entry.error || entry.policy.reason}`);
+                    }
+                    console.log('');
+                });
+                console.log(`Log: ${audit.filePath}`);
+                break;
+            }
+                
+            case 'export': {
+                const format = option('--format') || 'jsonl';
+                const output = option('--output');
+                const entries = audit.query(filters);
+                let content;
+                try {
+                    content = AuditLog.format(entries, format);
+                } catch (error) {
+                    console.error(error.message);
+                    process.exit(1);
+                }
+                if (output) {
+                    fs.writeFileSync(path.resolve(output), content);
+                    console.log(`📤 Exported ${entries.length} audit entries to ${path.resolve(output)}`);
+                } else {
+                    process.stdout.write(content);
+                }
+                break;
+            }
+                
+            default:
+                console.log('Usage: claude-remote audit <list|export> [filters]');
+                console.log('');
+                console.log('Commands:');
+                console.log('  list                                   Show recent entries (default 20, see --limit)');
+                console.log('  export [--format jsonl|json|csv] [--output <file>]   Write matching entries');
+                console.log('');
+                console.log('Filters:');
+                console.log('  --channel <name>  --sender <id>  --token <token>  --session <id|tmux session>');
+                console.log('  --outcome <injected|failed|denied|pending>  --since <date>  --limit <n>');
+                break;
+        }
+    }
+
+    async handleRoute(args) {
+        const option = name => {
+            const index = args.indexOf(name);
+            return index !== -1 ? args[index + 1] : undefined;
+        };
+        const routing = this.config.get('routing', {});
+        const rules = this.notifier._getRouter().rules;
+
+        if (!args.includes('--explain')) {
+            console.log(`🧭 Routing rules: ${rules.length}${routing.timezone ? ` (timezone: ${routing.timezone})` : ''}\n`);
+            const TimeWindow = require('./src/utils/time-window');
+            rules.forEach(rule => {
+                const when = [
+                    rule.types && `type ${rule.types.join('|')}`,
+                    rule.projects && `project ${rule.projects.join('|')}`,
+                    rule.sessions && `session ${rule.sessions.join('|')}`,
+                    rule.timeWindows && rule.timeWindows.map(TimeWindow.describe).join(', ')
+                ].filter(Boolean).join(', ') || 'every notification';
+                const then = [
+                    rule.channels && `channels ${rule.channels.join(', ')}`,
+                    rule.suppress && `suppress ${rule.suppress.join(', ')}`,
+                    rule.digest && `digest via ${rule.digest.join(', ')}`,
+                    rule.emailTo && `email to ${rule.emailTo}`
+                ].filter(Boolean).join('; ') || 'no change';
+                console.log(`${rule.id}: ${when} → ${then}`);
+            });
+            console.log('\nTry: claude-remote route --explain --type completed --project <name>');
+            return;
+        }
+
+        const type = option('--type') || 'completed';
+        const now = option('--at') ? new Date(option('--at')) : new Date();
+        if (isNaN(now.getTime())) {
+            console.error(`Invalid --at date: ${option('--at')}`);
+            process.exit(1);
+        }
+        const metadata = {};
+        if (option('--project')) metadata.project = option('--project');
+        if (option('--session')) metadata.tmuxSession = option('--session');
+
+        const result = this.notifier.explainRoute(type, metadata, now);
+        console.log(`🧭 ${type} notification for project ${result.notification.project}` +
+            `${metadata.tmuxSession ? `, session ${metadata.tmuxSession}` : ''} at ${now.toISOString()}\n`);
+        result.evaluated.forEach(entry => {
+            console.log(`${entry.matched ? '✓' : '✗'} ${entry.id}: ${entry.reason}`);
+        });
+        if (result.evaluated.length > 0) {
+            console.log('');
+        }
+        console.log(`Rule:       ${result.rule ? result.rule.id : 'none (defaults)'}`);
+        console.log(`Channels:   ${result.channels.join(', ') || 'none'}`);
+        if (result.suppressed.length > 0) {
+            console.log(`Suppressed: ${result.suppressed.join(', ')}`);
+        }
+        if (result.emailTo) {
+            console.log(`Email to:   ${result.emailTo}`);
+        }
+        const disabled = result.channels.filter(name => !this.notifier.channels.get(name).enabled);
+        if (disabled.length > 0) {
+            console.log(`Note: ${disabled.join(', ')} ${disabled.length === 1 ? 'is' : 'are'} disabled and would not send`);
+        }
+    }
+
+    async handleSnooze(args) {
+        const throttle = this.notifier._getThrottle();
+        const command = args[0] || 'list';
+
+        switch (command) {
+            case 'list': {
+                const snoozes = throttle.listSnoozes();
+                console.log(`🔕 Snoozed sessions: ${snoozes.length}`);
+                snoozes.forEach(snooze => {
+                    const by = snooze.channel ? ` (by ${snooze.channel}${snooze.sender ? ` ${snooze.sender}` : ''})` : '';
+                    console.log(`  ${snooze.session} until ${new Date(snooze.until).toLocaleString()}${by}`);
+                });
+                const held = throttle.listHeld();
+                console.log(`\n⏸️  Held notifications: ${held.length}`);
+                held.forEach(item => {
+                    console.log(`  ${item.session} ${item.type} ×${item.count} (${item.reason})`);
+                });
+                break;
+            }
+
+            case 'clear': {
+                if (!args[1]) {
+                    console.error('Usage: claude-remote snooze clear <session>');
+                    process.exit(1);
+                }
+                console.log(throttle.unsnooze(args[1]) ? `🔔 ${args[1]} is no longer snoozed` : `${args[1]} was not snoozed`);
+                break;
+            }
+
+            default: {
+                const minutes = parseInt(args[1], 10);
+                if (!(minutes > 0)) {
+                    console.log('Usage: claude-remote snooze <session> <minutes>');
+                    console.log('       claude-remote snooze list');
+                    console.log('       claude-remote snooze clear <session>');
+                    process.exit(command === '--help' ? 0 : 1);
+                }
+                const snooze = throttle.snooze(command, minutes, { channel: 'cli' });
+                console.log(`🔕 ${command} snoozed until ${new Date(snooze.until).toLocaleString()}`);
+                break;
+            }
+        }
+    }
+
+    async handleDigest(args) {
+        const digest = this.notifier._getDigest();
+        const command = args[0] || 'status';
+
+        switch (command) {
+            case 'status': {
+                const pending = digest.pending();
+                console.log(`📋 Digest: ${digest.enabled ? `${digest.schedule} to ${digest.channels.join(', ')} (${digest.types.join(', ')})` : 'only for routing rules with "digest"'}`);
+                console.log(`   Pending: ${pending.length} notification(s)${pending.length > 0 && digest.isDue() ? ', due now' : ''}`);
+                const sessions = digest.build(pending).sessions;
+                sessions.forEach(session => {
+                    console.log(`   ${session.project}${session.tmuxSession ? ` · ${session.tmuxSession}` : ''}: ${session.items.length}`);
+                });
+                break;
+            }
+
+            case 'send': {
+                const results = await this.notifier.sendDigest({ force: true });
+                const names = Object.keys(results);
+                if (names.length === 0) {
+                    console.log('Nothing to send');
+                }
+                names.forEach(name => {
+                    const result = results[name];
+                    console.log(`${result.success ? '✅' : '❌'} ${name}: ${result.count} notification(s)${result.reason || result.error ? ` - ${result.reason || result.error}` : ''}`);
+                });
+                break;
+            }
+
+            default:
+                console.log('Usage: claude-remote digest <status|send>');
+                console.log('');
+                console.log('Commands:');
+                console.log('  status    Show notifications waiting for the next digest');
+                console.log('  send      Send the digest now');
+                break;
+        }
+    }
+
     async handleTestPaste(args) {
         const ClipboardAutomation = require('./src/automation/clipboard-automation');
         const automation = new ClipboardAutomation();
@@ -922,35 +1291,71 @@ class ClaudeCodeRemoteCLI {
     }
 
     async handleMonitor(args) {
-        const TmuxMonitor = require('./src/utils/tmux-monitor');
-        const monitor = new TmuxMonitor();
+        const option = name => {
+            const index = args.indexOf(name);
+            return index !== -1 ? args[index + 1] : undefined;
+        };
 
-        monitor.on('taskCompleted', async (event) => {
+        const supervised = args.includes('--all');
+        let source;
+        if (supervised) {
+            const TmuxSupervisor = require('./src/utils/tmux-supervisor');
+            source = new TmuxSupervisor({ pattern: option('--pattern'), tag: option('--tag') });
+        } else {
+            const TmuxMonitor = require('./src/utils/tmux-monitor');
+            const sessionName = args.find(arg => !arg.startsWith('--'));
+            source = new TmuxMonitor(sessionName || null);
+        }
+
+        // Supervised events carry the pane they came from, so replies go back to the right place
+        const metadata = (event, claudeResponse) => {
             const conversation = event.conversation || {};
-            await this.notifier.notify('completed', {
+            return {
                 userQuestion: conversation.userQuestion,
-                claudeResponse: conversation.claudeResponse,
-                tmuxSession: event.sessionName,
-                triggerText: event.triggerText
-            });
+                claudeResponse: claudeResponse || conversation.claudeResponse,
+                tmuxSession: event.target || event.sessionName,
+                project: event.project,
+                pane: event.pane,
+                cwd: event.cwd,
+                triggerText: event.triggerText,
+                startedAt: event.startedAt
+            };
+        };
+
+        source.on('taskCompleted', async (event) => {
+            await this.notifier.notify('completed', metadata(event));
         });
 
-        monitor.on('waitingForInput', async (event) => {
-            const conversation = event.conversation || {};
-            await this.notifier.notify('waiting', {
-                userQuestion: conversation.userQuestion,
-                claudeResponse: conversation.claudeResponse,
-                tmuxSession: event.sessionName,
-                triggerText: event.triggerText
-            });
+        source.on('taskErrored', async (event) => {
+            await this.notifier.notify('error', metadata(event, event.triggerText));
         });
 
-        console.log('📡 Starting tmux monitor for Codex...');
-        monitor.start();
+        // Dialogs and approval requests leave the session awaiting approval; other prompts just wait
+        source.on('waitingForInput', async (event) => {
+            const type = event.state === 'awaiting-approval' ? 'approval_required' : 'waiting';
+            await this.notifier.notify(type, metadata(event));
+        });
+
+        // Codex exited, the tmux session went away, a turn stopped making progress, or context is running out
+        for (const eventName of ['sessionCrashed', 'sessionClosed', 'sessionStalled', 'contextLow']) {
+            source.on(eventName, async (event) => {
+                await this.notifier.notify(event.type, metadata(event));
+            });
+        }
+
+        console.log(supervised ? '📡 Starting tmux supervisor for Codex...' : '📡 Starting tmux monitor for Codex...');
+        source.start();
+
+        // Quiet-hour and collapsed notifications go out once their hold ends, digests once their hour or day
+        // is over, failed sends once their backoff has elapsed
+        setInterval(() => {
+            this.notifier.processQueues()
+                .catch(error => this.logger.error('Failed to process notification queues:', error.message));
+        }, 30000);
 
         process.on('SIGINT', () => {
             console.log('\n⏹️  Stopping monitor...');
-            monitor.stop();
+            source.stop();
             process.exit(0);
         });
 
@@ -1022,8 +1427,8 @@ Claude-Code-Remote - Codex Smart Notification System
 Usage: claude-remote <command> [options]
 
 Commands:
-  notify --type <type>    Send a notification (completed|waiting)
-  test                    Test all notification channels
+  notify --type <type>    Send a notification (completed|waiting|error|approval_required|...)
+  test [channel]          Test all notification channels (or a single one)
   status                  Show system status
   config                  Launch configuration manager
   setup-email             Quick email setup wizard
@@ -1032,7 +1437,14 @@ Commands:
   relay <subcommand>      Manage email command relay service
   daemon <subcommand>     Manage background daemon service
   commands <subcommand>   Manage email commands and bridge
-  monitor                 Monitor tmux output and auto-notify
+  sessions <subcommand>   Inspect and maintain the session store
+  tokens <subcommand>     List and revoke command tokens
+  audit <subcommand>      Query and export the remote command audit log
+  route [--explain]       List notification routing rules, or show which one a notification matches
+  snooze <session> <min>  Mute a tmux session's notifications (snooze list, snooze clear <session>)
+  digest <status|send>    Show or send the pending notification digest
+  monitor [session]       Monitor tmux output and auto-notify
+  monitor --all           Monitor every Codex session/pane (--pattern <regex>, --tag <@option>)
   test-paste [command]    Test automatic paste functionality
   test-simple [command]   Test simple automation (recommended)
   test-codex [command]    Test Codex full automation
@@ -1060,9 +1472,28 @@ Commands Subcommands:
   commands cleanup       Clean up old command files
   commands clear         Clear all pending commands
 
+Sessions Subcommands:
+  sessions list [--all]  Show active sessions (--all includes expired)
+  sessions migrate       Import legacy session JSON files into the store
+  sessions compact       Rewrite the store, dropping stale records
+
+Tokens Subcommands:
+  tokens list [--all]    Show active tokens (--all includes inactive)
+  tokens revoke <token>  Revoke a token (or --session <id>, --all)
+
+Audit Subcommands:
+  audit list             Show recent injected/blocked commands (filters: --channel,
+                         --sender, --token, --session, --outcome, --since, --limit)
+  audit export           Export matching entries (--format jsonl|json|csv, --output <file>)
+
+Route Options:
+  route --explain        Evaluate the rules for a sample notification (--type <type>,
+                         --project <name>, --session <tmux session>, --at <date>)
+
 Examples:
   claude-remote notify --type completed
   claude-remote test
+  claude-remote test slack               # Test one channel, even if disabled
   claude-remote setup-email             # Quick email setup (recommended)
   claude-remote edit-config channels    # Edit configuration files directly
   claude-remote config                  # Interactive configuration
@@ -1070,6 +1501,9 @@ Examples:
   claude-remote daemon start              # Start background service (recommended)
   claude-remote daemon status             # View service status  
   claude-remote monitor                   # Auto-detect Codex completion in tmux
+  claude-remote monitor --all             # Watch all codex* sessions and tagged panes
+  claude-remote route --explain --type waiting --project api   # Which rule would apply
+  claude-remote snooze codex-api 30       # Mute one session's notifications for 30 minutes
   claude-remote test-codex                # Test full automation (recommended)
   claude-remote commands list             # View pending email commands
   claude-remote relay start               # Run in foreground (need to keep window open)
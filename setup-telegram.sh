@@ -31,6 +31,7 @@ echo "1. Edit ~/.codex_code_remote_env and add your Telegram credentials:"
 echo "   - TELEGRAM_BOT_TOKEN (from @BotFather)"
 echo "   - TELEGRAM_CHAT_ID (your chat ID)"
 echo "   - TELEGRAM_WEBHOOK_URL (your ngrok URL)"
+echo "   Or set TELEGRAM_MODE=polling instead, and skip ngrok in step 2"
 echo ""
 echo "2. Start ngrok in a terminal:"
 echo "   ngrok http 3001"
@@ -166,11 +166,21 @@ function writeEnvFile(values, existingEnv) {
         'EMAIL_FROM', 'EMAIL_FROM_NAME', 'IMAP_HOST', 'IMAP_PORT', 'IMAP_SECURE',
         'IMAP_USER', 'IMAP_PASS', 'EMAIL_TO', 'ALLOWED_SENDERS', 'CHECK_INTERVAL',
         'LINE_ENABLED', 'LINE_CHANNEL_ACCESS_TOKEN', 'LINE_CHANNEL_SECRET',
-        'LINE_USER_ID', 'LINE_GROUP_ID', 'LINE_WHITELIST', 'LINE_WEBHOOK_PORT',
+        'LINE_USER_ID', 'LINE_GROUP_ID', 'LINE_WHITELIST', 'LINE_WEBHOOK_PORT', 'LINE_PUBLIC_URL',
         'TELEGRAM_ENABLED', 'TELEGRAM_BOT_TOKEN', 'TELEGRAM_CHAT_ID', 'TELEGRAM_GROUP_ID',
         'TELEGRAM_WHITELIST', 'TELEGRAM_WEBHOOK_URL', 'TELEGRAM_WEBHOOK_PORT',
-        'TELEGRAM_FORCE_IPV4',
-        'SESSION_MAP_PATH', 'INJECTION_MODE', 'CODEX_CLI_PATH', 'LOG_LEVEL'
+        'TELEGRAM_FORCE_IPV4', 'TELEGRAM_STREAM_OUTPUT', 'TELEGRAM_STREAM_INTERVAL_MS', 'TELEGRAM_STREAM_MAX_MINUTES',
+        'SLACK_ENABLED', 'SLACK_BOT_TOKEN', 'SLACK_CHANNEL_ID', 'SLACK_SIGNING_SECRET',
+        'SLACK_WHITELIST', 'SLACK_WEBHOOK_PORT',
+        'DISCORD_ENABLED', 'DISCORD_WEBHOOK_URL', 'DISCORD_BOT_TOKEN', 'DISCORD_APPLICATION_ID',
+        'DISCORD_PUBLIC_KEY', 'DISCORD_GUILD_ID', 'DISCORD_CHANNEL_ID', 'DISCORD_WHITELIST',
+        'DISCORD_WEBHOOK_PORT',
+        'WEBHOOK_ENABLED', 'TEAMS_WEBHOOK_URL', 'MATTERMOST_WEBHOOK_URL', 'ROCKETCHAT_WEBHOOK_URL',
+        'SESSION_MAP_PATH', 'SESSION_STORE_PATH', 'SESSION_TOKEN_LENGTH', 'SESSION_TOKEN_MAX_USES',
+        'COMMAND_POLICY_PATH', 'AUDIT_LOG_PATH', 'AUDIT_LOG_COMMANDS',
+        'CONFIRMATION_MODE', 'APPROVAL_TIMEOUT_SECONDS', 'COMPLETION_DETECTION', 'COMPLETION_IDLE_MS', 'COMPLETION_MARKER_SESSIONS',
+        'MONITOR_SESSION_PATTERN', 'MONITOR_TAG', 'MONITOR_STALL_MINUTES', 'CONTEXT_LOW_PERCENT',
+        'INJECTION_MODE', 'CODEX_CLI_PATH', 'LOG_LEVEL'
     ];
 
     // Merge: new values override existing, keep any extra keys user already had
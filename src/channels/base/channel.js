@@ -4,6 +4,7 @@
  */
 
 const Logger = require('../../core/logger');
+const Redactor = require('../../utils/redactor');
 
 class NotificationChannel {
     constructor(name, config = {}) {
@@ -11,6 +12,9 @@ class NotificationChannel {
         this.config = config;
         this.logger = new Logger(`Channel:${name}`);
         this.enabled = config.enabled !== false;
+        this.lastError = null;
+        // Message generators redact what they send; channels may read the conversation from tmux themselves
+        this.redactor = Redactor.getDefault();
     }
 
     /**
@@ -21,7 +25,7 @@ class NotificationChannel {
      * @param {string} notification.message - Notification message
      * @param {string} notification.project - Project name
      * @param {Object} notification.metadata - Additional metadata
-     * @returns {Promise<boolean>} Success status
+     * @returns {Promise<boolean|Object>} Success status, or a result object with a `success` field
      */
     async send(notification) {
         if (!this.enabled) {
@@ -33,14 +37,19 @@ class NotificationChannel {
         
         try {
             const result = await this._sendImpl(notification);
-            if (result) {
+            const success = result && typeof result === 'object' ? !!result.success : !!result;
+            if (success) {
                 this.logger.info(`Notification sent successfully: ${notification.type}`);
+                this.lastError = null;
             } else {
                 this.logger.warn(`Failed to send notification: ${notification.type}`);
+                this.lastError = (result && result.error) || 'send failed';
             }
             return result;
         } catch (error) {
             this.logger.error('Error sending notification:', error.message);
+            // Kept for the Notifier's retry queue; callers only see false
+            this.lastError = error.message;
             return false;
         }
     }
@@ -92,7 +101,7 @@ class NotificationChannel {
      * Implementation-specific send logic
      * Must be implemented by subclasses
      * @param {Object} notification - Notification object
-     * @returns {Promise<boolean>} Success status
+     * @returns {Promise<boolean|Object>} Success status, or { success, ...details }
      */
     async _sendImpl(notification) {
         throw new Error('_sendImpl must be implemented by subclass');
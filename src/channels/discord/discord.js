@@ -0,0 +1,207 @@
+/**
+ * Discord Notification Channel
+ * Sends embed notifications via Discord webhook or bot with slash-command support
+ */
+
+const NotificationChannel = require('../base/channel');
+const axios = require('axios');
+const { v4: uuidv4 } = require('uuid');
+const TmuxMonitor = require('../../utils/tmux-monitor');
+const SessionStore = require('../../core/session-store');
+const TokenManager = require('../../core/token-manager');
+const NotificationTypes = require('../../core/notification-types');
+const { execSync } = require('child_process');
+
+class DiscordChannel extends NotificationChannel {
+    constructor(config = {}) {
+        super('discord', config);
+        this.sessionStore = SessionStore.getDefault();
+        this.tokenManager = new TokenManager({ maxUses: config.tokenMaxUses });
+        this.tmuxMonitor = new TmuxMonitor();
+        this.apiBaseUrl = config.apiBaseUrl || 'https://discord.com/api/v10';
+
+        this._validateConfig();
+    }
+
+    _validateConfig() {
+        // Either an incoming webhook URL or a bot token + channel is required
+        if (this.config.webhook) {
+            return true;
+        }
+        if (!this.config.botToken) {
+            this.logger.warn('Discord Webhook URL or Bot Token not found');
+            return false;
+        }
+        if (!this.config.channelId) {
+            this.logger.warn('Discord Channel ID must be configured when using a bot token');
+            return false;
+        }
+        return true;
+    }
+
+    _generateToken(sessionId) {
+        // Random token bound to this channel and the channel that receives it
+        return this.tokenManager.issue({
+            sessionId: sessionId,
+            channel: this.name,
+            recipient: this.config.channelId
+        });
+    }
+
+    _getCurrentTmuxSession() {
+        try {
+            // Try to get current tmux session
+            const tmuxSession = execSync('tmux display-message -p "#S"', {
+                encoding: 'utf8',
+                stdio: ['ignore', 'pipe', 'ignore']
+            }).trim();
+
+            return tmuxSession || null;
+        } catch (error) {
+            // Not in a tmux session or tmux not available
+            return null;
+        }
+    }
+
+    async _sendImpl(notification) {
+        if (!this._validateConfig()) {
+            throw new Error('Discord channel not properly configured');
+        }
+
+        // Generate session ID and Token
+        const sessionId = uuidv4();
+        const token = this._generateToken(sessionId);
+
+        // Get current tmux session and conversation content
+        const tmuxSession = this._getCurrentTmuxSession();
+        if (tmuxSession && !notification.metadata) {
+            const conversation = this.tmuxMonitor.getRecentConversation(tmuxSession);
+            notification.metadata = {
+                userQuestion: conversation.userQuestion || notification.message,
+                claudeResponse: conversation.claudeResponse || notification.message,
+                tmuxSession: tmuxSession
+            };
+        }
+
+        // Create session record
+        await this._createSession(sessionId, notification, token);
+
+        const payload = {
+            content: `Reply with \`/cmd ${token} <command>\` to continue.`,
+            embeds: [this._generateDiscordEmbed(notification, sessionId, token)],
+            allowed_mentions: { parse: [] }
+        };
+
+        try {
+            if (this.config.webhook) {
+                // Incoming webhooks may override the displayed name/avatar
+                await axios.post(this.config.webhook, {
+                    ...payload,
+                    username: this.config.username || 'Codex-Code-Remote',
+                    ...(this.config.avatar ? { avatar_url: this.config.avatar } : {})
+                });
+            } else {
+                await axios.post(
+                    `${this.apiBaseUrl}/channels/${this.config.channelId}/messages`,
+                    payload,
+                    { headers: this._getBotHeaders() }
+                );
+            }
+
+            this.logger.info(`Discord message sent successfully, Session: ${sessionId}`);
+            return true;
+        } catch (error) {
+            this.logger.error('Failed to send Discord message:', error.response?.data || error.message);
+            // Clean up failed session
+            await this._removeSession(sessionId);
+            return false;
+        }
+    }
+
+    _getBotHeaders() {
+        return {
+            'Content-Type': 'application/json',
+            'Authorization': `Bot ${this.config.botToken}`
+        };
+    }
+
+    _generateDiscordEmbed(notification, sessionId, token) {
+        notification = this.redactor.redactNotification(notification);
+        const { emoji, headline } = NotificationTypes.get(notification.type);
+
+        const embed = {
+            title: `${emoji} ${headline}`,
+            color: NotificationTypes.colorValue(notification.type),
+            fields: [
+                { name: 'Project', value: this._truncate(notification.project, 256) || '-', inline: true },
+                { name: 'Session Token', value: `\`${token}\``, inline: true }
+            ],
+            footer: { text: `Session ${sessionId.substring(0, 8)} · Token expires in 24 hours` },
+            timestamp: new Date().toISOString()
+        };
+
+        if (notification.metadata) {
+            if (notification.metadata.userQuestion) {
+                embed.fields.push({
+                    name: '📝 Your Question',
+                    value: this._truncate(notification.metadata.userQuestion, 1000)
+                });
+            }
+
+            if (notification.metadata.claudeResponse) {
+                // Embed descriptions allow up to 4096 characters
+                embed.description = `🤖 **Codex Response:**\n${this._truncate(notification.metadata.claudeResponse, 3000)}`;
+            }
+        }
+
+        if (!embed.description) {
+            embed.description = this._truncate(notification.message, 3000);
+        }
+
+        return embed;
+    }
+
+    _truncate(text, maxLength) {
+        const value = String(text || '');
+        if (value.length <= maxLength) {
+            return value;
+        }
+        return value.substring(0, maxLength) + '...';
+    }
+
+    async _createSession(sessionId, notification, token) {
+        const session = {
+            id: sessionId,
+            token: token,
+            type: 'discord',
+            created: new Date().toISOString(),
+            expires: new Date(Date.now() + 24 * 60 * 60 * 1000).toISOString(), // Expires after 24 hours
+            createdAt: Math.floor(Date.now() / 1000),
+            expiresAt: Math.floor((Date.now() + 24 * 60 * 60 * 1000) / 1000),
+            tmuxSession: notification.metadata?.tmuxSession || 'default',
+            project: notification.project,
+            notification: notification
+        };
+
+        this.sessionStore.createSession(session);
+
+        this.logger.debug(`Session created: ${sessionId}`);
+    }
+
+    async _removeSession(sessionId) {
+        this.tokenManager.revokeSession(sessionId);
+        if (this.sessionStore.removeSession(sessionId)) {
+            this.logger.debug(`Session removed: ${sessionId}`);
+        }
+    }
+
+    supportsRelay() {
+        return true;
+    }
+
+    validateConfig() {
+        return this._validateConfig();
+    }
+}
+
+module.exports = DiscordChannel;
@@ -0,0 +1,373 @@
+/**
+ * Discord Webhook Handler
+ * Handles Discord interactions (slash commands) for command relay
+ */
+
+const express = require('express');
+const crypto = require('crypto');
+const axios = require('axios');
+const Logger = require('../../core/logger');
+const ControllerInjector = require('../../utils/controller-injector');
+const SessionStore = require('../../core/session-store');
+const TokenManager = require('../../core/token-manager');
+const CommandPolicy = require('../../core/command-policy');
+
+// Discord interaction / response types
+const InteractionType = {
+    PING: 1,
+    APPLICATION_COMMAND: 2
+};
+
+const InteractionResponseType = {
+    PONG: 1,
+    CHANNEL_MESSAGE_WITH_SOURCE: 4,
+    DEFERRED_CHANNEL_MESSAGE_WITH_SOURCE: 5
+};
+
+const EPHEMERAL_FLAG = 1 << 6;
+
+const TOKEN_REGEX = new RegExp(`^${TokenManager.TOKEN_PATTERN}$`);
+
+// DER prefix for a raw 32-byte Ed25519 public key (SubjectPublicKeyInfo)
+const ED25519_SPKI_PREFIX = Buffer.from('302a300506032b6570032100', 'hex');
+
+class DiscordWebhookHandler {
+    constructor(config = {}) {
+        this.config = config;
+        this.logger = new Logger('DiscordWebhook');
+        this.sessionStore = SessionStore.getDefault();
+        this.tokenManager = new TokenManager();
+        this.policy = new CommandPolicy();
+        this.injector = new ControllerInjector();
+        this.app = express();
+        this.apiBaseUrl = config.apiBaseUrl || 'https://discord.com/api/v10';
+        this.publicKey = this._loadPublicKey(config.publicKey);
+
+        this._setupMiddleware();
+        this._setupRoutes();
+    }
+
+    _setupMiddleware() {
+        // Keep the raw body for Ed25519 signature verification
+        this.app.use('/webhook/discord', express.raw({ type: '*/*' }));
+
+        // Parse JSON for other routes
+        this.app.use(express.json());
+    }
+
+    _setupRoutes() {
+        // Discord interactions endpoint
+        this.app.post('/webhook/discord', this._handleWebhook.bind(this));
+
+        // Health check endpoint
+        this.app.get('/health', (req, res) => {
+            res.json({ status: 'ok', service: 'discord-webhook' });
+        });
+    }
+
+    _loadPublicKey(hexKey) {
+        if (!hexKey) {
+            return null;
+        }
+        try {
+            return crypto.createPublicKey({
+                key: Buffer.concat([ED25519_SPKI_PREFIX, Buffer.from(hexKey, 'hex')]),
+                format: 'der',
+                type: 'spki'
+            });
+        } catch (error) {
+            this.logger.error('Invalid Discord public key:', error.message);
+            return null;
+        }
+    }
+
+    _validateSignature(req) {
+        if (!this.publicKey) {
+            this.logger.error('Discord Public Key not configured');
+            return false;
+        }
+
+        const signature = req.headers['x-signature-ed25519'];
+        const timestamp = req.headers['x-signature-timestamp'];
+        if (!signature || !timestamp || !Buffer.isBuffer(req.body)) {
+            return false;
+        }
+
+        try {
+            return crypto.verify(
+                null,
+                Buffer.concat([Buffer.from(String(timestamp)), req.body]),
+                this.publicKey,
+                Buffer.from(String(signature), 'hex')
+            );
+        } catch (error) {
+            return false;
+        }
+    }
+
+    async _handleWebhook(req, res) {
+        // Discord periodically sends invalid signatures and expects a 401
+        if (!this._validateSignature(req)) {
+            this.logger.warn('Invalid Discord signature');
+            return res.status(401).send('Invalid request signature');
+        }
+
+        let interaction;
+        try {
+            interaction = JSON.parse(req.body.toString('utf8'));
+        } catch (error) {
+            return res.status(400).send('Bad Request');
+        }
+
+        try {
+            if (interaction.type === InteractionType.PING) {
+                return res.json({ type: InteractionResponseType.PONG });
+            }
+
+            if (interaction.type === InteractionType.APPLICATION_COMMAND) {
+                return await this._handleCommand(interaction, res);
+            }
+
+            res.status(400).send('Unsupported interaction type');
+        } catch (error) {
+            this.logger.error('Webhook handling error:', error.message);
+            res.status(500).send('Internal Server Error');
+        }
+    }
+
+    async _handleCommand(interaction, res) {
+        const userId = interaction.member?.user?.id || interaction.user?.id;
+        const channelId = interaction.channel_id;
+        const name = interaction.data?.name;
+
+        // Check if user is authorized
+        if (!this._isAuthorized(userId, channelId)) {
+            this.logger.warn(`Unauthorized user/channel: ${userId}/${channelId}`);
+            return this._reply(res, '⚠️ You are not authorized to use this bot.', true);
+        }
+
+        switch (name) {
+            case 'cmd': {
+                const options = this._getOptions(interaction);
+                const token = String(options.token || '').trim().toUpperCase();
+                const command = String(options.command || '').trim();
+
+                if (!TOKEN_REGEX.test(token) || !command) {
+                    return this._reply(res,
+                        '❌ Invalid format. Use:\n`/cmd <TOKEN> <command>`\n\nExample:\n`/cmd ABC12345 analyze this code`',
+                        true);
+                }
+
+                // Injection may take longer than Discord's 3 second window
+                res.json({ type: InteractionResponseType.DEFERRED_CHANNEL_MESSAGE_WITH_SOURCE });
+                const message = await this._processCommand(userId, token, command, channelId);
+                await this._editOriginalResponse(interaction, message);
+                return;
+            }
+            case 'sessions':
+                return this._reply(res, this._formatSessions(), true);
+            case 'status':
+                return this._reply(res, this._formatStatus(), true);
+            default:
+                return this._reply(res, `❌ Unknown command: ${name}`, true);
+        }
+    }
+
+    async _processCommand(userId, token, command, channelId) {
+        // Find session by token
+        const session = await this._findSessionByToken(token);
+        if (!session) {
+            return '❌ Invalid or expired token. Please wait for a new task notification.';
+        }
+
+        // Check if session is expired
+        if (session.expiresAt < Math.floor(Date.now() / 1000)) {
+            await this._removeSession(session.id);
+            return '❌ Token has expired. Please wait for a new task notification.';
+        }
+
+        // Apply command policy (may reject, or hold the command until confirmed)
+        const decision = this.policy.check(command, {
+            channel: 'discord',
+            sender: userId,
+            project: session.project,
+            sessionId: session.id,
+            token: token,
+            tmuxSession: session.tmuxSession || 'default'
+        });
+        if (decision.action !== 'allow') {
+            return this.policy.describe(decision, `/cmd token:${token} command:confirm ${decision.code}`);
+        }
+        command = decision.command;
+
+        // Token must still be usable and must have been issued to this channel
+        const tokenCheck = this.tokenManager.consume(token, { channel: 'discord', recipient: channelId });
+        if (!tokenCheck.valid) {
+            return `❌ ${tokenCheck.reason}. Please wait for a new task notification.`;
+        }
+
+        try {
+            // Inject command into tmux session
+            const tmuxSession = session.tmuxSession || 'default';
+            await this.injector.injectCommand(command, tmuxSession, {
+                channel: 'discord',
+                sender: userId,
+                token: token,
+                sessionId: session.id,
+                policy: decision
+            });
+
+            // Log command execution
+            this.logger.info(`Command injected - User: ${userId}, Token: ${token}, Command: ${command}`);
+
+            return `✅ **Command sent successfully**\n\n📝 **Command:** ${command}\n🖥️ **Session:** ${tmuxSession}\n\nCodex is now processing your request...`;
+        } catch (error) {
+            this.logger.error('Command injection failed:', error.message);
+            return `❌ **Command execution failed:** ${error.message}`;
+        }
+    }
+
+    _getOptions(interaction) {
+        const options = {};
+        for (const option of interaction.data?.options || []) {
+            options[option.name] = option.value;
+        }
+        return options;
+    }
+
+    _formatSessions() {
+        const sessions = this._listActiveSessions();
+        if (sessions.length === 0) {
+            return '📭 No active sessions. Wait for a new task notification.';
+        }
+
+        const lines = sessions.slice(0, 10).map(session => {
+            const expiresIn = Math.max(0, Math.round((session.expiresAt - Date.now() / 1000) / 3600));
+            return `• \`${session.token}\` — ${session.project || 'unknown'} (${session.tmuxSession || 'default'}, expires in ${expiresIn}h)`;
+        });
+
+        if (sessions.length > 10) {
+            lines.push(`…and ${sessions.length - 10} more`);
+        }
+
+        return `📋 **Active sessions:**\n${lines.join('\n')}`;
+    }
+
+    _formatStatus() {
+        const sessions = this._listActiveSessions();
+        const targets = this.injector.listSessions();
+
+        return `🤖 **Codex Code Remote Status**\n\n` +
+            `• Injection mode: \`${this.injector.mode}\`\n` +
+            `• Active tokens: ${sessions.length}\n` +
+            `• Injection targets: ${targets.length > 0 ? targets.slice(0, 5).map(t => `\`${t}\``).join(', ') : 'none'}` +
+            (targets.length > 5 ? ` (+${targets.length - 5} more)` : '');
+    }
+
+    _listActiveSessions() {
+        // Only Discord tokens can be used from here, and only until they expire
+        const now = Math.floor(Date.now() / 1000);
+        return this.sessionStore.listSessions()
+            .filter(session => session.type === 'discord' && session.token && session.expiresAt >= now);
+    }
+
+    _reply(res, content, ephemeral = false) {
+        return res.json({
+            type: InteractionResponseType.CHANNEL_MESSAGE_WITH_SOURCE,
+            data: {
+                content: content,
+                allowed_mentions: { parse: [] },
+                ...(ephemeral ? { flags: EPHEMERAL_FLAG } : {})
+            }
+        });
+    }
+
+    async _editOriginalResponse(interaction, content) {
+        try {
+            await axios.patch(
+                `${this.apiBaseUrl}/webhooks/${interaction.application_id}/${interaction.token}/messages/@original`,
+                { content: content, allowed_mentions: { parse: [] } }
+            );
+        } catch (error) {
+            this.logger.error('Failed to edit interaction response:', error.response?.data || error.message);
+        }
+    }
+
+    _isAuthorized(userId, channelId) {
+        // Check whitelist
+        const whitelist = this.config.whitelist || [];
+
+        if (whitelist.includes(String(userId)) || whitelist.includes(String(channelId))) {
+            return true;
+        }
+
+        // If no whitelist configured, allow the configured channel
+        if (whitelist.length === 0) {
+            if (this.config.channelId && String(channelId) === String(this.config.channelId)) {
+                return true;
+            }
+        }
+
+        return false;
+    }
+
+    async _findSessionByToken(token) {
+        return this.sessionStore.findSessionByToken(token);
+    }
+
+    async _removeSession(sessionId) {
+        if (this.sessionStore.removeSession(sessionId)) {
+            this.logger.debug(`Session removed: ${sessionId}`);
+        }
+    }
+
+    /**
+     * Register the /cmd, /sessions and /status slash commands
+     * Uses guild commands when guildId is set (instant), global commands otherwise
+     */
+    async registerCommands() {
+        if (!this.config.applicationId || !this.config.botToken) {
+            throw new Error('Discord applicationId and botToken are required to register commands');
+        }
+
+        const commands = [
+            {
+                name: 'cmd',
+                description: 'Send a command to Codex',
+                options: [
+                    { type: 3, name: 'token', description: 'Session token from the notification', required: true },
+                    { type: 3, name: 'command', description: 'Command to send to Codex', required: true }
+                ]
+            },
+            { name: 'sessions', description: 'List active Codex sessions' },
+            { name: 'status', description: 'Show Codex Code Remote status' }
+        ];
+
+        const url = this.config.guildId
+            ? `${this.apiBaseUrl}/applications/${this.config.applicationId}/guilds/${this.config.guildId}/commands`
+            : `${this.apiBaseUrl}/applications/${this.config.applicationId}/commands`;
+
+        try {
+            const response = await axios.put(url, commands, {
+                headers: {
+                    'Content-Type': 'application/json',
+                    'Authorization': `Bot ${this.config.botToken}`
+                }
+            });
+
+            this.logger.info(`Registered ${response.data.length} slash commands`);
+            return response.data;
+        } catch (error) {
+            this.logger.error('Failed to register commands:', error.response?.data || error.message);
+            throw error;
+        }
+    }
+
+    start(port = 3000) {
+        this.app.listen(port, () => {
+            this.logger.info(`Discord webhook server started on port ${port}`);
+        });
+    }
+}
+
+module.exports = DiscordWebhookHandler;
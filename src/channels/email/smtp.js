@@ -9,17 +9,26 @@ const { v4: uuidv4 } = require('uuid');
 const path = require('path');
 const fs = require('fs');
 const TmuxMonitor = require('../../utils/tmux-monitor');
+const SessionStore = require('../../core/session-store');
+const TokenManager = require('../../core/token-manager');
+const ApprovalManager = require('../../core/approval-manager');
+const NotificationTypes = require('../../core/notification-types');
+const NotificationDigest = require('../../core/notification-digest');
+const TraceAttachment = require('../../utils/trace-attachment');
 const { execSync } = require('child_process');
 
+// Longer traces are cut to their last part in the body and attached in full
+const TRACE_INLINE_LIMIT = 20000;
+
 class EmailChannel extends NotificationChannel {
     constructor(config = {}) {
         super('email', config);
         this.transporter = null;
-        this.sessionsDir = path.join(__dirname, '../../data/sessions');
+        this.sessionStore = SessionStore.getDefault();
+        this.tokenManager = new TokenManager({ maxUses: config.tokenMaxUses });
         this.templatesDir = path.join(__dirname, '../../assets/email-templates');
-        this.sentMessagesPath = config.sentMessagesPath || path.join(__dirname, '../../data/sent-messages.json');
-        this.threadMapPath = config.threadMapPath || path.join(__dirname, '../../data/email-threads.json');
         this.tmuxMonitor = new TmuxMonitor();
+        this.traceAttachment = new TraceAttachment({ monitor: this.tmuxMonitor });
         
         this._ensureDirectories();
         this._initializeTransporter();
@@ -38,26 +47,18 @@ class EmailChannel extends NotificationChannel {
     }
 
     _ensureDirectories() {
-        if (!fs.existsSync(this.sessionsDir)) {
-            fs.mkdirSync(this.sessionsDir, { recursive: true });
-        }
         if (!fs.existsSync(this.templatesDir)) {
             fs.mkdirSync(this.templatesDir, { recursive: true });
         }
-        const threadDir = path.dirname(this.threadMapPath);
-        if (!fs.existsSync(threadDir)) {
-            fs.mkdirSync(threadDir, { recursive: true });
-        }
     }
 
-    _generateToken() {
-        // Generate short Token (uppercase letters + numbers, 8 digits)
-        const chars = 'ABCDEFGHIJKLMNOPQRSTUVWXYZ0123456789';
-        let token = '';
-        for (let i = 0; i < 8; i++) {
-            token += chars.charAt(Math.floor(Math.random() * chars.length));
-        }
-        return token;
+    _generateToken(sessionId) {
+        // Random token bound to this channel and the address that receives it
+        return this.tokenManager.issue({
+            sessionId: sessionId,
+            channel: this.name,
+            recipient: this.config.to
+        });
     }
 
     _initializeTransporter() {
@@ -147,25 +148,29 @@ class EmailChannel extends NotificationChannel {
         }
 
         // Load or create per-tmux email thread
-        const threadMap = this._loadThreadMap();
-        let thread = threadMap[tmuxSession];
+        let thread = this._loadThread(tmuxSession);
         let isNewThread = false;
         let sessionId;
         let token;
 
         if (thread && tmuxIdentity && thread.tmuxIdentity !== tmuxIdentity) {
-            delete threadMap[tmuxSession];
+            this._deleteThread(tmuxSession);
             thread = null;
         }
 
-        if (thread && thread.sessionId && thread.token && this._isSessionActive(thread.sessionId)) {
+        // Reuse the thread only while its token is still usable by the configured recipient
+        const tokenUsable = thread && thread.token &&
+            this.tokenManager.verify(thread.token, { channel: this.name, recipient: this.config.to }).valid;
+
+        if (thread && thread.sessionId && tokenUsable && this._isSessionActive(thread.sessionId)) {
             sessionId = thread.sessionId;
             token = thread.token;
             this._refreshSession(thread.sessionId, notification, tmuxSession);
+            this.tokenManager.extend(token);
             this._ensureSessionMapEntry(token, sessionId, tmuxSession, notification);
         } else {
             sessionId = uuidv4();
-            token = this._generateToken();
+            token = this._generateToken(sessionId);
             await this._createSession(sessionId, notification, token, tmuxSession);
             thread = {
                 sessionId,
@@ -179,12 +184,16 @@ class EmailChannel extends NotificationChannel {
                 createdAt: new Date().toISOString(),
                 updatedAt: new Date().toISOString()
             };
-            threadMap[tmuxSession] = thread;
             isNewThread = true;
         }
 
+        // Question and response are shown in full; only a long trace is attached
+        const attachment = this.config.includeExecutionTrace !== false
+            ? this.traceAttachment.build(notification, { question: Infinity, response: Infinity, trace: TRACE_INLINE_LIMIT })
+            : null;
+
         // Generate email content
-        const emailContent = this._generateEmailContent(notification, sessionId, token);
+        const emailContent = this._generateEmailContent(notification, sessionId, token, attachment);
         if (thread && thread.subject) {
             emailContent.subject = thread.subject;
         }
@@ -211,9 +220,11 @@ class EmailChannel extends NotificationChannel {
             headers['References'] = Array.from(refs).join(' ');
         }
 
+        // A routing rule may send to a team list; the relay still only accepts replies from ALLOWED_SENDERS
+        const recipient = notification.routing?.emailTo || this.config.to;
         const mailOptions = {
             from: this.config.from || this.config.smtp.auth.user,
-            to: this.config.to,
+            to: recipient,
             subject: emailContent.subject,
             html: emailContent.html,
             text: emailContent.text,
@@ -221,10 +232,17 @@ class EmailChannel extends NotificationChannel {
             // Add custom headers for reply recognition
             headers
         };
+        if (attachment) {
+            mailOptions.attachments = [{
+                filename: attachment.filename,
+                content: attachment.content,
+                contentType: attachment.contentType
+            }];
+        }
 
         try {
             const result = await this.transporter.sendMail(mailOptions);
-            this.logger.info(`Email sent successfully to ${this.config.to}, Session: ${sessionId}`);
+            this.logger.info(`Email sent successfully to ${recipient}, Session: ${sessionId}`);
             
             // Track sent message
             await this._trackSentMessage(messageId, sessionId, token);
@@ -245,8 +263,7 @@ class EmailChannel extends NotificationChannel {
                 thread.references = Array.from(refs).slice(-20);
                 thread.lastMessageId = messageId;
                 thread.updatedAt = new Date().toISOString();
-                threadMap[tmuxSession] = thread;
-                this._saveThreadMap(threadMap);
+                this._saveThread(tmuxSession, thread);
             }
             
             return true;
@@ -255,10 +272,9 @@ class EmailChannel extends NotificationChannel {
             // Clean up failed session
             if (isNewThread) {
                 await this._removeSession(sessionId);
-                delete threadMap[tmuxSession];
-                this._saveThreadMap(threadMap);
+                this._deleteThread(tmuxSession);
             }
-            return false;
+            throw error;
         }
     }
 
@@ -283,30 +299,16 @@ class EmailChannel extends NotificationChannel {
             tmuxSession: tmuxSession
         };
 
-        const sessionFile = path.join(this.sessionsDir, `${sessionId}.json`);
-        fs.writeFileSync(sessionFile, JSON.stringify(session, null, 2));
+        this.sessionStore.createSession(session);
         
         this._ensureSessionMapEntry(token, sessionId, tmuxSession, notification);
         
         this.logger.debug(`Session created: ${sessionId}, Token: ${token}`);
     }
 
-    _getSessionMapPath() {
-        return process.env.SESSION_MAP_PATH || path.join(__dirname, '../../data/session-map.json');
-    }
 
     _ensureSessionMapEntry(token, sessionId, tmuxSession, notification) {
-        const sessionMapPath = this._getSessionMapPath();
-        let sessionMap = {};
-        if (fs.existsSync(sessionMapPath)) {
-            try {
-                sessionMap = JSON.parse(fs.readFileSync(sessionMapPath, 'utf8'));
-            } catch (e) {
-                sessionMap = {};
-            }
-        }
-
-        sessionMap[token] = {
+        this.sessionStore.set(SessionStore.COLLECTIONS.SESSION_MAP, token, {
             type: 'pty',
             createdAt: Math.floor(Date.now() / 1000),
             expiresAt: Math.floor((Date.now() + 24 * 60 * 60 * 1000) / 1000),
@@ -314,109 +316,67 @@ class EmailChannel extends NotificationChannel {
             sessionId: sessionId,
             tmuxSession: tmuxSession,
             description: `${notification.type} - ${notification.project}`
-        };
-
-        const mapDir = path.dirname(sessionMapPath);
-        if (!fs.existsSync(mapDir)) {
-            fs.mkdirSync(mapDir, { recursive: true });
-        }
+        });
+    }
 
-        fs.writeFileSync(sessionMapPath, JSON.stringify(sessionMap, null, 2));
+    _loadThread(tmuxSession) {
+        return this.sessionStore.get(SessionStore.COLLECTIONS.EMAIL_THREADS, tmuxSession);
     }
 
-    _loadThreadMap() {
-        if (!fs.existsSync(this.threadMapPath)) {
-            return {};
-        }
-        try {
-            return JSON.parse(fs.readFileSync(this.threadMapPath, 'utf8'));
-        } catch (error) {
-            this.logger.warn('Failed to read email thread map, creating new one');
-            return {};
-        }
+    _saveThread(tmuxSession, thread) {
+        this.sessionStore.set(SessionStore.COLLECTIONS.EMAIL_THREADS, tmuxSession, thread);
     }
 
-    _saveThreadMap(threadMap) {
-        fs.writeFileSync(this.threadMapPath, JSON.stringify(threadMap, null, 2));
+    _deleteThread(tmuxSession) {
+        this.sessionStore.delete(SessionStore.COLLECTIONS.EMAIL_THREADS, tmuxSession);
     }
 
     _isSessionActive(sessionId) {
-        const sessionFile = path.join(this.sessionsDir, `${sessionId}.json`);
-        if (!fs.existsSync(sessionFile)) {
-            return false;
-        }
-        try {
-            const sessionData = JSON.parse(fs.readFileSync(sessionFile, 'utf8'));
-            const expires = new Date(sessionData.expires);
-            return Date.now() < expires.getTime();
-        } catch (error) {
+        const sessionData = this.sessionStore.getSession(sessionId);
+        if (!sessionData) {
             return false;
         }
+        return Date.now() < new Date(sessionData.expires).getTime();
     }
 
     _refreshSession(sessionId, notification, tmuxSession) {
-        const sessionFile = path.join(this.sessionsDir, `${sessionId}.json`);
-        if (!fs.existsSync(sessionFile)) {
-            return;
-        }
         try {
-            const sessionData = JSON.parse(fs.readFileSync(sessionFile, 'utf8'));
             const nextExpiry = new Date(Date.now() + 24 * 60 * 60 * 1000);
-            sessionData.expires = nextExpiry.toISOString();
-            sessionData.expiresAt = Math.floor(nextExpiry.getTime() / 1000);
-            sessionData.notification = {
-                type: notification.type,
-                project: notification.project,
-                message: notification.message
-            };
-            sessionData.tmuxSession = tmuxSession;
-            fs.writeFileSync(sessionFile, JSON.stringify(sessionData, null, 2));
+            this.sessionStore.updateSession(sessionId, {
+                expires: nextExpiry.toISOString(),
+                expiresAt: Math.floor(nextExpiry.getTime() / 1000),
+                notification: {
+                    type: notification.type,
+                    project: notification.project,
+                    message: notification.message
+                },
+                tmuxSession: tmuxSession
+            });
         } catch (error) {
             this.logger.warn(`Failed to refresh session ${sessionId}: ${error.message}`);
         }
     }
 
     async _removeSession(sessionId) {
-        const sessionFile = path.join(this.sessionsDir, `${sessionId}.json`);
-        if (fs.existsSync(sessionFile)) {
-            fs.unlinkSync(sessionFile);
+        this.tokenManager.revokeSession(sessionId);
+        if (this.sessionStore.removeSession(sessionId)) {
             this.logger.debug(`Session removed: ${sessionId}`);
         }
     }
 
     async _trackSentMessage(messageId, sessionId, token) {
-        let sentMessages = { messages: [] };
-        
-        // Read existing data if file exists
-        if (fs.existsSync(this.sentMessagesPath)) {
-            try {
-                sentMessages = JSON.parse(fs.readFileSync(this.sentMessagesPath, 'utf8'));
-            } catch (e) {
-                this.logger.warn('Failed to read sent-messages.json, creating new one');
-            }
-        }
-        
-        // Add new message
-        sentMessages.messages.push({
+        this.sessionStore.set(SessionStore.COLLECTIONS.SENT_MESSAGES, messageId, {
             messageId: messageId,
             sessionId: sessionId,
             token: token,
             type: 'notification',
             sentAt: new Date().toISOString()
         });
-        
-        // Ensure directory exists
-        const dir = path.dirname(this.sentMessagesPath);
-        if (!fs.existsSync(dir)) {
-            fs.mkdirSync(dir, { recursive: true });
-        }
-        
-        // Write updated data
-        fs.writeFileSync(this.sentMessagesPath, JSON.stringify(sentMessages, null, 2));
         this.logger.debug(`Tracked sent message: ${messageId}`);
     }
 
-    _generateEmailContent(notification, sessionId, token) {
+    _generateEmailContent(notification, sessionId, token, attachment = null) {
+        notification = this.redactor.redactNotification(notification);
         const template = this._getTemplate(notification.type);
         const timestamp = new Date().toLocaleString('zh-CN');
         
@@ -470,6 +430,15 @@ class EmailChannel extends NotificationChannel {
 ==================================`;
         }
         
+        let fullExecutionTrace = notification.metadata?.fullExecutionTrace ||
+            'No execution trace available. This may occur if the task completed very quickly or if tmux session logging is not enabled.';
+        if (attachment) {
+            const trace = notification.metadata?.fullExecutionTrace || '';
+            fullExecutionTrace = trace.length > TRACE_INLINE_LIMIT
+                ? `[Showing the last ${TRACE_INLINE_LIMIT} characters; the full trace is attached as ${attachment.filename}]\n…${trace.slice(-TRACE_INLINE_LIMIT)}`
+                : `The full execution trace is attached as ${attachment.filename}.`;
+        }
+
         // Template variable replacement
         const variables = {
             project: projectDir,
@@ -477,7 +446,8 @@ class EmailChannel extends NotificationChannel {
             timestamp: timestamp,
             sessionId: sessionId,
             token: token,
-            type: notification.type === 'completed' ? 'Task completed' : 'Waiting for input',
+            type: NotificationTypes.get(notification.type).label,
+            statusEmoji: NotificationTypes.get(notification.type).emoji,
             userQuestion: userQuestion || 'No specified task',
             claudeResponse: claudeResponse || notification.message,
             projectDir: projectDir,
@@ -487,10 +457,20 @@ class EmailChannel extends NotificationChannel {
             subagentActivities: notification.metadata?.subagentActivities || '',
             executionTraceSection: executionTraceSection,
             executionTraceText: executionTraceText,
-            fullExecutionTrace: notification.metadata?.fullExecutionTrace || 
-                'No execution trace available. This may occur if the task completed very quickly or if tmux session logging is not enabled.'
+            fullExecutionTrace: fullExecutionTrace
         };
 
+        return this._renderTemplate(template, variables, ['subagentActivities', 'executionTraceSection']);
+    }
+
+    /**
+     * Fill a template's {{placeholders}}
+     * @param {Object} template - { subject, html, text }
+     * @param {Object} variables - Placeholder values
+     * @param {Array<string>} htmlKeys - Variables that already hold HTML and must not be escaped
+     * @returns {Object} { subject, html, text }
+     */
+    _renderTemplate(template, variables, htmlKeys = []) {
         let subject = template.subject;
         let html = template.html;
         let text = template.text;
@@ -501,7 +481,7 @@ class EmailChannel extends NotificationChannel {
             subject = subject.replace(placeholder, variables[key]);
             
             // Special handling for HTML content - don't escape
-            if (key === 'subagentActivities' || key === 'executionTraceSection') {
+            if (htmlKeys.includes(key)) {
                 html = html.replace(placeholder, variables[key]);
             } else {
                 // Escape HTML entities for other content
@@ -515,6 +495,54 @@ class EmailChannel extends NotificationChannel {
         return { subject, html, text };
     }
 
+    _generateDigestContent(digest) {
+        const template = this._getTemplate('digest');
+        const time = iso => new Date(iso).toLocaleTimeString('zh-CN', { hour: '2-digit', minute: '2-digit' });
+
+        let digestSection = '';
+        let digestText = '';
+        for (const session of digest.sessions) {
+            const name = session.tmuxSession ? `${session.project} | ${session.tmuxSession}` : session.project;
+            digestSection += `
+                            <div style="margin-bottom: 30px;">
+                                <div style="color: #00ff00; margin-bottom: 10px;">
+                                    <span style="color: #999;">$</span> <span style="color: #00ff00;">codex log ${this._escapeHtml(name)}</span>
+                                </div>`;
+            digestText += `\n== ${name} ==\n`;
+
+            for (const item of session.items) {
+                const type = NotificationTypes.get(item.type);
+                const duration = NotificationDigest.formatDuration(item.durationMs);
+                const summary = item.response || item.message;
+                digestSection += `
+                                <div style="margin: 0 0 15px 20px;">
+                                    <div style="color: #999; font-size: 13px; margin-bottom: 5px;">
+                                        <span style="color: #00bcd4;">[${time(item.completedAt)}]</span> ${type.emoji} ${this._escapeHtml(type.label)} · ${duration}
+                                    </div>
+                                    ${item.userQuestion ? `<div style="color: #ff9800; font-size: 13px; margin-bottom: 5px;">&gt; ${this._escapeHtml(item.userQuestion.substring(0, 200))}</div>` : ''}
+                                    <div style="background-color: #1f1f1f; border-left: 4px solid ${type.color}; padding: 10px 15px; color: #f0f0f0; font-size: 13px; line-height: 1.5; white-space: pre-wrap; word-wrap: break-word;">${this._escapeHtml(summary)}</div>
+                                </div>`;
+                digestText += `\n[${time(item.completedAt)}] ${type.emoji} ${type.label} (${duration})\n`;
+                if (item.userQuestion) {
+                    digestText += `> ${item.userQuestion.substring(0, 200)}\n`;
+                }
+                digestText += `${summary}\n`;
+            }
+            digestSection += `
+                            </div>`;
+        }
+
+        return this._renderTemplate(template, {
+            schedule: digest.schedule === 'daily' ? 'Daily' : 'Hourly',
+            count: String(digest.count),
+            sessionCount: String(digest.sessions.length),
+            since: new Date(digest.since).toLocaleString('zh-CN'),
+            until: new Date(digest.until).toLocaleString('zh-CN'),
+            digestSection,
+            digestText
+        }, ['digestSection']);
+    }
+
     _getTemplate(type) {
         // Default templates
         const templates = {
@@ -625,7 +653,7 @@ Security Note: Please do not forward this email, session will automatically expi
                                     <td style="padding: 0;"><div style="width: 12px; height: 12px; border-radius: 50%; background-color: #ff5f56;"></div></td>
                                     <td style="padding: 0 0 0 5px;"><div style="width: 12px; height: 12px; border-radius: 50%; background-color: #ffbd2e;"></div></td>
                                     <td style="padding: 0 0 0 5px;"><div style="width: 12px; height: 12px; border-radius: 50%; background-color: #27c93f;"></div></td>
-                                    <td style="padding: 0 0 0 12px; color: #999; font-size: 14px; white-space: nowrap;">codex-code-remote@{{project}} - Waiting for Input</td>
+                                    <td style="padding: 0 0 0 12px; color: #999; font-size: 14px; white-space: nowrap;">codex-code-remote@{{project}} - {{type}}</td>
                                 </tr>
                             </table>
                         </div>
@@ -638,7 +666,7 @@ Security Note: Please do not forward this email, session will automatically expi
                                 <div style="margin-left: 20px; margin-top: 5px; color: #ccc;">
                                     <span style="color: #ff9800;">PROJECT:</span> {{projectDir}}<br>
                                     <span style="color: #ff9800;">SESSION:</span> #{{token}}<br>
-                                    <span style="color: #ff9800;">STATUS:</span> <span style="color: #ffeb3b;">⏳ Waiting for input</span><br>
+                                    <span style="color: #ff9800;">STATUS:</span> <span style="color: #ffeb3b;">{{statusEmoji}} {{type}}</span><br>
                                     <span style="color: #ff9800;">TIME:</span> {{timestamp}}
                                 </div>
                             </div>
@@ -681,13 +709,13 @@ Security Note: Please do not forward this email, session will automatically expi
                 </div>
                 `,
                 text: `
-[Codex-Code-Remote #{{token}}] Codex Waiting for Input - {{projectDir}}
+[Codex-Code-Remote #{{token}}] Codex {{type}} - {{projectDir}}
 
 Project: {{projectDir}}
 Time: {{timestamp}}
 Status: {{type}}
 
-⏳ Waiting for Processing: {{message}}
+{{statusEmoji}} {{type}}: {{message}}
 
 Codex needs your further guidance. Please reply to this email to tell Codex what to do next.
 
@@ -697,7 +725,134 @@ Security Note: Please do not forward this email, session will automatically expi
             }
         };
 
-        return templates[type] || templates.completed;
+        templates.digest = {
+            subject: '[Codex-Code-Remote] {{schedule}} Digest - {{count}} notification(s) from {{sessionCount}} session(s)',
+            html: `
+                <div style="font-family: 'Consolas', 'Monaco', 'Courier New', monospace; background-color: #f5f5f5; padding: 0; margin: 0;">
+                    <div style="max-width: 900px; margin: 0 auto; background-color: #1e1e1e; border: 1px solid #333; box-shadow: 0 4px 10px rgba(0, 0, 0, 0.3);">
+                        <!-- Terminal Header -->
+                        <div style="background-color: #2d2d2d; padding: 10px 15px; border-bottom: 1px solid #444; color: #999; font-size: 14px;">
+                            codex-code-remote - {{schedule}} Digest
+                        </div>
+                        
+                        <!-- Terminal Content -->
+                        <div style="padding: 20px; background-color: #1a1a1a;">
+                            <div style="color: #999; font-size: 13px; margin-bottom: 25px;">
+                                <span style="color: #00bcd4;">[INFO]</span> {{count}} notification(s) from {{sessionCount}} session(s), {{since}} - {{until}}
+                            </div>
+                            {{digestSection}}
+                            <div style="color: #666; font-size: 12px; margin-top: 30px; padding-top: 20px; border-top: 1px solid #333;">
+                                Replies to this digest are not sent to Codex. Use the token from a regular notification to send commands.
+                            </div>
+                        </div>
+                    </div>
+                </div>
+                `,
+            text: `
+[Codex-Code-Remote] {{schedule}} Digest
+
+{{count}} notification(s) from {{sessionCount}} session(s), {{since}} - {{until}}
+{{digestText}}
+Replies to this digest are not sent to Codex. Use the token from a regular notification to send commands.
+                `
+        };
+
+        // Every type other than completed needs the user's attention
+        return templates[type] || templates.waiting;
+    }
+
+    /**
+     * Email a Codex confirmation dialog with one mailto link per option
+     * Each link opens a reply whose subject the relay recognizes as the answer.
+     * @param {Object} approval - Approval record from ApprovalManager
+     * @returns {Promise<Object>} { success, recipient }
+     */
+    async sendApproval(approval) {
+        if (!this.transporter || !this.config.to) {
+            return { success: false };
+        }
+
+        // Answers must land in the inbox the relay watches
+        const inbox = this.config.imap?.auth?.user || this.config.smtp.auth.user;
+        const deny = approval.options.find(option => option.id === approval.denyOption);
+        const minutes = Math.max(1, Math.round((approval.expiresAt - approval.createdAt) / 60));
+        const links = approval.options.map(option => ({
+            label: option.label,
+            subject: ApprovalManager.emailSubject(approval.id, option.id),
+            href: `mailto:${inbox}?subject=${encodeURIComponent(ApprovalManager.emailSubject(approval.id, option.id))}`
+        }));
+
+        const details = approval.details.join('\n');
+        const text = `Codex needs approval (project: ${approval.project || '-'}, session: ${approval.tmuxSession || '-'})\n\n` +
+            `${details}\n\n` +
+            `Reply to ${inbox} with one of these subjects:\n` +
+            links.map(link => `  ${link.label}: ${link.subject}`).join('\n') +
+            `\n\nNo answer within ${minutes} minute(s) → ${deny ? deny.label : 'deny'}`;
+        const html = `<p><strong>🔐 Codex needs approval</strong><br>` +
+            `Project: ${this._escapeHtml(approval.project || '-')} · Session: ${this._escapeHtml(approval.tmuxSession || '-')}</p>` +
+            `<pre style="white-space: pre-wrap;">${this._escapeHtml(details)}</pre>` +
+            `<p>${links.map(link => `<a href="${this._escapeHtml(link.href)}">${this._escapeHtml(link.label)}</a>`).join('<br>')}</p>` +
+            `<p>No answer within ${minutes} minute(s) → ${this._escapeHtml(deny ? deny.label : 'deny')}</p>`;
+
+        const messageId = `<approval-${approval.id}-${Date.now()}@codex-code-remote>`;
+        try {
+            await this.transporter.sendMail({
+                from: this.config.from || this.config.smtp.auth.user,
+                to: this.config.to,
+                subject: `[Codex-Code-Remote] Approval needed: ${approval.question.substring(0, 80)}`,
+                text: text,
+                html: html,
+                messageId: messageId
+            });
+            this.sessionStore.set(SessionStore.COLLECTIONS.SENT_MESSAGES, messageId, {
+                messageId: messageId,
+                type: 'approval',
+                sentAt: new Date().toISOString()
+            });
+            return { success: true, recipient: this.config.to };
+        } catch (error) {
+            this.logger.error('Failed to send approval email:', error.message);
+            return { success: false };
+        }
+    }
+
+    /**
+     * Email a digest of queued notifications (see NotificationDigest)
+     * @param {Object} digest - Result of NotificationDigest.build()
+     * @returns {Promise<Object>} { success, recipient }
+     */
+    async sendDigest(digest) {
+        if (!this.transporter || !this.config.to) {
+            return { success: false };
+        }
+
+        const content = this._generateDigestContent(digest);
+        const messageId = `<digest-${Date.now()}@codex-code-remote>`;
+        try {
+            await this.transporter.sendMail({
+                from: this.config.from || this.config.smtp.auth.user,
+                to: this.config.to,
+                subject: content.subject,
+                html: content.html,
+                text: content.text,
+                messageId: messageId
+            });
+            // Tracked so the relay ignores it if it lands in the watched inbox
+            this.sessionStore.set(SessionStore.COLLECTIONS.SENT_MESSAGES, messageId, {
+                messageId: messageId,
+                type: 'digest',
+                sentAt: new Date().toISOString()
+            });
+            this.logger.info(`Digest email sent to ${this.config.to} (${digest.count} notifications)`);
+            return { success: true, recipient: this.config.to };
+        } catch (error) {
+            this.logger.error('Failed to send digest email:', error.message);
+            return { success: false };
+        }
+    }
+
+    supportsRelay() {
+        return true;
     }
 
     validateConfig() {
@@ -6,28 +6,38 @@
 const NotificationChannel = require('../base/channel');
 const axios = require('axios');
 const { v4: uuidv4 } = require('uuid');
-const path = require('path');
-const fs = require('fs');
 const TmuxMonitor = require('../../utils/tmux-monitor');
+const SessionStore = require('../../core/session-store');
+const TokenManager = require('../../core/token-manager');
+const NotificationTypes = require('../../core/notification-types');
+const TraceAttachment = require('../../utils/trace-attachment');
 const { execSync } = require('child_process');
 
+// Status shown in LINE messages (Traditional Chinese, like the rest of the template)
+const LINE_STATUS = {
+    completed: '已完成',
+    waiting: '等待輸入',
+    error: '失敗',
+    approval_required: '需要核准',
+    context_low: '上下文即將用盡',
+    session_crashed: '會話異常結束',
+    session_closed: '會話已關閉',
+    session_stalled: '會話停滯',
+    command_received: '已收到指令'
+};
+
 class LINEChannel extends NotificationChannel {
     constructor(config = {}) {
         super('line', config);
-        this.sessionsDir = path.join(__dirname, '../../data/sessions');
+        this.sessionStore = SessionStore.getDefault();
+        this.tokenManager = new TokenManager({ maxUses: config.tokenMaxUses });
         this.tmuxMonitor = new TmuxMonitor();
+        this.traceAttachment = new TraceAttachment({ monitor: this.tmuxMonitor });
         this.lineApiUrl = 'https://api.line.me/v2/bot/message';
         
-        this._ensureDirectories();
         this._validateConfig();
     }
 
-    _ensureDirectories() {
-        if (!fs.existsSync(this.sessionsDir)) {
-            fs.mkdirSync(this.sessionsDir, { recursive: true });
-        }
-    }
-
     _validateConfig() {
         if (!this.config.channelAccessToken) {
             this.logger.warn('LINE Channel Access Token not found');
@@ -40,14 +50,13 @@ class LINEChannel extends NotificationChannel {
         return true;
     }
 
-    _generateToken() {
-        // Generate short Token (uppercase letters + numbers, 8 digits)
-        const chars = 'ABCDEFGHIJKLMNOPQRSTUVWXYZ0123456789';
-        let token = '';
-        for (let i = 0; i < 8; i++) {
-            token += chars.charAt(Math.floor(Math.random() * chars.length));
-        }
-        return token;
+    _generateToken(sessionId) {
+        // Random token bound to this channel and the chat that receives it
+        return this.tokenManager.issue({
+            sessionId: sessionId,
+            channel: this.name,
+            recipient: this.config.groupId || this.config.userId
+        });
     }
 
     _getCurrentTmuxSession() {
@@ -72,7 +81,7 @@ class LINEChannel extends NotificationChannel {
 
         // Generate session ID and Token
         const sessionId = uuidv4();
-        const token = this._generateToken();
+        const token = this._generateToken(sessionId);
         
         // Get current tmux session and conversation content
         const tmuxSession = this._getCurrentTmuxSession();
@@ -89,7 +98,7 @@ class LINEChannel extends NotificationChannel {
         await this._createSession(sessionId, notification, token);
 
         // Generate LINE message
-        const messages = this._generateLINEMessage(notification, sessionId, token);
+        const messages = this._generateLINEMessage(notification, sessionId, token, this._saveTrace(notification));
         
         // Determine recipient (user or group)
         const to = this.config.groupId || this.config.userId;
@@ -121,10 +130,29 @@ class LINEChannel extends NotificationChannel {
         }
     }
 
-    _generateLINEMessage(notification, sessionId, token) {
-        const type = notification.type;
-        const emoji = type === 'completed' ? '✅' : '⏳';
-        const status = type === 'completed' ? '已完成' : '等待輸入';
+    /**
+     * Save the full trace for the webhook server to serve, when it does not fit in the message
+     * LINE bots cannot push files, so the message links to it; needs publicUrl (LINE_PUBLIC_URL)
+     * @param {Object} notification
+     * @returns {string|null} Link to the document
+     */
+    _saveTrace(notification) {
+        if (!this.config.publicUrl) return null;
+        const attachment = this.traceAttachment.build(notification);
+        if (!attachment) return null;
+        try {
+            const id = this.traceAttachment.save(attachment);
+            return `${this.config.publicUrl.replace(/\/+$/, '')}/files/${id}`;
+        } catch (error) {
+            this.logger.warn('Failed to save LINE trace document:', error.message);
+            return null;
+        }
+    }
+
+    _generateLINEMessage(notification, sessionId, token, traceUrl = null) {
+        notification = this.redactor.redactNotification(notification);
+        const { emoji, label } = NotificationTypes.get(notification.type);
+        const status = LINE_STATUS[notification.type] || label;
         
         let messageText = `${emoji} Codex 任務 ${status}\n`;
         messageText += `專案: ${notification.project}\n`;
@@ -147,10 +175,15 @@ class LINEChannel extends NotificationChannel {
                 messageText += '\n\n';
             }
         }
+
+        if (traceUrl) {
+            messageText += `📎 完整問題、回應與執行紀錄 (24 小時內有效):\n${traceUrl}\n\n`;
+        }
         
         messageText += `💬 回覆此訊息並輸入:\n`;
         messageText += `Token ${token} <您的指令>\n`;
-        messageText += `來發送新指令給 Codex`;
+        messageText += `來發送新指令給 Codex\n`;
+        messageText += `🔕 輸入 Snooze ${token} 60 可靜音此會話 60 分鐘`;
 
         return [{
             type: 'text',
@@ -172,20 +205,73 @@ class LINEChannel extends NotificationChannel {
             notification: notification
         };
 
-        const sessionFile = path.join(this.sessionsDir, `${sessionId}.json`);
-        fs.writeFileSync(sessionFile, JSON.stringify(session, null, 2));
+        this.sessionStore.createSession(session);
         
         this.logger.debug(`Session created: ${sessionId}`);
     }
 
     async _removeSession(sessionId) {
-        const sessionFile = path.join(this.sessionsDir, `${sessionId}.json`);
-        if (fs.existsSync(sessionFile)) {
-            fs.unlinkSync(sessionFile);
+        this.tokenManager.revokeSession(sessionId);
+        if (this.sessionStore.removeSession(sessionId)) {
             this.logger.debug(`Session removed: ${sessionId}`);
         }
     }
 
+    /**
+     * Ask the user or group to answer a Codex confirmation dialog with quick reply buttons
+     * @param {Object} approval - Approval record from ApprovalManager
+     * @returns {Promise<Object>} { success, recipient }
+     */
+    async sendApproval(approval) {
+        if (!this._validateConfig()) {
+            return { success: false };
+        }
+
+        const to = this.config.groupId || this.config.userId;
+        const deny = approval.options.find(option => option.id === approval.denyOption);
+        const minutes = Math.max(1, Math.round((approval.expiresAt - approval.createdAt) / 60));
+
+        let messageText = `🔐 Codex 需要您的確認\n`;
+        messageText += `專案: ${approval.project || '-'}\n\n`;
+        messageText += `${approval.details.join('\n').substring(0, 1500)}\n\n`;
+        messageText += `${minutes} 分鐘內未回覆將自動選擇: ${deny ? deny.label : 'deny'}\n`;
+        messageText += `也可輸入: Approve ${approval.id} <選項>`;
+
+        try {
+            await axios.post(
+                `${this.lineApiUrl}/push`,
+                {
+                    to: to,
+                    messages: [{
+                        type: 'text',
+                        text: messageText,
+                        quickReply: {
+                            // Quick reply labels are limited to 20 characters
+                            items: approval.options.map(option => ({
+                                type: 'action',
+                                action: {
+                                    type: 'message',
+                                    label: option.label.substring(0, 20),
+                                    text: `Approve ${approval.id} ${option.id}`
+                                }
+                            }))
+                        }
+                    }]
+                },
+                {
+                    headers: {
+                        'Content-Type': 'application/json',
+                        'Authorization': `Bearer ${this.config.channelAccessToken}`
+                    }
+                }
+            );
+            return { success: true, recipient: to };
+        } catch (error) {
+            this.logger.error('Failed to send LINE approval request:', error.response?.data || error.message);
+            return { success: false };
+        }
+    }
+
     supportsRelay() {
         return true;
     }
@@ -6,17 +6,32 @@
 const express = require('express');
 const crypto = require('crypto');
 const axios = require('axios');
-const path = require('path');
-const fs = require('fs');
 const Logger = require('../../core/logger');
 const ControllerInjector = require('../../utils/controller-injector');
+const SessionStore = require('../../core/session-store');
+const TokenManager = require('../../core/token-manager');
+const CommandPolicy = require('../../core/command-policy');
+const ApprovalManager = require('../../core/approval-manager');
+const NotificationThrottle = require('../../core/notification-throttle');
+const TraceAttachment = require('../../utils/trace-attachment');
+
+const COMMAND_PATTERN = new RegExp(`^Token\\s+(${TokenManager.TOKEN_PATTERN})\\s+(.+)$`, 'i');
+const APPROVAL_PATTERN = new RegExp(`^Approve\\s+(${TokenManager.TOKEN_PATTERN})\\s+(\\S+)$`, 'i');
+// Snooze <Token|session> [minutes] and Unsnooze <Token|session>
+const SNOOZE_PATTERN = /^(Snooze|Unsnooze)\s+(\S+)(?:\s+(\d+))?$/i;
+const DEFAULT_SNOOZE_MINUTES = 60;
 
 class LINEWebhookHandler {
     constructor(config = {}) {
         this.config = config;
         this.logger = new Logger('LINEWebhook');
-        this.sessionsDir = path.join(__dirname, '../../data/sessions');
+        this.sessionStore = SessionStore.getDefault();
+        this.tokenManager = new TokenManager();
+        this.policy = new CommandPolicy();
+        this.approvals = new ApprovalManager();
+        this.throttle = new NotificationThrottle();
         this.injector = new ControllerInjector();
+        this.traceAttachment = new TraceAttachment();
         this.app = express();
         
         this._setupMiddleware();
@@ -35,6 +50,9 @@ class LINEWebhookHandler {
         // LINE webhook endpoint
         this.app.post('/webhook', this._handleWebhook.bind(this));
         
+        // Trace documents linked from notifications; ids are random and expire after 24 hours
+        this.app.get('/files/:id', this._handleFile.bind(this));
+        
         // Health check endpoint
         this.app.get('/health', (req, res) => {
             res.json({ status: 'ok', service: 'line-webhook' });
@@ -55,6 +73,17 @@ class LINEWebhookHandler {
         return hash === signature;
     }
 
+    _handleFile(req, res) {
+        const attachment = this.traceAttachment.load(req.params.id);
+        if (!attachment) {
+            return res.status(404).send('Not found');
+        }
+        res.set('Content-Type', attachment.contentType);
+        res.set('Content-Disposition', `inline; filename="${attachment.filename}"`);
+        res.set('Cache-Control', 'private, no-store');
+        res.send(attachment.content);
+    }
+
     async _handleWebhook(req, res) {
         const signature = req.headers['x-line-signature'];
         
@@ -93,16 +122,36 @@ class LINEWebhookHandler {
             return;
         }
 
+        // Answer to a Codex confirmation dialog (sent by the quick reply buttons)
+        const approvalMatch = messageText.match(APPROVAL_PATTERN);
+        if (approvalMatch) {
+            const result = this.approvals.answer(approvalMatch[1], approvalMatch[2], {
+                channel: 'line',
+                sender: groupId || userId
+            });
+            await this._replyMessage(replyToken, result.ok
+                ? `✅ 已送出選擇: ${result.option.label}`
+                : `❌ ${result.reason}`);
+            return;
+        }
+
+        // Mute or resume a session's notifications
+        const snoozeMatch = messageText.match(SNOOZE_PATTERN);
+        if (snoozeMatch) {
+            await this._handleSnooze(replyToken, groupId || userId, snoozeMatch[1].toLowerCase(), snoozeMatch[2], snoozeMatch[3]);
+            return;
+        }
+
         // Parse command
-        const commandMatch = messageText.match(/^Token\s+([A-Z0-9]{8})\s+(.+)$/i);
+        const commandMatch = messageText.match(COMMAND_PATTERN);
         if (!commandMatch) {
             await this._replyMessage(replyToken, 
-                '❌ 格式錯誤。請使用:\nToken <8位Token> <您的指令>\n\n例如:\nToken ABC12345 請幫我分析這段程式碼');
+                '❌ 格式錯誤。請使用:\nToken <Token> <您的指令>\n\n例如:\nToken ABC12345 請幫我分析這段程式碼');
             return;
         }
 
         const token = commandMatch[1].toUpperCase();
-        const command = commandMatch[2];
+        let command = commandMatch[2];
 
         // Find session by token
         const session = await this._findSessionByToken(token);
@@ -120,10 +169,39 @@ class LINEWebhookHandler {
             return;
         }
 
+        // Apply command policy (may reject, or hold the command until confirmed)
+        const decision = this.policy.check(command, {
+            channel: 'line',
+            sender: userId || groupId,
+            project: session.project,
+            sessionId: session.id,
+            token: token,
+            tmuxSession: session.tmuxSession || 'default'
+        });
+        if (decision.action !== 'allow') {
+            await this._replyMessage(replyToken, this.policy.describe(decision, `Token ${token} confirm ${decision.code}`));
+            return;
+        }
+        command = decision.command;
+
+        // Token must still be usable and must have been issued to this chat
+        const tokenCheck = this.tokenManager.consume(token, { channel: 'line', recipient: groupId || userId });
+        if (!tokenCheck.valid) {
+            await this._replyMessage(replyToken, 
+                `❌ ${tokenCheck.reason}。請等待新的任務通知。`);
+            return;
+        }
+
         try {
             // Inject command into tmux session
             const tmuxSession = session.tmuxSession || 'default';
-            await this.injector.injectCommand(command, tmuxSession);
+            await this.injector.injectCommand(command, tmuxSession, {
+                channel: 'line',
+                sender: userId || groupId,
+                token: token,
+                sessionId: session.id,
+                policy: decision
+            });
             
             // Send confirmation
             await this._replyMessage(replyToken, 
@@ -139,6 +217,26 @@ class LINEWebhookHandler {
         }
     }
 
+    async _handleSnooze(replyToken, sender, action, target, minutes) {
+        // A notification token stands for the tmux session it was sent for
+        const session = await this._findSessionByToken(target.toUpperCase());
+        const tmuxSession = session ? (session.tmuxSession || 'default') : target;
+
+        if (action === 'unsnooze') {
+            await this._replyMessage(replyToken, this.throttle.unsnooze(tmuxSession)
+                ? `🔔 已恢復 ${tmuxSession} 的通知`
+                : `${tmuxSession} 沒有被靜音`);
+            return;
+        }
+
+        const snooze = this.throttle.snooze(tmuxSession, parseInt(minutes, 10) || DEFAULT_SNOOZE_MINUTES, {
+            channel: 'line',
+            sender: sender
+        });
+        await this._replyMessage(replyToken,
+            `🔕 ${tmuxSession} 的通知已靜音至 ${new Date(snooze.until).toLocaleTimeString()}\n輸入 Unsnooze ${target} 可提前恢復`);
+    }
+
     _isAuthorized(userId, groupId) {
         // Check whitelist
         const whitelist = this.config.whitelist || [];
@@ -165,29 +263,11 @@ class LINEWebhookHandler {
     }
 
     async _findSessionByToken(token) {
-        const files = fs.readdirSync(this.sessionsDir);
-        
-        for (const file of files) {
-            if (!file.endsWith('.json')) continue;
-            
-            const sessionPath = path.join(this.sessionsDir, file);
-            try {
-                const session = JSON.parse(fs.readFileSync(sessionPath, 'utf8'));
-                if (session.token === token) {
-                    return session;
-                }
-            } catch (error) {
-                this.logger.error(`Failed to read session file ${file}:`, error.message);
-            }
-        }
-        
-        return null;
+        return this.sessionStore.findSessionByToken(token);
     }
 
     async _removeSession(sessionId) {
-        const sessionFile = path.join(this.sessionsDir, `${sessionId}.json`);
-        if (fs.existsSync(sessionFile)) {
-            fs.unlinkSync(sessionFile);
+        if (this.sessionStore.removeSession(sessionId)) {
             this.logger.debug(`Session removed: ${sessionId}`);
         }
     }
@@ -4,6 +4,7 @@
  */
 
 const NotificationChannel = require('../base/channel');
+const NotificationTypes = require('../../core/notification-types');
 const { execSync, spawn } = require('child_process');
 const path = require('path');
 
@@ -33,10 +34,11 @@ class DesktopChannel extends NotificationChannel {
 
     _getSoundForType(type) {
         const soundMap = {
+            ...(this.config.sounds || {}),
             completed: this.config.completedSound || 'Glass',
             waiting: this.config.waitingSound || 'Tink'
         };
-        return soundMap[type] || 'Glass';
+        return soundMap[type] || NotificationTypes.get(type).sound;
     }
 
     _sendMacOS(title, message, sound) {
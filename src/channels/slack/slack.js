@@ -0,0 +1,268 @@
+/**
+ * Slack Notification Channel
+ * Sends notifications via Slack Web API (Block Kit) with thread reply support
+ */
+
+const NotificationChannel = require('../base/channel');
+const axios = require('axios');
+const { v4: uuidv4 } = require('uuid');
+const TmuxMonitor = require('../../utils/tmux-monitor');
+const SessionStore = require('../../core/session-store');
+const TokenManager = require('../../core/token-manager');
+const NotificationTypes = require('../../core/notification-types');
+const { execSync } = require('child_process');
+
+class SlackChannel extends NotificationChannel {
+    constructor(config = {}) {
+        super('slack', config);
+        this.sessionStore = SessionStore.getDefault();
+        this.tokenManager = new TokenManager({ maxUses: config.tokenMaxUses });
+        this.tmuxMonitor = new TmuxMonitor();
+        this.apiBaseUrl = config.apiBaseUrl || 'https://slack.com/api';
+
+        this._validateConfig();
+    }
+
+    _validateConfig() {
+        if (!this.config.botToken) {
+            this.logger.warn('Slack Bot Token not found');
+            return false;
+        }
+        if (!this.config.channelId) {
+            this.logger.warn('Slack Channel ID must be configured');
+            return false;
+        }
+        return true;
+    }
+
+    _generateToken(sessionId) {
+        // Random token bound to this channel and the channel that receives it
+        return this.tokenManager.issue({
+            sessionId: sessionId,
+            channel: this.name,
+            recipient: this.config.channelId
+        });
+    }
+
+    _getCurrentTmuxSession() {
+        try {
+            // Try to get current tmux session
+            const tmuxSession = execSync('tmux display-message -p "#S"', {
+                encoding: 'utf8',
+                stdio: ['ignore', 'pipe', 'ignore']
+            }).trim();
+
+            return tmuxSession || null;
+        } catch (error) {
+            // Not in a tmux session or tmux not available
+            return null;
+        }
+    }
+
+    async _sendImpl(notification) {
+        if (!this._validateConfig()) {
+            throw new Error('Slack channel not properly configured');
+        }
+
+        // Generate session ID and Token
+        const sessionId = uuidv4();
+        const token = this._generateToken(sessionId);
+
+        // Get current tmux session and conversation content
+        const tmuxSession = this._getCurrentTmuxSession();
+        if (tmuxSession && !notification.metadata) {
+            const conversation = this.tmuxMonitor.getRecentConversation(tmuxSession);
+            notification.metadata = {
+                userQuestion: conversation.userQuestion || notification.message,
+                claudeResponse: conversation.claudeResponse || notification.message,
+                tmuxSession: tmuxSession
+            };
+        }
+
+        // Create session record
+        await this._createSession(sessionId, notification, token);
+
+        const requestData = {
+            channel: this.config.channelId,
+            text: this._generateFallbackText(notification, token),
+            blocks: this._generateSlackBlocks(notification, sessionId, token),
+            unfurl_links: false,
+            unfurl_media: false
+        };
+
+        try {
+            const response = await axios.post(
+                `${this.apiBaseUrl}/chat.postMessage`,
+                requestData,
+                { headers: this._getHeaders() }
+            );
+
+            // Slack reports API errors with HTTP 200 and ok: false
+            if (!response.data.ok) {
+                throw new Error(response.data.error || 'unknown_error');
+            }
+
+            // The notification message becomes the thread root for replies
+            this._updateSession(sessionId, {
+                slack: {
+                    channel: response.data.channel,
+                    threadTs: response.data.ts
+                }
+            });
+
+            this.logger.info(`Slack message sent successfully, Session: ${sessionId}`);
+            return true;
+        } catch (error) {
+            this.logger.error('Failed to send Slack message:', error.response?.data || error.message);
+            // Clean up failed session
+            await this._removeSession(sessionId);
+            return false;
+        }
+    }
+
+    _getHeaders() {
+        return {
+            'Content-Type': 'application/json; charset=utf-8',
+            'Authorization': `Bearer ${this.config.botToken}`
+        };
+    }
+
+    _generateFallbackText(notification, token) {
+        const { headline } = NotificationTypes.get(notification.type);
+        return `${headline} - ${notification.project} (Token: ${token})`;
+    }
+
+    _generateSlackBlocks(notification, sessionId, token) {
+        notification = this.redactor.redactNotification(notification);
+        const { emoji, headline } = NotificationTypes.get(notification.type);
+
+        const blocks = [
+            {
+                type: 'header',
+                text: {
+                    type: 'plain_text',
+                    text: `${emoji} ${headline}`,
+                    emoji: true
+                }
+            },
+            {
+                type: 'section',
+                fields: [
+                    { type: 'mrkdwn', text: `*Project:*\n${this._escapeMrkdwn(notification.project)}` },
+                    { type: 'mrkdwn', text: `*Session Token:*\n\`${token}\`` }
+                ]
+            }
+        ];
+
+        if (notification.metadata) {
+            if (notification.metadata.userQuestion) {
+                blocks.push({
+                    type: 'section',
+                    text: {
+                        type: 'mrkdwn',
+                        text: `📝 *Your Question:*\n${this._truncate(notification.metadata.userQuestion, 500)}`
+                    }
+                });
+            }
+
+            if (notification.metadata.claudeResponse) {
+                blocks.push({
+                    type: 'section',
+                    text: {
+                        type: 'mrkdwn',
+                        text: `🤖 *Codex Response:*\n${this._truncate(notification.metadata.claudeResponse, 2500)}`
+                    }
+                });
+            }
+        }
+
+        blocks.push({ type: 'divider' });
+        blocks.push({
+            type: 'actions',
+            block_id: `codex_session:${token}`,
+            elements: [
+                {
+                    type: 'button',
+                    action_id: 'codex_continue',
+                    text: { type: 'plain_text', text: '▶️ Continue', emoji: true },
+                    value: token
+                }
+            ]
+        });
+        blocks.push({
+            type: 'context',
+            elements: [
+                {
+                    type: 'mrkdwn',
+                    text: `💬 Reply in this thread to send a new command to Codex · Session \`${sessionId.substring(0, 8)}\``
+                }
+            ]
+        });
+
+        return blocks;
+    }
+
+    _truncate(text, maxLength) {
+        const escaped = this._escapeMrkdwn(text);
+        if (escaped.length <= maxLength) {
+            return escaped;
+        }
+        return escaped.substring(0, maxLength) + '...';
+    }
+
+    _escapeMrkdwn(text) {
+        // Slack only requires &, < and > to be escaped in mrkdwn text
+        return String(text || '')
+            .replace(/&/g, '&amp;')
+            .replace(/</g, '&lt;')
+            .replace(/>/g, '&gt;');
+    }
+
+    async _createSession(sessionId, notification, token) {
+        const session = {
+            id: sessionId,
+            token: token,
+            type: 'slack',
+            created: new Date().toISOString(),
+            expires: new Date(Date.now() + 24 * 60 * 60 * 1000).toISOString(), // Expires after 24 hours
+            createdAt: Math.floor(Date.now() / 1000),
+            expiresAt: Math.floor((Date.now() + 24 * 60 * 60 * 1000) / 1000),
+            tmuxSession: notification.metadata?.tmuxSession || 'default',
+            project: notification.project,
+            slack: {
+                channel: this.config.channelId,
+                threadTs: null
+            },
+            notification: notification
+        };
+
+        this.sessionStore.createSession(session);
+
+        this.logger.debug(`Session created: ${sessionId}`);
+    }
+
+    _updateSession(sessionId, updates) {
+        try {
+            this.sessionStore.updateSession(sessionId, updates);
+        } catch (error) {
+            this.logger.warn(`Failed to update session ${sessionId}: ${error.message}`);
+        }
+    }
+
+    async _removeSession(sessionId) {
+        this.tokenManager.revokeSession(sessionId);
+        if (this.sessionStore.removeSession(sessionId)) {
+            this.logger.debug(`Session removed: ${sessionId}`);
+        }
+    }
+
+    supportsRelay() {
+        return true;
+    }
+
+    validateConfig() {
+        return this._validateConfig();
+    }
+}
+
+module.exports = SlackChannel;
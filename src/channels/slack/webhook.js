@@ -0,0 +1,339 @@
+/**
+ * Slack Webhook Handler
+ * Handles Slack Events API callbacks and interactive components
+ */
+
+const express = require('express');
+const crypto = require('crypto');
+const axios = require('axios');
+const Logger = require('../../core/logger');
+const ControllerInjector = require('../../utils/controller-injector');
+const SessionStore = require('../../core/session-store');
+const TokenManager = require('../../core/token-manager');
+const CommandPolicy = require('../../core/command-policy');
+
+class SlackWebhookHandler {
+    constructor(config = {}) {
+        this.config = config;
+        this.logger = new Logger('SlackWebhook');
+        this.sessionStore = SessionStore.getDefault();
+        this.tokenManager = new TokenManager();
+        this.policy = new CommandPolicy();
+        this.injector = new ControllerInjector();
+        this.app = express();
+        this.apiBaseUrl = config.apiBaseUrl || 'https://slack.com/api';
+        this.signatureTolerance = 60 * 5; // Reject requests older than 5 minutes
+
+        this._setupMiddleware();
+        this._setupRoutes();
+    }
+
+    _setupMiddleware() {
+        // Keep the raw body for Slack signature verification
+        this.app.use('/webhook/slack', express.raw({ type: '*/*' }));
+
+        // Parse JSON for other routes
+        this.app.use(express.json());
+    }
+
+    _setupRoutes() {
+        // Events API endpoint (message events in notification threads)
+        this.app.post('/webhook/slack/events', this._handleEvents.bind(this));
+
+        // Interactivity endpoint (Block Kit buttons)
+        this.app.post('/webhook/slack/interactions', this._handleInteraction.bind(this));
+
+        // Health check endpoint
+        this.app.get('/health', (req, res) => {
+            res.json({ status: 'ok', service: 'slack-webhook' });
+        });
+    }
+
+    _validateSignature(req) {
+        if (!this.config.signingSecret) {
+            this.logger.error('Slack Signing Secret not configured');
+            return false;
+        }
+
+        const timestamp = req.headers['x-slack-request-timestamp'];
+        const signature = req.headers['x-slack-signature'];
+        if (!timestamp || !signature) {
+            return false;
+        }
+
+        // Protect against replay attacks
+        const age = Math.abs(Math.floor(Date.now() / 1000) - parseInt(timestamp, 10));
+        if (isNaN(age) || age > this.signatureTolerance) {
+            this.logger.warn('Slack request timestamp outside tolerance window');
+            return false;
+        }
+
+        const baseString = `v0:${timestamp}:${req.body.toString('utf8')}`;
+        const expected = 'v0=' + crypto
+            .createHmac('sha256', this.config.signingSecret)
+            .update(baseString)
+            .digest('hex');
+
+        const expectedBuffer = Buffer.from(expected);
+        const signatureBuffer = Buffer.from(String(signature));
+        if (expectedBuffer.length !== signatureBuffer.length) {
+            return false;
+        }
+        return crypto.timingSafeEqual(expectedBuffer, signatureBuffer);
+    }
+
+    async _handleEvents(req, res) {
+        if (!this._validateSignature(req)) {
+            this.logger.warn('Invalid Slack signature');
+            return res.status(401).send('Unauthorized');
+        }
+
+        let payload;
+        try {
+            payload = JSON.parse(req.body.toString('utf8'));
+        } catch (error) {
+            return res.status(400).send('Bad Request');
+        }
+
+        // URL verification handshake when the Events API is configured
+        if (payload.type === 'url_verification') {
+            return res.json({ challenge: payload.challenge });
+        }
+
+        // Slack retries events that were not acknowledged in time; the first
+        // delivery has already been processed, so only acknowledge retries
+        if (req.headers['x-slack-retry-num']) {
+            return res.status(200).send('OK');
+        }
+
+        // Acknowledge immediately, Slack expects a response within 3 seconds
+        res.status(200).send('OK');
+
+        if (payload.type === 'event_callback' && payload.event) {
+            try {
+                await this._handleEvent(payload.event);
+            } catch (error) {
+                this.logger.error('Event handling error:', error.message);
+            }
+        }
+    }
+
+    async _handleEvent(event) {
+        if (event.type !== 'message') return;
+
+        // Ignore bot messages (including our own confirmations) and edits
+        if (event.bot_id || event.subtype) return;
+
+        // Only thread replies are routed to Codex
+        if (!event.thread_ts || event.thread_ts === event.ts) return;
+
+        const messageText = this._cleanMessageText(event.text);
+        if (!messageText) return;
+
+        if (!this._isAuthorized(event.user, event.channel)) {
+            this.logger.warn(`Unauthorized user/channel: ${event.user}/${event.channel}`);
+            await this._postMessage(event.channel, '⚠️ You are not authorized to control Codex from Slack.', event.thread_ts);
+            return;
+        }
+
+        const session = await this._findSessionByThread(event.channel, event.thread_ts);
+        if (!session) {
+            await this._postMessage(event.channel,
+                '❌ This thread is not linked to an active Codex session. Please wait for a new task notification.',
+                event.thread_ts);
+            return;
+        }
+
+        await this._processCommand(session, messageText, {
+            channel: event.channel,
+            threadTs: event.thread_ts,
+            user: event.user
+        });
+    }
+
+    async _handleInteraction(req, res) {
+        if (!this._validateSignature(req)) {
+            this.logger.warn('Invalid Slack signature');
+            return res.status(401).send('Unauthorized');
+        }
+
+        let payload;
+        try {
+            const params = new URLSearchParams(req.body.toString('utf8'));
+            payload = JSON.parse(params.get('payload') || '{}');
+        } catch (error) {
+            return res.status(400).send('Bad Request');
+        }
+
+        // Acknowledge immediately
+        res.status(200).send('');
+
+        if (payload.type !== 'block_actions' || !Array.isArray(payload.actions)) {
+            return;
+        }
+
+        const channel = payload.channel?.id || payload.container?.channel_id;
+        const threadTs = payload.message?.thread_ts || payload.message?.ts || payload.container?.message_ts;
+        const userId = payload.user?.id;
+
+        try {
+            for (const action of payload.actions) {
+                if (action.action_id !== 'codex_continue') continue;
+
+                if (!this._isAuthorized(userId, channel)) {
+                    this.logger.warn(`Unauthorized user/channel: ${userId}/${channel}`);
+                    await this._postMessage(channel, '⚠️ You are not authorized to control Codex from Slack.', threadTs);
+                    return;
+                }
+
+                const session = await this._findSessionByToken(action.value);
+                if (!session) {
+                    await this._postMessage(channel,
+                        '❌ Invalid or expired token. Please wait for a new task notification.',
+                        threadTs);
+                    return;
+                }
+
+                const command = this.config.continueCommand || 'continue';
+                await this._processCommand(session, command, { channel, threadTs, user: userId });
+            }
+        } catch (error) {
+            this.logger.error('Interaction handling error:', error.message);
+        }
+    }
+
+    async _processCommand(session, command, context) {
+        const { channel, threadTs, user } = context;
+
+        // Check if session is expired
+        if (session.expiresAt < Math.floor(Date.now() / 1000)) {
+            await this._postMessage(channel,
+                '❌ Token has expired. Please wait for a new task notification.',
+                threadTs);
+            await this._removeSession(session.id);
+            return;
+        }
+
+        // Apply command policy (may reject, or hold the command until confirmed)
+        const decision = this.policy.check(command, {
+            channel: 'slack',
+            sender: user,
+            project: session.project,
+            sessionId: session.id,
+            token: session.token,
+            tmuxSession: session.tmuxSession || 'default'
+        });
+        if (decision.action !== 'allow') {
+            await this._postMessage(channel, this.policy.describe(decision, `confirm ${decision.code}`), threadTs);
+            return;
+        }
+        command = decision.command;
+
+        // Token must still be usable and must have been issued to this channel
+        const tokenCheck = this.tokenManager.consume(session.token, { channel: 'slack', recipient: channel });
+        if (!tokenCheck.valid) {
+            await this._postMessage(channel,
+                `❌ ${tokenCheck.reason}. Please wait for a new task notification.`,
+                threadTs);
+            return;
+        }
+
+        try {
+            // Inject command into tmux session
+            const tmuxSession = session.tmuxSession || 'default';
+            await this.injector.injectCommand(command, tmuxSession, {
+                channel: 'slack',
+                sender: user,
+                token: session.token,
+                sessionId: session.id,
+                policy: decision
+            });
+
+            // Send confirmation in the notification thread
+            await this._postMessage(channel,
+                `✅ *Command sent successfully*\n\n📝 *Command:* ${command}\n🖥️ *Session:* ${tmuxSession}\n\nCodex is now processing your request...`,
+                threadTs);
+
+            // Log command execution
+            this.logger.info(`Command injected - User: ${user}, Token: ${session.token}, Command: ${command}`);
+
+        } catch (error) {
+            this.logger.error('Command injection failed:', error.message);
+            await this._postMessage(channel,
+                `❌ *Command execution failed:* ${error.message}`,
+                threadTs);
+        }
+    }
+
+    _cleanMessageText(text) {
+        if (!text) return '';
+        // Strip bot mentions (<@U123>) and decode Slack's HTML entities
+        return text
+            .replace(/<@[A-Z0-9]+>/g, '')
+            .replace(/&lt;/g, '<')
+            .replace(/&gt;/g, '>')
+            .replace(/&amp;/g, '&')
+            .trim();
+    }
+
+    _isAuthorized(userId, channelId) {
+        // Check whitelist
+        const whitelist = this.config.whitelist || [];
+
+        if (whitelist.length > 0) {
+            return whitelist.includes(String(userId)) || whitelist.includes(String(channelId));
+        }
+
+        // If no whitelist configured, allow members of the configured channel
+        return !!this.config.channelId && String(channelId) === String(this.config.channelId);
+    }
+
+    async _findSessionByThread(channel, threadTs) {
+        return this.sessionStore.findSession(session =>
+            session.slack &&
+            session.slack.threadTs === threadTs &&
+            session.slack.channel === channel);
+    }
+
+    async _findSessionByToken(token) {
+        return this.sessionStore.findSessionByToken(token);
+    }
+
+    async _removeSession(sessionId) {
+        if (this.sessionStore.removeSession(sessionId)) {
+            this.logger.debug(`Session removed: ${sessionId}`);
+        }
+    }
+
+    async _postMessage(channel, text, threadTs = null) {
+        try {
+            const response = await axios.post(
+                `${this.apiBaseUrl}/chat.postMessage`,
+                {
+                    channel: channel,
+                    text: text,
+                    ...(threadTs ? { thread_ts: threadTs } : {})
+                },
+                {
+                    headers: {
+                        'Content-Type': 'application/json; charset=utf-8',
+                        'Authorization': `Bearer ${this.config.botToken}`
+                    }
+                }
+            );
+            if (!response.data.ok) {
+                this.logger.error('Failed to post message:', response.data.error);
+            }
+        } catch (error) {
+            this.logger.error('Failed to post message:', error.response?.data || error.message);
+        }
+    }
+
+    start(port = 3000) {
+        this.app.listen(port, () => {
+            this.logger.info(`Slack webhook server started on port ${port}`);
+        });
+    }
+}
+
+module.exports = SlackWebhookHandler;
@@ -0,0 +1,242 @@
+/**
+ * Telegram Output Streamer
+ * Mirrors a tmux session's output into a single Telegram message that is edited in place
+ */
+
+const axios = require('axios');
+const Logger = require('../../core/logger');
+const TmuxMonitor = require('../../utils/tmux-monitor');
+const SessionControl = require('../../utils/session-control');
+const Redactor = require('../../utils/redactor');
+
+// Telegram rejects messages over 4096 characters; leave room for the header
+const MAX_OUTPUT_LENGTH = 3500;
+const MIN_INTERVAL_MS = 1000;
+const DEFAULT_INTERVAL_MS = 3000;
+const DEFAULT_MAX_MINUTES = 30;
+
+class TelegramOutputStreamer {
+    /**
+     * @param {Object} config - Telegram webhook config
+     * @param {string} config.botToken - Bot token
+     * @param {boolean} config.forceIPv4 - Force IPv4 for API requests
+     * @param {number} config.streamIntervalMs - Minimum time between edits (default TELEGRAM_STREAM_INTERVAL_MS or 3000)
+     * @param {number} config.streamMaxMinutes - Stop streaming after this long (default TELEGRAM_STREAM_MAX_MINUTES or 30)
+     */
+    constructor(config = {}) {
+        this.config = config;
+        this.logger = new Logger('TelegramStream');
+        this.redactor = Redactor.getDefault();
+        this.apiBaseUrl = config.apiBaseUrl || 'https://api.telegram.org';
+        this.intervalMs = Math.max(MIN_INTERVAL_MS,
+            parseInt(config.streamIntervalMs || process.env.TELEGRAM_STREAM_INTERVAL_MS, 10) || DEFAULT_INTERVAL_MS);
+        this.maxDurationMs = (parseFloat(config.streamMaxMinutes || process.env.TELEGRAM_STREAM_MAX_MINUTES) || DEFAULT_MAX_MINUTES) * 60 * 1000;
+        this.streams = new Map();
+    }
+
+    /**
+     * Start streaming a tmux session's output to a chat
+     * Any stream already running for the same chat and session is finalized first.
+     * @param {string|number} chatId - Chat to post the live message in
+     * @param {string} tmuxSession - tmux session the command was injected into
+     * @param {string} command - Command being run (used to find where its output starts)
+     * @returns {Promise<boolean>} Whether streaming started
+     */
+    async start(chatId, tmuxSession, command) {
+        const key = `${chatId}:${tmuxSession}`;
+        if (this.streams.has(key)) {
+            await this._finalize(this.streams.get(key), '⏹️ Superseded by a newer command');
+        }
+
+        const monitor = new TmuxMonitor(tmuxSession);
+        const stream = {
+            key,
+            chatId,
+            tmuxSession,
+            command: String(command || '').split('\n')[0].trim(),
+            monitor,
+            messageId: null,
+            lastText: '',
+            output: '',
+            lastEditAt: 0,
+            retryAt: 0,
+            timer: null,
+            deadline: null,
+            finished: false
+        };
+
+        stream.messageId = await this._send(chatId, this._render(stream, '⏳ Waiting for output...'));
+        if (!stream.messageId) {
+            return false;
+        }
+
+        monitor.on('output', ({ content }) => this._onOutput(stream, content));
+        monitor.on('taskCompleted', ({ detectedBy }) => {
+            // Keyword matches fire on ordinary output (e.g. "done"), so only trust the session log,
+            // the idle prompt and the completion marker; ignore anything before output starts
+            if (stream.output && detectedBy !== 'pattern') {
+                this._finalize(stream, '✅ Completed');
+            }
+        });
+        monitor.on('taskErrored', () => {
+            if (stream.output) {
+                this._finalize(stream, '❌ Failed');
+            }
+        });
+        monitor.on('sessionCrashed', () => this._finalize(stream, '💥 Codex exited'));
+        monitor.on('sessionClosed', () => this._finalize(stream, '⏹️ tmux session closed'));
+
+        try {
+            monitor.start({ skipExisting: true, persistState: false });
+        } catch (error) {
+            this.logger.warn(`Cannot stream tmux session '${tmuxSession}': ${error.message}`);
+            await this._edit(stream, this._render(stream, '⚠️ Live output unavailable for this session'));
+            return false;
+        }
+
+        stream.deadline = setTimeout(() => {
+            this._finalize(stream, `⏹️ Stopped streaming after ${Math.round(this.maxDurationMs / 60000)} minute(s)`);
+        }, this.maxDurationMs);
+
+        this.streams.set(key, stream);
+        this.logger.info(`Streaming tmux session '${tmuxSession}' to chat ${chatId}`);
+        return true;
+    }
+
+    /**
+     * Finalize every running stream (e.g. on shutdown)
+     * @returns {Promise<void>}
+     */
+    async stopAll() {
+        await Promise.all([...this.streams.values()].map(stream => this._finalize(stream, '⏹️ Streaming stopped')));
+    }
+
+    _onOutput(stream, content) {
+        if (stream.finished) return;
+
+        const output = this._extractOutput(stream, content);
+        if (!output || output === stream.output) return;
+        stream.output = output;
+        this._scheduleEdit(stream);
+    }
+
+    _scheduleEdit(stream) {
+        if (stream.timer || stream.finished) return;
+
+        const wait = Math.max(0, stream.lastEditAt + this.intervalMs - Date.now(), stream.retryAt - Date.now());
+        stream.timer = setTimeout(async () => {
+            stream.timer = null;
+            if (stream.finished) return;
+            await this._edit(stream, this._render(stream, '⏳ Running...'));
+            // Output may have changed again while the request was in flight
+            if (this._render(stream, '⏳ Running...') !== stream.lastText) {
+                this._scheduleEdit(stream);
+            }
+        }, wait);
+    }
+
+    async _finalize(stream, status) {
+        if (stream.finished) return;
+        stream.finished = true;
+
+        stream.monitor.stop();
+        stream.monitor.removeAllListeners();
+        clearTimeout(stream.timer);
+        clearTimeout(stream.deadline);
+        if (this.streams.get(stream.key) === stream) {
+            this.streams.delete(stream.key);
+        }
+
+        const wait = stream.retryAt - Date.now();
+        if (wait > 0) {
+            await new Promise(resolve => setTimeout(resolve, wait));
+        }
+        await this._edit(stream, this._render(stream, status));
+        this.logger.info(`Finished streaming tmux session '${stream.tmuxSession}' to chat ${stream.chatId}`);
+    }
+
+    _extractOutput(stream, content) {
+        const monitor = stream.monitor;
+        const lines = String(content || '').split('\n').map(line => monitor._stripAnsi(line));
+
+        // Output starts after the prompt line that echoes this command
+        let start = -1;
+        if (stream.command) {
+            const prefix = stream.command.substring(0, 40);
+            for (let i = lines.length - 1; i >= 0; i--) {
+                if (monitor._startsWithPrompt(lines[i]) && lines[i].includes(prefix)) {
+                    start = i + 1;
+                    break;
+                }
+            }
+        }
+
+        const cleaned = SessionControl.cleanLines(lines.slice(start === -1 ? Math.max(0, lines.length - 40) : start), monitor);
+
+        let output = this.redactor.redact(cleaned.join('\n'));
+        if (output.length > MAX_OUTPUT_LENGTH) {
+            output = '…' + output.slice(-MAX_OUTPUT_LENGTH);
+        }
+        return output;
+    }
+
+    _render(stream, status) {
+        const header = `${status} · ${stream.tmuxSession}`;
+        return stream.output ? `${header}\n\n${stream.output}` : header;
+    }
+
+    async _send(chatId, text) {
+        try {
+            const response = await axios.post(
+                `${this.apiBaseUrl}/bot${this.config.botToken}/sendMessage`,
+                { chat_id: chatId, text: text, disable_web_page_preview: true },
+                this._getNetworkOptions()
+            );
+            return response.data?.result?.message_id || null;
+        } catch (error) {
+            this.logger.error('Failed to start output stream:', error.response?.data || error.message);
+            return null;
+        }
+    }
+
+    async _edit(stream, text) {
+        if (text === stream.lastText) return;
+
+        stream.lastEditAt = Date.now();
+        try {
+            await axios.post(
+                `${this.apiBaseUrl}/bot${this.config.botToken}/editMessageText`,
+                {
+                    chat_id: stream.chatId,
+                    message_id: stream.messageId,
+                    text: text,
+                    disable_web_page_preview: true
+                },
+                this._getNetworkOptions()
+            );
+            stream.lastText = text;
+        } catch (error) {
+            const data = error.response?.data;
+            if (error.response?.status === 429) {
+                // Flood control: Telegram says how long to back off
+                const retryAfter = data?.parameters?.retry_after || 5;
+                stream.retryAt = Date.now() + retryAfter * 1000;
+                this.logger.warn(`Telegram rate limit hit, pausing stream edits for ${retryAfter}s`);
+            } else if (/message is not modified/i.test(data?.description || '')) {
+                stream.lastText = text;
+            } else {
+                this.logger.error('Failed to update output stream:', data || error.message);
+            }
+        }
+    }
+
+    _getNetworkOptions() {
+        const options = {};
+        if (this.config.forceIPv4) {
+            options.family = 4;
+        }
+        return options;
+    }
+}
+
+module.exports = TelegramOutputStreamer;
@@ -5,30 +5,29 @@
 
 const NotificationChannel = require('../base/channel');
 const axios = require('axios');
+const FormData = require('form-data');
 const { v4: uuidv4 } = require('uuid');
-const path = require('path');
-const fs = require('fs');
 const TmuxMonitor = require('../../utils/tmux-monitor');
+const SessionStore = require('../../core/session-store');
+const TokenManager = require('../../core/token-manager');
+const NotificationTypes = require('../../core/notification-types');
+const NotificationDigest = require('../../core/notification-digest');
+const TraceAttachment = require('../../utils/trace-attachment');
 const { execSync } = require('child_process');
 
 class TelegramChannel extends NotificationChannel {
     constructor(config = {}) {
         super('telegram', config);
-        this.sessionsDir = path.join(__dirname, '../../data/sessions');
+        this.sessionStore = SessionStore.getDefault();
+        this.tokenManager = new TokenManager({ maxUses: config.tokenMaxUses });
         this.tmuxMonitor = new TmuxMonitor();
-        this.apiBaseUrl = 'https://api.telegram.org';
+        this.traceAttachment = new TraceAttachment({ monitor: this.tmuxMonitor });
+        this.apiBaseUrl = config.apiBaseUrl || 'https://api.telegram.org';
         this.botUsername = null; // Cache for bot username
         
-        this._ensureDirectories();
         this._validateConfig();
     }
 
-    _ensureDirectories() {
-        if (!fs.existsSync(this.sessionsDir)) {
-            fs.mkdirSync(this.sessionsDir, { recursive: true });
-        }
-    }
-
     _validateConfig() {
         if (!this.config.botToken) {
             this.logger.warn('Telegram Bot Token not found');
@@ -53,14 +52,13 @@ class TelegramChannel extends NotificationChannel {
         return options;
     }
 
-    _generateToken() {
-        // Generate short Token (uppercase letters + numbers, 8 digits)
-        const chars = 'ABCDEFGHIJKLMNOPQRSTUVWXYZ0123456789';
-        let token = '';
-        for (let i = 0; i < 8; i++) {
-            token += chars.charAt(Math.floor(Math.random() * chars.length));
-        }
-        return token;
+    _generateToken(sessionId) {
+        // Random token bound to this channel and the chat that receives it
+        return this.tokenManager.issue({
+            sessionId: sessionId,
+            channel: this.name,
+            recipient: this.config.groupId || this.config.chatId
+        });
     }
 
     _getCurrentTmuxSession() {
@@ -108,7 +106,7 @@ class TelegramChannel extends NotificationChannel {
 
         // Generate session ID and Token
         const sessionId = uuidv4();
-        const token = this._generateToken();
+        const token = this._generateToken(sessionId);
         
         // Get current tmux session and conversation content
         const tmuxSession = this._getCurrentTmuxSession();
@@ -124,24 +122,28 @@ class TelegramChannel extends NotificationChannel {
         // Create session record
         await this._createSession(sessionId, notification, token);
 
+        // The message shows the start of the question and response; the rest goes out as a document
+        const attachment = this.traceAttachment.build(notification);
+
         // Generate Telegram message
-        const messageText = this._generateTelegramMessage(notification, sessionId, token);
+        const messageText = this._generateTelegramMessage(notification, sessionId, token, attachment);
         
         // Determine recipient (chat or group)
         const chatId = this.config.groupId || this.config.chatId;
         const isGroupChat = !!this.config.groupId;
         
-        // Create buttons using callback_data instead of inline query
-        // This avoids the automatic @bot_name addition
+        // Replying to the message also targets this session; the button makes it the chat's current session
         const buttons = [
             [
                 {
-                    text: '📝 Personal Chat',
-                    callback_data: `personal:${token}`
-                },
+                    text: '🎯 Send plain messages here',
+                    callback_data: `use:${token}`
+                }
+            ],
+            [
                 {
-                    text: '👥 Group Chat', 
-                    callback_data: `group:${token}`
+                    text: '🔕 Snooze 1h',
+                    callback_data: `snooze:${token}:60`
                 }
             ]
         ];
@@ -162,22 +164,26 @@ class TelegramChannel extends NotificationChannel {
                 this._getNetworkOptions()
             );
 
+            const messageId = response.data.result?.message_id;
+            this._trackSentMessage(chatId, messageId, sessionId, token);
             this.logger.info(`Telegram message sent successfully, Session: ${sessionId}`);
+            if (attachment) {
+                await this._sendDocument(chatId, attachment, messageId);
+            }
             return true;
         } catch (error) {
             this.logger.error('Failed to send Telegram message:', error.response?.data || error.message);
-            // Clean up failed session
+            // Clean up failed session; a retry gets a new token
             await this._removeSession(sessionId);
-            return false;
+            throw new Error(error.response?.data?.description || error.message);
         }
     }
 
-    _generateTelegramMessage(notification, sessionId, token) {
-        const type = notification.type;
-        const emoji = type === 'completed' ? '✅' : '⏳';
-        const status = type === 'completed' ? 'Completed' : 'Waiting for Input';
+    _generateTelegramMessage(notification, sessionId, token, attachment = null) {
+        notification = this.redactor.redactNotification(notification);
+        const { emoji, headline } = NotificationTypes.get(notification.type);
         
-        let messageText = `${emoji} *Codex Task ${status}*\n`;
+        let messageText = `${emoji} *${headline}*\n`;
         messageText += `*Project:* ${notification.project}\n`;
         messageText += `*Session Token:* \`${token}\`\n\n`;
         
@@ -198,14 +204,49 @@ class TelegramChannel extends NotificationChannel {
                 messageText += '\n\n';
             }
         }
+
+        if (attachment) {
+            messageText += `📎 Full question, response and execution trace attached below\n\n`;
+        }
         
         messageText += `💬 *To send a new command:*\n`;
-        messageText += `Reply with: \`/cmd ${token} <your command>\`\n`;
+        messageText += `Reply to this message with your command, or send \`/cmd ${token} <your command>\`\n`;
         messageText += `Example: \`/cmd ${token} Please analyze this code\``;
 
         return messageText;
     }
 
+    /**
+     * Upload a trace document as a reply to the notification; a failed upload does not fail the notification
+     * @param {string} chatId
+     * @param {Object} attachment - Result of TraceAttachment.build()
+     * @param {number} replyTo - Notification message id
+     * @returns {Promise<boolean>}
+     */
+    async _sendDocument(chatId, attachment, replyTo) {
+        const form = new FormData();
+        form.append('chat_id', String(chatId));
+        if (replyTo) {
+            form.append('reply_to_message_id', String(replyTo));
+        }
+        form.append('document', Buffer.from(attachment.content, 'utf8'), {
+            filename: attachment.filename,
+            contentType: attachment.contentType
+        });
+
+        try {
+            await axios.post(
+                `${this.apiBaseUrl}/bot${this.config.botToken}/sendDocument`,
+                form,
+                { ...this._getNetworkOptions(), headers: form.getHeaders() }
+            );
+            return true;
+        } catch (error) {
+            this.logger.warn('Failed to send Telegram trace document:', error.response?.data || error.message);
+            return false;
+        }
+    }
+
     async _createSession(sessionId, notification, token) {
         const session = {
             id: sessionId,
@@ -220,20 +261,111 @@ class TelegramChannel extends NotificationChannel {
             notification: notification
         };
 
-        const sessionFile = path.join(this.sessionsDir, `${sessionId}.json`);
-        fs.writeFileSync(sessionFile, JSON.stringify(session, null, 2));
+        this.sessionStore.createSession(session);
         
         this.logger.debug(`Session created: ${sessionId}`);
     }
 
+    // Lets the webhook handler map a reply to this message back to its session
+    _trackSentMessage(chatId, messageId, sessionId, token) {
+        if (!messageId) return;
+        const key = TelegramChannel.messageKey(chatId, messageId);
+        this.sessionStore.set(SessionStore.COLLECTIONS.SENT_MESSAGES, key, {
+            messageId: key,
+            sessionId: sessionId,
+            token: token,
+            type: 'telegram',
+            sentAt: new Date().toISOString()
+        });
+    }
+
     async _removeSession(sessionId) {
-        const sessionFile = path.join(this.sessionsDir, `${sessionId}.json`);
-        if (fs.existsSync(sessionFile)) {
-            fs.unlinkSync(sessionFile);
+        this.tokenManager.revokeSession(sessionId);
+        if (this.sessionStore.removeSession(sessionId)) {
             this.logger.debug(`Session removed: ${sessionId}`);
         }
     }
 
+    /**
+     * Ask the chat to answer a Codex confirmation dialog with inline buttons
+     * @param {Object} approval - Approval record from ApprovalManager
+     * @returns {Promise<Object>} { success, recipient }
+     */
+    async sendApproval(approval) {
+        if (!this._validateConfig()) {
+            return { success: false };
+        }
+
+        const chatId = this.config.groupId || this.config.chatId;
+        const deny = approval.options.find(option => option.id === approval.denyOption);
+        const minutes = Math.max(1, Math.round((approval.expiresAt - approval.createdAt) / 60));
+
+        let text = `🔐 Codex needs approval\n`;
+        text += `Project: ${approval.project || '-'} · Session: ${approval.tmuxSession || '-'}\n\n`;
+        text += `${approval.details.join('\n').substring(0, 1500)}\n\n`;
+        text += `No answer within ${minutes} minute(s) → ${deny ? deny.label : 'deny'}`;
+
+        try {
+            await axios.post(
+                `${this.apiBaseUrl}/bot${this.config.botToken}/sendMessage`,
+                {
+                    chat_id: chatId,
+                    text: text,
+                    reply_markup: {
+                        inline_keyboard: approval.options.map(option => [{
+                            text: option.label.substring(0, 60),
+                            callback_data: `approval:${approval.id}:${option.id}`
+                        }])
+                    }
+                },
+                this._getNetworkOptions()
+            );
+            return { success: true, recipient: chatId };
+        } catch (error) {
+            this.logger.error('Failed to send Telegram approval request:', error.response?.data || error.message);
+            return { success: false };
+        }
+    }
+
+    /**
+     * Post a compact digest: one line per queued notification, grouped by session
+     * @param {Object} digest - Result of NotificationDigest.build()
+     * @returns {Promise<Object>} { success, recipient }
+     */
+    async sendDigest(digest) {
+        if (!this._validateConfig()) {
+            return { success: false };
+        }
+
+        const chatId = this.config.groupId || this.config.chatId;
+        const time = iso => new Date(iso).toTimeString().substring(0, 5);
+        let text = `📋 Codex ${digest.schedule} digest: ${digest.count} notification(s)\n`;
+        for (const session of digest.sessions) {
+            text += `\n${session.project}${session.tmuxSession ? ` · ${session.tmuxSession}` : ''}\n`;
+            for (const item of session.items) {
+                const summary = (item.response || item.message).split('\n').find(line => line.trim()) || '';
+                text += `${NotificationTypes.get(item.type).emoji} ${time(item.completedAt)} (${NotificationDigest.formatDuration(item.durationMs)}) ` +
+                    `${summary.trim().substring(0, 80)}\n`;
+            }
+        }
+        // Telegram rejects messages over 4096 characters
+        if (text.length > 4000) {
+            text = `${text.substring(0, 3990)}\n…`;
+        }
+
+        try {
+            await axios.post(
+                `${this.apiBaseUrl}/bot${this.config.botToken}/sendMessage`,
+                { chat_id: chatId, text: text, disable_web_page_preview: true },
+                this._getNetworkOptions()
+            );
+            return { success: true, recipient: chatId };
+        } catch (error) {
+            this.logger.error('Failed to send Telegram digest:', error.response?.data || error.message);
+            return { success: false };
+        }
+    }
+
     supportsRelay() {
         return true;
     }
@@ -241,6 +373,16 @@ class TelegramChannel extends NotificationChannel {
     validateConfig() {
         return this._validateConfig();
     }
+
+    /**
+     * Session store key of a sent Telegram message
+     * @param {string|number} chatId
+     * @param {number} messageId
+     * @returns {string}
+     */
+    static messageKey(chatId, messageId) {
+        return `telegram:${chatId}:${messageId}`;
+    }
 }
 
 module.exports = TelegramChannel;
@@ -1,25 +1,69 @@
 /**
  * Telegram Webhook Handler
- * Handles incoming Telegram messages and commands
+ * Handles incoming Telegram messages and commands, received either on the webhook
+ * (verified with the secret registered through setWebhook) or by long-polling getUpdates
  */
 
 const express = require('express');
 const crypto = require('crypto');
 const axios = require('axios');
-const path = require('path');
-const fs = require('fs');
 const Logger = require('../../core/logger');
 const ControllerInjector = require('../../utils/controller-injector');
+const SessionStore = require('../../core/session-store');
+const TokenManager = require('../../core/token-manager');
+const CommandPolicy = require('../../core/command-policy');
+const TelegramOutputStreamer = require('./output-streamer');
+const ApprovalManager = require('../../core/approval-manager');
+const CompletionMarker = require('../../utils/completion-marker');
+const NotificationThrottle = require('../../core/notification-throttle');
+const TelegramChannel = require('./telegram');
+const SessionControl = require('../../utils/session-control');
+const TmuxSupervisor = require('../../utils/tmux-supervisor');
+const AuditLog = require('../../core/audit-log');
+const Redactor = require('../../utils/redactor');
+
+const COMMAND_PATTERN = new RegExp(`^\\/cmd\\s+(${TokenManager.TOKEN_PATTERN})\\s+(.+)$`, 'i');
+const DIRECT_COMMAND_PATTERN = new RegExp(`^(${TokenManager.TOKEN_PATTERN})\\s+(.+)$`);
+// /snooze <TOKEN|session> [minutes] and /unsnooze <TOKEN|session>
+const SNOOZE_PATTERN = /^\/(snooze|unsnooze)(?:@\w+)?\s+(\S+)(?:\s+(\d+))?$/i;
+const DEFAULT_SNOOZE_MINUTES = 60;
+const SESSIONS_PATTERN = /^\/sessions(?:@\w+)?$/i;
+const MAX_SESSION_BUTTONS = 10;
+// /status, /tail, /esc, /ctrlc and /restart [TOKEN|session], /tail ... [lines], /new <dir>
+const CONTROL_PATTERN = /^\/(status|tail|esc|ctrlc|restart|new)(?:@\w+)?(?:\s+(.+))?$/i;
+// Controls that change a session go through the command policy like any other remote command
+const POLICY_CONTROLS = ['esc', 'ctrlc', 'restart', 'new'];
+const CONTROL_CONFIRM_PATTERN = new RegExp(`^confirm\\s+(${TokenManager.TOKEN_PATTERN})$`, 'i');
+const MAX_TAIL_LENGTH = 3500;
+const ALLOWED_UPDATES = ['message', 'callback_query'];
+const SECRET_HEADER = 'x-telegram-bot-api-secret-token';
+const DEFAULT_POLLING_TIMEOUT = 30;
+const MAX_POLLING_BACKOFF_MS = 60000;
 
 class TelegramWebhookHandler {
     constructor(config = {}) {
         this.config = config;
         this.logger = new Logger('TelegramWebhook');
-        this.sessionsDir = path.join(__dirname, '../../data/sessions');
+        this.sessionStore = SessionStore.getDefault();
+        this.tokenManager = new TokenManager();
+        this.policy = new CommandPolicy();
+        this.approvals = new ApprovalManager();
+        this.throttle = new NotificationThrottle();
         this.injector = new ControllerInjector();
+        this.control = new SessionControl({ baseDirs: config.newSessionDirs });
+        // Only asked which sessions it would monitor, so control commands can reach those
+        this.supervisor = new TmuxSupervisor();
+        this.redactor = Redactor.getDefault();
+        this.audit = AuditLog.getDefault();
+        // Opt-in: mirror tmux output into an in-place edited message after each command
+        this.streamer = config.streamOutput ? new TelegramOutputStreamer(config) : null;
         this.app = express();
-        this.apiBaseUrl = 'https://api.telegram.org';
+        this.apiBaseUrl = config.apiBaseUrl || 'https://api.telegram.org';
         this.botUsername = null; // Cache for bot username
+        this.pollingTimeout = parseInt(config.pollingTimeout, 10) || DEFAULT_POLLING_TIMEOUT;
+        this.polling = false;
+        this.pollCancel = null;
+        this.pollWait = null;
         
         this._setupMiddleware();
         this._setupRoutes();
@@ -53,16 +97,13 @@ class TelegramWebhookHandler {
     }
 
     async _handleWebhook(req, res) {
+        if (!this._validateSecret(req.get(SECRET_HEADER))) {
+            this.logger.warn('Invalid Telegram webhook secret token');
+            return res.status(401).send('Unauthorized');
+        }
+
         try {
-            const update = req.body;
-            
-            // Handle different update types
-            if (update.message) {
-                await this._handleMessage(update.message);
-            } else if (update.callback_query) {
-                await this._handleCallbackQuery(update.callback_query);
-            }
-            
+            await this._processUpdate(req.body);
             res.status(200).send('OK');
         } catch (error) {
             this.logger.error('Webhook handling error:', error.message);
@@ -70,6 +111,51 @@ class TelegramWebhookHandler {
         }
     }
 
+    async _processUpdate(update) {
+        // Handle different update types
+        if (update.message) {
+            await this._handleMessage(update.message);
+        } else if (update.callback_query) {
+            await this._handleCallbackQuery(update.callback_query);
+        }
+    }
+
+    _validateSecret(received) {
+        if (!received) {
+            return false;
+        }
+        const expectedBuffer = Buffer.from(this.getWebhookSecret());
+        const receivedBuffer = Buffer.from(String(received));
+        if (expectedBuffer.length !== receivedBuffer.length) {
+            return false;
+        }
+        return crypto.timingSafeEqual(expectedBuffer, receivedBuffer);
+    }
+
+    /**
+     * Secret Telegram sends in X-Telegram-Bot-Api-Secret-Token with every webhook update
+     * TELEGRAM_WEBHOOK_SECRET if set, otherwise one generated once and kept in the session store.
+     * @returns {string}
+     */
+    getWebhookSecret() {
+        if (this.config.webhookSecret) {
+            return this.config.webhookSecret;
+        }
+        const key = this._metaKey('webhookSecret');
+        const saved = this.sessionStore.get(SessionStore.COLLECTIONS.META, key);
+        if (saved) {
+            return saved.secret;
+        }
+        const secret = crypto.randomBytes(32).toString('hex');
+        this.sessionStore.set(SessionStore.COLLECTIONS.META, key, { secret, createdAt: new Date().toISOString() });
+        return secret;
+    }
+
+    // Per-bot META keys: update ids and the registered webhook belong to one bot
+    _metaKey(name) {
+        return `telegram:${String(this.config.botToken || '').split(':')[0]}:${name}`;
+    }
+
     async _handleMessage(message) {
         const chatId = message.chat.id;
         const userId = message.from.id;
@@ -96,16 +182,44 @@ class TelegramWebhookHandler {
             return;
         }
 
+        if (SESSIONS_PATTERN.test(messageText)) {
+            await this._sendSessionPicker(chatId);
+            return;
+        }
+
+        const controlMatch = messageText.match(CONTROL_PATTERN);
+        if (controlMatch) {
+            await this._handleControl(chatId, userId, controlMatch[1].toLowerCase(), (controlMatch[2] || '').trim());
+            return;
+        }
+
+        const snoozeMatch = messageText.match(SNOOZE_PATTERN);
+        if (snoozeMatch) {
+            await this._handleSnooze(chatId, userId, snoozeMatch[1].toLowerCase(), snoozeMatch[2], snoozeMatch[3]);
+            return;
+        }
+
         // Parse command
-        const commandMatch = messageText.match(/^\/cmd\s+([A-Z0-9]{8})\s+(.+)$/i);
+        const commandMatch = messageText.match(COMMAND_PATTERN);
         if (!commandMatch) {
-            // Check if it's a direct command without /cmd prefix
-            const directMatch = messageText.match(/^([A-Z0-9]{8})\s+(.+)$/);
-            if (directMatch) {
-                await this._processCommand(chatId, directMatch[1], directMatch[2]);
+            // A reply to a notification goes to that notification's session
+            const repliedTo = message.reply_to_message && this.sessionStore.get(SessionStore.COLLECTIONS.SENT_MESSAGES,
+                TelegramChannel.messageKey(chatId, message.reply_to_message.message_id));
+            if (repliedTo) {
+                await this._processCommand(chatId, repliedTo.token, messageText, userId);
+                return;
+            }
+
+            // Check if it's a direct command without /cmd prefix; a leading word like "CHANGELOG" that
+            // is not a known token is ordinary text for the current session
+            const directMatch = messageText.match(DIRECT_COMMAND_PATTERN);
+            if (directMatch && await this._findSessionByToken(directMatch[1])) {
+                await this._processCommand(chatId, directMatch[1], directMatch[2], userId);
+            } else if (!messageText.startsWith('/') && this._getCurrentSession(chatId)) {
+                await this._sendToCurrentSession(chatId, messageText, userId);
             } else {
                 await this._sendMessage(chatId, 
-                    '❌ Invalid format. Use:\n`/cmd <TOKEN> <command>`\n\nExample:\n`/cmd ABC12345 analyze this code`',
+                    '❌ Invalid format. Reply to a notification, pick a session with /sessions, or use:\n`/cmd <TOKEN> <command>`\n\nExample:\n`/cmd ABC12345 analyze this code`',
                     { parse_mode: 'Markdown' });
             }
             return;
@@ -114,10 +228,10 @@ class TelegramWebhookHandler {
         const token = commandMatch[1].toUpperCase();
         const command = commandMatch[2];
 
-        await this._processCommand(chatId, token, command);
+        await this._processCommand(chatId, token, command, userId);
     }
 
-    async _processCommand(chatId, token, command) {
+    async _processCommand(chatId, token, command, userId) {
         // Find session by token
         const session = await this._findSessionByToken(token);
         if (!session) {
@@ -136,18 +250,50 @@ class TelegramWebhookHandler {
             return;
         }
 
+        // Apply command policy (may reject, or hold the command until confirmed)
+        const tmuxSession = session.tmuxSession || 'default';
+        const decision = this.policy.check(command, {
+            channel: 'telegram',
+            sender: userId,
+            project: session.project,
+            sessionId: session.id,
+            token: token,
+            tmuxSession: tmuxSession
+        });
+        if (decision.action !== 'allow') {
+            await this._sendMessage(chatId, this.policy.describe(decision, `/cmd ${token} confirm ${decision.code}`));
+            return;
+        }
+        command = decision.command;
+
+        // Token must still be usable and must have been issued to this chat
+        const tokenCheck = this.tokenManager.consume(token, { channel: 'telegram', recipient: chatId });
+        if (!tokenCheck.valid) {
+            await this._sendMessage(chatId, 
+                `❌ ${tokenCheck.reason}. Please wait for a new task notification.`);
+            return;
+        }
+
         try {
-            // Inject command into tmux session (append Telegram completion marker)
-            const tmuxSession = session.tmuxSession || 'default';
-            const completionSuffix = '\n\n After task is completed, write "Telegram done" here';
-            const augmentedCommand = `${command}${completionSuffix}`;
-            await this.injector.injectCommand(augmentedCommand, tmuxSession);
+            // Inject command into tmux session (with the completion marker, if this session uses it)
+            const augmentedCommand = CompletionMarker.apply(command, tmuxSession);
+            await this.injector.injectCommand(augmentedCommand, tmuxSession, {
+                channel: 'telegram',
+                sender: userId || chatId,
+                token: token,
+                sessionId: session.id,
+                policy: decision
+            });
             
             // Send confirmation
             await this._sendMessage(chatId, 
                 `✅ *Command sent successfully*\n\n📝 *Command:* ${command}\n🖥️ *Session:* ${tmuxSession}\n\nCodex is now processing your request...`,
                 { parse_mode: 'Markdown' });
             
+            if (this.streamer) {
+                await this.streamer.start(chatId, tmuxSession, command);
+            }
+            
             // Log command execution
             this.logger.info(`Command injected - User: ${chatId}, Token: ${token}, Command: ${command}`);
             
@@ -163,9 +309,35 @@ class TelegramWebhookHandler {
         const chatId = callbackQuery.message.chat.id;
         const data = callbackQuery.data;
         
+        if (data.startsWith('approval:')) {
+            await this._handleApprovalCallback(callbackQuery);
+            return;
+        }
+
+        if (data.startsWith('use:')) {
+            if (!this._isAuthorized(callbackQuery.from.id, chatId)) {
+                await this._answerCallbackQuery(callbackQuery.id, '⚠️ You are not authorized to use this bot.');
+                return;
+            }
+            await this._handleUseSession(callbackQuery, data.split(':')[1]);
+            return;
+        }
+
+        if (data.startsWith('snooze:')) {
+            const [, token, minutes] = data.split(':');
+            if (!this._isAuthorized(callbackQuery.from.id, chatId)) {
+                await this._answerCallbackQuery(callbackQuery.id, '⚠️ You are not authorized to use this bot.');
+                return;
+            }
+            await this._answerCallbackQuery(callbackQuery.id);
+            await this._handleSnooze(chatId, callbackQuery.from.id, 'snooze', token, minutes);
+            return;
+        }
+        
         // Answer callback query to remove loading state
         await this._answerCallbackQuery(callbackQuery.id);
         
+        // Personal/Group Chat buttons on notifications sent before reply routing existed
         if (data.startsWith('personal:')) {
             const token = data.split(':')[1];
             // Send personal chat command format
@@ -188,11 +360,286 @@ class TelegramWebhookHandler {
         }
     }
 
+    async _handleApprovalCallback(callbackQuery) {
+        const chatId = callbackQuery.message.chat.id;
+        const [, approvalId, optionId] = callbackQuery.data.split(':');
+        
+        if (!this._isAuthorized(callbackQuery.from.id, chatId)) {
+            this.logger.warn(`Unauthorized approval answer: ${callbackQuery.from.id}/${chatId}`);
+            await this._answerCallbackQuery(callbackQuery.id, '⚠️ You are not authorized to use this bot.');
+            return;
+        }
+        
+        const result = this.approvals.answer(approvalId, optionId, { channel: 'telegram', sender: chatId });
+        if (!result.ok) {
+            await this._answerCallbackQuery(callbackQuery.id, `❌ ${result.reason}`);
+            return;
+        }
+        
+        await this._answerCallbackQuery(callbackQuery.id, `✅ ${result.option.label}`);
+        await this._sendMessage(chatId, `✅ Approval ${approvalId}: sending "${result.option.label}" to Codex`);
+    }
+
+    async _handleControl(chatId, userId, action, args) {
+        // "/restart confirm CODE" releases a control command the policy held for confirmation
+        const confirmMatch = args.match(CONTROL_CONFIRM_PATTERN);
+        if (confirmMatch) {
+            const decision = this.policy.check(`confirm ${confirmMatch[1].toUpperCase()}`, { channel: 'telegram', sender: userId, kind: 'control' });
+            const pending = decision.action === 'allow' ? String(decision.command || '').match(CONTROL_PATTERN) : null;
+            if (decision.action !== 'allow') {
+                await this._sendMessage(chatId, this.policy.describe(decision));
+            } else if (!pending) {
+                await this._sendMessage(chatId, '❌ That confirmation code is not for a session control command');
+            } else {
+                await this._dispatchControl(chatId, userId, pending[1].toLowerCase(), (pending[2] || '').trim(), true);
+            }
+            return;
+        }
+        await this._dispatchControl(chatId, userId, action, args, false);
+    }
+
+    async _dispatchControl(chatId, userId, action, args, confirmed) {
+        const command = `/${action} ${args}`.trim();
+
+        let tmuxSession = null;
+        let lines;
+        if (action !== 'new') {
+            let target;
+            [target, lines] = args ? args.split(/\s+/) : [];
+            if (action === 'tail' && !lines && /^\d+$/.test(target || '')) {
+                // "/tail 50" means the current session
+                [target, lines] = [null, target];
+            }
+            tmuxSession = await this._resolveControlTarget(chatId, target);
+            if (!tmuxSession) {
+                await this._sendMessage(chatId, target
+                    ? `❌ ${target} is not a token issued to this chat or a session this chat may control`
+                    : `Which session? Send /${action} <TOKEN|session>${action === 'tail' ? ' [lines]' : ''}, or pick one with /sessions first.`);
+                return;
+            }
+        }
+
+        if (!confirmed && POLICY_CONTROLS.includes(action)) {
+            const decision = this.policy.check(command, { channel: 'telegram', sender: userId, tmuxSession, kind: 'control' });
+            if (decision.action !== 'allow') {
+                await this._sendMessage(chatId, this.policy.describe(decision, `/${action} confirm ${decision.code}`));
+                return;
+            }
+        }
+
+        await this._runControl(chatId, userId, command, tmuxSession, async () => {
+            switch (action) {
+                case 'new': {
+                    const result = await this.control.create(args);
+                    return result.success
+                        ? `🆕 Started Codex in ${result.cwd} (tmux session ${result.session})`
+                        : `❌ Could not start Codex: ${result.error}`;
+                }
+                case 'status':
+                    return this._formatStatus(this.control.status(tmuxSession));
+                case 'tail': {
+                    let output = this.redactor.redact(this.control.tail(tmuxSession, lines));
+                    if (output.length > MAX_TAIL_LENGTH) {
+                        output = '…' + output.slice(-MAX_TAIL_LENGTH);
+                    }
+                    return `📜 ${tmuxSession}\n\n${output || '(no output)'}`;
+                }
+                case 'esc':
+                case 'ctrlc':
+                    this.control.interrupt(tmuxSession, action);
+                    return `⏹️ Sent ${action === 'esc' ? 'Esc' : 'Ctrl-C'} to ${tmuxSession}`;
+                case 'restart': {
+                    await this._sendMessage(chatId, `♻️ Restarting ${tmuxSession}...`);
+                    const result = await this.control.restart(tmuxSession);
+                    return result.success ? `♻️ ${tmuxSession} restarted` : `❌ Restart failed: ${result.error}`;
+                }
+            }
+        });
+    }
+
+    // Run a control command, reply with its result or error, and write it to the audit log
+    async _runControl(chatId, userId, command, tmuxSession, fn) {
+        let reply;
+        let error = null;
+        try {
+            reply = await fn();
+        } catch (err) {
+            error = err.message;
+            reply = `❌ ${err.message}`;
+        }
+        this.audit.record({
+            channel: 'telegram',
+            sender: userId || chatId,
+            command,
+            target: tmuxSession,
+            method: 'control',
+            outcome: error || reply.startsWith('❌') ? 'failed' : 'executed',
+            error
+        });
+        await this._sendMessage(chatId, reply);
+    }
+
+    // A token issued to this chat stands for its notification's session; no argument means the chat's current session.
+    // Named sessions must be controllable: notified to this chat, or ones the supervisor would monitor.
+    async _resolveControlTarget(chatId, target) {
+        if (!target) {
+            const current = this._getCurrentSession(chatId);
+            return current && this._isControllable(chatId, current.tmuxSession) ? current.tmuxSession : null;
+        }
+        const token = target.toUpperCase();
+        if (this.tokenManager.verify(token, { channel: 'telegram', recipient: chatId }).valid) {
+            const session = await this._findSessionByToken(token);
+            if (session) {
+                return session.tmuxSession || 'default';
+            }
+        }
+        return this._isControllable(chatId, target) ? target : null;
+    }
+
+    _isControllable(chatId, tmuxSession) {
+        if (this._listLiveSessions(chatId).some(session => session.tmuxSession === tmuxSession)) {
+            return true;
+        }
+        try {
+            return this.supervisor.discover().some(discovered => discovered.sessionName === tmuxSession);
+        } catch (error) {
+            return false;
+        }
+    }
+
+    _formatStatus(status) {
+        const time = iso => new Date(iso).toLocaleTimeString();
+        let text = `🖥️ ${status.session}\n`;
+        if (!status.exists) {
+            text += 'tmux session not running';
+            if (status.state) {
+                text += `\nLast known state: ${status.state} since ${time(status.since)}`;
+            }
+            return text;
+        }
+        text += `State: ${status.state ? `${status.state} since ${time(status.since)}` : 'unknown (not monitored)'}\n`;
+        if (status.reason) {
+            text += `Reason: ${status.reason}\n`;
+        }
+        text += `Last activity: ${status.lastActivity ? time(status.lastActivity) : '-'}\n`;
+        text += `Context left: ${status.contextLeft !== null ? `${status.contextLeft}%` : '-'}\n`;
+        text += `Running: ${status.command || '-'} in ${status.cwd || '-'}`;
+        return text;
+    }
+
+    async _sendSessionPicker(chatId) {
+        const sessions = this._listLiveSessions(chatId);
+        if (sessions.length === 0) {
+            await this._sendMessage(chatId, 'No live sessions. Sessions appear here once they have sent a notification.');
+            return;
+        }
+
+        const current = this._getCurrentSession(chatId);
+        const buttons = sessions.slice(0, MAX_SESSION_BUTTONS).map(session => [{
+            text: `${current && current.tmuxSession === session.tmuxSession ? '✅ ' : ''}${session.tmuxSession} · ${session.project || '-'}`.substring(0, 60),
+            callback_data: `use:${session.token}`
+        }]);
+        if (current) {
+            buttons.push([{ text: '✖️ Stop sending plain messages', callback_data: 'use:clear' }]);
+        }
+
+        await this._sendMessage(chatId,
+            `🖥️ Live sessions${current ? ` (current: ${current.tmuxSession})` : ''}\n` +
+            'Pick one and plain messages are sent to it. Replies to a notification always go to that notification\'s session.',
+            { reply_markup: { inline_keyboard: buttons } });
+    }
+
+    async _handleUseSession(callbackQuery, token) {
+        const chatId = callbackQuery.message.chat.id;
+        const key = this._chatKey(chatId);
+
+        if (token === 'clear') {
+            this.sessionStore.delete(SessionStore.COLLECTIONS.CHAT_CONTEXTS, key);
+            await this._answerCallbackQuery(callbackQuery.id, 'Current session cleared');
+            await this._sendMessage(chatId, 'Plain messages are no longer sent to a session. Reply to a notification or use /sessions.');
+            return;
+        }
+
+        const session = await this._findSessionByToken(token);
+        if (!session || !this.tokenManager.verify(token, { channel: 'telegram', recipient: chatId }).valid) {
+            await this._answerCallbackQuery(callbackQuery.id, '❌ This session has expired. Use /sessions for live ones.');
+            return;
+        }
+
+        const tmuxSession = session.tmuxSession || 'default';
+        this.sessionStore.set(SessionStore.COLLECTIONS.CHAT_CONTEXTS, key, {
+            channel: 'telegram',
+            chatId: String(chatId),
+            tmuxSession,
+            project: session.project,
+            updatedAt: Date.now()
+        });
+        await this._answerCallbackQuery(callbackQuery.id, `🎯 ${tmuxSession}`);
+        await this._sendMessage(chatId, `🎯 Plain messages now go to ${tmuxSession}${session.project ? ` (${session.project})` : ''}. Use /sessions to switch.`);
+    }
+
+    async _sendToCurrentSession(chatId, command, userId) {
+        const current = this._getCurrentSession(chatId);
+        // The current session is a tmux session; its newest notification supplies a token that is still valid
+        const session = this._listLiveSessions(chatId).find(candidate => candidate.tmuxSession === current.tmuxSession);
+        if (!session) {
+            await this._sendMessage(chatId,
+                `❌ ${current.tmuxSession} has no live notification to reply to. Wait for a new one, or pick another session with /sessions.`);
+            return;
+        }
+        await this._processCommand(chatId, session.token, command, userId);
+    }
+
+    // Newest Telegram session per tmux session whose token this chat may still use
+    _listLiveSessions(chatId) {
+        const seen = new Set();
+        return this.sessionStore.listSessions()
+            .filter(session => session.type === 'telegram' && session.token)
+            .map(session => ({ ...session, tmuxSession: session.tmuxSession || 'default' }))
+            .filter(session => {
+                if (seen.has(session.tmuxSession) ||
+                    !this.tokenManager.verify(session.token, { channel: 'telegram', recipient: chatId }).valid) {
+                    return false;
+                }
+                seen.add(session.tmuxSession);
+                return true;
+            });
+    }
+
+    _getCurrentSession(chatId) {
+        return this.sessionStore.get(SessionStore.COLLECTIONS.CHAT_CONTEXTS, this._chatKey(chatId));
+    }
+
+    _chatKey(chatId) {
+        return `telegram:${chatId}`;
+    }
+
+    async _handleSnooze(chatId, userId, action, target, minutes) {
+        // A notification token stands for the tmux session it was sent for
+        const session = await this._findSessionByToken(target.toUpperCase());
+        const tmuxSession = session ? (session.tmuxSession || 'default') : target;
+
+        if (action === 'unsnooze') {
+            await this._sendMessage(chatId, this.throttle.unsnooze(tmuxSession)
+                ? `🔔 Notifications for ${tmuxSession} resumed`
+                : `${tmuxSession} was not snoozed`);
+            return;
+        }
+
+        const snooze = this.throttle.snooze(tmuxSession, parseInt(minutes, 10) || DEFAULT_SNOOZE_MINUTES, {
+            channel: 'telegram',
+            sender: userId || chatId
+        });
+        await this._sendMessage(chatId,
+            `🔕 Notifications for ${tmuxSession} snoozed until ${new Date(snooze.until).toLocaleTimeString()}\n` +
+            `Send /unsnooze ${target} to resume earlier.`);
+    }
+
     async _sendWelcomeMessage(chatId) {
         const message = `🤖 *Welcome to Codex Code Remote Bot!*\n\n` +
             `I'll notify you when Codex completes tasks or needs input.\n\n` +
-            `When you receive a notification with a token, you can send commands back using:\n` +
-            `\`/cmd <TOKEN> <your command>\`\n\n` +
+            `To send Codex a command, reply to a notification, or pick a session with /sessions and just type.\n` +
+            `You can also use \`/cmd <TOKEN> <your command>\`\n\n` +
             `Type /help for more information.`;
         
         await this._sendMessage(chatId, message, { parse_mode: 'Markdown' });
@@ -203,10 +650,20 @@ class TelegramWebhookHandler {
             `*Commands:*\n` +
             `• \`/start\` - Welcome message\n` +
             `• \`/help\` - Show this help\n` +
-            `• \`/cmd <TOKEN> <command>\` - Send command to Codex\n\n` +
+            `• \`/cmd <TOKEN> <command>\` - Send command to Codex\n` +
+            `• \`/sessions\` - Pick the session plain messages go to\n` +
+            `• \`/snooze <TOKEN> [minutes]\` - Mute that session's notifications (default 60)\n` +
+            `• \`/unsnooze <TOKEN>\` - Resume them\n\n` +
+            `*Session control* (session: a token, a tmux session name, or the current session if omitted):\n` +
+            `• \`/status [session]\` - State, last activity and context left\n` +
+            `• \`/tail [session] [lines]\` - Recent output (default 30 lines)\n` +
+            `• \`/esc [session]\`, \`/ctrlc [session]\` - Interrupt Codex\n` +
+            `• \`/restart [session]\` - Restart Codex in the same directory\n` +
+            `• \`/new <dir>\` - Start Codex in a new tmux session under an allowed directory\n\n` +
             `*Example:*\n` +
             `\`/cmd ABC12345 analyze the performance of this function\`\n\n` +
             `*Tips:*\n` +
+            `• Reply to a notification to send a command to its session\n` +
             `• Tokens are case-insensitive\n` +
             `• Tokens expire after 24 hours\n` +
             `• You can also just type \`TOKEN command\` without /cmd`;
@@ -257,29 +714,11 @@ class TelegramWebhookHandler {
     }
 
     async _findSessionByToken(token) {
-        const files = fs.readdirSync(this.sessionsDir);
-        
-        for (const file of files) {
-            if (!file.endsWith('.json')) continue;
-            
-            const sessionPath = path.join(this.sessionsDir, file);
-            try {
-                const session = JSON.parse(fs.readFileSync(sessionPath, 'utf8'));
-                if (session.token === token) {
-                    return session;
-                }
-            } catch (error) {
-                this.logger.error(`Failed to read session file ${file}:`, error.message);
-            }
-        }
-        
-        return null;
+        return this.sessionStore.findSessionByToken(token);
     }
 
     async _removeSession(sessionId) {
-        const sessionFile = path.join(this.sessionsDir, `${sessionId}.json`);
-        if (fs.existsSync(sessionFile)) {
-            fs.unlinkSync(sessionFile);
+        if (this.sessionStore.removeSession(sessionId)) {
             this.logger.debug(`Session removed: ${sessionId}`);
         }
     }
@@ -321,7 +760,8 @@ class TelegramWebhookHandler {
                 `${this.apiBaseUrl}/bot${this.config.botToken}/setWebhook`,
                 {
                     url: webhookUrl,
-                    allowed_updates: ['message', 'callback_query']
+                    secret_token: this.getWebhookSecret(),
+                    allowed_updates: ALLOWED_UPDATES
                 },
                 this._getNetworkOptions()
             );
@@ -334,11 +774,128 @@ class TelegramWebhookHandler {
         }
     }
 
+    /**
+     * Receive updates by long-polling getUpdates instead of the webhook (no public URL needed)
+     * Removes any registered webhook first, since Telegram refuses getUpdates while one is set.
+     * The next update id is kept in the session store, so a restart does not replay commands.
+     * @returns {Promise<void>} Resolves after stopPolling()
+     */
+    async startPolling() {
+        this.polling = true;
+        // If this fails, getUpdates answers 409 and removal is tried again
+        await this.deleteWebhook().catch(() => {});
+        this.logger.info(`Polling Telegram for updates (timeout ${this.pollingTimeout}s)`);
+
+        let failures = 0;
+        while (this.polling) {
+            let updates;
+            try {
+                updates = await this._getUpdates();
+                failures = 0;
+            } catch (error) {
+                if (!this.polling) break;
+                if (error.response?.status === 409) {
+                    await this.deleteWebhook().catch(() => {});
+                }
+                failures++;
+                const delay = Math.min(MAX_POLLING_BACKOFF_MS, 1000 * Math.pow(2, failures));
+                this.logger.error(`getUpdates failed, retrying in ${delay / 1000}s:`, error.response?.data || error.message);
+                await this._waitForNextPoll(delay);
+                continue;
+            }
+
+            for (const update of updates) {
+                // Confirmed before handling: a command that crashes the handler is not run again
+                this._setUpdateOffset(update.update_id + 1);
+                try {
+                    await this._processUpdate(update);
+                } catch (error) {
+                    this.logger.error(`Update ${update.update_id} handling error:`, error.message);
+                }
+            }
+        }
+        this.logger.info('Telegram polling stopped');
+    }
+
+    /**
+     * Stop the polling loop, aborting the getUpdates request in flight
+     */
+    stopPolling() {
+        this.polling = false;
+        if (this.pollCancel) {
+            this.pollCancel.cancel('Telegram polling stopped');
+        }
+        if (this.pollWait) {
+            this.pollWait();
+        }
+    }
+
+    async _getUpdates() {
+        // A cancel token rather than AbortController, which Node 14 does not have
+        this.pollCancel = axios.CancelToken.source();
+        try {
+            const response = await axios.post(
+                `${this.apiBaseUrl}/bot${this.config.botToken}/getUpdates`,
+                {
+                    offset: this._getUpdateOffset(),
+                    timeout: this.pollingTimeout,
+                    allowed_updates: ALLOWED_UPDATES
+                },
+                {
+                    ...this._getNetworkOptions(),
+                    timeout: (this.pollingTimeout + 10) * 1000,
+                    cancelToken: this.pollCancel.token
+                }
+            );
+            return response.data.result || [];
+        } finally {
+            this.pollCancel = null;
+        }
+    }
+
+    _waitForNextPoll(ms) {
+        return new Promise(resolve => {
+            const timer = setTimeout(resolve, ms);
+            this.pollWait = () => {
+                clearTimeout(timer);
+                resolve();
+            };
+        }).finally(() => {
+            this.pollWait = null;
+        });
+    }
+
+    _getUpdateOffset() {
+        const saved = this.sessionStore.get(SessionStore.COLLECTIONS.META, this._metaKey('updateOffset'));
+        return saved ? saved.offset : undefined;
+    }
+
+    _setUpdateOffset(offset) {
+        this.sessionStore.set(SessionStore.COLLECTIONS.META, this._metaKey('updateOffset'), { offset });
+    }
+
+    async deleteWebhook() {
+        try {
+            const response = await axios.post(
+                `${this.apiBaseUrl}/bot${this.config.botToken}/deleteWebhook`,
+                {},
+                this._getNetworkOptions()
+            );
+            this.logger.info('Webhook removed:', response.data);
+            return response.data;
+        } catch (error) {
+            this.logger.error('Failed to remove webhook:', error.response?.data || error.message);
+            throw error;
+        }
+    }
+
     start(port = 3000) {
-        this.app.listen(port, () => {
+        return this.app.listen(port, () => {
             this.logger.info(`Telegram webhook server started on port ${port}`);
         });
     }
 }
 
+TelegramWebhookHandler.SECRET_HEADER = SECRET_HEADER;
+
 module.exports = TelegramWebhookHandler;
@@ -0,0 +1,292 @@
+/**
+ * Incoming Webhook Notification Channel
+ * POSTs templated JSON payloads to Teams, Mattermost, Rocket.Chat or custom endpoints
+ */
+
+const NotificationChannel = require('../base/channel');
+const axios = require('axios');
+const NotificationTypes = require('../../core/notification-types');
+
+const SUPPORTED_FORMATS = ['teams', 'mattermost', 'rocketchat', 'custom'];
+
+class IncomingWebhookChannel extends NotificationChannel {
+    constructor(config = {}) {
+        super('webhook', config);
+        this.timeout = config.timeout || 10000;
+
+        this._validateConfig();
+    }
+
+    _validateConfig() {
+        const endpoints = this._getEndpoints();
+        if (endpoints.length === 0) {
+            this.logger.warn('No webhook endpoints configured');
+            return false;
+        }
+
+        for (const endpoint of endpoints) {
+            if (!endpoint.url) {
+                this.logger.warn(`Webhook endpoint "${endpoint.name}" has no URL`);
+                return false;
+            }
+            if (!SUPPORTED_FORMATS.includes(endpoint.format)) {
+                this.logger.warn(`Webhook endpoint "${endpoint.name}" has unsupported format: ${endpoint.format}`);
+                return false;
+            }
+        }
+        return true;
+    }
+
+    /**
+     * Normalize configured endpoints, skipping disabled ones
+     * @returns {Array<Object>} Endpoint list with name/url/format/headers/template
+     */
+    _getEndpoints() {
+        const endpoints = Array.isArray(this.config.endpoints) ? this.config.endpoints : [];
+
+        return endpoints
+            .map((endpoint, index) => ({
+                name: endpoint.name || `endpoint-${index + 1}`,
+                url: endpoint.url,
+                format: endpoint.format || 'custom',
+                headers: endpoint.headers || {},
+                template: endpoint.template,
+                enabled: endpoint.enabled !== false
+            }))
+            .filter(endpoint => endpoint.enabled);
+    }
+
+    /**
+     * Send notification to every endpoint
+     * @param {Object} notification - Notification object
+     * @returns {Promise<Object>} { success, endpoints: { [name]: { success, status?, error? } } }
+     */
+    async _sendImpl(notification) {
+        if (!this._validateConfig()) {
+            throw new Error('Webhook channel not properly configured');
+        }
+
+        const endpoints = this._getEndpoints();
+        const results = await Promise.all(endpoints.map(endpoint => this._sendToEndpoint(endpoint, notification)));
+
+        const endpointResults = {};
+        results.forEach(result => {
+            endpointResults[result.name] = result;
+        });
+
+        const successCount = results.filter(r => r.success).length;
+        this.logger.info(`Webhook delivered to ${successCount}/${results.length} endpoints`);
+
+        return {
+            success: successCount > 0,
+            endpoints: endpointResults
+        };
+    }
+
+    async _sendToEndpoint(endpoint, notification) {
+        try {
+            const payload = this._buildPayload(endpoint, notification);
+            const response = await axios.post(endpoint.url, payload, {
+                headers: {
+                    'Content-Type': 'application/json',
+                    ...endpoint.headers
+                },
+                timeout: this.timeout
+            });
+
+            this.logger.debug(`Webhook ${endpoint.name} responded with ${response.status}`);
+            return { name: endpoint.name, success: true, status: response.status };
+        } catch (error) {
+            const status = error.response?.status;
+            this.logger.error(`Failed to send webhook ${endpoint.name}:`, error.response?.data || error.message);
+            return {
+                name: endpoint.name,
+                success: false,
+                ...(status ? { status } : {}),
+                error: error.message
+            };
+        }
+    }
+
+    _buildPayload(endpoint, notification) {
+        notification = this.redactor.redactNotification(notification);
+        const fields = this._getTemplateFields(notification);
+
+        switch (endpoint.format) {
+            case 'teams':
+                return this._buildTeamsPayload(fields);
+            case 'mattermost':
+                return this._buildMattermostPayload(fields);
+            case 'rocketchat':
+                return this._buildRocketChatPayload(fields);
+            case 'custom':
+            default:
+                // Without a template, post the notification object as-is
+                if (!endpoint.template) {
+                    return notification;
+                }
+                return this._renderTemplate(endpoint.template, fields);
+        }
+    }
+
+    /**
+     * Flatten notification into the fields available to templates
+     * @param {Object} notification - Notification object
+     * @returns {Object} Template fields
+     */
+    _getTemplateFields(notification) {
+        const metadata = notification.metadata || {};
+        return {
+            type: notification.type,
+            title: notification.title,
+            message: notification.message,
+            project: notification.project,
+            timestamp: metadata.timestamp || new Date().toISOString(),
+            userQuestion: this._truncate(metadata.userQuestion, 500),
+            claudeResponse: this._truncate(metadata.claudeResponse, 2000),
+            tmuxSession: metadata.tmuxSession || '',
+            emoji: NotificationTypes.get(notification.type).emoji,
+            color: NotificationTypes.get(notification.type).color
+        };
+    }
+
+    _buildTeamsPayload(fields) {
+        const body = [
+            {
+                type: 'TextBlock',
+                size: 'Medium',
+                weight: 'Bolder',
+                text: `${fields.emoji} ${fields.title}`,
+                wrap: true
+            },
+            {
+                type: 'FactSet',
+                facts: [
+                    { title: 'Project', value: fields.project },
+                    { title: 'Type', value: fields.type },
+                    { title: 'Time', value: fields.timestamp }
+                ]
+            },
+            {
+                type: 'TextBlock',
+                text: fields.message,
+                wrap: true
+            }
+        ];
+
+        if (fields.userQuestion) {
+            body.push({ type: 'TextBlock', text: '📝 Your Question', weight: 'Bolder', wrap: true });
+            body.push({ type: 'TextBlock', text: fields.userQuestion, wrap: true });
+        }
+        if (fields.claudeResponse) {
+            body.push({ type: 'TextBlock', text: '🤖 Codex Response', weight: 'Bolder', wrap: true });
+            body.push({ type: 'TextBlock', text: fields.claudeResponse, wrap: true });
+        }
+
+        return {
+            type: 'message',
+            attachments: [
+                {
+                    contentType: 'application/vnd.microsoft.card.adaptive',
+                    contentUrl: null,
+                    content: {
+                        $schema: 'http://adaptivecards.io/schemas/adaptive-card.json',
+                        type: 'AdaptiveCard',
+                        version: '1.4',
+                        body: body,
+                        msteams: { width: 'Full' }
+                    }
+                }
+            ]
+        };
+    }
+
+    _buildAttachment(fields) {
+        const attachment = {
+            fallback: `${fields.title} - ${fields.project}`,
+            color: fields.color,
+            title: `${fields.emoji} ${fields.title}`,
+            text: fields.message,
+            fields: [
+                { title: 'Project', value: fields.project, short: true },
+                { title: 'Type', value: fields.type, short: true }
+            ]
+        };
+
+        if (fields.userQuestion) {
+            attachment.fields.push({ title: '📝 Your Question', value: fields.userQuestion, short: false });
+        }
+        if (fields.claudeResponse) {
+            attachment.fields.push({ title: '🤖 Codex Response', value: fields.claudeResponse, short: false });
+        }
+
+        return attachment;
+    }
+
+    _buildMattermostPayload(fields) {
+        return {
+            username: this.config.username || 'Codex-Code-Remote',
+            ...(this.config.iconUrl ? { icon_url: this.config.iconUrl } : {}),
+            attachments: [this._buildAttachment(fields)]
+        };
+    }
+
+    _buildRocketChatPayload(fields) {
+        return {
+            alias: this.config.username || 'Codex-Code-Remote',
+            ...(this.config.iconUrl ? { avatar: this.config.iconUrl } : {}),
+            text: fields.title,
+            attachments: [this._buildAttachment(fields)]
+        };
+    }
+
+    /**
+     * Render a user-defined template by replacing {{field}} placeholders
+     * Templates may be an object (placeholders in string values) or a JSON string
+     * @param {Object|string} template - Template definition
+     * @param {Object} fields - Template fields
+     * @returns {Object} Rendered payload
+     */
+    _renderTemplate(template, fields) {
+        const parsed = typeof template === 'string' ? JSON.parse(template) : template;
+
+        const render = (value) => {
+            if (typeof value === 'string') {
+                return value.replace(/\{\{\s*(\w+)\s*\}\}/g, (match, key) =>
+                    (key in fields && fields[key] !== undefined) ? String(fields[key]) : '');
+            }
+            if (Array.isArray(value)) {
+                return value.map(render);
+            }
+            if (value && typeof value === 'object') {
+                const result = {};
+                for (const [key, child] of Object.entries(value)) {
+                    result[key] = render(child);
+                }
+                return result;
+            }
+            return value;
+        };
+
+        return render(parsed);
+    }
+
+    _truncate(text, maxLength) {
+        if (!text) return '';
+        const value = String(text);
+        if (value.length <= maxLength) {
+            return value;
+        }
+        return value.substring(0, maxLength) + '...';
+    }
+
+    supportsRelay() {
+        return false;
+    }
+
+    validateConfig() {
+        return this._validateConfig();
+    }
+}
+
+module.exports = IncomingWebhookChannel;
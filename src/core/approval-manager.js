@@ -0,0 +1,380 @@
+/**
+ * Codex-Code-Remote Approval Manager
+ * Turns Codex confirmation dialogs into remote approval requests and waits for the user's choice
+ */
+
+const crypto = require('crypto');
+const Logger = require('./logger');
+const SessionStore = require('./session-store');
+const TokenManager = require('./token-manager');
+const ConfigManager = require('./config');
+const ChannelRegistry = require('./channel-registry');
+const Redactor = require('../utils/redactor');
+
+const DEFAULT_TIMEOUT_SECONDS = 300;
+const POLL_INTERVAL_MS = 1000;
+
+// Only the bottom of the pane is inspected so dialogs that already scrolled away are ignored
+const PROMPT_TAIL_LINES = 20;
+// A live dialog sits at the bottom: at most this many lines (hints, borders) may follow it
+const MAX_LINES_BELOW_PROMPT = 3;
+const OPTION_LINE = /^(?:[❯▷›>]\s*)?(\d{1,2})\.\s+(.+)$/;
+const BORDER_LINE = /^[\s╭╰│─┤├┐┘┌└╮╯]*$/;
+
+// Answers sent by email use this subject, e.g. "[Codex-Code-Remote Approval ABCD1234] 2"
+const EMAIL_SUBJECT_PATTERN = new RegExp(`\\[Codex-Code-Remote Approval (${TokenManager.TOKEN_PATTERN})\\]\\s*(\\S+)`, 'i');
+
+class ApprovalManager {
+    /**
+     * @param {Object} options
+     * @param {SessionStore} options.store - Backing store (default: shared session store)
+     * @param {number} options.timeoutSeconds - How long to wait for an answer (default APPROVAL_TIMEOUT_SECONDS or 300)
+     * @param {ConfigManager} options.config - Channel configuration used to deliver requests
+     */
+    constructor(options = {}) {
+        this.logger = new Logger('ApprovalManager');
+        this.store = options.store || SessionStore.getDefault();
+        this.timeoutSeconds = parseInt(options.timeoutSeconds || process.env.APPROVAL_TIMEOUT_SECONDS, 10) || DEFAULT_TIMEOUT_SECONDS;
+        this.config = options.config || new ConfigManager();
+        this.registry = new ChannelRegistry({ configDir: this.config.configDir });
+    }
+
+    /**
+     * Parse a confirmation dialog from captured pane text
+     * @param {string} paneText - tmux capture-pane output
+     * @returns {Object|null} { kind, question, details, options: [{ id, label, keys }], denyOption, fingerprint }
+     */
+    static parsePrompt(paneText) {
+        const lines = String(paneText || '')
+            .replace(/\u001b\[[0-9;]*m/g, '')
+            .split('\n')
+            .map(line => line.replace(/^\s*[│|]\s?/, '').replace(/\s*[│|]\s*$/, '').trim())
+            .filter(line => line.length > 0)
+            .slice(-PROMPT_TAIL_LINES);
+
+        const prompt = ApprovalManager._parseMenu(lines) ||
+            ApprovalManager._parseYesNo(lines) ||
+            ApprovalManager._parseEnter(lines);
+        if (!prompt) {
+            return null;
+        }
+
+        prompt.fingerprint = crypto.createHash('sha256')
+            .update(JSON.stringify([prompt.details, prompt.options.map(option => option.label)]))
+            .digest('hex')
+            .substring(0, 16);
+        return prompt;
+    }
+
+    /**
+     * Parse an approval answer from an email subject
+     * @param {string} subject - Email subject
+     * @returns {Object|null} { id, optionId }
+     */
+    static parseEmailSubject(subject) {
+        const match = String(subject || '').match(EMAIL_SUBJECT_PATTERN);
+        return match ? { id: match[1].toUpperCase(), optionId: match[2] } : null;
+    }
+
+    /**
+     * Build the subject a user sends back to choose an option by email
+     * @param {string} id - Approval id
+     * @param {string} optionId - Option id
+     * @returns {string}
+     */
+    static emailSubject(id, optionId) {
+        return `[Codex-Code-Remote Approval ${id}] ${optionId}`;
+    }
+
+    /**
+     * Store a pending approval and deliver it to every channel that supports approvals
+     * @param {Object} options
+     * @param {Object} options.prompt - Result of parsePrompt()
+     * @param {string} options.tmuxSession - Session showing the dialog
+     * @param {string} options.token - Token of the command that triggered it
+     * @param {string} options.sessionId - Notification session id
+     * @param {string} options.project - Project name for the message
+     * @returns {Promise<Object>} Approval record (status 'pending', or 'undeliverable' when no channel accepted it)
+     */
+    async request(options = {}) {
+        const prompt = options.prompt;
+        const id = this._generateId();
+        const now = Math.floor(Date.now() / 1000);
+
+        let approval = {
+            id: id,
+            tmuxSession: options.tmuxSession || null,
+            token: options.token ? String(options.token).toUpperCase() : null,
+            sessionId: options.sessionId || null,
+            project: options.project || null,
+            kind: prompt.kind,
+            question: prompt.question,
+            details: prompt.details,
+            options: prompt.options,
+            denyOption: prompt.denyOption,
+            fingerprint: prompt.fingerprint,
+            recipients: {},
+            status: 'pending',
+            choice: null,
+            answeredBy: null,
+            createdAt: now,
+            expiresAt: now + this.timeoutSeconds
+        };
+        this.store.set(SessionStore.COLLECTIONS.APPROVALS, id, approval);
+
+        const recipients = await this._deliver(approval);
+        if (Object.keys(recipients).length === 0) {
+            this.logger.warn(`No channel could deliver approval ${id}; denying`);
+            return this._close(id, { status: 'undeliverable', choice: approval.denyOption });
+        }
+
+        approval = this.store.update(SessionStore.COLLECTIONS.APPROVALS, id, { recipients });
+        this.logger.info(`Approval ${id} requested via ${Object.keys(recipients).join(', ')}`);
+        return approval;
+    }
+
+    /**
+     * Record a user's answer
+     * @param {string} id - Approval id
+     * @param {string} optionId - Chosen option id
+     * @param {Object} context
+     * @param {string} context.channel - Channel the answer came from
+     * @param {string} context.sender - Chat/user id or email address of the sender
+     * @returns {Object} { ok, reason, approval, option }
+     */
+    answer(id, optionId, context = {}) {
+        const key = String(id || '').toUpperCase();
+        let result = { ok: false, reason: `No pending approval matches ${key}`, approval: null, option: null };
+
+        if (!this.store.has(SessionStore.COLLECTIONS.APPROVALS, key)) {
+            return result;
+        }
+
+        // Check and record under the store lock so two answers cannot both win
+        this.store.update(SessionStore.COLLECTIONS.APPROVALS, key, approval => {
+            result = ApprovalManager._checkAnswer(approval, optionId, context);
+            if (!result.ok) {
+                return approval;
+            }
+            result.approval = {
+                ...approval,
+                status: 'answered',
+                choice: result.option.id,
+                answeredBy: { channel: context.channel, sender: context.sender ? String(context.sender) : null },
+                answeredAt: Math.floor(Date.now() / 1000)
+            };
+            return result.approval;
+        });
+
+        if (result.ok) {
+            this.logger.info(`Approval ${key} answered on ${context.channel}: ${result.option.label}`);
+        } else {
+            this.logger.warn(`Approval answer rejected on ${context.channel || 'unknown channel'}: ${result.reason}`);
+        }
+        return result;
+    }
+
+    /**
+     * Wait until an approval is answered or times out
+     * @param {string} id - Approval id
+     * @returns {Promise<Object>} { option, timedOut, approval }
+     */
+    async wait(id) {
+        for (;;) {
+            const approval = this.store.get(SessionStore.COLLECTIONS.APPROVALS, id);
+            if (!approval) {
+                return { option: null, timedOut: false, approval: null };
+            }
+            if (approval.status !== 'pending') {
+                return { option: ApprovalManager._option(approval, approval.choice), timedOut: false, approval };
+            }
+            if (approval.expiresAt <= Math.floor(Date.now() / 1000)) {
+                const closed = this._close(id, { status: 'expired', choice: approval.denyOption });
+                // An answer may have landed between the read and the close
+                if (closed.status === 'answered') {
+                    return { option: ApprovalManager._option(closed, closed.choice), timedOut: false, approval: closed };
+                }
+                this.logger.warn(`Approval ${id} timed out; answering "${ApprovalManager._option(closed, closed.choice).label}"`);
+                return { option: ApprovalManager._option(closed, closed.choice), timedOut: true, approval: closed };
+            }
+            await new Promise(resolve => setTimeout(resolve, POLL_INTERVAL_MS));
+        }
+    }
+
+    /**
+     * List approvals, newest first
+     * @param {Object} options
+     * @param {boolean} options.includeClosed - Include answered and expired approvals
+     * @returns {Array<Object>}
+     */
+    list(options = {}) {
+        return this.store.list(SessionStore.COLLECTIONS.APPROVALS)
+            .filter(approval => options.includeClosed || approval.status === 'pending')
+            .sort((a, b) => (b.createdAt || 0) - (a.createdAt || 0));
+    }
+
+    async _deliver(approval) {
+        const recipients = {};
+        const entries = this.registry.loadAll(this.config.getChannels());
+        // The dialog text is pane output (email puts the question in the subject); the stored approval keeps it unredacted
+        const redactor = new Redactor(this.config.get('redaction', {}));
+        const outgoing = {
+            ...approval,
+            question: redactor.redact(approval.question),
+            details: redactor.redact(approval.details.join('\n')).split('\n'),
+            options: approval.options.map(option => ({ ...option, label: redactor.redact(option.label) }))
+        };
+
+        for (const entry of entries) {
+            if (!entry.valid || typeof entry.channel.sendApproval !== 'function') {
+                continue;
+            }
+            try {
+                const result = await entry.channel.sendApproval(outgoing);
+                if (result && result.success) {
+                    recipients[entry.name] = result.recipient ? String(result.recipient).trim().toLowerCase() : null;
+                }
+            } catch (error) {
+                this.logger.error(`Failed to send approval via ${entry.name}:`, error.message);
+            }
+        }
+
+        return recipients;
+    }
+
+    _close(id, patch) {
+        let closed = null;
+        this.store.update(SessionStore.COLLECTIONS.APPROVALS, id, approval => {
+            closed = approval.status === 'pending' ? { ...approval, ...patch } : approval;
+            return closed;
+        });
+        return closed;
+    }
+
+    _generateId() {
+        let id;
+        do {
+            id = TokenManager.generate(8);
+        } while (this.store.has(SessionStore.COLLECTIONS.APPROVALS, id));
+        return id;
+    }
+
+    static _checkAnswer(approval, optionId, context) {
+        const fail = reason => ({ ok: false, reason, approval, option: null });
+
+        if (approval.status !== 'pending' || approval.expiresAt <= Math.floor(Date.now() / 1000)) {
+            return fail('This approval was already answered or has expired');
+        }
+        if (!(context.channel in (approval.recipients || {}))) {
+            return fail(`Approval ${approval.id} was not sent to ${context.channel}`);
+        }
+        const recipient = approval.recipients[context.channel];
+        if (recipient && recipient !== String(context.sender || '').trim().toLowerCase()) {
+            return fail('Approval was sent to a different chat or address');
+        }
+
+        const option = ApprovalManager._option(approval, optionId);
+        if (!option) {
+            return fail(`Unknown option "${optionId}"`);
+        }
+        return { ok: true, reason: null, approval, option };
+    }
+
+    static _option(approval, optionId) {
+        return (approval.options || []).find(option => option.id === String(optionId)) || null;
+    }
+
+    static _parseMenu(lines) {
+        // Last run of consecutive numbered lines, e.g. "❯ 1. Yes" / "2. Yes, and don't ask again" / "3. No"
+        let end = -1;
+        for (let i = lines.length - 1; i >= 0; i--) {
+            if (OPTION_LINE.test(lines[i])) {
+                end = i;
+                break;
+            }
+        }
+        if (end === -1 || end < lines.length - 1 - MAX_LINES_BELOW_PROMPT) return null;
+
+        let start = end;
+        while (start > 0 && OPTION_LINE.test(lines[start - 1])) {
+            start--;
+        }
+
+        const options = lines.slice(start, end + 1).map(line => {
+            const [, number, label] = line.match(OPTION_LINE);
+            return { id: number, label: label.trim(), keys: [number, 'Enter'] };
+        });
+        // A single numbered line is a list item in the output, not a dialog
+        if (options.length < 2 || !options.some(option => /^yes\b/i.test(option.label))) {
+            return null;
+        }
+
+        const details = ApprovalManager._detailsAbove(lines, start);
+        const deny = options.find(option => /^no\b/i.test(option.label));
+        if (!deny) {
+            options.push({ id: 'deny', label: 'Deny (Esc)', keys: ['Escape'] });
+        }
+
+        return {
+            kind: 'menu',
+            question: details[details.length - 1] || 'Codex is asking for confirmation',
+            details: details,
+            options: options,
+            denyOption: deny ? deny.id : 'deny'
+        };
+    }
+
+    static _parseYesNo(lines) {
+        // The question must still be waiting at the cursor, i.e. nothing typed after "(y/n)"
+        const index = ApprovalManager._lastIndex(lines, line => /(?:\(y\/n\)|\[y\/n\])\s*:?$/i.test(line));
+        if (index === -1 || index < lines.length - 1 - MAX_LINES_BELOW_PROMPT) return null;
+
+        const details = [...ApprovalManager._detailsAbove(lines, index), lines[index]];
+        return {
+            kind: 'yesno',
+            question: lines[index],
+            details: details,
+            options: [
+                { id: 'y', label: 'Yes', keys: ['y', 'Enter'] },
+                { id: 'n', label: 'No', keys: ['n', 'Enter'] }
+            ],
+            denyOption: 'n'
+        };
+    }
+
+    static _parseEnter(lines) {
+        const index = ApprovalManager._lastIndex(lines, line => /Press Enter|Enter to confirm/i.test(line));
+        if (index === -1 || index < lines.length - 1 - MAX_LINES_BELOW_PROMPT) return null;
+
+        const details = [...ApprovalManager._detailsAbove(lines, index), lines[index]];
+        return {
+            kind: 'enter',
+            question: lines[index],
+            details: details,
+            options: [
+                { id: 'enter', label: 'Continue (Enter)', keys: ['Enter'] },
+                { id: 'deny', label: 'Cancel (Esc)', keys: ['Escape'] }
+            ],
+            denyOption: 'deny'
+        };
+    }
+
+    static _detailsAbove(lines, index) {
+        // Up to five lines of context above the options, stopping at a box border
+        const details = [];
+        for (let i = index - 1; i >= 0 && details.length < 5; i--) {
+            if (BORDER_LINE.test(lines[i])) break;
+            details.unshift(lines[i]);
+        }
+        return details;
+    }
+
+    static _lastIndex(lines, predicate) {
+        for (let i = lines.length - 1; i >= 0; i--) {
+            if (predicate(lines[i])) return i;
+        }
+        return -1;
+    }
+}
+
+module.exports = ApprovalManager;
@@ -0,0 +1,183 @@
+/**
+ * Codex-Code-Remote Audit Log
+ * Append-only JSONL trail of every command injected (or blocked) from a remote channel
+ */
+
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+const Logger = require('./logger');
+
+const CSV_FIELDS = ['ts', 'channel', 'sender', 'token', 'sessionId', 'target', 'method', 'policyAction', 'policyRule', 'policyReason', 'outcome', 'error', 'commandHash', 'command'];
+
+const instances = new Map();
+
+class AuditLog {
+    /**
+     * @param {Object} options
+     * @param {string} options.filePath - JSONL file (default: AUDIT_LOG_PATH or src/logs/audit.jsonl)
+     * @param {boolean} options.includeCommand - Store command text as well as its hash (default: AUDIT_LOG_COMMANDS !== 'hash')
+     */
+    constructor(options = {}) {
+        this.logger = new Logger('AuditLog');
+        this.filePath = options.filePath || process.env.AUDIT_LOG_PATH || path.join(__dirname, '../logs/audit.jsonl');
+        this.includeCommand = options.includeCommand !== undefined
+            ? options.includeCommand
+            : process.env.AUDIT_LOG_COMMANDS !== 'hash';
+    }
+
+    /**
+     * Shared audit log for a file path, so every injector in a process appends to the same trail
+     * @param {Object} options - See constructor
+     * @returns {AuditLog}
+     */
+    static getDefault(options = {}) {
+        const filePath = options.filePath || process.env.AUDIT_LOG_PATH || path.join(__dirname, '../logs/audit.jsonl');
+        if (!instances.has(filePath)) {
+            instances.set(filePath, new AuditLog({ ...options, filePath }));
+        }
+        return instances.get(filePath);
+    }
+
+    /**
+     * Append one entry. Never throws: a broken audit file must not stop command delivery.
+     * @param {Object} entry
+     * @param {string} entry.channel - Inbound channel (telegram, email, ...)
+     * @param {string} entry.sender - Chat/user id or email address that sent the command
+     * @param {string} entry.token - Session token presented with the command
+     * @param {string} entry.sessionId - Notification session id
+     * @param {string} entry.target - tmux session or PTY mapping the command was sent to
+     * @param {string} entry.method - Injection method (tmux, pty, automation, ...)
+     * @param {string} entry.command - Command text
+     * @param {Object} entry.policy - Policy decision ({ action, rule, reason, confirmed })
+     * @param {string} entry.outcome - injected | failed | denied | pending
+     * @param {string} entry.error - Failure reason
+     * @returns {Object|null} The stored entry
+     */
+    record(entry = {}) {
+        const command = entry.command === undefined || entry.command === null ? '' : String(entry.command);
+        const record = {
+            ts: new Date().toISOString(),
+            channel: entry.channel || 'unknown',
+            sender: AuditLog._string(entry.sender),
+            token: entry.token ? String(entry.token).toUpperCase() : null,
+            sessionId: entry.sessionId || null,
+            target: entry.target || null,
+            method: entry.method || null,
+            commandHash: AuditLog.hash(command),
+            command: this.includeCommand ? command : null,
+            policy: entry.policy ? {
+                action: entry.policy.action || null,
+                rule: entry.policy.rule || null,
+                reason: entry.policy.reason || null,
+                ...(entry.policy.confirmed ? { confirmed: true } : {})
+            } : null,
+            outcome: entry.outcome || 'injected',
+            error: entry.error || null,
+            pid: process.pid
+        };
+
+        try {
+            fs.mkdirSync(path.dirname(this.filePath), { recursive: true });
+            fs.appendFileSync(this.filePath, JSON.stringify(record) + '\n', { mode: 0o600 });
+            return record;
+        } catch (error) {
+            this.logger.warn(`Failed to write audit entry: ${error.message}`);
+            return null;
+        }
+    }
+
+    /**
+     * Read entries, oldest first
+     * @param {Object} filters
+     * @param {string} filters.channel - Only this channel
+     * @param {string} filters.sender - Only this sender (case-insensitive)
+     * @param {string} filters.token - Only this token
+     * @param {string} filters.sessionId - Only this notification session or injection target
+     * @param {string} filters.outcome - Only this outcome
+     * @param {Date|string} filters.since - Only entries at or after this time
+     * @param {number} filters.limit - Keep only the most recent N entries
+     * @returns {Array<Object>}
+     */
+    query(filters = {}) {
+        let content;
+        try {
+            content = fs.readFileSync(this.filePath, 'utf8');
+        } catch (error) {
+            return [];
+        }
+
+        const since = filters.since ? new Date(filters.since).getTime() : null;
+        const sender = filters.sender ? String(filters.sender).toLowerCase() : null;
+        const token = filters.token ? String(filters.token).toUpperCase() : null;
+
+        const entries = [];
+        for (const line of content.split('\n')) {
+            if (!line.trim()) continue;
+            let entry;
+            try {
+                entry = JSON.parse(line);
+            } catch (error) {
+                // A torn trailing line from a crashed writer; skip it
+                continue;
+            }
+
+            if (filters.channel && entry.channel !== filters.channel) continue;
+            if (sender && String(entry.sender || '').toLowerCase() !== sender) continue;
+            if (token && entry.token !== token) continue;
+            if (filters.sessionId && entry.sessionId !== filters.sessionId && entry.target !== filters.sessionId) continue;
+            if (filters.outcome && entry.outcome !== filters.outcome) continue;
+            if (since !== null && new Date(entry.ts).getTime() < since) continue;
+            entries.push(entry);
+        }
+
+        const limit = parseInt(filters.limit, 10);
+        return limit > 0 ? entries.slice(-limit) : entries;
+    }
+
+    /**
+     * Serialize entries for export
+     * @param {Array<Object>} entries - Result of query()
+     * @param {string} format - json | jsonl | csv
+     * @returns {string}
+     */
+    static format(entries, format = 'jsonl') {
+        if (format === 'json') {
+            return JSON.stringify(entries, null, 2) + '\n';
+        }
+        if (format === 'csv') {
+            const rows = entries.map(entry => CSV_FIELDS.map(field => {
+                if (field === 'policyAction') return entry.policy?.action;
+                if (field === 'policyRule') return entry.policy?.rule;
+                if (field === 'policyReason') return entry.policy?.reason;
+                return entry[field];
+            }).map(AuditLog._csvCell).join(','));
+            return [CSV_FIELDS.join(','), ...rows].join('\n') + '\n';
+        }
+        if (format === 'jsonl') {
+            return entries.map(entry => JSON.stringify(entry)).join('\n') + (entries.length ? '\n' : '');
+        }
+        throw new Error(`Unknown audit export format: ${format}`);
+    }
+
+    /**
+     * SHA-256 of a command, so entries can be matched even when text is not stored
+     * @param {string} command - Command text
+     * @returns {string} Hex digest
+     */
+    static hash(command) {
+        return crypto.createHash('sha256').update(String(command || '')).digest('hex');
+    }
+
+    static _string(value) {
+        return value === undefined || value === null || value === '' ? null : String(value);
+    }
+
+    static _csvCell(value) {
+        if (value === undefined || value === null) return '';
+        const text = String(value);
+        return /[",\n\r]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+    }
+}
+
+module.exports = AuditLog;
@@ -0,0 +1,181 @@
+/**
+ * Codex-Code-Remote Channel Registry
+ * Resolves, loads and validates notification channels declared in config
+ */
+
+const path = require('path');
+const Logger = require('./logger');
+
+// Built-in channels shipped with this repository, keyed by config name
+const BUILTIN_CHANNELS = {
+    desktop: '../channels/local/desktop',
+    email: '../channels/email/smtp',
+    line: '../channels/line/line',
+    telegram: '../channels/telegram/telegram',
+    slack: '../channels/slack/slack',
+    discord: '../channels/discord/discord',
+    webhook: '../channels/webhook/incoming-webhook'
+};
+
+class ChannelRegistry {
+    /**
+     * @param {Object} options
+     * @param {string} options.configDir - Directory that relative `module` paths are resolved from
+     */
+    constructor(options = {}) {
+        this.logger = new Logger('ChannelRegistry');
+        this.configDir = options.configDir || path.join(__dirname, '../../config');
+        this.projectRoot = path.join(__dirname, '../..');
+        this.classes = new Map();
+    }
+
+    /**
+     * Register a channel class programmatically (takes precedence over built-ins)
+     * @param {string} name - Channel name
+     * @param {Function} ChannelClass - Class extending NotificationChannel
+     */
+    register(name, ChannelClass) {
+        this.classes.set(name, ChannelClass);
+        return this;
+    }
+
+    /**
+     * Check whether a channel name can be resolved without an explicit module
+     * @param {string} name - Channel name
+     * @returns {boolean}
+     */
+    has(name) {
+        return this.classes.has(name) || name in BUILTIN_CHANNELS;
+    }
+
+    /**
+     * List built-in channel names
+     * @returns {Array<string>}
+     */
+    getBuiltinNames() {
+        return Object.keys(BUILTIN_CHANNELS);
+    }
+
+    /**
+     * Resolve the module a channel should be loaded from
+     * Config may declare `module` (file path, relative to the config directory)
+     * or `package` (npm package name); otherwise the built-in is used
+     * @param {string} name - Channel name
+     * @param {Object} channelConfig - Channel entry from channels config
+     * @returns {string|null} Absolute module path or null if unknown
+     */
+    resolveModule(name, channelConfig = {}) {
+        if (channelConfig.module) {
+            return path.isAbsolute(channelConfig.module)
+                ? channelConfig.module
+                : path.resolve(this.configDir, channelConfig.module);
+        }
+
+        if (channelConfig.package) {
+            return require.resolve(channelConfig.package, {
+                paths: [process.cwd(), this.projectRoot]
+            });
+        }
+
+        if (BUILTIN_CHANNELS[name]) {
+            return require.resolve(BUILTIN_CHANNELS[name]);
+        }
+
+        return null;
+    }
+
+    /**
+     * Load the channel class for a config entry
+     * @param {string} name - Channel name
+     * @param {Object} channelConfig - Channel entry from channels config
+     * @returns {Function} Channel class
+     */
+    loadClass(name, channelConfig = {}) {
+        if (!channelConfig.module && !channelConfig.package && this.classes.has(name)) {
+            return this.classes.get(name);
+        }
+
+        const modulePath = this.resolveModule(name, channelConfig);
+        if (!modulePath) {
+            throw new Error(`Unknown channel "${name}": set "module" or "package" in its config`);
+        }
+
+        const exported = require(modulePath);
+        const ChannelClass = typeof exported === 'function' ? exported : exported && exported.default;
+
+        if (typeof ChannelClass !== 'function') {
+            throw new Error(`Channel module for "${name}" must export a channel class`);
+        }
+        if (typeof ChannelClass.prototype.send !== 'function') {
+            throw new Error(`Channel "${name}" does not implement send()`);
+        }
+
+        return ChannelClass;
+    }
+
+    /**
+     * Instantiate and validate a single channel
+     * @param {string} name - Channel name
+     * @param {Object} channelConfig - Channel entry from channels config
+     * @param {Object} overrides - Extra values merged into the channel's `config`
+     * @returns {Object} { name, channel, valid, error }
+     */
+    create(name, channelConfig = {}, overrides = {}) {
+        try {
+            const ChannelClass = this.loadClass(name, channelConfig);
+            const channel = new ChannelClass({ ...(channelConfig.config || {}), ...overrides });
+            const { valid, error } = ChannelRegistry.validate(channel);
+
+            return { name, channel, valid, error };
+        } catch (error) {
+            // require() errors include the full require stack; keep the first line only
+            const message = error.message.split('\n')[0];
+            this.logger.error(`Failed to load channel ${name}:`, message);
+            return { name, channel: null, valid: false, error: message };
+        }
+    }
+
+    /**
+     * Instantiate every channel in a channels config
+     * @param {Object} channelsConfig - Map of channel name to config entry
+     * @param {Object} options
+     * @param {boolean} options.includeDisabled - Also load channels with enabled: false
+     * @param {Object} options.overrides - Per-channel config overrides, keyed by name
+     * @returns {Array<Object>} Entries as returned by create()
+     */
+    loadAll(channelsConfig = {}, options = {}) {
+        const { includeDisabled = false, overrides = {} } = options;
+        const entries = [];
+
+        for (const [name, channelConfig] of Object.entries(channelsConfig)) {
+            if (!channelConfig || (!includeDisabled && !channelConfig.enabled)) {
+                continue;
+            }
+
+            const entry = this.create(name, channelConfig, overrides[name]);
+            entry.enabled = !!channelConfig.enabled;
+            entries.push(entry);
+        }
+
+        return entries;
+    }
+
+    /**
+     * Run a channel's validateConfig(), which may return a boolean or { valid, error }
+     * @param {NotificationChannel} channel - Channel instance
+     * @returns {Object} { valid, error }
+     */
+    static validate(channel) {
+        try {
+            const result = channel.validateConfig();
+            if (result && typeof result === 'object') {
+                return { valid: !!result.valid, error: result.error };
+            }
+            return { valid: !!result, error: result ? undefined : 'Invalid configuration' };
+        } catch (error) {
+            return { valid: false, error: error.message };
+        }
+    }
+}
+
+module.exports = ChannelRegistry;
@@ -0,0 +1,345 @@
+/**
+ * Codex-Code-Remote Command Policy
+ * Allow/deny/confirm rules applied to every command arriving from a remote channel
+ */
+
+const fs = require('fs');
+const path = require('path');
+const Logger = require('./logger');
+const SessionStore = require('./session-store');
+const TokenManager = require('./token-manager');
+const AuditLog = require('./audit-log');
+const TimeWindow = require('../utils/time-window');
+
+const ACTIONS = ['allow', 'deny', 'confirm'];
+
+// Used when no policy file exists; mirrors the blacklist the email relay has always applied
+const DEFAULT_POLICY = {
+    defaultAction: 'allow',
+    maxLength: 1000,
+    confirmTimeoutSeconds: 300,
+    rules: [
+        { id: 'recursive-delete', action: 'deny', pattern: 'rm\\s+-rf', reason: 'Recursive deletes are not allowed remotely' },
+        { id: 'sudo', action: 'deny', pattern: 'sudo\\s+', reason: 'sudo is not allowed remotely' },
+        { id: 'world-writable', action: 'deny', pattern: 'chmod\\s+777', reason: 'chmod 777 is not allowed remotely' },
+        { id: 'discard-output', action: 'deny', pattern: '>\\s*\\/dev\\/null', reason: 'Redirecting output to /dev/null is not allowed remotely' },
+        { id: 'pipe-to-shell', action: 'deny', pattern: ['curl.*\\|\\s*sh', 'wget.*\\|\\s*sh'], reason: 'Piping downloads into a shell is not allowed remotely' },
+        { id: 'eval', action: 'deny', pattern: ['eval\\s*\\(', 'exec\\s*\\('], reason: 'eval/exec calls are not allowed remotely' }
+    ]
+};
+
+const CONFIRM_PATTERN = new RegExp(`^confirm\\s+(${TokenManager.TOKEN_PATTERN})$`, 'i');
+
+class CommandPolicy {
+    /**
+     * @param {Object} options
+     * @param {string} options.policyPath - JSON policy file (default COMMAND_POLICY_PATH or config/command-policy.json)
+     * @param {Object} options.policy - Inline policy, skips the file entirely
+     * @param {SessionStore} options.store - Store for pending confirmations (default: shared session store)
+     * @param {AuditLog} options.audit - Where blocked commands are recorded (default: shared audit log)
+     */
+    constructor(options = {}) {
+        this.logger = new Logger('CommandPolicy');
+        this.policyPath = options.policyPath || process.env.COMMAND_POLICY_PATH ||
+            path.join(__dirname, '../../config/command-policy.json');
+        this.store = options.store || SessionStore.getDefault();
+        this.audit = options.audit || AuditLog.getDefault();
+        this._inline = options.policy || null;
+        this._mtime = null;
+        this._policy = null;
+        this._loadError = null;
+    }
+
+    /**
+     * Evaluate a command against the policy without side effects
+     * Rules are checked in order and the first match wins
+     * @param {string} command - Command text
+     * @param {Object} context
+     * @param {string} context.channel - Inbound channel name
+     * @param {string} context.sender - Chat/user id or email address of the sender
+     * @param {string} context.project - Project the target session belongs to
+     * @param {Date} context.now - Evaluation time (default: now)
+     * @returns {Object} { action, rule, reason }
+     */
+    evaluate(command, context = {}) {
+        const policy = this._getPolicy();
+        if (this._loadError) {
+            return { action: 'deny', rule: 'policy-error', reason: 'Command policy could not be loaded' };
+        }
+
+        const text = String(command || '');
+        if (policy.maxLength && text.length > policy.maxLength) {
+            return { action: 'deny', rule: 'max-length', reason: `Command is longer than ${policy.maxLength} characters` };
+        }
+
+        for (const rule of policy.rules) {
+            if (!rule.invalid && this._matches(rule, text, context, policy)) {
+                return {
+                    action: rule.action,
+                    rule: rule.id,
+                    reason: rule.reason || CommandPolicy._defaultReason(rule)
+                };
+            }
+        }
+
+        return {
+            action: policy.defaultAction,
+            rule: 'default',
+            reason: policy.defaultAction === 'allow' ? null : 'No policy rule allows this command'
+        };
+    }
+
+    /**
+     * Decide what to do with an inbound command, handling confirmations
+     * A command of the form `confirm <CODE>` releases a pending command queued by an earlier
+     * "confirm" decision, provided it comes from the same channel and sender.
+     * @param {string} command - Command text
+     * @param {Object} context - See evaluate(); also sessionId, token and tmuxSession for pending commands,
+     *   and kind ('command' by default, or 'control' for session control commands) so a code only releases its own kind
+     * @returns {Object} { action, command, rule, reason, code, confirmed }
+     */
+    check(command, context = {}) {
+        const text = String(command || '').trim();
+
+        const confirmMatch = text.match(CONFIRM_PATTERN);
+        if (confirmMatch) {
+            const result = this._resolveConfirmation(confirmMatch[1].toUpperCase(), context);
+            if (result.action === 'deny') {
+                this._audit(text, context, result, 'denied');
+            }
+            return result;
+        }
+
+        const decision = this.evaluate(text, context);
+        if (decision.action === 'deny') {
+            this.logger.warn(`Command denied on ${context.channel || 'unknown channel'} (${decision.rule}): ${decision.reason}`);
+            this._audit(text, context, decision, 'denied');
+            return { ...decision, command: text };
+        }
+
+        if (decision.action === 'confirm') {
+            const code = this._createConfirmation(text, context, decision);
+            this.logger.info(`Command on ${context.channel || 'unknown channel'} awaits confirmation (${decision.rule})`);
+            this._audit(text, context, decision, 'pending');
+            return { ...decision, command: text, code };
+        }
+
+        return { ...decision, command: text };
+    }
+
+    /**
+     * Build the message returned to the sender for a deny/confirm decision
+     * @param {Object} decision - Result of check()
+     * @param {string} confirmHint - How to send the confirmation on this channel (e.g. `/cmd TOKEN confirm CODE`)
+     * @returns {string|null} Message text, or null when the command is allowed
+     */
+    describe(decision, confirmHint = null) {
+        if (decision.action === 'deny') {
+            return `🚫 Command rejected by policy (rule: ${decision.rule}): ${decision.reason}`;
+        }
+        if (decision.action === 'confirm') {
+            const minutes = Math.max(1, Math.round(this._getPolicy().confirmTimeoutSeconds / 60));
+            const hint = confirmHint || `confirm ${decision.code}`;
+            return `⚠️ Command requires confirmation (rule: ${decision.rule}): ${decision.reason}\n` +
+                `Reply "${hint}" within ${minutes} minute(s) to run it.`;
+        }
+        return null;
+    }
+
+    _audit(command, context, decision, outcome) {
+        // Allowed commands are recorded by the injector that runs them
+        this.audit.record({
+            channel: context.channel,
+            sender: context.sender,
+            token: context.token,
+            sessionId: context.sessionId,
+            target: context.tmuxSession,
+            command: command,
+            policy: decision,
+            outcome: outcome
+        });
+    }
+
+    _createConfirmation(command, context, decision) {
+        const code = TokenManager.generate(8);
+        const now = Date.now();
+        this.store.set(SessionStore.COLLECTIONS.CONFIRMATIONS, code, {
+            code: code,
+            kind: context.kind || 'command',
+            command: command,
+            rule: decision.rule,
+            channel: context.channel || null,
+            sender: CommandPolicy._normalize(context.sender),
+            sessionId: context.sessionId || null,
+            token: context.token ? String(context.token).toUpperCase() : null,
+            tmuxSession: context.tmuxSession || null,
+            createdAt: Math.floor(now / 1000),
+            expiresAt: Math.floor(now / 1000) + this._getPolicy().confirmTimeoutSeconds
+        });
+        return code;
+    }
+
+    _resolveConfirmation(code, context) {
+        const pending = this.store.get(SessionStore.COLLECTIONS.CONFIRMATIONS, code);
+        const reject = reason => ({ action: 'deny', rule: 'confirmation', reason, command: null, confirmed: false });
+
+        if (!pending || pending.expiresAt < Math.floor(Date.now() / 1000)) {
+            return reject(`No pending command matches confirmation code ${code}`);
+        }
+        // A session control code must not release into a Codex prompt, nor a prompt code run a control command
+        if ((pending.kind || 'command') !== (context.kind || 'command')) {
+            return reject(pending.kind === 'control'
+                ? 'Confirmation code belongs to a session control command'
+                : 'Confirmation code belongs to a command for a Codex session');
+        }
+        if (pending.channel && pending.channel !== context.channel) {
+            return reject('Confirmation must come from the channel that sent the command');
+        }
+        if (pending.sender && pending.sender !== CommandPolicy._normalize(context.sender)) {
+            return reject('Confirmation must come from the sender of the command');
+        }
+        if (pending.token && context.token && pending.token !== String(context.token).toUpperCase()) {
+            return reject('Confirmation code belongs to a different session');
+        }
+
+        // Single use: a code can release its command exactly once
+        if (!this.store.delete(SessionStore.COLLECTIONS.CONFIRMATIONS, code)) {
+            return reject(`No pending command matches confirmation code ${code}`);
+        }
+
+        this.logger.info(`Confirmed command on ${context.channel || 'unknown channel'} (${pending.rule})`);
+        return {
+            action: 'allow',
+            rule: pending.rule,
+            reason: null,
+            command: pending.command,
+            confirmed: true,
+            pending: pending
+        };
+    }
+
+    _matches(rule, command, context, policy) {
+        if (rule.patterns.length > 0 && !rule.patterns.some(pattern => pattern.test(command))) {
+            return false;
+        }
+        if (rule.maxLength && command.length <= rule.maxLength) {
+            return false;
+        }
+        if (rule.channels && !rule.channels.includes(CommandPolicy._normalize(context.channel))) {
+            return false;
+        }
+        if (rule.senders && !rule.senders.includes(CommandPolicy._normalize(context.sender))) {
+            return false;
+        }
+        if (rule.projects && !rule.projects.includes(CommandPolicy._normalize(context.project))) {
+            return false;
+        }
+        if (rule.timeWindows && !TimeWindow.any(rule.timeWindows, context.now || new Date(), rule.timezone || policy.timezone)) {
+            return false;
+        }
+        return true;
+    }
+
+    _getPolicy() {
+        if (this._inline) {
+            if (!this._policy) {
+                this._policy = this._compile(this._inline, 'inline policy');
+            }
+            return this._policy;
+        }
+
+        let mtime = null;
+        try {
+            mtime = fs.statSync(this.policyPath).mtimeMs;
+        } catch (error) {
+            // No policy file: fall back to the built-in defaults
+        }
+
+        if (this._policy && mtime === this._mtime) {
+            return this._policy;
+        }
+
+        this._mtime = mtime;
+        if (mtime === null) {
+            this._policy = this._compile(DEFAULT_POLICY, 'built-in policy');
+            return this._policy;
+        }
+
+        try {
+            const raw = JSON.parse(fs.readFileSync(this.policyPath, 'utf8'));
+            this._policy = this._compile(raw, this.policyPath);
+            this.logger.info(`Loaded command policy from ${this.policyPath} (${this._policy.rules.length} rules)`);
+        } catch (error) {
+            this._policy = this._compile({ ...DEFAULT_POLICY, rules: [] }, 'fallback');
+            this._loadError = error.message;
+            this.logger.error(`Invalid command policy ${this.policyPath}, denying all commands:`, error.message);
+        }
+        return this._policy;
+    }
+
+    _compile(raw, source) {
+        this._loadError = null;
+
+        const defaultAction = raw.defaultAction || DEFAULT_POLICY.defaultAction;
+        if (!ACTIONS.includes(defaultAction)) {
+            throw new Error(`${source}: unknown defaultAction "${defaultAction}"`);
+        }
+
+        const timezone = raw.timezone || null;
+        if (timezone && !TimeWindow.isValidTimezone(timezone)) {
+            this.logger.warn(`${source}: unknown timezone "${timezone}"; rules with time windows that rely on it are skipped`);
+        }
+
+        const rules = (raw.rules || []).map((rule, index) => {
+            const id = rule.id || `rule-${index + 1}`;
+            if (!ACTIONS.includes(rule.action)) {
+                throw new Error(`${source}: rule ${id} has unknown action "${rule.action}"`);
+            }
+            const patterns = [].concat(rule.pattern || []).map(pattern => new RegExp(pattern, rule.flags || 'i'));
+            // Checked once here so evaluate() never throws on a timezone Intl does not know
+            const ruleTimezone = rule.timezone || timezone;
+            const invalid = rule.timeWindows && ruleTimezone && !TimeWindow.isValidTimezone(ruleTimezone)
+                ? `unknown timezone "${ruleTimezone}"`
+                : null;
+            if (invalid) {
+                this.logger.warn(`${source}: skipping rule ${id}: ${invalid}`);
+            }
+            return {
+                ...rule,
+                id,
+                patterns,
+                channels: CommandPolicy._list(rule.channels),
+                senders: CommandPolicy._list(rule.senders),
+                projects: CommandPolicy._list(rule.projects),
+                timeWindows: rule.timeWindows ? [].concat(rule.timeWindows) : null,
+                invalid
+            };
+        });
+
+        return {
+            defaultAction,
+            maxLength: raw.maxLength !== undefined ? raw.maxLength : DEFAULT_POLICY.maxLength,
+            confirmTimeoutSeconds: raw.confirmTimeoutSeconds || DEFAULT_POLICY.confirmTimeoutSeconds,
+            timezone,
+            rules
+        };
+    }
+
+    static _defaultReason(rule) {
+        if (rule.action === 'deny') return 'Blocked by command policy';
+        if (rule.action === 'confirm') return 'This command needs an explicit confirmation';
+        return null;
+    }
+
+    static _list(values) {
+        return values ? [].concat(values).map(CommandPolicy._normalize) : null;
+    }
+
+    static _normalize(value) {
+        return value === undefined || value === null ? '' : String(value).trim().toLowerCase();
+    }
+}
+
+CommandPolicy.DEFAULT_POLICY = DEFAULT_POLICY;
+
+module.exports = CommandPolicy;
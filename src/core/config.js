@@ -32,6 +32,50 @@ class ConfigManager {
                 completed: null,
                 waiting: null
             },
+            notificationTypes: {
+                command_received: {
+                    enabled: false
+                }
+            },
+            routing: {
+                timezone: null,
+                rules: []
+            },
+            throttle: {
+                collapseSeconds: 0,
+                quietHours: {
+                    timezone: null,
+                    windows: [],
+                    urgentTypes: ['error', 'approval_required', 'session_crashed']
+                },
+                rateLimits: {
+                    telegram: { max: 20, perSeconds: 60 }
+                }
+            },
+            digest: {
+                enabled: false,
+                schedule: 'hourly',
+                at: '18:00',
+                timezone: null,
+                channels: ['email'],
+                types: ['completed']
+            },
+            outbox: {
+                enabled: true,
+                maxAttempts: 8,
+                baseDelaySeconds: 30,
+                maxDelaySeconds: 3600,
+                exclude: ['desktop']
+            },
+            redaction: {
+                enabled: true,
+                entropy: {
+                    enabled: true,
+                    minLength: 32,
+                    threshold: 4.3
+                },
+                patterns: []
+            },
             channels: {
                 desktop: {
                     enabled: true,
@@ -58,7 +102,9 @@ class ConfigManager {
             },
             email: {
                 type: 'email',
-                enabled: process.env.SMTP_USER ? true : false,
+                enabled: process.env.EMAIL_ENABLED !== undefined
+                    ? process.env.EMAIL_ENABLED === 'true'
+                    : !!process.env.SMTP_USER,
                 config: {
                     smtp: {
                         host: process.env.SMTP_HOST || 'smtp.gmail.com',
@@ -87,11 +133,24 @@ class ConfigManager {
             },
             discord: {
                 type: 'chat',
-                enabled: false,
+                enabled: process.env.DISCORD_ENABLED === 'true',
                 config: {
-                    webhook: '',
+                    webhook: process.env.DISCORD_WEBHOOK_URL || '',
                     username: 'Codex-Code-Remote',
-                    avatar: null
+                    avatar: null,
+                    botToken: process.env.DISCORD_BOT_TOKEN || '',
+                    channelId: process.env.DISCORD_CHANNEL_ID || ''
+                }
+            },
+            line: {
+                type: 'chat',
+                enabled: process.env.LINE_ENABLED === 'true',
+                config: {
+                    channelAccessToken: process.env.LINE_CHANNEL_ACCESS_TOKEN || '',
+                    channelSecret: process.env.LINE_CHANNEL_SECRET || '',
+                    userId: process.env.LINE_USER_ID || '',
+                    groupId: process.env.LINE_GROUP_ID || '',
+                    publicUrl: process.env.LINE_PUBLIC_URL || ''
                 }
             },
             telegram: {
@@ -103,6 +162,26 @@ class ConfigManager {
                     groupId: process.env.TELEGRAM_GROUP_ID || '',
                     forceIPv4: process.env.TELEGRAM_FORCE_IPV4 === 'true'
                 }
+            },
+            webhook: {
+                type: 'webhook',
+                enabled: process.env.WEBHOOK_ENABLED === 'true',
+                config: {
+                    endpoints: [
+                        { name: 'teams', format: 'teams', url: process.env.TEAMS_WEBHOOK_URL },
+                        { name: 'mattermost', format: 'mattermost', url: process.env.MATTERMOST_WEBHOOK_URL },
+                        { name: 'rocketchat', format: 'rocketchat', url: process.env.ROCKETCHAT_WEBHOOK_URL }
+                    ].filter(endpoint => endpoint.url)
+                }
+            },
+            slack: {
+                type: 'chat',
+                enabled: process.env.SLACK_ENABLED === 'true',
+                config: {
+                    botToken: process.env.SLACK_BOT_TOKEN || '',
+                    channelId: process.env.SLACK_CHANNEL_ID || '',
+                    signingSecret: process.env.SLACK_SIGNING_SECRET || ''
+                }
             }
         };
     }
@@ -218,6 +297,13 @@ class ConfigManager {
         return this._channels[channelName];
     }
 
+    getChannels() {
+        if (!this._channels) {
+            this.load();
+        }
+        return this._channels;
+    }
+
     setChannel(channelName, config) {
         if (!this._channels) {
             this.load();
@@ -0,0 +1,179 @@
+/**
+ * Codex-Code-Remote Notification Digest
+ * Collects notifications in the session store and hands them out as one hourly or daily summary per channel.
+ * Channels that can render a digest implement sendDigest(digest).
+ */
+
+const crypto = require('crypto');
+const Logger = require('./logger');
+const SessionStore = require('./session-store');
+const TimeWindow = require('../utils/time-window');
+
+const DEFAULT_TYPES = ['completed'];
+const DEFAULT_DAILY_AT = '18:00';
+const MAX_RESPONSE_LENGTH = 2000;
+
+class NotificationDigest {
+    /**
+     * @param {Object} settings - Config `digest` section
+     * @param {boolean} settings.enabled - Send `types` to `channels` as a digest instead of one by one
+     * @param {string} settings.schedule - 'hourly' (default) or 'daily'
+     * @param {string} settings.at - Time of the daily digest, "HH:MM" (default 18:00)
+     * @param {string} settings.timezone - IANA timezone for `at` (default: system time)
+     * @param {Array<string>} settings.channels - Channels that get digests instead of single notifications
+     * @param {Array<string>} settings.types - Notification types collected (default: completed)
+     * @param {Object} options
+     * @param {SessionStore} options.store - Backing store (default: shared session store)
+     */
+    constructor(settings = {}, options = {}) {
+        this.logger = new Logger('NotificationDigest');
+        this.store = options.store || SessionStore.getDefault();
+        this.enabled = settings.enabled === true;
+        this.schedule = settings.schedule === 'daily' ? 'daily' : 'hourly';
+        this.at = settings.at || DEFAULT_DAILY_AT;
+        this.timezone = settings.timezone || null;
+        if (this.timezone && !TimeWindow.isValidTimezone(this.timezone)) {
+            this.logger.warn(`Unknown digest timezone "${this.timezone}"; using system time`);
+            this.timezone = null;
+        }
+        this.channels = [].concat(settings.channels || []);
+        this.types = [].concat(settings.types || DEFAULT_TYPES);
+    }
+
+    /**
+     * Channels that should get a notification in the digest rather than right away
+     * A routing rule's `digest` list applies to any notification it matches; the `digest` config
+     * applies to its `types` on the channels the notification was routed to.
+     * @param {Object} notification - Built notification
+     * @param {Object} route - Result of Notifier.route()
+     * @param {Array<string>} capable - Channels that implement sendDigest()
+     * @returns {Array<string>}
+     */
+    channelsFor(notification, route, capable) {
+        const fromRule = route.rule && route.rule.digest ? [].concat(route.rule.digest) : [];
+        const fromConfig = this.enabled && this.types.includes(notification.type)
+            ? this.channels.filter(name => route.channels.includes(name))
+            : [];
+        return capable.filter(name => fromRule.includes(name) || fromConfig.includes(name));
+    }
+
+    /**
+     * Queue a notification for the next digest
+     * @param {Object} notification - Built notification
+     * @param {Array<string>} channels - Channels the digest goes to
+     * @returns {Object} Stored item
+     */
+    add(notification, channels) {
+        const metadata = notification.metadata || {};
+        const completedAt = metadata.timestamp || new Date().toISOString();
+        const startedAt = metadata.startedAt || null;
+        const response = String(metadata.claudeResponse || '');
+        const item = {
+            id: `${Date.now()}-${crypto.randomBytes(4).toString('hex')}`,
+            channels,
+            type: notification.type,
+            project: notification.project,
+            tmuxSession: metadata.tmuxSession || null,
+            message: notification.message,
+            userQuestion: metadata.userQuestion || null,
+            response: response.length > MAX_RESPONSE_LENGTH ? `${response.substring(0, MAX_RESPONSE_LENGTH)}...` : response,
+            startedAt,
+            completedAt,
+            durationMs: startedAt ? Math.max(0, new Date(completedAt) - new Date(startedAt)) : null,
+            addedAt: Date.now()
+        };
+        this.logger.debug(`Queued ${notification.type} for the ${this.schedule} digest (${channels.join(', ')})`);
+        return this.store.set(SessionStore.COLLECTIONS.DIGEST_ITEMS, item.id, item);
+    }
+
+    /**
+     * Items waiting for a digest, oldest first
+     * @returns {Array<Object>}
+     */
+    pending() {
+        return this.store.list(SessionStore.COLLECTIONS.DIGEST_ITEMS).sort((a, b) => a.addedAt - b.addedAt);
+    }
+
+    /**
+     * Whether a digest is due: something was queued before the current hour or day began
+     * @param {Date} now
+     * @returns {boolean}
+     */
+    isDue(now = new Date()) {
+        const periodStart = this.periodStart(now);
+        return this.pending().some(item => item.addedAt < periodStart);
+    }
+
+    /**
+     * Start of the current digest period: the top of the hour, or the last time the clock passed `at`
+     * @param {Date} now
+     * @returns {number} Epoch milliseconds
+     */
+    periodStart(now = new Date()) {
+        const { minutes } = TimeWindow.localTime(now, this.timezone);
+        const startOfMinute = Math.floor(now.getTime() / 60000) * 60000;
+        if (this.schedule === 'hourly') {
+            return startOfMinute - (minutes % 60) * 60000;
+        }
+        const at = TimeWindow.parseTime(this.at, TimeWindow.parseTime(DEFAULT_DAILY_AT, 0));
+        const sinceAt = (minutes - at + 24 * 60) % (24 * 60);
+        return startOfMinute - sinceAt * 60000;
+    }
+
+    /**
+     * Build the digest one channel receives
+     * @param {Array<Object>} items - Pending items for the channel
+     * @param {Date} now
+     * @returns {Object} { schedule, since, until, count, sessions: [{ tmuxSession, project, items }] }
+     */
+    build(items, now = new Date()) {
+        const sessions = new Map();
+        for (const item of items) {
+            const key = `${item.project}:${item.tmuxSession || ''}`;
+            if (!sessions.has(key)) {
+                sessions.set(key, { project: item.project, tmuxSession: item.tmuxSession, items: [] });
+            }
+            sessions.get(key).items.push(item);
+        }
+        return {
+            schedule: this.schedule,
+            since: items.length > 0 ? new Date(items[0].addedAt).toISOString() : now.toISOString(),
+            until: now.toISOString(),
+            count: items.length,
+            sessions: [...sessions.values()]
+        };
+    }
+
+    /**
+     * Mark items as delivered to a channel; items go away once every channel has them
+     * @param {Array<Object>} items
+     * @param {string} channel
+     */
+    markSent(items, channel) {
+        for (const item of items) {
+            const remaining = item.channels.filter(name => name !== channel);
+            item.channels = remaining;
+            if (remaining.length === 0) {
+                this.store.delete(SessionStore.COLLECTIONS.DIGEST_ITEMS, item.id);
+            } else {
+                this.store.update(SessionStore.COLLECTIONS.DIGEST_ITEMS, item.id, { channels: remaining });
+            }
+        }
+    }
+
+    /**
+     * Human-readable duration, e.g. "1h 5m" or "42s"
+     * @param {number} ms
+     * @returns {string}
+     */
+    static formatDuration(ms) {
+        if (ms === null || ms === undefined) return '-';
+        const seconds = Math.round(ms / 1000);
+        if (seconds < 60) return `${seconds}s`;
+        const minutes = Math.round(seconds / 60);
+        if (minutes < 60) return `${minutes}m`;
+        return `${Math.floor(minutes / 60)}h ${minutes % 60}m`;
+    }
+}
+
+module.exports = NotificationDigest;
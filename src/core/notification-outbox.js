@@ -0,0 +1,171 @@
+/**
+ * Codex-Code-Remote Notification Outbox
+ * Durable record of failed channel sends, retried with exponential backoff and jitter.
+ * Entries are keyed by notification id and channel, so a notification is never queued or delivered twice per channel.
+ */
+
+const Logger = require('./logger');
+const SessionStore = require('./session-store');
+
+const DEFAULT_MAX_ATTEMPTS = 8;
+const DEFAULT_BASE_DELAY_SECONDS = 30;
+const DEFAULT_MAX_DELAY_SECONDS = 3600;
+const DEFAULT_EXCLUDE = ['desktop'];
+
+class NotificationOutbox {
+    /**
+     * @param {Object} settings - Config `outbox` section
+     * @param {boolean} settings.enabled - Queue failed sends for retry (default true)
+     * @param {number} settings.maxAttempts - Give up after this many failed attempts (default 8)
+     * @param {number} settings.baseDelaySeconds - Delay before the first retry (default 30)
+     * @param {number} settings.maxDelaySeconds - Upper bound on the delay between retries (default 3600)
+     * @param {Array<string>} settings.exclude - Channels never retried (default: desktop)
+     * @param {Object} options
+     * @param {SessionStore} options.store - Backing store (default: shared session store)
+     */
+    constructor(settings = {}, options = {}) {
+        this.logger = new Logger('NotificationOutbox');
+        this.store = options.store || SessionStore.getDefault();
+        this.enabled = settings.enabled !== false;
+        this.maxAttempts = settings.maxAttempts || DEFAULT_MAX_ATTEMPTS;
+        this.baseDelayMs = (settings.baseDelaySeconds || DEFAULT_BASE_DELAY_SECONDS) * 1000;
+        this.maxDelayMs = (settings.maxDelaySeconds || DEFAULT_MAX_DELAY_SECONDS) * 1000;
+        this.exclude = [].concat(settings.exclude || DEFAULT_EXCLUDE);
+    }
+
+    /**
+     * Whether failed sends on a channel are queued
+     * @param {string} channel
+     * @returns {boolean}
+     */
+    retries(channel) {
+        return this.enabled && !this.exclude.includes(channel);
+    }
+
+    /**
+     * Record a failed send; the first failure queues the notification, later ones push the next attempt back
+     * @param {Object} notification - Built notification (with id)
+     * @param {string} channel - Channel name
+     * @param {string} error - Why the send failed
+     * @param {Date} now
+     * @returns {Object|null} Outbox entry, or null if the channel is not retried or the entry is settled
+     */
+    recordFailure(notification, channel, error, now = new Date()) {
+        if (!this.retries(channel) || !notification.id) return null;
+
+        const key = NotificationOutbox.key(notification.id, channel);
+        const previous = this.store.get(SessionStore.COLLECTIONS.OUTBOX, key);
+        if (previous && previous.status !== 'pending') {
+            return null;
+        }
+
+        const attempts = (previous ? previous.attempts : 0) + 1;
+        const dead = attempts >= this.maxAttempts;
+        const entry = {
+            key,
+            notificationId: notification.id,
+            channel,
+            notification: previous ? previous.notification : notification,
+            status: dead ? 'dead' : 'pending',
+            attempts,
+            lastError: error || 'send failed',
+            nextAttemptAt: dead ? null : now.getTime() + this.backoff(attempts),
+            createdAt: previous ? previous.createdAt : now.getTime(),
+            updatedAt: now.getTime()
+        };
+
+        if (dead) {
+            this.logger.error(`Giving up on ${notification.type} via ${channel} after ${attempts} attempts: ${entry.lastError}`);
+        } else {
+            this.logger.warn(`${channel} send failed (attempt ${attempts}), retrying at ${new Date(entry.nextAttemptAt).toISOString()}`);
+        }
+        return this.store.set(SessionStore.COLLECTIONS.OUTBOX, key, entry);
+    }
+
+    /**
+     * Record a successful send; settles the outbox entry if the notification had failed before
+     * @param {Object} notification
+     * @param {string} channel
+     * @param {Date} now
+     */
+    recordSuccess(notification, channel, now = new Date()) {
+        if (!notification.id) return;
+        const key = NotificationOutbox.key(notification.id, channel);
+        const entry = this.store.get(SessionStore.COLLECTIONS.OUTBOX, key);
+        if (entry && entry.status === 'pending') {
+            this.logger.info(`${notification.type} delivered via ${channel} after ${entry.attempts} failed attempt(s)`);
+            this.store.update(SessionStore.COLLECTIONS.OUTBOX, key, {
+                status: 'delivered',
+                nextAttemptAt: null,
+                updatedAt: now.getTime()
+            });
+        }
+    }
+
+    /**
+     * Whether a notification already reached a channel through a retry
+     * @param {string} notificationId
+     * @param {string} channel
+     * @returns {boolean}
+     */
+    isDelivered(notificationId, channel) {
+        const entry = notificationId && this.store.get(SessionStore.COLLECTIONS.OUTBOX, NotificationOutbox.key(notificationId, channel));
+        return Boolean(entry && entry.status === 'delivered');
+    }
+
+    /**
+     * Pending entries whose next attempt is due, oldest first
+     * @param {Date} now
+     * @returns {Array<Object>}
+     */
+    due(now = new Date()) {
+        return this.list('pending')
+            .filter(entry => entry.nextAttemptAt <= now.getTime())
+            .sort((a, b) => a.createdAt - b.createdAt);
+    }
+
+    /**
+     * Outbox entries, optionally by status
+     * @param {string} status - 'pending', 'delivered' or 'dead'
+     * @returns {Array<Object>}
+     */
+    list(status) {
+        const entries = this.store.list(SessionStore.COLLECTIONS.OUTBOX);
+        return status ? entries.filter(entry => entry.status === status) : entries;
+    }
+
+    /**
+     * Per-channel counts over the retained entries
+     * @returns {Object} { <channel>: { failures, pending, delivered, dead, lastError } }
+     */
+    summary() {
+        const channels = {};
+        for (const entry of this.list().sort((a, b) => a.updatedAt - b.updatedAt)) {
+            const counts = channels[entry.channel] ||
+                (channels[entry.channel] = { failures: 0, pending: 0, delivered: 0, dead: 0, lastError: null });
+            counts.failures += entry.attempts;
+            counts[entry.status]++;
+            counts.lastError = entry.lastError;
+        }
+        return channels;
+    }
+
+    /**
+     * Delay before the next attempt: exponential in the attempt count, capped, with equal jitter
+     * @param {number} attempts - Failed attempts so far
+     * @param {Function} random - Source of jitter in [0, 1)
+     * @returns {number} Milliseconds
+     */
+    backoff(attempts, random = Math.random) {
+        const delay = Math.min(this.maxDelayMs, this.baseDelayMs * Math.pow(2, Math.max(0, attempts - 1)));
+        return Math.round(delay / 2 + random() * delay / 2);
+    }
+
+    static key(notificationId, channel) {
+        return `${notificationId}:${channel}`;
+    }
+}
+
+NotificationOutbox.DEFAULT_MAX_ATTEMPTS = DEFAULT_MAX_ATTEMPTS;
+
+module.exports = NotificationOutbox;
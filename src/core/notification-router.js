@@ -0,0 +1,140 @@
+/**
+ * Codex-Code-Remote Notification Router
+ * Rules from the `routing` config section that pick channels per notification
+ * by type, project, tmux session and time of day
+ */
+
+const Logger = require('./logger');
+const TimeWindow = require('../utils/time-window');
+
+class NotificationRouter {
+    /**
+     * @param {Object} routing - Config `routing` section
+     * @param {string} routing.timezone - IANA timezone for time windows (default: system time)
+     * @param {Array<Object>} routing.rules - Checked in order; the first match wins
+     */
+    constructor(routing = {}) {
+        this.logger = new Logger('NotificationRouter');
+        this.timezone = routing.timezone || null;
+        if (this.timezone && !TimeWindow.isValidTimezone(this.timezone)) {
+            this.logger.warn(`Unknown routing timezone "${this.timezone}"; rules with time windows that rely on it are skipped`);
+        }
+        this.rules = (routing.rules || []).map((rule, index) => {
+            const compiled = NotificationRouter._compile(rule, index);
+            compiled.invalid = this._validate(compiled);
+            if (compiled.invalid) {
+                this.logger.warn(`Skipping routing rule ${compiled.id}: ${compiled.invalid}`);
+            }
+            return compiled;
+        });
+    }
+
+    /**
+     * Pick the channels for a notification
+     * @param {Object} notification - Built notification ({ type, project, metadata })
+     * @param {Array<string>} defaults - Channels it goes to without a rule (after per-type routing)
+     * @param {Array<string>} available - Every channel a rule may select
+     * @param {Date} now - Evaluation time (default: now)
+     * @returns {Object} { rule, channels, suppressed, emailTo }
+     */
+    route(notification, defaults, available = defaults, now = new Date()) {
+        const rule = this.rules.find(candidate => !this._mismatch(candidate, notification, now)) || null;
+        return NotificationRouter._apply(rule, defaults, available);
+    }
+
+    /**
+     * Same as route(), plus the verdict on every rule
+     * @param {Object} notification
+     * @param {Array<string>} defaults
+     * @param {Array<string>} available
+     * @param {Date} now
+     * @returns {Object} { rule, channels, suppressed, emailTo, evaluated: [{ id, matched, reason }] }
+     */
+    explain(notification, defaults, available = defaults, now = new Date()) {
+        let matchedRule = null;
+        const evaluated = this.rules.map(rule => {
+            if (matchedRule) {
+                return { id: rule.id, matched: false, reason: `rule ${matchedRule.id} matched first` };
+            }
+            const mismatch = this._mismatch(rule, notification, now);
+            if (!mismatch) {
+                matchedRule = rule;
+            }
+            return { id: rule.id, matched: !mismatch, reason: mismatch || 'all conditions match' };
+        });
+        return { ...NotificationRouter._apply(matchedRule, defaults, available), evaluated };
+    }
+
+    // Why a rule does not match, or null if it does
+    _mismatch(rule, notification, now) {
+        if (rule.invalid) {
+            return `skipped: ${rule.invalid}`;
+        }
+        const metadata = notification.metadata || {};
+        const checks = [
+            ['type', rule.types, notification.type],
+            ['project', rule.projects, notification.project],
+            ['session', rule.sessions, metadata.tmuxSession]
+        ];
+        for (const [name, allowed, value] of checks) {
+            if (allowed && !allowed.includes(NotificationRouter._normalize(value))) {
+                return `${name} ${value || '(none)'} is not ${allowed.join(' or ')}`;
+            }
+        }
+        if (rule.timeWindows && !TimeWindow.any(rule.timeWindows, now, rule.timezone || this.timezone)) {
+            return `time is outside ${rule.timeWindows.map(TimeWindow.describe).join(', ')}`;
+        }
+        return null;
+    }
+
+    // Why a rule cannot be evaluated, or null; checked once here so route() never throws at send time
+    _validate(rule) {
+        const timezone = rule.timezone || this.timezone;
+        if (rule.timeWindows && timezone && !TimeWindow.isValidTimezone(timezone)) {
+            return `unknown timezone "${timezone}"`;
+        }
+        return null;
+    }
+
+    static _apply(rule, defaults, available) {
+        if (!rule) {
+            return { rule: null, channels: [...defaults], suppressed: [], emailTo: null };
+        }
+
+        let channels = rule.channels ? available.filter(name => rule.channels.includes(name)) : [...defaults];
+        if (rule.suppress) {
+            channels = channels.filter(name => !rule.suppress.includes(name));
+        }
+        return {
+            rule,
+            channels,
+            suppressed: defaults.filter(name => !channels.includes(name)),
+            emailTo: rule.emailTo
+        };
+    }
+
+    static _compile(rule, index) {
+        return {
+            ...rule,
+            id: rule.id || `rule-${index + 1}`,
+            types: NotificationRouter._list(rule.types || rule.type),
+            projects: NotificationRouter._list(rule.projects || rule.project),
+            sessions: NotificationRouter._list(rule.sessions || rule.session),
+            timeWindows: rule.timeWindows ? [].concat(rule.timeWindows) : null,
+            channels: rule.channels ? [].concat(rule.channels) : null,
+            suppress: rule.suppress ? [].concat(rule.suppress) : null,
+            digest: rule.digest ? [].concat(rule.digest) : null,
+            emailTo: rule.emailTo ? [].concat(rule.emailTo).join(', ') : null
+        };
+    }
+
+    static _list(values) {
+        return values ? [].concat(values).map(NotificationRouter._normalize) : null;
+    }
+
+    static _normalize(value) {
+        return value === undefined || value === null ? '' : String(value).trim().toLowerCase();
+    }
+}
+
+module.exports = NotificationRouter;
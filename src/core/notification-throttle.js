@@ -0,0 +1,282 @@
+/**
+ * Codex-Code-Remote Notification Throttle
+ * Quiet hours, per-session collapsing, snoozes and per-channel rate limits for the Notifier.
+ * Holds and snoozes live in the session store so webhook handlers and the monitor share them.
+ */
+
+const Logger = require('./logger');
+const SessionStore = require('./session-store');
+const TimeWindow = require('../utils/time-window');
+
+// Off by default: held repeats only go out from a process that sends again later (the monitor or the next notification)
+const DEFAULT_COLLAPSE_SECONDS = 0;
+const DEFAULT_URGENT_TYPES = ['error', 'approval_required', 'session_crashed'];
+const DEFAULT_MAX_QUEUE = 50;
+// A send that would wait longer for its rate limit fails instead and is left to the outbox
+const DEFAULT_MAX_WAIT_SECONDS = 60;
+
+class NotificationThrottle {
+    /**
+     * @param {Object} settings - Config `throttle` section
+     * @param {number} settings.collapseSeconds - Hold repeats of a type for the same session this long (default 0, off)
+     * @param {Object} settings.quietHours - { timezone, windows: [{ days, start, end }], urgentTypes }
+     * @param {Object} settings.rateLimits - Per channel: { max, perSeconds, maxQueue, maxWaitSeconds }
+     * @param {Object} options
+     * @param {SessionStore} options.store - Backing store (default: shared session store)
+     */
+    constructor(settings = {}, options = {}) {
+        this.logger = new Logger('NotificationThrottle');
+        this.store = options.store || SessionStore.getDefault();
+        this.collapseMs = (settings.collapseSeconds !== undefined && settings.collapseSeconds !== null
+            ? Number(settings.collapseSeconds) : DEFAULT_COLLAPSE_SECONDS) * 1000;
+        const quietHours = settings.quietHours || {};
+        this.quietWindows = [].concat(quietHours.windows || []);
+        this.quietTimezone = quietHours.timezone || null;
+        if (this.quietTimezone && !TimeWindow.isValidTimezone(this.quietTimezone)) {
+            this.logger.warn(`Unknown quiet hours timezone "${this.quietTimezone}"; using system time`);
+            this.quietTimezone = null;
+        }
+        this.urgentTypes = quietHours.urgentTypes || DEFAULT_URGENT_TYPES;
+        this.rateLimits = settings.rateLimits || {};
+        this.rateState = new Map();
+    }
+
+    /**
+     * Decide what happens to a built notification
+     * @param {Object} notification - Built notification
+     * @param {Date} now - Evaluation time (default: now)
+     * @returns {Object} { action: 'send' | 'hold' | 'drop', reason, releaseAt }
+     */
+    check(notification, now = new Date()) {
+        const session = NotificationThrottle.sessionKey(notification);
+        const snooze = this.getSnooze(session, now);
+        if (snooze) {
+            return { action: 'drop', reason: `snoozed until ${new Date(snooze.until).toISOString()}` };
+        }
+        if (this.isQuiet(notification.type, now)) {
+            return { action: 'hold', reason: 'quiet hours', releaseAt: null };
+        }
+        if (this.collapseMs > 0) {
+            const last = this.store.get(SessionStore.COLLECTIONS.NOTIFICATION_HISTORY, `${session}:${notification.type}`);
+            if (last && now.getTime() - last.sentAt < this.collapseMs) {
+                return { action: 'hold', reason: 'collapsed', releaseAt: last.sentAt + this.collapseMs };
+            }
+        }
+        return { action: 'send', reason: null };
+    }
+
+    /**
+     * Remember that a notification went out (starts its collapse window)
+     * @param {Object} notification
+     * @param {Date} now
+     */
+    recordSent(notification, now = new Date()) {
+        if (this.collapseMs <= 0) return;
+        const session = NotificationThrottle.sessionKey(notification);
+        this.store.set(SessionStore.COLLECTIONS.NOTIFICATION_HISTORY, `${session}:${notification.type}`, {
+            session,
+            type: notification.type,
+            sentAt: now.getTime()
+        });
+    }
+
+    /**
+     * Hold a notification; later ones for the same session and type replace it and are counted
+     * @param {Object} notification - Built notification
+     * @param {Object} decision - Result of check()
+     * @param {Date} now
+     * @returns {Object} Held record
+     */
+    hold(notification, decision, now = new Date()) {
+        const session = NotificationThrottle.sessionKey(notification);
+        const key = `${session}:${notification.type}`;
+        const previous = this.store.get(SessionStore.COLLECTIONS.HELD_NOTIFICATIONS, key);
+        return this.store.set(SessionStore.COLLECTIONS.HELD_NOTIFICATIONS, key, {
+            key,
+            session,
+            type: notification.type,
+            // Enough to rebuild the notification on release
+            metadata: { ...notification.metadata, project: notification.project },
+            reason: decision.reason,
+            releaseAt: decision.releaseAt,
+            count: (previous ? previous.count : 0) + 1,
+            firstAt: previous ? previous.firstAt : now.getTime(),
+            lastAt: now.getTime()
+        });
+    }
+
+    /**
+     * Held notifications that may go out now, removed from the store
+     * Quiet-hour holds wait until quiet hours end (urgent types never wait); collapsed ones until their window ends.
+     * @param {Date} now
+     * @returns {Array<Object>} Held records
+     */
+    takeReleasable(now = new Date()) {
+        const released = [];
+        for (const held of this.store.list(SessionStore.COLLECTIONS.HELD_NOTIFICATIONS)) {
+            if (this.isQuiet(held.type, now) || (held.releaseAt && held.releaseAt > now.getTime())) {
+                continue;
+            }
+            if (this.store.delete(SessionStore.COLLECTIONS.HELD_NOTIFICATIONS, held.key)) {
+                released.push(held);
+            }
+        }
+        return released;
+    }
+
+    /**
+     * Currently held notifications
+     * @returns {Array<Object>}
+     */
+    listHeld() {
+        return this.store.list(SessionStore.COLLECTIONS.HELD_NOTIFICATIONS);
+    }
+
+    /**
+     * Whether a type is held right now because of quiet hours
+     * @param {string} type - Notification type
+     * @param {Date} now
+     * @returns {boolean}
+     */
+    isQuiet(type, now = new Date()) {
+        return this.quietWindows.length > 0 &&
+            !this.urgentTypes.includes(type) &&
+            TimeWindow.any(this.quietWindows, now, this.quietTimezone);
+    }
+
+    /**
+     * Drop every notification for a tmux session until the snooze ends
+     * @param {string} session - tmux session name
+     * @param {number} minutes - Snooze length
+     * @param {Object} context - { channel, sender } for the record
+     * @returns {Object} Snooze record
+     */
+    snooze(session, minutes, context = {}) {
+        const until = Date.now() + minutes * 60 * 1000;
+        this.logger.info(`Snoozing notifications for ${session} until ${new Date(until).toISOString()}`);
+        return this.store.set(SessionStore.COLLECTIONS.SNOOZES, session, {
+            session,
+            until,
+            channel: context.channel || null,
+            sender: context.sender !== undefined ? String(context.sender) : null,
+            createdAt: Date.now()
+        });
+    }
+
+    /**
+     * End a snooze early
+     * @param {string} session - tmux session name
+     * @returns {boolean} Whether the session was snoozed
+     */
+    unsnooze(session) {
+        return this.store.delete(SessionStore.COLLECTIONS.SNOOZES, session);
+    }
+
+    /**
+     * Active snooze for a session
+     * @param {string} session
+     * @param {Date} now
+     * @returns {Object|null}
+     */
+    getSnooze(session, now = new Date()) {
+        const snooze = this.store.get(SessionStore.COLLECTIONS.SNOOZES, session);
+        return snooze && snooze.until > now.getTime() ? snooze : null;
+    }
+
+    /**
+     * Active snoozes
+     * @param {Date} now
+     * @returns {Array<Object>}
+     */
+    listSnoozes(now = new Date()) {
+        return this.store.list(SessionStore.COLLECTIONS.SNOOZES).filter(snooze => snooze.until > now.getTime());
+    }
+
+    /**
+     * Wait for a free slot in a channel's rate limit (`rateLimits.<channel>`)
+     * Send times are kept in the session store, so the limit covers every process that notifies: the hook,
+     * the webhooks and the monitor. Sends over the limit are queued in order; when the queue is full, or the
+     * next free slot is more than `maxWaitSeconds` away, the send is rejected and left to the outbox to retry.
+     * @param {string} channel - Channel name
+     * @returns {Promise<void>}
+     */
+    acquire(channel) {
+        const limit = this.rateLimits[channel];
+        if (!limit || !(limit.max > 0)) {
+            return Promise.resolve();
+        }
+        if (!this.rateState.has(channel)) {
+            this.rateState.set(channel, { queue: [], timer: null, retryAt: null });
+        }
+        const state = this.rateState.get(channel);
+        if (state.queue.length >= (limit.maxQueue || DEFAULT_MAX_QUEUE)) {
+            return Promise.reject(new Error(`${channel} rate limit queue is full`));
+        }
+        const maxWaitSeconds = limit.maxWaitSeconds !== undefined ? limit.maxWaitSeconds : DEFAULT_MAX_WAIT_SECONDS;
+        return new Promise((resolve, reject) => {
+            state.queue.push({ resolve, reject, deadline: Date.now() + maxWaitSeconds * 1000 });
+            this._drain(channel);
+        });
+    }
+
+    _drain(channel) {
+        const state = this.rateState.get(channel);
+        while (state.queue.length > 0 && !state.timer) {
+            const retryAt = this._reserve(channel);
+            if (retryAt === null) {
+                state.queue.shift().resolve();
+                continue;
+            }
+            state.retryAt = retryAt;
+            this.logger.debug(`${channel} rate limit reached, ${state.queue.length} notification(s) queued`);
+            state.timer = setTimeout(() => {
+                state.timer = null;
+                this._drain(channel);
+            }, Math.max(0, retryAt - Date.now()));
+        }
+
+        // Sends that would still be waiting past their deadline give up now rather than later
+        if (state.timer) {
+            const expired = state.queue.filter(waiting => waiting.deadline < state.retryAt);
+            state.queue = state.queue.filter(waiting => waiting.deadline >= state.retryAt);
+            expired.forEach(waiting => waiting.reject(new Error(`${channel} rate limit reached`)));
+            if (state.queue.length === 0) {
+                clearTimeout(state.timer);
+                state.timer = null;
+            }
+        }
+    }
+
+    // Take a slot in the shared window; returns null on success, else when the oldest send leaves the window
+    _reserve(channel) {
+        const limit = this.rateLimits[channel];
+        const windowMs = (limit.perSeconds || 60) * 1000;
+        const now = Date.now();
+        let retryAt = null;
+        this.store.upsert(SessionStore.COLLECTIONS.RATE_LIMITS, channel, current => {
+            const sent = (current ? current.sent : []).filter(sentAt => sentAt > now - windowMs);
+            if (sent.length < limit.max) {
+                sent.push(now);
+            } else {
+                retryAt = Math.min(...sent) + windowMs;
+            }
+            return { channel, sent, updatedAt: now };
+        });
+        return retryAt;
+    }
+
+    /**
+     * Key notifications are collapsed and snoozed by: the tmux session, else the project
+     * @param {Object} notification - Built notification
+     * @returns {string}
+     */
+    static sessionKey(notification) {
+        const metadata = notification.metadata || {};
+        return String(metadata.tmuxSession || notification.project || 'default');
+    }
+}
+
+NotificationThrottle.DEFAULT_COLLAPSE_SECONDS = DEFAULT_COLLAPSE_SECONDS;
+NotificationThrottle.DEFAULT_URGENT_TYPES = DEFAULT_URGENT_TYPES;
+
+module.exports = NotificationThrottle;
@@ -0,0 +1,119 @@
+/**
+ * Notification Types
+ * What each notification type looks like across channels: emoji, colour, status label and desktop sound.
+ * Titles and messages per language live in the Notifier's i18n table.
+ */
+
+const TYPES = {
+    completed: {
+        emoji: '✅',
+        color: '#2ecc71',
+        label: 'Completed',
+        headline: 'Codex Task Completed',
+        sound: 'Glass'
+    },
+    waiting: {
+        emoji: '⏳',
+        color: '#f1c40f',
+        label: 'Waiting for Input',
+        headline: 'Codex Task Waiting for Input',
+        sound: 'Tink'
+    },
+    error: {
+        emoji: '❌',
+        color: '#e74c3c',
+        label: 'Failed',
+        headline: 'Codex Task Failed',
+        sound: 'Basso'
+    },
+    approval_required: {
+        emoji: '🔐',
+        color: '#e67e22',
+        label: 'Approval Required',
+        headline: 'Codex Approval Required',
+        sound: 'Ping'
+    },
+    context_low: {
+        emoji: '📉',
+        color: '#9b59b6',
+        label: 'Context Running Low',
+        headline: 'Codex Context Running Low',
+        sound: 'Pop'
+    },
+    session_crashed: {
+        emoji: '💥',
+        color: '#c0392b',
+        label: 'Session Crashed',
+        headline: 'Codex Session Crashed',
+        sound: 'Sosumi'
+    },
+    session_closed: {
+        emoji: '🔌',
+        color: '#95a5a6',
+        label: 'Session Closed',
+        headline: 'Codex Session Closed',
+        sound: 'Pop'
+    },
+    session_stalled: {
+        emoji: '🐢',
+        color: '#d35400',
+        label: 'Session Stalled',
+        headline: 'Codex Session Stalled',
+        sound: 'Funk'
+    },
+    command_received: {
+        emoji: '📥',
+        color: '#3498db',
+        label: 'Command Received',
+        headline: 'Codex Command Received',
+        sound: 'Pop'
+    }
+};
+
+// Shown for types added by plugins or custom callers
+const FALLBACK = {
+    emoji: 'ℹ️',
+    color: '#7f8c8d',
+    label: 'Notification',
+    headline: 'Codex Notification',
+    sound: 'Glass'
+};
+
+class NotificationTypes {
+    /**
+     * Presentation of a type
+     * @param {string} type - Notification type
+     * @returns {Object} { type, emoji, color, label, headline, sound }
+     */
+    static get(type) {
+        return { type, ...(TYPES[type] || FALLBACK) };
+    }
+
+    /**
+     * Whether the type is one of the built-in types
+     * @param {string} type
+     * @returns {boolean}
+     */
+    static isKnown(type) {
+        return Object.prototype.hasOwnProperty.call(TYPES, type);
+    }
+
+    /**
+     * Built-in type names
+     * @returns {Array<string>}
+     */
+    static list() {
+        return Object.keys(TYPES);
+    }
+
+    /**
+     * Colour as a number (Discord embeds)
+     * @param {string} type
+     * @returns {number}
+     */
+    static colorValue(type) {
+        return parseInt(NotificationTypes.get(type).color.slice(1), 16);
+    }
+}
+
+module.exports = NotificationTypes;
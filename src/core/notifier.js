@@ -5,13 +5,26 @@
 
 const Logger = require('./logger');
 const ConfigManager = require('./config');
+const ChannelRegistry = require('./channel-registry');
+const NotificationTypes = require('./notification-types');
+const NotificationRouter = require('./notification-router');
+const NotificationThrottle = require('./notification-throttle');
+const NotificationDigest = require('./notification-digest');
+const NotificationOutbox = require('./notification-outbox');
+const Redactor = require('../utils/redactor');
+const { v4: uuidv4 } = require('uuid');
 
 class Notifier {
     constructor(configManager = null) {
         this.logger = new Logger('Notifier');
         this.config = configManager || new ConfigManager();
+        this.registry = new ChannelRegistry({ configDir: this.config.configDir });
         this.channels = new Map();
         this.i18n = null;
+        this.router = null;
+        this.throttle = null;
+        this.digest = null;
+        this.outbox = null;
         
         this._loadI18n();
     }
@@ -27,55 +40,39 @@ class Notifier {
     }
 
     /**
-     * Initialize default channels
+     * Initialize channels declared in the channels config
+     * Built-in channels and plugins (via `module` / `package`) are loaded through the registry
      */
     async initializeChannels() {
         this.logger.debug('Initializing channels...');
-        
-        // Load desktop channel
-        const DesktopChannel = require('../channels/local/desktop');
-        const desktopConfig = this.config.getChannel('desktop');
-        if (desktopConfig && desktopConfig.enabled) {
-            const desktop = new DesktopChannel(desktopConfig.config || {});
-            desktop.config.completedSound = this.config.get('sound.completed');
-            desktop.config.waitingSound = this.config.get('sound.waiting');
-            this.registerChannel('desktop', desktop);
-        }
 
-        // Load email channel
-        const EmailChannel = require('../channels/email/smtp');
-        const emailConfig = this.config.getChannel('email');
-        if (emailConfig && emailConfig.enabled) {
-            const email = new EmailChannel(emailConfig.config || {});
-            this.registerChannel('email', email);
-        }
-
-        // Load LINE channel
-        const LINEChannel = require('../channels/line/line');
-        const lineConfig = this.config.getChannel('line');
-        if (lineConfig && lineConfig.enabled) {
-            const line = new LINEChannel(lineConfig.config || {});
-            this.registerChannel('line', line);
-        }
+        const entries = this.registry.loadAll(this.config.getChannels(), {
+            overrides: {
+                desktop: {
+                    completedSound: this.config.get('sound.completed'),
+                    waitingSound: this.config.get('sound.waiting'),
+                    sounds: this.config.get('sound', {})
+                }
+            }
+        });
 
-        // Load Telegram channel
-        const TelegramChannel = require('../channels/telegram/telegram');
-        const telegramConfig = this.config.getChannel('telegram');
-        if (telegramConfig && telegramConfig.enabled) {
-            const telegram = new TelegramChannel(telegramConfig.config || {});
-            this.registerChannel('telegram', telegram);
+        for (const entry of entries) {
+            if (!entry.valid) {
+                this.logger.warn(`Skipping channel ${entry.name}: ${entry.error}`);
+                continue;
+            }
+            this.registerChannel(entry.name, entry.channel);
         }
 
-        // ✅ Telegram integration completed
-        // TODO: Future channels - Discord, Slack, Teams, etc.
-
         this.logger.info(`Initialized ${this.channels.size} channels`);
     }
 
     /**
      * Send notification to all enabled channels
-     * @param {string} type - Notification type: 'completed' | 'waiting'
+     * Snoozed sessions drop it; quiet hours and repeats within the collapse window hold it (see releaseHeld()).
+     * @param {string} type - Notification type (see NotificationTypes.list(), e.g. 'completed', 'waiting', 'error')
      * @param {Object} metadata - Additional metadata
+     * @param {Array<string>} metadata.excludeChannels - Channels to skip (e.g. the one a command came from)
      * @returns {Promise<Object>} Results from all channels
      */
     async notify(type, metadata = {}) {
@@ -83,21 +80,160 @@ class Notifier {
             this.logger.debug('Notifications disabled');
             return { success: false, reason: 'disabled' };
         }
+        if (!this.isTypeEnabled(type)) {
+            this.logger.debug(`Notification type ${type} disabled`);
+            return { success: false, reason: 'type disabled' };
+        }
+
+        // Anything whose hold has ended, and a digest that is due, goes out before the new notification
+        await this.releaseHeld();
+        await this.sendDigest();
 
         const notification = this._buildNotification(type, metadata);
-        this.logger.info(`Sending ${type} notification for project: ${notification.project}`);
+        const throttle = this._getThrottle();
+        const decision = throttle.check(notification);
+        if (decision.action === 'drop') {
+            this.logger.info(`Dropped ${type} notification for ${NotificationThrottle.sessionKey(notification)}: ${decision.reason}`);
+            return { success: false, reason: decision.reason, notification };
+        }
+        if (decision.action === 'hold') {
+            const held = throttle.hold(notification, decision);
+            this.logger.info(`Held ${type} notification for ${held.session} (${decision.reason}, ${held.count} held)`);
+            return { success: false, reason: decision.reason, held, notification };
+        }
+
+        return this._deliver(notification);
+    }
+
+    /**
+     * Send held notifications whose quiet hours or collapse window have ended
+     * Each session and type goes out once, as the latest notification with a count of how many were held.
+     * Long-running processes (e.g. `claude-remote monitor`) call this periodically.
+     * @returns {Promise<Array<Object>>} Results of the notifications sent
+     */
+    async releaseHeld() {
+        const throttle = this._getThrottle();
+        const results = [];
+        for (const held of throttle.takeReleasable()) {
+            if (throttle.getSnooze(held.session)) {
+                this.logger.info(`Dropped held ${held.type} notification for ${held.session}: snoozed`);
+                continue;
+            }
+            const notification = this._buildNotification(held.type, { ...held.metadata, heldCount: held.count });
+            if (held.count > 1) {
+                notification.message += ` (${held.count} notifications combined)`;
+            }
+            results.push(await this._deliver(notification));
+        }
+        return results;
+    }
+
+    /**
+     * Send the digest to each channel that has items waiting
+     * @param {Object} options
+     * @param {boolean} options.force - Send now even if the hour or day is not over
+     * @returns {Promise<Object>} Results per channel ({} when nothing was due)
+     */
+    async sendDigest(options = {}) {
+        const digest = this._getDigest();
+        if (!options.force && !digest.isDue()) {
+            return {};
+        }
+
+        const pending = digest.pending();
+        const results = {};
+        for (const [name, channel] of this.channels) {
+            const items = pending.filter(item => item.channels.includes(name));
+            if (items.length === 0) continue;
+            if (!channel.enabled || typeof channel.sendDigest !== 'function') {
+                results[name] = { success: false, reason: 'channel cannot send digests', count: items.length };
+                continue;
+            }
+            try {
+                const result = this._toChannelResult(name, await channel.sendDigest(digest.build(items)));
+                if (result.success) {
+                    digest.markSent(items, name);
+                }
+                results[name] = { ...result, count: items.length };
+            } catch (error) {
+                // Items stay queued for the next attempt
+                results[name] = { name, success: false, error: error.message, count: items.length };
+            }
+            this.logger.info(`Digest of ${items.length} notification(s) to ${name}: ${results[name].success ? 'sent' : 'failed'}`);
+        }
+        return results;
+    }
+
+    /**
+     * Retry failed channel sends whose backoff has elapsed (see NotificationOutbox)
+     * Each entry is retried with the notification as it was first built.
+     * @param {Date} now
+     * @returns {Promise<Object>} { retried, delivered, failed }
+     */
+    async retryOutbox(now = new Date()) {
+        const outbox = this._getOutbox();
+        const summary = { retried: 0, delivered: 0, failed: 0 };
+        for (const entry of outbox.due(now)) {
+            const channel = this.channels.get(entry.channel);
+            if (!channel || !channel.enabled) {
+                // Stays queued until the channel is configured again
+                continue;
+            }
+            summary.retried++;
+            const result = await this._sendToChannel(entry.channel, channel, entry.notification);
+            if (result.success) {
+                summary.delivered++;
+            } else {
+                summary.failed++;
+            }
+        }
+        if (summary.retried > 0) {
+            this.logger.info(`Retried ${summary.retried} failed send(s): ${summary.delivered} delivered, ${summary.failed} failed`);
+        }
+        return summary;
+    }
+
+    /**
+     * Periodic work for long-running processes (`claude-remote monitor`, the daemon):
+     * release held notifications, send a due digest and retry failed sends
+     * @returns {Promise<void>}
+     */
+    async processQueues() {
+        await this.releaseHeld();
+        await this.sendDigest();
+        await this.retryOutbox();
+    }
+
+    async _deliver(notification) {
+        const route = this.route(notification);
+        const throttle = this._getThrottle();
+        notification.routing = { rule: route.rule ? route.rule.id : null, emailTo: route.emailTo };
+
+        const capable = [...this.channels].filter(([, channel]) => typeof channel.sendDigest === 'function').map(([name]) => name);
+        const digestChannels = this._getDigest().channelsFor(notification, route, capable);
+        if (digestChannels.length > 0) {
+            this._getDigest().add(notification, digestChannels);
+        }
+        this.logger.info(`Sending ${notification.type} notification for project: ${notification.project}` +
+            (route.rule ? ` (rule: ${route.rule.id})` : '') +
+            (digestChannels.length > 0 ? ` (digest: ${digestChannels.join(', ')})` : ''));
 
         const results = {};
         const promises = [];
 
-        // Send to all channels in parallel
+        // Send to all channels in parallel; rate-limited channels wait for a free slot
         for (const [name, channel] of this.channels) {
-            if (channel.enabled) {
-                promises.push(
-                    channel.send(notification)
-                        .then(success => ({ name, success }))
-                        .catch(error => ({ name, success: false, error: error.message }))
-                );
+            if (digestChannels.includes(name)) {
+                results[name] = { success: true, queued: 'digest' };
+            } else if (!route.channels.includes(name)) {
+                results[name] = {
+                    success: false,
+                    reason: route.suppressed.includes(name) ? `suppressed by rule ${route.rule.id}` : 'not routed'
+                };
+            } else if (this._getOutbox().isDelivered(notification.id, name)) {
+                results[name] = { success: true, duplicate: true };
+            } else if (channel.enabled) {
+                promises.push(this._sendToChannel(name, channel, notification));
             } else {
                 results[name] = { success: false, reason: 'disabled' };
             }
@@ -111,6 +247,9 @@ class Notifier {
 
         const successCount = Object.values(results).filter(r => r.success).length;
         this.logger.info(`Notification sent to ${successCount}/${this.channels.size} channels`);
+        if (channelResults.some(result => result.success)) {
+            throttle.recordSent(notification);
+        }
 
         return {
             success: successCount > 0,
@@ -119,6 +258,143 @@ class Notifier {
         };
     }
 
+    /**
+     * Whether a notification type is sent at all (`notificationTypes.<type>.enabled`, default true)
+     * @param {string} type - Notification type
+     * @returns {boolean}
+     */
+    isTypeEnabled(type) {
+        return this.config.get(`notificationTypes.${type}.enabled`, true) !== false;
+    }
+
+    /**
+     * Channels a notification type is limited to (`notificationTypes.<type>.channels`)
+     * @param {string} type - Notification type
+     * @returns {Array<string>|null} Channel names, or null for every enabled channel
+     */
+    getTypeChannels(type) {
+        const channels = this.config.get(`notificationTypes.${type}.channels`);
+        return Array.isArray(channels) ? channels : null;
+    }
+
+    /**
+     * Channels a built notification goes to: per-type routing and excluded channels first,
+     * then the first matching rule in the `routing` config section
+     * @param {Object} notification - Built notification
+     * @param {Date} now - Evaluation time (default: now)
+     * @returns {Object} { rule, channels, suppressed, emailTo }
+     */
+    route(notification, now = new Date()) {
+        const { defaults, available } = this._routeCandidates(notification);
+        return this._getRouter().route(notification, defaults, available, now);
+    }
+
+    /**
+     * Like route(), with the verdict on every rule (for `claude-remote route --explain`)
+     * @param {string} type - Notification type
+     * @param {Object} metadata - Notification metadata (project, tmuxSession, ...)
+     * @param {Date} now - Evaluation time (default: now)
+     * @returns {Object} { notification, defaults, rule, channels, suppressed, emailTo, evaluated }
+     */
+    explainRoute(type, metadata = {}, now = new Date()) {
+        const notification = this._buildNotification(type, metadata);
+        const { defaults, available } = this._routeCandidates(notification);
+        return {
+            notification,
+            defaults,
+            ...this._getRouter().explain(notification, defaults, available, now)
+        };
+    }
+
+    _routeCandidates(notification) {
+        const routed = this.getTypeChannels(notification.type);
+        const excluded = notification.metadata.excludeChannels || [];
+        const available = [...this.channels.keys()].filter(name => !excluded.includes(name));
+        return {
+            defaults: available.filter(name => !routed || routed.includes(name)),
+            available
+        };
+    }
+
+    /**
+     * Send through one channel (waiting for its rate limit) and record the outcome in the outbox:
+     * failures are queued for retry, successes settle an earlier failure
+     * @param {string} name - Channel name
+     * @param {NotificationChannel} channel
+     * @param {Object} notification - Built notification
+     * @returns {Promise<Object>} Result entry
+     */
+    async _sendToChannel(name, channel, notification) {
+        let result;
+        try {
+            await this._getThrottle().acquire(name);
+            result = this._toChannelResult(name, await channel.send(notification));
+        } catch (error) {
+            result = { name, success: false, error: error.message };
+        }
+
+        const outbox = this._getOutbox();
+        if (result.success) {
+            outbox.recordSuccess(notification, name);
+        } else {
+            const entry = outbox.recordFailure(notification, name, result.error || channel.lastError);
+            if (entry && entry.status === 'pending') {
+                result.retryAt = new Date(entry.nextAttemptAt).toISOString();
+            }
+        }
+        return result;
+    }
+
+    _getThrottle() {
+        if (!this.throttle) {
+            this.throttle = new NotificationThrottle(this.config.get('throttle', {}));
+        }
+        return this.throttle;
+    }
+
+    _getDigest() {
+        if (!this.digest) {
+            this.digest = new NotificationDigest(this.config.get('digest', {}));
+        }
+        return this.digest;
+    }
+
+    _getOutbox() {
+        if (!this.outbox) {
+            this.outbox = new NotificationOutbox(this.config.get('outbox', {}));
+        }
+        return this.outbox;
+    }
+
+    _getRedactor() {
+        if (!this.redactor) {
+            this.redactor = new Redactor(this.config.get('redaction', {}));
+        }
+        return this.redactor;
+    }
+
+    _getRouter() {
+        if (!this.router) {
+            this.router = new NotificationRouter(this.config.get('routing', {}));
+        }
+        return this.router;
+    }
+
+    /**
+     * Normalize a channel send() result into a results map entry
+     * Channels may return a boolean or an object with `success` and extra details
+     * (e.g. per-endpoint results from the webhook channel)
+     * @param {string} name - Channel name
+     * @param {boolean|Object} result - Value returned by channel.send()
+     * @returns {Object} Result entry
+     */
+    _toChannelResult(name, result) {
+        if (result && typeof result === 'object') {
+            return { ...result, name, success: !!result.success };
+        }
+        return { name, success: !!result };
+    }
+
     /**
      * Build notification object from type and metadata
      * @param {string} type - Notification type
@@ -137,7 +413,9 @@ class Notifier {
         const customMessage = this.config.get(`customMessages.${type}`);
         const finalMessage = customMessage ? customMessage.replace('{project}', project) : message;
 
-        return {
+        // Everything downstream (channels, digest queue, outbox, held notifications) sees redacted text
+        return this._getRedactor().redactNotification({
+            id: metadata.notificationId || uuidv4(),
             type,
             title: content.title,
             message: finalMessage,
@@ -147,7 +425,7 @@ class Notifier {
                 language: lang,
                 ...metadata
             }
-        };
+        });
     }
 
     /**
@@ -162,7 +440,12 @@ class Notifier {
         }
 
         const langData = this.i18n[lang] || this.i18n['en'];
-        return langData[type] || langData.completed;
+        if (langData[type]) {
+            return langData[type];
+        }
+        // Types without strings (e.g. from plugins) still get a title that names them
+        const { label } = NotificationTypes.get(type);
+        return { title: `Codex - ${label}`, message: `[{project}] ${label}` };
     }
 
     /**
@@ -178,6 +461,34 @@ class Notifier {
                 waiting: {
                     title: 'Codex - Waiting for Input',
                     message: '[{project}] Codex needs your further guidance'
+                },
+                error: {
+                    title: 'Codex - Task Failed',
+                    message: '[{project}] Codex stopped with an error'
+                },
+                approval_required: {
+                    title: 'Codex - Approval Required',
+                    message: '[{project}] Codex is asking for permission to continue'
+                },
+                context_low: {
+                    title: 'Codex - Context Running Low',
+                    message: '[{project}] Codex is running out of context window'
+                },
+                command_received: {
+                    title: 'Codex - Command Received',
+                    message: '[{project}] A remote command was sent to Codex'
+                },
+                session_crashed: {
+                    title: 'Codex - Session Crashed',
+                    message: '[{project}] Codex exited unexpectedly'
+                },
+                session_closed: {
+                    title: 'Codex - Session Closed',
+                    message: '[{project}] The tmux session running Codex was closed'
+                },
+                session_stalled: {
+                    title: 'Codex - Session Stalled',
+                    message: '[{project}] Codex has not made progress for a while'
                 }
             },
             'en': {
@@ -188,6 +499,34 @@ class Notifier {
                 waiting: {
                     title: 'Codex - Waiting for Input',
                     message: '[{project}] Codex needs your further guidance'
+                },
+                error: {
+                    title: 'Codex - Task Failed',
+                    message: '[{project}] Codex stopped with an error'
+                },
+                approval_required: {
+                    title: 'Codex - Approval Required',
+                    message: '[{project}] Codex is asking for permission to continue'
+                },
+                context_low: {
+                    title: 'Codex - Context Running Low',
+                    message: '[{project}] Codex is running out of context window'
+                },
+                command_received: {
+                    title: 'Codex - Command Received',
+                    message: '[{project}] A remote command was sent to Codex'
+                },
+                session_crashed: {
+                    title: 'Codex - Session Crashed',
+                    message: '[{project}] Codex exited unexpectedly'
+                },
+                session_closed: {
+                    title: 'Codex - Session Closed',
+                    message: '[{project}] The tmux session running Codex was closed'
+                },
+                session_stalled: {
+                    title: 'Codex - Session Stalled',
+                    message: '[{project}] Codex has not made progress for a while'
                 }
             },
             'ja': {
@@ -198,6 +537,34 @@ class Notifier {
                 waiting: {
                     title: 'Codex - 入力待ち',
                     message: '[{project}] Codexにはあなたのさらなるガイダンスが必要です'
+                },
+                error: {
+                    title: 'Codex - タスク失敗',
+                    message: '[{project}] Codexがエラーで停止しました'
+                },
+                approval_required: {
+                    title: 'Codex - 承認が必要',
+                    message: '[{project}] Codexが続行の許可を求めています'
+                },
+                context_low: {
+                    title: 'Codex - コンテキスト残りわずか',
+                    message: '[{project}] Codexのコンテキストウィンドウが残りわずかです'
+                },
+                command_received: {
+                    title: 'Codex - コマンド受信',
+                    message: '[{project}] リモートからCodexにコマンドが送信されました'
+                },
+                session_crashed: {
+                    title: 'Codex - セッション異常終了',
+                    message: '[{project}] Codexが予期せず終了しました'
+                },
+                session_closed: {
+                    title: 'Codex - セッション終了',
+                    message: '[{project}] Codexを実行していたtmuxセッションが閉じられました'
+                },
+                session_stalled: {
+                    title: 'Codex - 応答停止',
+                    message: '[{project}] Codexがしばらく進んでいません'
                 }
             }
         };
@@ -213,9 +580,9 @@ class Notifier {
         const results = {};
         for (const [name, channel] of this.channels) {
             try {
-                const success = await channel.test();
-                results[name] = { success };
-                this.logger.info(`Channel ${name}: ${success ? 'PASS' : 'FAIL'}`);
+                const result = this._toChannelResult(name, await channel.test());
+                results[name] = result;
+                this.logger.info(`Channel ${name}: ${result.success ? 'PASS' : 'FAIL'}`);
             } catch (error) {
                 results[name] = { success: false, error: error.message };
                 this.logger.error(`Channel ${name}: ERROR - ${error.message}`);
@@ -235,9 +602,19 @@ class Notifier {
             channels[name] = channel.getStatus();
         }
 
+        const throttle = this._getThrottle();
         return {
             enabled: this.config.get('enabled', true),
             channels,
+            throttle: {
+                held: throttle.listHeld().length,
+                snoozed: throttle.listSnoozes().map(snooze => snooze.session)
+            },
+            digest: {
+                schedule: this._getDigest().schedule,
+                pending: this._getDigest().pending().length
+            },
+            outbox: this._getOutbox().summary(),
             config: {
                 language: this.config.get('language'),
                 sound: this.config.get('sound'),
@@ -0,0 +1,539 @@
+/**
+ * Codex-Code-Remote Session Store
+ * Lock-protected, append-only JSONL store for sessions, PTY mappings, email threads and message tracking
+ */
+
+const fs = require('fs');
+const path = require('path');
+const Logger = require('./logger');
+
+const COLLECTIONS = {
+    SESSIONS: 'sessions',                   // Channel sessions keyed by session id (indexed by token)
+    SESSION_MAP: 'sessionMap',              // PTY/tmux injection targets keyed by token or session name
+    EMAIL_THREADS: 'emailThreads',          // Email thread state keyed by tmux session
+    SENT_MESSAGES: 'sentMessages',          // Outgoing email Message-IDs keyed by messageId, Telegram messages by telegram:<chat>:<id>
+    PROCESSED_MESSAGES: 'processedMessages', // Handled inbound emails keyed by UID/Message-ID
+    TOKENS: 'tokens',                       // Scoped command tokens keyed by token
+    CONFIRMATIONS: 'confirmations',         // Commands awaiting sender confirmation keyed by code
+    APPROVALS: 'approvals',                 // Codex confirmation dialogs awaiting a remote answer keyed by id
+    MONITOR_STATES: 'monitorStates',        // Lifecycle state of monitored Codex sessions keyed by tmux session
+    NOTIFICATION_HISTORY: 'notificationHistory', // Last send per tmux session and notification type
+    HELD_NOTIFICATIONS: 'heldNotifications', // Notifications held by quiet hours or collapsing, keyed by session and type
+    SNOOZES: 'snoozes',                     // Snoozed tmux sessions keyed by session name
+    DIGEST_ITEMS: 'digestItems',            // Notifications waiting for the next digest keyed by id
+    OUTBOX: 'outbox',                       // Failed channel sends awaiting retry keyed by notification id and channel
+    CHAT_CONTEXTS: 'chatContexts',          // Current session of a chat (where plain text goes) keyed by channel and chat id
+    RATE_LIMITS: 'rateLimits',              // Recent send times per channel, shared by every process that notifies
+    META: 'meta'
+};
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Records older than this are dropped when the log is compacted
+const RETENTION = {
+    [COLLECTIONS.SESSIONS]: value => (value.expiresAt || 0) * 1000 + 7 * DAY_MS,
+    [COLLECTIONS.SESSION_MAP]: value => value.expiresAt ? value.expiresAt * 1000 + 7 * DAY_MS : Infinity,
+    [COLLECTIONS.SENT_MESSAGES]: value => new Date(value.sentAt || 0).getTime() + DAY_MS,
+    [COLLECTIONS.PROCESSED_MESSAGES]: value => (value.timestamp || 0) + 7 * DAY_MS,
+    [COLLECTIONS.TOKENS]: value => (value.expiresAt || 0) * 1000 + 7 * DAY_MS,
+    [COLLECTIONS.CONFIRMATIONS]: value => (value.expiresAt || 0) * 1000,
+    [COLLECTIONS.APPROVALS]: value => (value.expiresAt || 0) * 1000 + DAY_MS,
+    [COLLECTIONS.MONITOR_STATES]: value => new Date(value.updatedAt || 0).getTime() + 30 * DAY_MS,
+    [COLLECTIONS.NOTIFICATION_HISTORY]: value => (value.sentAt || 0) + DAY_MS,
+    [COLLECTIONS.HELD_NOTIFICATIONS]: value => (value.lastAt || 0) + 7 * DAY_MS,
+    [COLLECTIONS.SNOOZES]: value => value.until || 0,
+    [COLLECTIONS.DIGEST_ITEMS]: value => (value.addedAt || 0) + 7 * DAY_MS,
+    [COLLECTIONS.OUTBOX]: value => value.status === 'pending' ? Infinity : (value.updatedAt || 0) + 7 * DAY_MS,
+    [COLLECTIONS.CHAT_CONTEXTS]: value => (value.updatedAt || 0) + 30 * DAY_MS,
+    [COLLECTIONS.RATE_LIMITS]: value => (value.updatedAt || 0) + DAY_MS
+};
+
+const instances = new Map();
+
+class SessionStore {
+    /**
+     * @param {Object} options
+     * @param {string} options.filePath - JSONL file (default: SESSION_STORE_PATH or src/data/session-store.jsonl)
+     * @param {string} options.dataDir - Directory holding legacy JSON files to import on first use (default: the store file's directory)
+     * @param {boolean} options.autoMigrate - Import legacy files when the store is created (default true)
+     */
+    constructor(options = {}) {
+        this.logger = new Logger('SessionStore');
+        this.filePath = options.filePath || process.env.SESSION_STORE_PATH || path.join(__dirname, '../data/session-store.jsonl');
+        this.lockPath = `${this.filePath}.lock`;
+        // A store kept elsewhere (tests, SESSION_STORE_PATH) must not pick up the bundled data directory's legacy files
+        this.dataDir = options.dataDir || path.dirname(this.filePath);
+        this.lockTimeout = options.lockTimeout || 5000;
+        this.staleLockMs = options.staleLockMs || 10000;
+        this.compactThreshold = options.compactThreshold || 500;
+
+        this._reset();
+
+        const dir = path.dirname(this.filePath);
+        if (!fs.existsSync(dir)) {
+            fs.mkdirSync(dir, { recursive: true });
+        }
+
+        if (!fs.existsSync(this.filePath) && options.autoMigrate !== false) {
+            this.migrate();
+        } else {
+            this._refresh();
+        }
+    }
+
+    /**
+     * Shared store for the default (or given) file path
+     * @param {Object} options - Constructor options
+     * @returns {SessionStore}
+     */
+    static getDefault(options = {}) {
+        const filePath = options.filePath || process.env.SESSION_STORE_PATH || path.join(__dirname, '../data/session-store.jsonl');
+        if (!instances.has(filePath)) {
+            instances.set(filePath, new SessionStore({ ...options, filePath }));
+        }
+        return instances.get(filePath);
+    }
+
+    // ----- Generic collection API -----
+
+    get(collection, key) {
+        this._refresh();
+        const value = this._collection(collection).get(String(key));
+        return value === undefined ? null : value;
+    }
+
+    has(collection, key) {
+        this._refresh();
+        return this._collection(collection).has(String(key));
+    }
+
+    list(collection) {
+        this._refresh();
+        return Array.from(this._collection(collection).values());
+    }
+
+    entries(collection) {
+        this._refresh();
+        return Array.from(this._collection(collection).entries());
+    }
+
+    set(collection, key, value) {
+        this._withLock(() => this._append([{ op: 'put', c: collection, k: String(key), v: value }]));
+        return value;
+    }
+
+    /**
+     * Shallow-merge a patch into an existing record (read and written under the lock)
+     * @returns {Object|null} Updated record, or null if it does not exist
+     */
+    update(collection, key, patch) {
+        return this._withLock(() => {
+            const current = this._collection(collection).get(String(key));
+            if (current === undefined) {
+                return null;
+            }
+            const next = typeof patch === 'function' ? patch({ ...current }) : { ...current, ...patch };
+            this._append([{ op: 'put', c: collection, k: String(key), v: next }]);
+            return next;
+        });
+    }
+
+    /**
+     * Replace a record with fn(current), creating it when missing (read and written under the lock)
+     * @returns {*} The new record
+     */
+    upsert(collection, key, fn) {
+        return this._withLock(() => {
+            const current = this._collection(collection).get(String(key));
+            const next = fn(current === undefined ? null : { ...current });
+            this._append([{ op: 'put', c: collection, k: String(key), v: next }]);
+            return next;
+        });
+    }
+
+    delete(collection, key) {
+        return this._withLock(() => {
+            if (!this._collection(collection).has(String(key))) {
+                return false;
+            }
+            this._append([{ op: 'del', c: collection, k: String(key) }]);
+            return true;
+        });
+    }
+
+    // ----- Session helpers -----
+
+    createSession(session) {
+        return this.set(COLLECTIONS.SESSIONS, session.id, session);
+    }
+
+    getSession(sessionId) {
+        return this.get(COLLECTIONS.SESSIONS, sessionId);
+    }
+
+    updateSession(sessionId, patch) {
+        return this.update(COLLECTIONS.SESSIONS, sessionId, patch);
+    }
+
+    removeSession(sessionId) {
+        return this.delete(COLLECTIONS.SESSIONS, sessionId);
+    }
+
+    /**
+     * Indexed lookup of a channel session by its token
+     * @param {string} token - Session token
+     * @returns {Object|null} Session record
+     */
+    findSessionByToken(token) {
+        if (!token) return null;
+        this._refresh();
+        const sessionId = this.tokenIndex.get(String(token));
+        return sessionId ? this._collection(COLLECTIONS.SESSIONS).get(sessionId) || null : null;
+    }
+
+    /**
+     * Find the first session matching a predicate
+     * @param {Function} predicate - (session) => boolean
+     * @returns {Object|null} Session record
+     */
+    findSession(predicate) {
+        return this.list(COLLECTIONS.SESSIONS).find(predicate) || null;
+    }
+
+    /**
+     * List sessions, newest first
+     * @param {Object} options
+     * @param {boolean} options.includeExpired - Include sessions past expiresAt
+     * @returns {Array<Object>}
+     */
+    listSessions(options = {}) {
+        const now = Math.floor(Date.now() / 1000);
+        return this.list(COLLECTIONS.SESSIONS)
+            .filter(session => options.includeExpired || !session.expiresAt || session.expiresAt >= now)
+            .sort((a, b) => (b.createdAt || 0) - (a.createdAt || 0));
+    }
+
+    // ----- Maintenance -----
+
+    /**
+     * Rewrite the log with only live records, dropping anything past its retention
+     * The new file is written to a temp path and renamed over the old one atomically
+     * @returns {Object} { before, after } record counts
+     */
+    compact() {
+        return this._withLock(() => this._compact());
+    }
+
+    /**
+     * Import legacy JSON files (sessions/*.json, session-map.json, email-threads.json,
+     * sent-messages.json, processed-messages.json). Existing keys are never overwritten
+     * and the legacy files are left in place.
+     * @param {Object} options
+     * @param {string} options.dataDir - Legacy data directory
+     * @param {string} options.sessionMapPath - Legacy session map (default SESSION_MAP_PATH)
+     * @returns {Object} Imported record counts per collection
+     */
+    migrate(options = {}) {
+        const dataDir = options.dataDir || this.dataDir;
+        const sessionMapPath = options.sessionMapPath || process.env.SESSION_MAP_PATH || path.join(dataDir, 'session-map.json');
+
+        return this._withLock(() => {
+            const records = [];
+            const counts = {};
+            const add = (collection, key, value) => {
+                if (key === undefined || key === null || this._collection(collection).has(String(key))) {
+                    return;
+                }
+                records.push({ op: 'put', c: collection, k: String(key), v: value });
+                counts[collection] = (counts[collection] || 0) + 1;
+            };
+
+            // Channel sessions: one JSON file per session
+            const sessionsDir = path.join(dataDir, 'sessions');
+            if (fs.existsSync(sessionsDir)) {
+                for (const file of fs.readdirSync(sessionsDir)) {
+                    if (!file.endsWith('.json')) continue;
+                    const session = this._readLegacyJson(path.join(sessionsDir, file));
+                    if (session && session.id) {
+                        add(COLLECTIONS.SESSIONS, session.id, session);
+                    }
+                }
+            }
+
+            const sessionMap = this._readLegacyJson(sessionMapPath) || {};
+            for (const [key, value] of Object.entries(sessionMap)) {
+                add(COLLECTIONS.SESSION_MAP, key, value);
+            }
+
+            const threads = this._readLegacyJson(path.join(dataDir, 'email-threads.json')) || {};
+            for (const [key, value] of Object.entries(threads)) {
+                add(COLLECTIONS.EMAIL_THREADS, key, value);
+            }
+
+            const sent = this._readLegacyJson(path.join(dataDir, 'sent-messages.json')) || {};
+            for (const message of sent.messages || []) {
+                add(COLLECTIONS.SENT_MESSAGES, message.messageId, message);
+            }
+
+            const processed = this._readLegacyJson(path.join(dataDir, 'processed-messages.json')) || [];
+            for (const item of Array.isArray(processed) ? processed : []) {
+                add(COLLECTIONS.PROCESSED_MESSAGES, item.id, item);
+            }
+
+            records.push({
+                op: 'put',
+                c: COLLECTIONS.META,
+                k: 'migration',
+                v: { migratedAt: new Date().toISOString(), dataDir, counts }
+            });
+            this._append(records);
+
+            const total = Object.values(counts).reduce((sum, n) => sum + n, 0);
+            if (total > 0) {
+                this.logger.info(`Imported ${total} legacy records into ${this.filePath}`);
+            }
+            return counts;
+        });
+    }
+
+    // ----- Internals -----
+
+    _reset() {
+        this.collections = new Map();
+        this.tokenIndex = new Map();
+        this._offset = 0;
+        this._ino = null;
+        this._lineCount = 0;
+    }
+
+    _collection(name) {
+        if (!this.collections.has(name)) {
+            this.collections.set(name, new Map());
+        }
+        return this.collections.get(name);
+    }
+
+    _liveCount() {
+        let count = 0;
+        for (const collection of this.collections.values()) {
+            count += collection.size;
+        }
+        return count;
+    }
+
+    _applyRecord(record) {
+        const collection = this._collection(record.c);
+
+        if (record.c === COLLECTIONS.SESSIONS) {
+            const previous = collection.get(record.k);
+            if (previous && previous.token && this.tokenIndex.get(previous.token) === record.k) {
+                this.tokenIndex.delete(previous.token);
+            }
+        }
+
+        if (record.op === 'put') {
+            collection.set(record.k, record.v);
+            if (record.c === COLLECTIONS.SESSIONS && record.v && record.v.token) {
+                this.tokenIndex.set(record.v.token, record.k);
+            }
+        } else if (record.op === 'del') {
+            collection.delete(record.k);
+        }
+    }
+
+    /**
+     * Apply records appended by other processes since the last read
+     * A changed inode or a shrunk file means the log was compacted, so reload it
+     */
+    _refresh() {
+        let stat;
+        try {
+            stat = fs.statSync(this.filePath);
+        } catch (error) {
+            if (this._ino !== null) {
+                this._reset();
+            }
+            return;
+        }
+
+        if (stat.ino !== this._ino || stat.size < this._offset) {
+            this._reset();
+            this._ino = stat.ino;
+        }
+
+        if (stat.size === this._offset) {
+            return;
+        }
+
+        const length = stat.size - this._offset;
+        const buffer = Buffer.alloc(length);
+        const fd = fs.openSync(this.filePath, 'r');
+        try {
+            fs.readSync(fd, buffer, 0, length, this._offset);
+        } finally {
+            fs.closeSync(fd);
+        }
+
+        // Only consume complete lines; a partial trailing line is picked up next time
+        const lastNewline = buffer.lastIndexOf(0x0a);
+        if (lastNewline === -1) {
+            return;
+        }
+
+        const lines = buffer.slice(0, lastNewline).toString('utf8').split('\n');
+        for (const line of lines) {
+            if (!line.trim()) continue;
+            try {
+                this._applyRecord(JSON.parse(line));
+                this._lineCount++;
+            } catch (error) {
+                this.logger.warn(`Skipping corrupt session store line: ${error.message}`);
+            }
+        }
+        this._offset += lastNewline + 1;
+    }
+
+    _append(records) {
+        if (records.length === 0) return;
+
+        const now = Date.now();
+        const data = records.map(record => JSON.stringify({ ...record, t: now }) + '\n').join('');
+
+        // Single write with O_APPEND so readers never see interleaved records
+        fs.appendFileSync(this.filePath, data);
+
+        const stat = fs.statSync(this.filePath);
+        if (this._ino === null) {
+            this._ino = stat.ino;
+        }
+        records.forEach(record => this._applyRecord(record));
+        this._lineCount += records.length;
+        this._offset = stat.size;
+
+        if (this._lineCount > this.compactThreshold && this._lineCount > this._liveCount() * 2) {
+            this._compact();
+        }
+    }
+
+    _compact() {
+        const before = this._lineCount;
+        const now = Date.now();
+        const lines = [];
+
+        for (const [name, collection] of this.collections) {
+            const retention = RETENTION[name];
+            for (const [key, value] of collection) {
+                if (retention && retention(value) < now) {
+                    continue;
+                }
+                lines.push(JSON.stringify({ op: 'put', c: name, k: key, v: value, t: now }));
+            }
+        }
+
+        const tmpPath = `${this.filePath}.tmp-${process.pid}`;
+        const fd = fs.openSync(tmpPath, 'w');
+        try {
+            fs.writeSync(fd, lines.length > 0 ? lines.join('\n') + '\n' : '');
+            fs.fsyncSync(fd);
+        } finally {
+            fs.closeSync(fd);
+        }
+        fs.renameSync(tmpPath, this.filePath);
+
+        // Reload from the compacted file so in-memory state matches exactly
+        this._reset();
+        this._refresh();
+
+        this.logger.debug(`Compacted session store: ${before} -> ${this._lineCount} records`);
+        return { before, after: this._lineCount };
+    }
+
+    _withLock(fn) {
+        this._acquireLock();
+        try {
+            this._refresh();
+            return fn();
+        } finally {
+            this._releaseLock();
+        }
+    }
+
+    _acquireLock() {
+        const deadline = Date.now() + this.lockTimeout;
+
+        while (true) {
+            try {
+                const fd = fs.openSync(this.lockPath, 'wx');
+                fs.writeSync(fd, `${process.pid} ${Date.now()}`);
+                fs.closeSync(fd);
+                return;
+            } catch (error) {
+                if (error.code !== 'EEXIST') {
+                    throw error;
+                }
+            }
+
+            if (this._isLockStale()) {
+                try {
+                    fs.unlinkSync(this.lockPath);
+                } catch (error) {
+                    // Another process removed it first
+                }
+                continue;
+            }
+
+            if (Date.now() > deadline) {
+                throw new Error(`Timed out waiting for session store lock: ${this.lockPath}`);
+            }
+            this._sleep(20);
+        }
+    }
+
+    _isLockStale() {
+        try {
+            const [pid, createdAt] = fs.readFileSync(this.lockPath, 'utf8').split(' ').map(Number);
+            if (Date.now() - createdAt > this.staleLockMs) {
+                return true;
+            }
+            if (pid && pid !== process.pid) {
+                try {
+                    process.kill(pid, 0);
+                } catch (error) {
+                    return error.code === 'ESRCH';
+                }
+            }
+            return false;
+        } catch (error) {
+            // Lock vanished or is being written; retry
+            return false;
+        }
+    }
+
+    _releaseLock() {
+        try {
+            fs.unlinkSync(this.lockPath);
+        } catch (error) {
+            this.logger.warn(`Failed to release session store lock: ${error.message}`);
+        }
+    }
+
+    _sleep(ms) {
+        Atomics.wait(new Int32Array(new SharedArrayBuffer(4)), 0, 0, ms);
+    }
+
+    _readLegacyJson(filePath) {
+        if (!fs.existsSync(filePath)) {
+            return null;
+        }
+        try {
+            return JSON.parse(fs.readFileSync(filePath, 'utf8'));
+        } catch (error) {
+            this.logger.warn(`Failed to read legacy file ${filePath}: ${error.message}`);
+            return null;
+        }
+    }
+}
+
+SessionStore.COLLECTIONS = COLLECTIONS;
+
+module.exports = SessionStore;
@@ -0,0 +1,262 @@
+/**
+ * Codex-Code-Remote Token Manager
+ * Issues cryptographically random command tokens scoped to a channel and recipient
+ */
+
+const crypto = require('crypto');
+const Logger = require('./logger');
+const SessionStore = require('./session-store');
+
+const ALPHABET = 'ABCDEFGHIJKLMNOPQRSTUVWXYZ0123456789';
+// Largest multiple of the alphabet size that fits in a byte; higher bytes are rejected to avoid modulo bias
+const MAX_UNBIASED_BYTE = 256 - (256 % ALPHABET.length);
+
+const MIN_LENGTH = 8;
+const MAX_LENGTH = 32;
+const DEFAULT_LENGTH = 12;
+const DEFAULT_TTL_MS = 24 * 60 * 60 * 1000;
+
+// Matches any token this manager can issue (used by inbound command parsers)
+const TOKEN_PATTERN = `[A-Z0-9]{${MIN_LENGTH},${MAX_LENGTH}}`;
+
+class TokenManager {
+    /**
+     * @param {Object} options
+     * @param {SessionStore} options.store - Backing store (default: shared session store)
+     * @param {number} options.length - Token length (default SESSION_TOKEN_LENGTH or 12)
+     * @param {number} options.maxUses - Uses per token, 0 for unlimited (default SESSION_TOKEN_MAX_USES or 0)
+     */
+    constructor(options = {}) {
+        this.logger = new Logger('TokenManager');
+        this.store = options.store || SessionStore.getDefault();
+        this.length = TokenManager._clampLength(options.length || process.env.SESSION_TOKEN_LENGTH || DEFAULT_LENGTH);
+        this.maxUses = TokenManager._parseUses(
+            options.maxUses !== undefined ? options.maxUses : process.env.SESSION_TOKEN_MAX_USES
+        );
+    }
+
+    /**
+     * Generate a random token string without storing it
+     * @param {number} length - Token length
+     * @returns {string}
+     */
+    static generate(length = DEFAULT_LENGTH) {
+        const size = TokenManager._clampLength(length);
+        let token = '';
+
+        while (token.length < size) {
+            for (const byte of crypto.randomBytes(size * 2)) {
+                if (byte >= MAX_UNBIASED_BYTE) continue;
+                token += ALPHABET[byte % ALPHABET.length];
+                if (token.length === size) break;
+            }
+        }
+
+        return token;
+    }
+
+    /**
+     * Issue and store a token bound to a channel and recipient
+     * @param {Object} options
+     * @param {string} options.channel - Channel the token was sent through (e.g. 'telegram')
+     * @param {string} options.recipient - Chat/user/address that received it; null to allow any
+     * @param {string} options.sessionId - Session the token controls
+     * @param {number} options.maxUses - Override the default use limit (0 = unlimited)
+     * @param {number} options.ttlMs - Lifetime in milliseconds (default 24 hours)
+     * @param {string} options.token - Use a fixed token instead of generating one
+     * @returns {string} The token
+     */
+    issue(options = {}) {
+        if (!options.channel) {
+            throw new Error('Token channel is required');
+        }
+
+        const token = options.token ? String(options.token).toUpperCase() : this._generateUnique();
+        const now = Date.now();
+
+        this.store.set(SessionStore.COLLECTIONS.TOKENS, token, {
+            token: token,
+            sessionId: options.sessionId || null,
+            channel: options.channel,
+            recipient: TokenManager._normalizeRecipient(options.recipient),
+            maxUses: options.maxUses !== undefined ? TokenManager._parseUses(options.maxUses) : this.maxUses,
+            uses: 0,
+            createdAt: Math.floor(now / 1000),
+            expiresAt: Math.floor((now + (options.ttlMs || DEFAULT_TTL_MS)) / 1000),
+            lastUsedAt: null,
+            revokedAt: null
+        });
+
+        this.logger.debug(`Token issued for ${options.channel}${options.sessionId ? `, Session: ${options.sessionId}` : ''}`);
+        return token;
+    }
+
+    /**
+     * Check a token against the channel and recipient presenting it, without using it up
+     * @param {string} token - Token to check
+     * @param {Object} context
+     * @param {string} context.channel - Channel the command arrived on
+     * @param {string} context.recipient - Chat/user/address the command came from
+     * @returns {Object} { valid, reason, record }
+     */
+    verify(token, context = {}) {
+        const record = token ? this.store.get(SessionStore.COLLECTIONS.TOKENS, String(token).toUpperCase()) : null;
+        return { ...TokenManager._check(record, context), record };
+    }
+
+    /**
+     * Verify a token and count one use against it
+     * @param {string} token - Token to use
+     * @param {Object} context - See verify()
+     * @returns {Object} { valid, reason, record }
+     */
+    consume(token, context = {}) {
+        let result = this.verify(token, context);
+
+        if (result.valid) {
+            // Re-check under the store lock so concurrent relays cannot overspend a limited token
+            this.store.update(SessionStore.COLLECTIONS.TOKENS, result.record.token, record => {
+                result = { ...TokenManager._check(record, context), record };
+                if (!result.valid) {
+                    return record;
+                }
+                result.record = { ...record, uses: (record.uses || 0) + 1, lastUsedAt: Math.floor(Date.now() / 1000) };
+                return result.record;
+            });
+        }
+
+        if (!result.valid) {
+            this.logger.warn(`Token rejected on ${context.channel || 'unknown channel'}: ${result.reason}`);
+        }
+        return result;
+    }
+
+    /**
+     * Push back a token's expiry (e.g. when an email thread is reused)
+     * @param {string} token - Token to extend
+     * @param {number} ttlMs - New lifetime from now
+     * @returns {Object|null} Updated record
+     */
+    extend(token, ttlMs = DEFAULT_TTL_MS) {
+        return this.store.update(SessionStore.COLLECTIONS.TOKENS, String(token).toUpperCase(), {
+            expiresAt: Math.floor((Date.now() + ttlMs) / 1000)
+        });
+    }
+
+    /**
+     * Revoke a single token
+     * @param {string} token - Token to revoke
+     * @returns {boolean} Whether an active token was revoked
+     */
+    revoke(token) {
+        const key = String(token).toUpperCase();
+        const record = this.store.get(SessionStore.COLLECTIONS.TOKENS, key);
+        if (!record || record.revokedAt) {
+            return false;
+        }
+
+        this.store.update(SessionStore.COLLECTIONS.TOKENS, key, { revokedAt: Math.floor(Date.now() / 1000) });
+        this.logger.info(`Token revoked: ${key}`);
+        return true;
+    }
+
+    /**
+     * Revoke every token issued for a session
+     * @param {string} sessionId - Session id
+     * @returns {number} Number of tokens revoked
+     */
+    revokeSession(sessionId) {
+        return this.list({ includeInactive: false })
+            .filter(record => record.sessionId === sessionId)
+            .filter(record => this.revoke(record.token))
+            .length;
+    }
+
+    /**
+     * Revoke every active token
+     * @returns {number} Number of tokens revoked
+     */
+    revokeAll() {
+        return this.list({ includeInactive: false }).filter(record => this.revoke(record.token)).length;
+    }
+
+    /**
+     * List tokens, newest first
+     * @param {Object} options
+     * @param {boolean} options.includeInactive - Include expired, revoked and used-up tokens
+     * @returns {Array<Object>} Token records with a `status` field
+     */
+    list(options = {}) {
+        return this.store.list(SessionStore.COLLECTIONS.TOKENS)
+            .map(record => ({ ...record, status: TokenManager.status(record) }))
+            .filter(record => options.includeInactive || record.status === 'active')
+            .sort((a, b) => (b.createdAt || 0) - (a.createdAt || 0));
+    }
+
+    /**
+     * Describe a token record's state
+     * @param {Object} record - Token record
+     * @returns {string} active | revoked | expired | exhausted
+     */
+    static status(record) {
+        if (record.revokedAt) return 'revoked';
+        if (record.expiresAt && record.expiresAt < Math.floor(Date.now() / 1000)) return 'expired';
+        if (record.maxUses && (record.uses || 0) >= record.maxUses) return 'exhausted';
+        return 'active';
+    }
+
+    static _check(record, context) {
+        if (!record) {
+            return { valid: false, reason: 'Invalid or expired token' };
+        }
+
+        const status = TokenManager.status(record);
+        if (status === 'revoked') {
+            return { valid: false, reason: 'Token has been revoked' };
+        }
+        if (status === 'expired') {
+            return { valid: false, reason: 'Token has expired' };
+        }
+        if (status === 'exhausted') {
+            return { valid: false, reason: `Token has already been used ${record.uses} time(s)` };
+        }
+        if (context.channel && record.channel !== context.channel) {
+            return { valid: false, reason: `Token was not issued for ${context.channel}` };
+        }
+        if (record.recipient && record.recipient !== TokenManager._normalizeRecipient(context.recipient)) {
+            return { valid: false, reason: 'Token was issued to a different chat or user' };
+        }
+
+        return { valid: true, reason: null };
+    }
+
+    _generateUnique() {
+        // Collisions are astronomically unlikely, but never hand out a token that is already stored
+        let token;
+        do {
+            token = TokenManager.generate(this.length);
+        } while (this.store.has(SessionStore.COLLECTIONS.TOKENS, token));
+        return token;
+    }
+
+    static _normalizeRecipient(recipient) {
+        if (recipient === undefined || recipient === null || recipient === '') {
+            return null;
+        }
+        return String(recipient).trim().toLowerCase();
+    }
+
+    static _clampLength(length) {
+        const value = parseInt(length, 10) || DEFAULT_LENGTH;
+        return Math.min(MAX_LENGTH, Math.max(MIN_LENGTH, value));
+    }
+
+    static _parseUses(maxUses) {
+        const value = parseInt(maxUses, 10);
+        return Number.isFinite(value) && value > 0 ? value : 0;
+    }
+}
+
+TokenManager.TOKEN_PATTERN = TOKEN_PATTERN;
+
+module.exports = TokenManager;
@@ -18,6 +18,7 @@ class ClaudeCodeRemoteDaemon {
         this.pidFile = path.join(__dirname, '../data/claude-code-remote.pid');
         this.logFile = path.join(__dirname, '../data/daemon.log');
         this.relayService = null;
+        this.notifier = null;
         this.isRunning = false;
         
         // Ensure data directory exists
@@ -83,28 +84,48 @@ class ClaudeCodeRemoteDaemon {
 
         // Load configuration
         this.config.load();
+
+        // Notifier for held notifications, digests and the retry queue of failed sends
+        const Notifier = require('../core/notifier');
+        this.notifier = new Notifier(this.config);
+        await this.notifier.initializeChannels();
         
         // Initialize email relay service
         const emailConfig = this.config.getChannel('email');
-        if (!emailConfig || !emailConfig.enabled) {
-            this.logger.warn('Email channel not configured or disabled');
-            return;
+        if (emailConfig && emailConfig.enabled) {
+            const CommandRelayService = require('../relay/command-relay');
+            this.relayService = new CommandRelayService(emailConfig.config);
+        } else {
+            this.logger.warn('Email channel not configured or disabled, running without the email relay');
         }
 
-        const CommandRelayService = require('../relay/command-relay');
-        this.relayService = new CommandRelayService(emailConfig.config);
-
         // Setup event handlers
         this.setupEventHandlers();
 
         // Start service
-        await this.relayService.start();
-        this.logger.info('Email relay service started');
+        if (this.relayService) {
+            await this.relayService.start();
+            this.logger.info('Email relay service started');
+        }
+
+        this.processQueues();
 
         // Keep process running
         this.keepAlive();
     }
 
+    processQueues() {
+        // Release held notifications, send due digests and retry failed sends every 30 seconds
+        const timer = setInterval(() => {
+            if (!this.isRunning) {
+                clearInterval(timer);
+                return;
+            }
+            this.notifier.processQueues()
+                .catch(error => this.logger.error('Failed to process notification queues:', error.message));
+        }, 30000);
+    }
+
     setupEventHandlers() {
         // Graceful shutdown
         const gracefulShutdown = async (signal) => {
@@ -11,6 +11,8 @@ const ClipboardAutomation = require('../automation/clipboard-automation');
 const SimpleAutomation = require('../automation/simple-automation');
 const ClaudeAutomation = require('../automation/claude-automation');
 const Logger = require('../core/logger');
+const AuditLog = require('../core/audit-log');
+const CompletionMarker = require('../utils/completion-marker');
 const { spawn } = require('child_process');
 const fs = require('fs');
 const path = require('path');
@@ -25,6 +27,7 @@ class CommandRelayService extends EventEmitter {
         this.clipboardAutomation = new ClipboardAutomation();
         this.simpleAutomation = new SimpleAutomation();
         this.codexAutomation = new ClaudeAutomation();
+        this.audit = AuditLog.getDefault();
         this.isRunning = false;
         this.commandQueue = [];
         this.processingQueue = false;
@@ -34,15 +37,6 @@ class CommandRelayService extends EventEmitter {
         this._loadState();
     }
 
-    _appendCompletionMarker(command) {
-        if (!command) return command;
-        if (/Telegram done/i.test(command)) {
-            return command;
-        }
-        const suffix = '\n\n After task is completed, write "Telegram done" here';
-        return `${command}${suffix}`;
-    }
-
     _ensureDirectories() {
         const dataDir = path.join(__dirname, '../data');
         if (!fs.existsSync(dataDir)) {
@@ -155,6 +149,17 @@ class CommandRelayService extends EventEmitter {
         this.emit('commandQueued', queueItem);
     }
 
+    _getAuditContext(commandItem) {
+        return {
+            channel: 'email',
+            sender: commandItem.email?.address || commandItem.email?.from,
+            token: commandItem.session?.token,
+            sessionId: commandItem.sessionId,
+            target: commandItem.session?.tmuxSession,
+            policy: commandItem.policy
+        };
+    }
+
     _startCommandProcessor() {
         // Process queue immediately
         this._processCommandQueue();
@@ -200,11 +205,12 @@ class CommandRelayService extends EventEmitter {
         commandItem.executedAt = new Date().toISOString();
 
         try {
-            const commandToSend = this._appendCompletionMarker(commandItem.command);
+            const commandToSend = CompletionMarker.apply(commandItem.command, commandItem.session?.tmuxSession);
+            const auditContext = this._getAuditContext(commandItem);
             // Prefer tmux injection when session has a tmux target
             if (commandItem.session?.tmuxSession) {
                 const tmuxInjector = new TmuxInjector(this.logger, commandItem.session.tmuxSession);
-                const tmuxResult = await tmuxInjector.injectCommandFull(commandItem.sessionId, commandToSend);
+                const tmuxResult = await tmuxInjector.injectCommandFull(commandItem.sessionId, commandToSend, auditContext);
                 if (tmuxResult.success) {
                     commandItem.status = 'completed';
                     commandItem.completedAt = new Date().toISOString();
@@ -224,11 +230,19 @@ class CommandRelayService extends EventEmitter {
             const codexProcess = await this._findCodexProcess();
             
             if (!codexProcess || !codexProcess.available) {
+                this.audit.record({ ...auditContext, command: commandToSend, method: 'automation', outcome: 'failed', error: 'Codex CLI not available' });
                 throw new Error('Codex CLI not available');
             }
 
             // Execute command - try multiple methods
             const success = await this._sendCommandToCodex(commandToSend, codexProcess, commandItem.sessionId);
+            this.audit.record({
+                ...auditContext,
+                command: commandToSend,
+                method: 'automation',
+                outcome: success ? 'injected' : 'failed',
+                error: success ? null : 'Failed to send command to Codex'
+            });
             
             if (success) {
                 commandItem.status = 'completed';
@@ -7,8 +7,13 @@ const Imap = require('node-imap');
 const { simpleParser } = require('mailparser');
 const EventEmitter = require('events');
 const Logger = require('../core/logger');
-const fs = require('fs');
-const path = require('path');
+const SessionStore = require('../core/session-store');
+const TokenManager = require('../core/token-manager');
+const CommandPolicy = require('../core/command-policy');
+const ApprovalManager = require('../core/approval-manager');
+const EmailReplier = require('./email-replier');
+
+const SUBJECT_TOKEN_PATTERN = new RegExp(`\\[(Claude|Codex)-Code-Remote #(${TokenManager.TOKEN_PATTERN})\\]`);
 
 class EmailListener extends EventEmitter {
     constructor(config) {
@@ -18,18 +23,13 @@ class EmailListener extends EventEmitter {
         this.imap = null;
         this.isConnected = false;
         this.isListening = false;
-        this.sessionsDir = path.join(__dirname, '../data/sessions');
-        this.sentMessagesPath = config.sentMessagesPath || path.join(__dirname, '../data/sent-messages.json');
+        this.sessionStore = SessionStore.getDefault();
+        this.tokenManager = new TokenManager();
+        this.policy = new CommandPolicy();
+        this.approvals = new ApprovalManager();
+        this.replier = new EmailReplier(config);
         this.checkInterval = (config.template?.checkInterval || 30) * 1000; // Convert to milliseconds
         this.lastCheckTime = new Date();
-        
-        this._ensureDirectories();
-    }
-
-    _ensureDirectories() {
-        if (!fs.existsSync(this.sessionsDir)) {
-            fs.mkdirSync(this.sessionsDir, { recursive: true });
-        }
     }
 
     async start() {
@@ -222,6 +222,19 @@ class EmailListener extends EventEmitter {
                 return;
             }
             
+            // Answer to a Codex confirmation dialog (sent from the approval email's links)
+            const approvalAnswer = ApprovalManager.parseEmailSubject(email.subject);
+            if (approvalAnswer) {
+                const result = this.approvals.answer(approvalAnswer.id, approvalAnswer.optionId, {
+                    channel: 'email',
+                    sender: email.from?.value?.[0]?.address
+                });
+                if (!result.ok) {
+                    await this.replier.reply(email, `❌ ${result.reason}`);
+                }
+                return;
+            }
+
             // Check if it's a reply email
             if (!this._isReplyEmail(email)) {
                 this.logger.debug(`Email ${seqno} is not a TaskPing reply`);
@@ -243,15 +256,33 @@ class EmailListener extends EventEmitter {
             }
 
             // Extract command
-            const command = this._extractCommand(email);
+            let command = this._extractCommand(email);
             if (!command) {
                 this.logger.warn(`No command found in email ${seqno}`);
                 return;
             }
 
-            // Security check
-            if (!this._isCommandSafe(command)) {
-                this.logger.warn(`Unsafe command in email ${seqno}: ${command}`);
+            // Apply command policy (may reject, or hold the command until confirmed)
+            const fromAddress = email.from?.value?.[0]?.address;
+            const decision = this.policy.check(command, {
+                channel: 'email',
+                sender: fromAddress,
+                project: session.notification?.project,
+                sessionId: sessionId,
+                token: session.token,
+                tmuxSession: session.tmuxSession
+            });
+            if (decision.action !== 'allow') {
+                this.logger.warn(`Command in email ${seqno} not run (${decision.rule}): ${decision.reason}`);
+                await this.replier.reply(email, this.policy.describe(decision));
+                return;
+            }
+            command = decision.command;
+
+            // Session token must still be usable and must have been sent to this address
+            const tokenCheck = this.tokenManager.consume(session.token, { channel: 'email', recipient: fromAddress });
+            if (!tokenCheck.valid) {
+                this.logger.warn(`Rejected email ${seqno} from ${fromAddress}: ${tokenCheck.reason}`);
                 return;
             }
 
@@ -261,10 +292,12 @@ class EmailListener extends EventEmitter {
                 command: command.trim(),
                 email: {
                     from: email.from?.text,
+                    address: fromAddress,
                     subject: email.subject,
                     date: email.date
                 },
-                session
+                session,
+                policy: { action: decision.action, rule: decision.rule, confirmed: decision.confirmed }
             });
 
             this.logger.info(`Command extracted from email ${seqno}:`, {
@@ -308,7 +341,7 @@ class EmailListener extends EventEmitter {
 
         // Extract token from subject line
         const subject = email.subject || '';
-        const tokenMatch = subject.match(/\[(Claude|Codex)-Code-Remote #([A-Z0-9]{6,8})\]/);
+        const tokenMatch = subject.match(SUBJECT_TOKEN_PATTERN);
         if (tokenMatch) {
             const token = tokenMatch[2] || tokenMatch[1];
             // Look up session by token
@@ -333,18 +366,9 @@ class EmailListener extends EventEmitter {
     }
 
     _getSessionIdByToken(token) {
-        // Check session files for matching token
         try {
-            const sessionFiles = fs.readdirSync(this.sessionsDir);
-            for (const file of sessionFiles) {
-                if (file.endsWith('.json')) {
-                    const sessionPath = path.join(this.sessionsDir, file);
-                    const sessionData = JSON.parse(fs.readFileSync(sessionPath, 'utf8'));
-                    if (sessionData.token === token) {
-                        return sessionData.id;
-                    }
-                }
-            }
+            const sessionData = this.sessionStore.findSessionByToken(token);
+            return sessionData ? sessionData.id : null;
         } catch (error) {
             this.logger.error('Error looking up session by token:', error.message);
         }
@@ -352,14 +376,11 @@ class EmailListener extends EventEmitter {
     }
 
     async _validateSession(sessionId) {
-        const sessionFile = path.join(this.sessionsDir, `${sessionId}.json`);
-        
-        if (!fs.existsSync(sessionFile)) {
-            return null;
-        }
-
         try {
-            const sessionData = JSON.parse(fs.readFileSync(sessionFile, 'utf8'));
+            const sessionData = this.sessionStore.getSession(sessionId);
+            if (!sessionData) {
+                return null;
+            }
             
             // Check if session has expired
             const now = new Date();
@@ -368,7 +389,7 @@ class EmailListener extends EventEmitter {
             if (now > expires) {
                 this.logger.debug(`Session ${sessionId} has expired`);
                 // Delete expired session
-                fs.unlinkSync(sessionFile);
+                this.sessionStore.removeSession(sessionId);
                 return null;
             }
 
@@ -428,58 +449,28 @@ class EmailListener extends EventEmitter {
         return cleanLines.join('\n').trim();
     }
 
-    _isCommandSafe(command) {
-        // Basic security check
-        if (command.length > 1000) {
-            return false;
-        }
-
-        // Dangerous command blacklist
-        const dangerousPatterns = [
-            /rm\s+-rf/i,
-            /sudo\s+/i,
-            /chmod\s+777/i,
-            />\s*\/dev\/null/i,
-            /curl.*\|\s*sh/i,
-            /wget.*\|\s*sh/i,
-            /eval\s*\(/i,
-            /exec\s*\(/i
-        ];
-
-        for (const pattern of dangerousPatterns) {
-            if (pattern.test(command)) {
-                return false;
-            }
-        }
-
-        return true;
-    }
-
     async updateSessionCommandCount(sessionId) {
-        const sessionFile = path.join(this.sessionsDir, `${sessionId}.json`);
-        
-        if (fs.existsSync(sessionFile)) {
-            try {
-                const sessionData = JSON.parse(fs.readFileSync(sessionFile, 'utf8'));
-                sessionData.commandCount = (sessionData.commandCount || 0) + 1;
-                sessionData.lastCommand = new Date().toISOString();
-                
-                fs.writeFileSync(sessionFile, JSON.stringify(sessionData, null, 2));
+        try {
+            const sessionData = this.sessionStore.updateSession(sessionId, session => ({
+                ...session,
+                commandCount: (session.commandCount || 0) + 1,
+                lastCommand: new Date().toISOString()
+            }));
+            if (sessionData) {
                 this.logger.debug(`Updated command count for session ${sessionId}: ${sessionData.commandCount}`);
-            } catch (error) {
-                this.logger.error(`Error updating session ${sessionId}:`, error.message);
             }
+        } catch (error) {
+            this.logger.error(`Error updating session ${sessionId}:`, error.message);
         }
     }
 
     async _isSystemSentEmail(messageId) {
-        if (!messageId || !fs.existsSync(this.sentMessagesPath)) {
+        if (!messageId) {
             return false;
         }
         
         try {
-            const sentMessages = JSON.parse(fs.readFileSync(this.sentMessagesPath, 'utf8'));
-            return sentMessages.messages.some(msg => msg.messageId === messageId);
+            return this.sessionStore.has(SessionStore.COLLECTIONS.SENT_MESSAGES, messageId);
         } catch (error) {
             this.logger.error('Error reading sent messages:', error.message);
             return false;
@@ -487,21 +478,9 @@ class EmailListener extends EventEmitter {
     }
 
     async _removeFromSentMessages(messageId) {
-        if (!fs.existsSync(this.sentMessagesPath)) {
-            return;
-        }
-        
+        // Entries older than 24 hours are dropped when the store is compacted
         try {
-            const sentMessages = JSON.parse(fs.readFileSync(this.sentMessagesPath, 'utf8'));
-            sentMessages.messages = sentMessages.messages.filter(msg => msg.messageId !== messageId);
-            
-            // Also clean up old messages (older than 24 hours)
-            const oneDayAgo = new Date(Date.now() - 24 * 60 * 60 * 1000);
-            sentMessages.messages = sentMessages.messages.filter(msg => {
-                return new Date(msg.sentAt) > oneDayAgo;
-            });
-            
-            fs.writeFileSync(this.sentMessagesPath, JSON.stringify(sentMessages, null, 2));
+            this.sessionStore.delete(SessionStore.COLLECTIONS.SENT_MESSAGES, messageId);
             this.logger.debug(`Removed message ${messageId} from sent tracking`);
         } catch (error) {
             this.logger.error('Error removing from sent messages:', error.message);
@@ -0,0 +1,88 @@
+/**
+ * Email Replier
+ * Sends short status replies (policy rejections, confirmation prompts) back to a command email's sender
+ */
+
+const nodemailer = require('nodemailer');
+const Logger = require('../core/logger');
+const SessionStore = require('../core/session-store');
+
+class EmailReplier {
+    /**
+     * @param {Object} config - Email channel config ({ smtp, from })
+     */
+    constructor(config = {}) {
+        this.logger = new Logger('EmailReplier');
+        this.config = config;
+        this.sessionStore = SessionStore.getDefault();
+        this.transporter = null;
+    }
+
+    /**
+     * Reply in-thread to a parsed email
+     * @param {Object} email - mailparser result of the inbound email
+     * @param {string} text - Plain-text reply body
+     * @returns {Promise<boolean>} Whether the reply was sent
+     */
+    async reply(email, text) {
+        const to = email.from?.value?.[0]?.address;
+        if (!to || !this._getTransporter()) {
+            return false;
+        }
+
+        const subject = email.subject || '';
+        const messageId = `<reply-${Date.now()}-${Math.random().toString(36).slice(2)}@codex-code-remote>`;
+        const references = [].concat(email.references || [], email.messageId || []);
+
+        try {
+            await this.transporter.sendMail({
+                from: this.config.from || this.config.smtp.auth.user,
+                to: to,
+                subject: /^re:/i.test(subject) ? subject : `Re: ${subject}`,
+                text: text,
+                messageId: messageId,
+                ...(email.messageId ? { inReplyTo: email.messageId } : {}),
+                ...(references.length > 0 ? { references: references.join(' ') } : {})
+            });
+
+            // Track it like a notification so the listeners skip it if it lands in the watched inbox
+            this.sessionStore.set(SessionStore.COLLECTIONS.SENT_MESSAGES, messageId, {
+                messageId: messageId,
+                type: 'reply',
+                sentAt: new Date().toISOString()
+            });
+            this.logger.debug(`Reply sent to ${to}`);
+            return true;
+        } catch (error) {
+            this.logger.error('Failed to send reply email:', error.message);
+            return false;
+        }
+    }
+
+    _getTransporter() {
+        if (this.transporter) {
+            return this.transporter;
+        }
+        const smtp = this.config.smtp;
+        if (!smtp || !smtp.host || !smtp.auth?.user) {
+            this.logger.warn('SMTP configuration not found, cannot reply to sender');
+            return null;
+        }
+
+        this.transporter = nodemailer.createTransport({
+            host: smtp.host,
+            port: smtp.port,
+            secure: smtp.secure || false,
+            auth: {
+                user: smtp.auth.user,
+                pass: smtp.auth.pass
+            },
+            connectionTimeout: parseInt(process.env.SMTP_TIMEOUT) || 10000,
+            greetingTimeout: parseInt(process.env.SMTP_TIMEOUT) || 10000,
+            socketTimeout: parseInt(process.env.SMTP_TIMEOUT) || 10000
+        });
+        return this.transporter;
+    }
+}
+
+module.exports = EmailReplier;
@@ -12,8 +12,15 @@ require('dotenv').config({ path: envPath });
 const Imap = require('node-imap');
 const { simpleParser } = require('mailparser');
 const { spawn } = require('node-pty');
-const { existsSync, readFileSync, writeFileSync } = require('fs');
 const pino = require('pino');
+const SessionStore = require('../core/session-store');
+const TokenManager = require('../core/token-manager');
+const CommandPolicy = require('../core/command-policy');
+const ConfigManager = require('../core/config');
+const EmailReplier = require('./email-replier');
+const AuditLog = require('../core/audit-log');
+const ApprovalManager = require('../core/approval-manager');
+const CompletionMarker = require('../utils/completion-marker');
 
 // Configure logging
 const log = pino({
@@ -28,60 +35,48 @@ const log = pino({
 });
 
 // Global configuration
-const SESS_PATH = process.env.SESSION_MAP_PATH || path.join(__dirname, '../data/session-map.json');
-const PROCESSED_PATH = path.join(__dirname, '../data/processed-messages.json');
-const SENT_MESSAGES_PATH = path.join(__dirname, '../data/sent-messages.json');
+const STORE = SessionStore.getDefault();
+const TOKENS = new TokenManager({ store: STORE });
+const POLICY = new CommandPolicy({ store: STORE });
+const AUDIT = AuditLog.getDefault();
+const APPROVALS = new ApprovalManager({ store: STORE });
+const REPLIER = new EmailReplier((new ConfigManager().getChannel('email') || {}).config);
+const { SESSION_MAP, PROCESSED_MESSAGES: PROCESSED_COLLECTION, SENT_MESSAGES } = SessionStore.COLLECTIONS;
 const ALLOWED_SENDERS = (process.env.ALLOWED_SENDERS || '').split(',').map(s => s.trim().toLowerCase()).filter(Boolean);
 const PTY_POOL = new Map();
 let PROCESSED_MESSAGES = new Set();
 
 // Load processed messages
 function loadProcessedMessages() {
-    if (existsSync(PROCESSED_PATH)) {
-        try {
-            const data = JSON.parse(readFileSync(PROCESSED_PATH, 'utf8'));
-            const now = Date.now();
-            // Keep only records from the last 7 days
-            const validMessages = data.filter(item => (now - item.timestamp) < 7 * 24 * 60 * 60 * 1000);
-            PROCESSED_MESSAGES = new Set(validMessages.map(item => item.id));
-            // Update file, remove expired records
-            saveProcessedMessages();
-        } catch (error) {
-            log.error({ error }, 'Failed to load processed messages');
-            PROCESSED_MESSAGES = new Set();
-        }
+    try {
+        const now = Date.now();
+        // Keep only records from the last 7 days (older ones are dropped on compaction)
+        const validMessages = STORE.list(PROCESSED_COLLECTION)
+            .filter(item => (now - item.timestamp) < 7 * 24 * 60 * 60 * 1000);
+        PROCESSED_MESSAGES = new Set(validMessages.map(item => item.id));
+    } catch (error) {
+        log.error({ error }, 'Failed to load processed messages');
+        PROCESSED_MESSAGES = new Set();
     }
 }
 
-// Save processed messages
-function saveProcessedMessages() {
+// Mark a message as processed and persist it
+function markProcessed(id) {
+    PROCESSED_MESSAGES.add(id);
     try {
-        const now = Date.now();
-        const data = Array.from(PROCESSED_MESSAGES).map(id => ({
-            id,
-            timestamp: now
-        }));
-        
-        // Ensure directory exists
-        const dir = path.dirname(PROCESSED_PATH);
-        if (!existsSync(dir)) {
-            require('fs').mkdirSync(dir, { recursive: true });
-        }
-        
-        writeFileSync(PROCESSED_PATH, JSON.stringify(data, null, 2));
+        STORE.set(PROCESSED_COLLECTION, id, { id, timestamp: Date.now() });
     } catch (error) {
-        log.error({ error }, 'Failed to save processed messages');
+        log.error({ error }, 'Failed to save processed message');
     }
 }
 
-// Load session mapping
-function loadSessions() {
-    if (!existsSync(SESS_PATH)) return {};
+// Look up a session mapping by token
+function getSession(token) {
     try {
-        return JSON.parse(readFileSync(SESS_PATH, 'utf8'));
+        return STORE.get(SESSION_MAP, token);
     } catch (error) {
         log.error({ error }, 'Failed to load session map');
-        return {};
+        return null;
     }
 }
 
@@ -188,14 +183,6 @@ function cleanEmailText(text = '') {
     return deduplicateCommand(command);
 }
 
-function appendCompletionMarker(command = '') {
-    if (!command) return command;
-    if (/Telegram done/i.test(command)) {
-        return command;
-    }
-    return `${command}\n\n After task is completed, write "Telegram done" here`;
-}
-
 // Deduplicate command text (handle cases like: "drink cola okay drink cola okay" -> "drink cola okay")
 function deduplicateCommand(command) {
     if (!command || command.length === 0) {
@@ -225,9 +212,8 @@ function deduplicateCommand(command) {
 }
 
 // Unattended remote command injection - tmux priority, smart fallback
-async function injectCommandRemote(token, command) {
-    const sessions = loadSessions();
-    const session = sessions[token];
+async function injectCommandRemote(token, command, context = {}) {
+    const session = getSession(token);
     
     if (!session) {
         log.warn({ token }, 'Session not found');
@@ -249,7 +235,7 @@ async function injectCommandRemote(token, command) {
         const tmuxSessionName = session.tmuxSession || 'codex-taskping';
         const tmuxInjector = new TmuxInjector(log, tmuxSessionName);
         
-        const tmuxResult = await tmuxInjector.injectCommandFull(token, command);
+        const tmuxResult = await tmuxInjector.injectCommandFull(token, command, context);
         
         if (tmuxResult.success) {
             log.info({ token, session: tmuxResult.session }, 'Tmux remote injection successful');
@@ -262,6 +248,14 @@ async function injectCommandRemote(token, command) {
             const smartInjector = new SmartInjector(log);
             
             const smartResult = await smartInjector.injectCommand(token, command);
+            AUDIT.record({
+                token,
+                ...context,
+                command,
+                method: 'smart',
+                outcome: smartResult ? 'injected' : 'failed',
+                error: smartResult ? null : 'All remote injection methods failed'
+            });
             
             if (smartResult) {
                 log.info({ token }, 'Smart injection fallback successful');
@@ -440,8 +434,23 @@ async function handleMailMessage(parsed) {
             return;
         }
         
-        // Extract token
+        // Answer to a Codex confirmation dialog (sent from the approval email's links)
         const subject = parsed.subject || '';
+        const approvalAnswer = ApprovalManager.parseEmailSubject(subject);
+        if (approvalAnswer) {
+            const result = APPROVALS.answer(approvalAnswer.id, approvalAnswer.optionId, {
+                channel: 'email',
+                sender: parsed.from?.value?.[0]?.address
+            });
+            log.info({ approval: approvalAnswer.id, ok: result.ok, reason: result.reason }, 'Approval answer received');
+            if (!result.ok) {
+                await REPLIER.reply(parsed, `❌ ${result.reason}`);
+            }
+            if (uid) markProcessed(uid);
+            return;
+        }
+        
+        // Extract token
         const token = extractTokenFromSubject(subject);
         
         if (!token) {
@@ -456,7 +465,7 @@ async function handleMailMessage(parsed) {
             emailSubject: parsed.subject 
         }, 'Raw email content before cleaning');
         
-        const command = appendCompletionMarker(cleanEmailText(parsed.text));
+        let command = cleanEmailText(parsed.text);
         
         log.debug({ 
             token, 
@@ -469,10 +478,41 @@ async function handleMailMessage(parsed) {
             return;
         }
         
+        // Apply command policy (may reject, or hold the command until confirmed)
+        const fromAddress = parsed.from?.value?.[0]?.address;
+        const session = getSession(token);
+        const decision = POLICY.check(command, {
+            channel: 'email',
+            sender: fromAddress,
+            project: session && session.cwd ? path.basename(session.cwd) : undefined,
+            sessionId: session?.sessionId,
+            token,
+            tmuxSession: session?.tmuxSession
+        });
+        if (decision.action !== 'allow') {
+            log.warn({ token, rule: decision.rule, reason: decision.reason }, 'Command not run by policy');
+            await REPLIER.reply(parsed, POLICY.describe(decision));
+            if (uid) markProcessed(uid);
+            return;
+        }
+        command = CompletionMarker.apply(decision.command, session?.tmuxSession || 'codex-taskping');
+        
+        // Token must still be usable and must have been sent to this address
+        const tokenCheck = TOKENS.consume(token, { channel: 'email', recipient: fromAddress });
+        if (!tokenCheck.valid) {
+            log.warn({ token, from: fromAddress, reason: tokenCheck.reason }, 'Token rejected');
+            return;
+        }
+        
         log.info({ token, command }, 'Processing email command');
         
         // Unattended remote command injection (tmux priority, smart fallback)
-        const success = await injectCommandRemote(token, command);
+        const success = await injectCommandRemote(token, command, {
+            channel: 'email',
+            sender: fromAddress,
+            sessionId: session?.sessionId,
+            policy: { action: decision.action, rule: decision.rule, confirmed: decision.confirmed }
+        });
         
         if (!success) {
             log.warn({ token }, 'Could not inject command');
@@ -482,12 +522,12 @@ async function handleMailMessage(parsed) {
         // Mark as processed (only mark after successful processing)
         if (uid) {
             // Mark UID as processed
-            PROCESSED_MESSAGES.add(uid);
+            markProcessed(uid);
             log.debug({ uid }, 'Marked message UID as processed');
         } else {
             // For emails without UID, use messageId and content hash
             if (messageId) {
-                PROCESSED_MESSAGES.add(messageId);
+                markProcessed(messageId);
                 log.debug({ messageId }, 'Marked message as processed by messageId');
             }
             
@@ -495,13 +535,10 @@ async function handleMailMessage(parsed) {
             const emailSubject = parsed.subject || '';
             const emailDate = parsed.date || new Date();
             const contentHash = `${emailSubject}_${emailDate.getTime()}`;
-            PROCESSED_MESSAGES.add(contentHash);
+            markProcessed(contentHash);
             log.debug({ contentHash }, 'Marked message as processed by content hash');
         }
         
-        // Persist processed messages
-        saveProcessedMessages();
-        
         log.info({ token }, 'Command injected successfully via remote method');
         
     } catch (error) {
@@ -519,7 +556,7 @@ function startImap() {
         imapHost: process.env.IMAP_HOST,
         imapUser: process.env.IMAP_USER,
         allowedSenders: ALLOWED_SENDERS,
-        sessionMapPath: SESS_PATH,
+        sessionStorePath: STORE.filePath,
         processedCount: PROCESSED_MESSAGES.size
     });
     
@@ -713,36 +750,22 @@ function fetchAndProcessEmails(imap, uids) {
 
 // Check if email is system-sent
 async function isSystemSentEmail(messageId) {
-    if (!messageId || !existsSync(SENT_MESSAGES_PATH)) {
+    if (!messageId) {
         return false;
     }
     
     try {
-        const sentMessages = JSON.parse(readFileSync(SENT_MESSAGES_PATH, 'utf8'));
-        return sentMessages.messages.some(msg => msg.messageId === messageId);
+        return STORE.has(SENT_MESSAGES, messageId);
     } catch (error) {
         log.error({ error }, 'Error reading sent messages');
         return false;
     }
 }
 
-// Remove email from sent messages tracking
+// Remove email from sent messages tracking (entries older than 24 hours are dropped on compaction)
 async function removeFromSentMessages(messageId) {
-    if (!existsSync(SENT_MESSAGES_PATH)) {
-        return;
-    }
-    
     try {
-        const sentMessages = JSON.parse(readFileSync(SENT_MESSAGES_PATH, 'utf8'));
-        sentMessages.messages = sentMessages.messages.filter(msg => msg.messageId !== messageId);
-        
-        // Also clean up old messages (older than 24 hours)
-        const oneDayAgo = new Date(Date.now() - 24 * 60 * 60 * 1000);
-        sentMessages.messages = sentMessages.messages.filter(msg => {
-            return new Date(msg.sentAt) > oneDayAgo;
-        });
-        
-        writeFileSync(SENT_MESSAGES_PATH, JSON.stringify(sentMessages, null, 2));
+        STORE.delete(SENT_MESSAGES, messageId);
         log.debug({ messageId }, 'Removed message from sent tracking');
     } catch (error) {
         log.error({ error }, 'Error removing from sent messages');
@@ -7,12 +7,18 @@
 const { exec } = require('child_process');
 const fs = require('fs');
 const path = require('path');
+const AuditLog = require('../core/audit-log');
+const ApprovalManager = require('../core/approval-manager');
 
 class TmuxInjector {
     constructor(logger, sessionName = null) {
         this.log = logger || console;
         this.sessionName = sessionName || 'codex-taskping';
         this.logFile = path.join(__dirname, '../logs/tmux-injection.log');
+        this.audit = AuditLog.getDefault();
+        // 'auto' answers confirmation dialogs itself; 'remote' asks the user through their channels
+        this.confirmationMode = process.env.CONFIRMATION_MODE === 'remote' ? 'remote' : 'auto';
+        this.context = {};
         this.ensureLogDir();
     }
     
@@ -46,12 +52,13 @@ class TmuxInjector {
         return cliPath.includes(' ') ? `"${cliPath}"` : cliPath;
     }
 
-    // Create Codex tmux session
-    async createCodexSession() {
+    // Create Codex tmux session (in cwd, default: this process's directory)
+    async createCodexSession(cwd = process.cwd()) {
         return new Promise((resolve) => {
             // Start Codex CLI (without pre-filling any commands)
             const codexCli = this._getCodexCliCommand();
-            const command = `tmux new-session -d -s ${this.sessionName} -c "${process.cwd()}" ${codexCli}`;
+            const escapedCwd = cwd.replace(/'/g, "'\"'\"'");
+            const command = `tmux new-session -d -s ${this.sessionName} -c '${escapedCwd}' ${codexCli}`;
             
             this.log.info(`Creating tmux session with Codex CLI: ${command}`);
             
@@ -127,7 +134,14 @@ class TmuxInjector {
                                     }
                                     
                                     // Wait and check if confirmation is needed
-                                    await this.handleConfirmations();
+                                    if (this.confirmationMode === 'remote') {
+                                        // Remote answers can take minutes; watch for dialogs without holding up the caller
+                                        this.handleConfirmations().catch(error => {
+                                            this.log.error(`Remote confirmation handling failed: ${error.message}`);
+                                        });
+                                    } else {
+                                        await this.handleConfirmations();
+                                    }
                                     
                                     // Record injection log
                                     this.logInjection(command);
@@ -147,6 +161,10 @@ class TmuxInjector {
     
     // Automatically handle Codex confirmation dialogs
     async handleConfirmations() {
+        if (this.confirmationMode === 'remote') {
+            return this.handleRemoteConfirmations();
+        }
+        
         const maxAttempts = 8;
         let attempts = 0;
         
@@ -315,6 +333,85 @@ class TmuxInjector {
         }
     }
     
+    // Forward Codex confirmation dialogs to the user and inject their choice (deny on timeout)
+    async handleRemoteConfirmations() {
+        const approvals = new ApprovalManager();
+        const maxAttempts = 8;
+        let attempts = 0;
+        let lastAnswered = null;
+        
+        while (attempts < maxAttempts) {
+            attempts++;
+            await new Promise(resolve => setTimeout(resolve, 1500));
+            
+            const capture = await this.getCaptureOutput();
+            if (!capture.success) {
+                break;
+            }
+            
+            const prompt = ApprovalManager.parsePrompt(capture.output);
+            if (!prompt) {
+                await new Promise(resolve => setTimeout(resolve, 2000));
+                continue;
+            }
+            
+            // The dialog we just answered can stay on screen for a moment
+            if (lastAnswered && lastAnswered.fingerprint === prompt.fingerprint && Date.now() - lastAnswered.at < 5000) {
+                continue;
+            }
+            
+            this.log.info(`Detected ${prompt.kind} confirmation, requesting remote approval`);
+            const approval = await approvals.request({
+                prompt,
+                tmuxSession: this.sessionName,
+                token: this.context.token,
+                sessionId: this.context.sessionId,
+                project: this.context.project
+            });
+            const result = approval.status === 'pending'
+                ? await approvals.wait(approval.id)
+                : { option: approval.options.find(option => option.id === approval.choice), timedOut: true, approval };
+            const option = result.option;
+            
+            await this.sendKeys(option.keys);
+            lastAnswered = { fingerprint: prompt.fingerprint, at: Date.now() };
+            this.log.info(`Approval ${approval.id} answered with "${option.label}"${result.timedOut ? ' (no answer)' : ''}`);
+            
+            this.audit.record({
+                ...this.context,
+                channel: result.approval?.answeredBy?.channel || this.context.channel,
+                sender: result.approval?.answeredBy?.sender || null,
+                command: `${prompt.question} → ${option.label}`,
+                target: this.sessionName,
+                method: 'approval',
+                policy: result.timedOut
+                    ? { action: 'deny', rule: 'approval-timeout', reason: 'No answer before the approval timed out' }
+                    : { action: 'allow', rule: 'approval' },
+                outcome: 'injected'
+            });
+            
+            // Another dialog may follow; keep watching
+            attempts = 0;
+        }
+        
+        this.log.info('Remote confirmation handling completed');
+    }
+    
+    // Send a sequence of keys (e.g. ['2', 'Enter']) to the session
+    async sendKeys(keys) {
+        for (const key of keys) {
+            await new Promise((resolve) => {
+                exec(`tmux send-keys -t ${this.sessionName} '${key}'`, (error) => {
+                    if (error) {
+                        this.log.warn(`Failed to send ${key}: ${error.message}`);
+                    }
+                    resolve();
+                });
+            });
+            await new Promise(resolve => setTimeout(resolve, 300));
+        }
+    }
+    
     // Get tmux session output
     async getCaptureOutput() {
         return new Promise((resolve) => {
@@ -330,25 +427,45 @@ class TmuxInjector {
         });
     }
     
-    // Restart Codex session
+    // Restart Codex session in the directory it was running in
     async restartCodexSession() {
         return new Promise(async (resolve) => {
             this.log.info('Restarting Codex tmux session...');
             
-            // Kill existing session
-            exec(`tmux kill-session -t ${this.sessionName} 2>/dev/null`, async () => {
-                // Wait a moment
-                await new Promise(r => setTimeout(r, 1000));
+            exec(`tmux display-message -p -t ${this.sessionName} '#{pane_current_path}' 2>/dev/null`, (pathError, stdout) => {
+                const cwd = (!pathError && stdout.trim()) || process.cwd();
                 
-                // Create new session
-                const result = await this.createCodexSession();
-                resolve(result);
+                // Kill existing session
+                exec(`tmux kill-session -t ${this.sessionName} 2>/dev/null`, async () => {
+                    // Wait a moment
+                    await new Promise(r => setTimeout(r, 1000));
+                    
+                    // Create new session
+                    const result = await this.createCodexSession(cwd);
+                    resolve(result);
+                });
             });
         });
     }
     
-    // Complete command injection workflow
-    async injectCommandFull(token, command) {
+    // Complete command injection workflow; every attempt is written to the audit log
+    async injectCommandFull(token, command, context = {}) {
+        // Kept for remote approvals raised by this command
+        this.context = { token, ...context };
+        const result = await this._injectCommandFull(token, command);
+        this.audit.record({
+            token,
+            ...context,
+            command,
+            target: this.sessionName,
+            method: 'tmux',
+            outcome: result.success ? 'injected' : 'failed',
+            error: result.success ? null : (result.message || result.error)
+        });
+        return result;
+    }
+    
+    async _injectCommandFull(token, command) {
         try {
             this.log.debug(`Starting tmux command injection (Token: ${token})`);
             
@@ -0,0 +1,467 @@
+/**
+ * Codex Session Log
+ * Follows a Codex CLI rollout file ($CODEX_HOME/sessions/YYYY/MM/DD/rollout-*.jsonl)
+ * and turns its records into turn-level completion and waiting events
+ */
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+// Injected context messages that are not something the user typed
+const CONTEXT_MESSAGE_PATTERN = /^\s*<(environment_context|user_instructions|user_shell_command)>/;
+const APPROVAL_EVENTS = ['exec_approval_request', 'apply_patch_approval_request'];
+// How many leading records to scan for the session's working directory
+const HEADER_SCAN_LINES = 20;
+// How many days of session directories to search when locating a rollout
+const SEARCH_DAYS = 2;
+const ROLLOUT_PATTERN = /^rollout-.*\.jsonl$/;
+// A process start time read from ps is only accurate to the second; Codex logs its session a moment later
+const START_TOLERANCE_MS = 5000;
+
+class CodexSessionLog {
+    /**
+     * @param {string} filePath - Rollout JSONL file
+     */
+    constructor(filePath = null) {
+        this.filePath = filePath;
+        this.offset = 0;
+        this.partial = '';
+        this.sessionId = null;
+        this.cwd = null;
+        this.startedAt = null;
+        this.turn = null;
+        this.turnCount = 0;
+        // Newer CLIs log task_started/task_complete; older ones need settle() to close a turn
+        this.hasTaskEvents = false;
+        this.hasUserEvents = false;
+    }
+
+    /**
+     * Read records appended since the last call
+     * @param {Object} options
+     * @param {boolean} options.emit - Return events (false only builds state, e.g. for history already on disk)
+     * @returns {Array<Object>} Events ({ type: completed|waiting|errored, turnId, userMessage, agentMessage, reason, ... })
+     */
+    poll(options = {}) {
+        let size;
+        try {
+            size = fs.statSync(this.filePath).size;
+        } catch (error) {
+            return [];
+        }
+        if (size < this.offset) {
+            // Truncated or replaced; start over
+            this.offset = 0;
+            this.partial = '';
+        }
+        if (size === this.offset) {
+            return [];
+        }
+
+        const length = size - this.offset;
+        const buffer = Buffer.alloc(length);
+        const fd = fs.openSync(this.filePath, 'r');
+        try {
+            fs.readSync(fd, buffer, 0, length, this.offset);
+        } finally {
+            fs.closeSync(fd);
+        }
+        this.offset = size;
+
+        const events = this.ingest(buffer.toString('utf8'));
+        return options.emit === false ? [] : events;
+    }
+
+    /**
+     * Feed raw JSONL text; a trailing incomplete line is kept until the rest arrives
+     * @param {string} text - Appended file content
+     * @returns {Array<Object>} Events
+     */
+    ingest(text) {
+        const lines = (this.partial + text).split('\n');
+        this.partial = lines.pop();
+
+        const events = [];
+        for (const line of lines) {
+            if (!line.trim()) continue;
+            let record;
+            try {
+                record = JSON.parse(line);
+            } catch (error) {
+                continue;
+            }
+            const event = this._apply(CodexSessionLog.normalize(record));
+            if (event) {
+                events.push(event);
+            }
+        }
+        return events;
+    }
+
+    /**
+     * Close the open turn for CLIs that do not log task_complete.
+     * Call once the file has been quiet for a while.
+     * @returns {Object|null} Completion event, if a turn was waiting to be closed
+     */
+    settle() {
+        const turn = this.turn;
+        if (this.hasTaskEvents || !turn || turn.closed || !turn.agentMessage || turn.pendingCalls.size > 0) {
+            return null;
+        }
+        return this._complete(turn, turn.agentMessage, turn.lastTimestamp);
+    }
+
+    /**
+     * Flatten the rollout record formats into one shape.
+     * Current CLIs wrap items as { timestamp, type, payload }; older ones wrote bare items.
+     * @param {Object} record - Parsed JSONL line
+     * @returns {Object} { kind, timestamp, ...fields }
+     */
+    static normalize(record) {
+        if (!record || typeof record !== 'object') {
+            return { kind: 'unknown' };
+        }
+
+        const timestamp = record.timestamp || null;
+        const payload = record.payload && typeof record.payload === 'object' ? record.payload : null;
+
+        if (record.type === 'session_meta' && payload) {
+            return { kind: 'session', timestamp, sessionId: payload.id || null, cwd: payload.cwd || null, startedAt: payload.timestamp || timestamp };
+        }
+        if (record.type === 'turn_context' && payload) {
+            return { kind: 'context', timestamp, cwd: payload.cwd || null };
+        }
+        if (record.type === 'event_msg' && payload) {
+            return CodexSessionLog._normalizeEvent(payload, timestamp);
+        }
+        if (record.type === 'response_item' && payload) {
+            return CodexSessionLog._normalizeItem(payload, timestamp);
+        }
+        if (!record.type && record.id && 'instructions' in record) {
+            // Legacy header line
+            return { kind: 'session', timestamp, sessionId: record.id, cwd: null, startedAt: timestamp };
+        }
+        if (record.record_type === 'state') {
+            return { kind: 'unknown' };
+        }
+        return CodexSessionLog._normalizeItem(record, timestamp);
+    }
+
+    static _normalizeEvent(payload, timestamp) {
+        switch (payload.type) {
+            case 'task_started':
+                return { kind: 'turnStarted', timestamp, turnId: payload.turn_id || null };
+            case 'task_complete':
+                return {
+                    kind: 'turnComplete',
+                    timestamp,
+                    turnId: payload.turn_id || null,
+                    agentMessage: payload.last_agent_message || null
+                };
+            case 'turn_aborted':
+                return { kind: 'turnAborted', timestamp, turnId: payload.turn_id || null, reason: payload.reason || 'interrupted' };
+            case 'error':
+                return { kind: 'error', timestamp, message: payload.message || 'Unknown error' };
+            case 'user_message':
+                return { kind: 'userEvent', timestamp, text: payload.message || '' };
+            case 'agent_message':
+                return { kind: 'agentMessage', timestamp, text: payload.message || '' };
+            default:
+                if (APPROVAL_EVENTS.includes(payload.type)) {
+                    const command = Array.isArray(payload.command) ? payload.command.join(' ') : (payload.command || null);
+                    return {
+                        kind: 'approval',
+                        timestamp,
+                        turnId: payload.turn_id || null,
+                        callId: payload.call_id || null,
+                        command: command,
+                        reason: payload.reason || null
+                    };
+                }
+                return { kind: 'unknown' };
+        }
+    }
+
+    static _normalizeItem(item, timestamp) {
+        if (item.type === 'message') {
+            const text = (Array.isArray(item.content) ? item.content : [])
+                .filter(part => part && typeof part.text === 'string')
+                .map(part => part.text)
+                .join('\n');
+            if (item.role === 'user') {
+                return { kind: 'userItem', timestamp, text };
+            }
+            if (item.role === 'assistant') {
+                return { kind: 'assistantItem', timestamp, text };
+            }
+            return { kind: 'unknown' };
+        }
+        if (['function_call', 'custom_tool_call', 'local_shell_call'].includes(item.type)) {
+            return { kind: 'callStarted', timestamp, callId: item.call_id || item.id || null };
+        }
+        if (['function_call_output', 'custom_tool_call_output'].includes(item.type)) {
+            return { kind: 'callFinished', timestamp, callId: item.call_id || null };
+        }
+        return { kind: 'unknown' };
+    }
+
+    _apply(record) {
+        switch (record.kind) {
+            case 'session':
+                this.sessionId = record.sessionId || this.sessionId;
+                this.cwd = record.cwd || this.cwd;
+                this.startedAt = this.startedAt || record.startedAt || null;
+                return null;
+            case 'context':
+                this.cwd = this.cwd || record.cwd;
+                return null;
+            case 'turnStarted':
+                this.hasTaskEvents = true;
+                // The user message may be logged just before the turn it starts
+                if (this.turn && !this.turn.closed && this.turn.synthetic && !this.turn.agentMessage) {
+                    this.turn.turnId = record.turnId || this.turn.turnId;
+                    this.turn.synthetic = !record.turnId;
+                } else {
+                    this._startTurn(record.turnId, record.timestamp);
+                }
+                return null;
+            case 'userEvent':
+                this.hasUserEvents = true;
+                return this._addUserMessage(record);
+            case 'userItem':
+                if (!this.cwd) {
+                    const match = record.text.match(/<cwd>([^<]+)<\/cwd>/);
+                    if (match) this.cwd = match[1].trim();
+                }
+                // user_message events carry the same text without injected context
+                if (this.hasUserEvents || CONTEXT_MESSAGE_PATTERN.test(record.text)) {
+                    return null;
+                }
+                return this._addUserMessage(record);
+            case 'agentMessage':
+            case 'assistantItem':
+                if (record.text.trim()) {
+                    const turn = this._currentTurn(record.timestamp);
+                    turn.agentMessage = record.text.trim();
+                    turn.lastTimestamp = record.timestamp || turn.lastTimestamp;
+                }
+                return null;
+            case 'callStarted':
+                if (record.callId) this._currentTurn(record.timestamp).pendingCalls.add(record.callId);
+                return null;
+            case 'callFinished':
+                if (this.turn && record.callId) this.turn.pendingCalls.delete(record.callId);
+                return null;
+            case 'turnComplete': {
+                this.hasTaskEvents = true;
+                const turn = this.turn;
+                if (turn && turn.closed && (!record.turnId || turn.turnId === record.turnId)) {
+                    return null;
+                }
+                const matches = turn && !turn.closed && (turn.synthetic || !record.turnId || turn.turnId === record.turnId);
+                const target = matches ? turn : this._startTurn(record.turnId, record.timestamp);
+                if (record.turnId) {
+                    target.turnId = record.turnId;
+                }
+                return this._complete(target, record.agentMessage, record.timestamp);
+            }
+            case 'turnAborted': {
+                if (!this.turn || this.turn.closed) return null;
+                this.turn.closed = true;
+                return this._event('waiting', this.turn, record.timestamp, { reason: record.reason });
+            }
+            case 'error': {
+                // The turn ends without task_complete
+                if (!this.turn || this.turn.closed) return null;
+                this.turn.closed = true;
+                return this._event('errored', this.turn, record.timestamp, { reason: record.message });
+            }
+            case 'approval':
+                return this._event('waiting', this._currentTurn(record.timestamp), record.timestamp, {
+                    reason: 'approval',
+                    command: record.command,
+                    callId: record.callId
+                });
+            default:
+                return null;
+        }
+    }
+
+    _addUserMessage(record) {
+        const text = record.text.trim();
+        if (!text) return null;
+
+        // Without task_started, each user message closes the previous turn and opens the next
+        let turn = this.turn;
+        let event = null;
+        if (!turn || turn.closed || (!this.hasTaskEvents && turn.userMessage)) {
+            event = this.settle();
+            turn = this._startTurn(null, record.timestamp);
+        }
+        if (!turn.userMessage) {
+            turn.userMessage = text;
+        }
+        return event;
+    }
+
+    _startTurn(turnId, timestamp) {
+        this.turnCount++;
+        this.turn = {
+            turnId: turnId || `${this.sessionId || 'session'}:${this.turnCount}`,
+            synthetic: !turnId,
+            userMessage: null,
+            agentMessage: null,
+            pendingCalls: new Set(),
+            startedAt: timestamp || null,
+            lastTimestamp: timestamp || null,
+            closed: false
+        };
+        return this.turn;
+    }
+
+    _currentTurn(timestamp) {
+        return this.turn && !this.turn.closed ? this.turn : this._startTurn(null, timestamp);
+    }
+
+    _complete(turn, agentMessage, timestamp) {
+        turn.closed = true;
+        turn.agentMessage = agentMessage || turn.agentMessage;
+        return this._event('completed', turn, timestamp);
+    }
+
+    _event(type, turn, timestamp, extra = {}) {
+        return {
+            type,
+            turnId: turn.turnId,
+            sessionId: this.sessionId,
+            userMessage: turn.userMessage,
+            agentMessage: turn.agentMessage,
+            timestamp: timestamp || new Date().toISOString(),
+            ...extra
+        };
+    }
+
+    /**
+     * Sessions directory of the Codex CLI
+     * @returns {string}
+     */
+    static getSessionsDir() {
+        return path.join(process.env.CODEX_HOME || path.join(os.homedir(), '.codex'), 'sessions');
+    }
+
+    /**
+     * Find the rollout file of the Codex session running in a pane
+     * A rollout the process has open is an exact match. Otherwise the newest rollout for the working directory
+     * that began after the process started is used, unless another rollout there was written since it began:
+     * two sessions are running in the same directory and there is no telling which one is the pane's.
+     * @param {string} cwd - Directory Codex was started in
+     * @param {Object} options
+     * @param {number} options.startedAt - When the pane's Codex process started (ms); older rollouts belong to earlier runs
+     * @param {Array<string>} options.openFiles - Files the pane's Codex process has open
+     * @param {string} options.sessionsDir - Override the sessions directory
+     * @param {number} options.days - How many recent day directories to search
+     * @returns {string|null} Rollout path, or null when nothing matches or the match is ambiguous
+     */
+    static locate(cwd, options = {}) {
+        const open = (options.openFiles || []).find(file => ROLLOUT_PATTERN.test(path.basename(file)));
+        if (open) return open;
+
+        if (!cwd) return null;
+        const sessionsDir = options.sessionsDir || CodexSessionLog.getSessionsDir();
+        const target = path.resolve(cwd);
+        const notBefore = options.startedAt ? options.startedAt - START_TOLERANCE_MS : 0;
+
+        const candidates = [];
+        for (const dir of CodexSessionLog._recentDayDirs(sessionsDir, options.days || SEARCH_DAYS)) {
+            let names;
+            try {
+                names = fs.readdirSync(dir);
+            } catch (error) {
+                continue;
+            }
+            for (const name of names) {
+                if (!ROLLOUT_PATTERN.test(name)) continue;
+                const filePath = path.join(dir, name);
+                try {
+                    const mtime = fs.statSync(filePath).mtimeMs;
+                    // Not written since the process started, so not its rollout
+                    if (mtime >= notBefore) candidates.push({ filePath, mtime });
+                } catch (error) {
+                    // Removed while scanning
+                }
+            }
+        }
+
+        const matches = [];
+        for (const candidate of candidates) {
+            const header = CodexSessionLog.readHeader(candidate.filePath);
+            if (!header || !header.cwd || path.resolve(header.cwd) !== target) continue;
+            const startedAt = Date.parse(header.startedAt);
+            if (notBefore && !(startedAt >= notBefore)) continue;
+            matches.push({ ...candidate, startedAt: Number.isNaN(startedAt) ? candidate.mtime : startedAt });
+        }
+        if (matches.length === 0) return null;
+
+        matches.sort((a, b) => b.mtime - a.mtime);
+        const [newest, ...older] = matches;
+        // A rollout replaced by /new stops being written before the next one begins
+        if (older.some(match => match.mtime > newest.startedAt)) {
+            return null;
+        }
+        return newest.filePath;
+    }
+
+    /**
+     * Working directory recorded at the top of a rollout file
+     * @param {string} filePath - Rollout path
+     * @returns {string|null}
+     */
+    static readCwd(filePath) {
+        const header = CodexSessionLog.readHeader(filePath);
+        return header ? header.cwd : null;
+    }
+
+    /**
+     * Session id, working directory and start time recorded at the top of a rollout file
+     * @param {string} filePath - Rollout path
+     * @returns {Object|null} { sessionId, cwd, startedAt }
+     */
+    static readHeader(filePath) {
+        let head;
+        try {
+            const fd = fs.openSync(filePath, 'r');
+            try {
+                const buffer = Buffer.alloc(64 * 1024);
+                const bytes = fs.readSync(fd, buffer, 0, buffer.length, 0);
+                head = buffer.toString('utf8', 0, bytes);
+            } finally {
+                fs.closeSync(fd);
+            }
+        } catch (error) {
+            return null;
+        }
+
+        const log = new CodexSessionLog();
+        log.ingest(head.split('\n').slice(0, HEADER_SCAN_LINES).join('\n') + '\n');
+        return { sessionId: log.sessionId, cwd: log.cwd, startedAt: log.startedAt };
+    }
+
+    // Date directories are named in local time by the CLI; search the newest first
+    static _recentDayDirs(sessionsDir, days) {
+        const dirs = [];
+        const now = Date.now();
+        for (let i = 0; i < days; i++) {
+            const date = new Date(now - i * 24 * 60 * 60 * 1000);
+            const parts = [
+                String(date.getFullYear()),
+                String(date.getMonth() + 1).padStart(2, '0'),
+                String(date.getDate()).padStart(2, '0')
+            ];
+            dirs.push(path.join(sessionsDir, ...parts));
+        }
+        return dirs;
+    }
+}
+
+module.exports = CodexSessionLog;
@@ -0,0 +1,63 @@
+/**
+ * Completion Marker
+ * Optional "Telegram done" suffix that asks Codex to announce the end of a task.
+ * Completion is detected from the session log or an idle pane, so the marker is
+ * only appended for tmux sessions listed in COMPLETION_MARKER_SESSIONS.
+ */
+
+const MARKER = 'Telegram done';
+const INSTRUCTION = `After task is completed, write "${MARKER}" here`;
+const MARKER_PATTERN = /Telegram done/i;
+const INSTRUCTION_PATTERN = /After task is completed, write "Telegram done" here/i;
+const TRAILING_INSTRUCTION_PATTERN = /\s*After task is completed, write "Telegram done" here\s*$/i;
+
+class CompletionMarker {
+    /**
+     * Whether the marker fallback is on for a tmux session
+     * @param {string} tmuxSession - tmux session name
+     * @returns {boolean}
+     */
+    static isEnabled(tmuxSession) {
+        const sessions = (process.env.COMPLETION_MARKER_SESSIONS || '')
+            .split(',')
+            .map(name => name.trim())
+            .filter(Boolean);
+        return sessions.includes('*') || (!!tmuxSession && sessions.includes(tmuxSession));
+    }
+
+    /**
+     * Append the marker instruction when the session uses the fallback
+     * @param {string} command - Command to inject
+     * @param {string} tmuxSession - Target tmux session
+     * @returns {string} Command to send
+     */
+    static apply(command, tmuxSession) {
+        if (!command || !CompletionMarker.isEnabled(tmuxSession) || MARKER_PATTERN.test(command)) {
+            return command;
+        }
+        return `${command}\n\n ${INSTRUCTION}`;
+    }
+
+    /**
+     * Remove the marker instruction from echoed prompt text
+     * @param {string} text - Prompt as shown in the pane or session log
+     * @returns {string}
+     */
+    static strip(text) {
+        return String(text || '').replace(TRAILING_INSTRUCTION_PATTERN, '');
+    }
+
+    /**
+     * Whether a line is the injected instruction itself (not Codex writing the marker)
+     * @param {string} line - Pane line
+     * @returns {boolean}
+     */
+    static isInstruction(line) {
+        return INSTRUCTION_PATTERN.test(String(line || ''));
+    }
+}
+
+CompletionMarker.MARKER = MARKER;
+CompletionMarker.MARKER_PATTERN = MARKER_PATTERN;
+
+module.exports = CompletionMarker;
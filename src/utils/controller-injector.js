@@ -4,27 +4,76 @@
  */
 
 const { execSync, spawn } = require('child_process');
-const path = require('path');
 const fs = require('fs');
 const Logger = require('../core/logger');
+const SessionStore = require('../core/session-store');
+const AuditLog = require('../core/audit-log');
 
 class ControllerInjector {
     constructor(config = {}) {
         this.logger = new Logger('ControllerInjector');
         this.mode = config.mode || process.env.INJECTION_MODE || 'pty';
         this.defaultSession = config.defaultSession || process.env.TMUX_SESSION || 'codex-code';
+        this.audit = config.audit || AuditLog.getDefault();
+        // Notifier for command_received (created on first use unless one is passed in)
+        this.notifier = config.notifier || null;
+        this.notifierReady = null;
     }
 
-    async injectCommand(command, sessionName = null) {
+    /**
+     * Inject a command and record the attempt in the audit log
+     * @param {string} command - Command text
+     * @param {string} sessionName - tmux session or PTY mapping (default: configured session)
+     * @param {Object} context - Who sent it, for the audit log ({ channel, sender, token, sessionId, policy })
+     * @returns {Promise<boolean>}
+     */
+    async injectCommand(command, sessionName = null, context = {}) {
         const session = sessionName || this.defaultSession;
+        const entry = { ...context, command, target: session, method: this.mode === 'tmux' ? 'tmux' : 'pty' };
         
-        if (this.mode === 'tmux') {
-            return this._injectTmux(command, session);
-        } else {
-            return this._injectPty(command, session);
+        try {
+            const result = this.mode === 'tmux'
+                ? this._injectTmux(command, session)
+                : this._injectPty(command, session);
+            this.audit.record({ ...entry, outcome: 'injected' });
+            this._notifyReceived(command, session, context);
+            return result;
+        } catch (error) {
+            this.audit.record({ ...entry, outcome: 'failed', error: error.message });
+            throw error;
         }
     }
 
+    // Let the other channels know a remote command went in; off unless notificationTypes.command_received is enabled
+    _notifyReceived(command, sessionName, context) {
+        this._getNotifier()
+            .then(notifier => notifier && notifier.notify('command_received', {
+                userQuestion: command,
+                claudeResponse: `Sent via ${context.channel || 'unknown channel'}${context.sender ? ` by ${context.sender}` : ''}`,
+                tmuxSession: sessionName,
+                excludeChannels: context.channel ? [context.channel] : []
+            }))
+            .catch(error => this.logger.warn('Failed to send command_received notification:', error.message));
+    }
+
+    _getNotifier() {
+        if (!this.notifierReady) {
+            this.notifierReady = (async () => {
+                // Loaded on demand: most injector users never send command_received
+                const Notifier = require('../core/notifier');
+                const notifier = this.notifier || new Notifier();
+                if (!notifier.isTypeEnabled('command_received')) {
+                    return null;
+                }
+                if (!this.notifier) {
+                    await notifier.initializeChannels();
+                }
+                return notifier;
+            })();
+        }
+        return this.notifierReady;
+    }
+
     _injectTmux(command, sessionName) {
         try {
             // Check if tmux session exists
@@ -52,16 +101,8 @@ class ControllerInjector {
 
     _injectPty(command, sessionName) {
         try {
-            // Find PTY session file
-            const sessionMapPath = process.env.SESSION_MAP_PATH || 
-                                   path.join(__dirname, '../data/session-map.json');
-            
-            if (!fs.existsSync(sessionMapPath)) {
-                throw new Error('Session map file not found');
-            }
-
-            const sessionMap = JSON.parse(fs.readFileSync(sessionMapPath, 'utf8'));
-            const sessionInfo = sessionMap[sessionName];
+            // Find PTY session mapping
+            const sessionInfo = SessionStore.getDefault().get(SessionStore.COLLECTIONS.SESSION_MAP, sessionName);
             
             if (!sessionInfo || !sessionInfo.ptyPath) {
                 throw new Error(`PTY session '${sessionName}' not found`);
@@ -91,15 +132,9 @@ class ControllerInjector {
             }
         } else {
             try {
-                const sessionMapPath = process.env.SESSION_MAP_PATH || 
-                                       path.join(__dirname, '../data/session-map.json');
-                
-                if (!fs.existsSync(sessionMapPath)) {
-                    return [];
-                }
-
-                const sessionMap = JSON.parse(fs.readFileSync(sessionMapPath, 'utf8'));
-                return Object.keys(sessionMap);
+                return SessionStore.getDefault()
+                    .entries(SessionStore.COLLECTIONS.SESSION_MAP)
+                    .map(([key]) => key);
             } catch (error) {
                 return [];
             }
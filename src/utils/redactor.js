@@ -0,0 +1,160 @@
+/**
+ * Redactor
+ * Masks secrets (keys, tokens, passwords) in pane captures, traces and conversation excerpts before they leave the machine.
+ * Built-in detectors run first, then the user's `redaction.patterns`, then the high-entropy check.
+ */
+
+const Logger = require('../core/logger');
+const ConfigManager = require('../core/config');
+
+// Each detector replaces its match with [REDACTED:<name>]; with `group`, only that capture group is masked
+// and the pattern's other groups are kept, so they must cover the rest of the match
+const DETECTORS = [
+    {
+        name: 'private-key',
+        pattern: /-----BEGIN [A-Z ]*PRIVATE KEY(?: BLOCK)?-----[\s\S]*?(?:-----END [A-Z ]*PRIVATE KEY(?: BLOCK)?-----|$)/g
+    },
+    { name: 'jwt', pattern: /\beyJ[A-Za-z0-9_-]{5,}\.eyJ[A-Za-z0-9_-]{5,}\.[A-Za-z0-9_-]{10,}/g },
+    { name: 'aws-access-key', pattern: /\b(?:AKIA|ASIA|AGPA|AIDA|AROA)[0-9A-Z]{16}\b/g },
+    { name: 'github-token', pattern: /\b(?:gh[pousr]_[A-Za-z0-9]{36,255}|github_pat_[A-Za-z0-9_]{22,255})\b/g },
+    { name: 'slack-token', pattern: /\bxox[abprs]-[A-Za-z0-9-]{10,}\b/g },
+    { name: 'api-key', pattern: /\bsk-(?:[a-z]+-)?[A-Za-z0-9_-]{20,}\b/g },
+    { name: 'url-credentials', pattern: /(\b[a-z][a-z0-9+.-]*:\/\/[^\s:@/]+:)([^\s@/]+)(@)/gi, group: 2 },
+    { name: 'bearer-token', pattern: /\b(Bearer\s+)(?!\[REDACTED)([A-Za-z0-9._~+/=-]{16,})/g, group: 2 },
+    {
+        // KEY=value, key: value and "key": "value" where the name says it holds a secret; plain numbers (token counts) are kept
+        name: 'secret-assignment',
+        pattern: /([A-Za-z0-9_.-]*(?:secret|token|password|passwd|api_?key|access_?key|private_?key|credentials?)[A-Za-z0-9_.-]*["']?\s*[:=]\s*["']?)(?!\[REDACTED)(?![0-9]+(?:[\s"',;]|$))(?!\*+(?:[\s"',;]|$))([^\s"',;]{6,})/gi,
+        group: 2
+    },
+    {
+        // .env style names the assignment detector is too broad for in lower case (STRIPE_KEY=, SMTP_PASS=)
+        name: 'env-secret',
+        pattern: /\b([A-Z][A-Z0-9_]*_(?:KEY|PASS|PWD|AUTH)\s*=\s*["']?)(?!\[REDACTED)([^\s"',;]{4,})/g,
+        group: 2
+    }
+];
+
+const DEFAULT_ENTROPY = { enabled: true, minLength: 32, threshold: 4.3 };
+const ENTROPY_CANDIDATE = /[A-Za-z0-9+/=_-]+/g;
+
+let defaultInstance = null;
+
+class Redactor {
+    /**
+     * @param {Object} settings - Config `redaction` section
+     * @param {boolean} settings.enabled - Set false to pass text through unchanged (default true)
+     * @param {Array<string|Object>} settings.patterns - Extra regexes: 'source' or { name, pattern, flags }
+     * @param {Object} settings.entropy - { enabled, minLength, threshold } for random-looking strings (default on, 32 chars, 4.3 bits)
+     */
+    constructor(settings = {}) {
+        this.logger = new Logger('Redactor');
+        this.enabled = settings.enabled !== false;
+        this.entropy = { ...DEFAULT_ENTROPY, ...(settings.entropy || {}) };
+        this.detectors = DETECTORS.concat(this._compilePatterns(settings.patterns || []));
+    }
+
+    /**
+     * Replace every detected secret with a [REDACTED:<detector>] marker
+     * @param {string} text
+     * @returns {string}
+     */
+    redact(text) {
+        if (!this.enabled || text === undefined || text === null) {
+            return text;
+        }
+        let result = String(text);
+        for (const detector of this.detectors) {
+            result = result.replace(detector.pattern, (...match) => {
+                const marker = `[REDACTED:${detector.name}]`;
+                if (!detector.group) {
+                    return marker;
+                }
+                const groups = match.slice(1, -2);
+                return `${groups.slice(0, detector.group - 1).join('')}${marker}${groups.slice(detector.group).join('')}`;
+            });
+        }
+        if (this.entropy.enabled) {
+            result = result.replace(ENTROPY_CANDIDATE, candidate =>
+                this._isHighEntropy(candidate) ? '[REDACTED:high-entropy]' : candidate);
+        }
+        return result;
+    }
+
+    /**
+     * Copy of a notification with its message and conversation fields redacted
+     * @param {Object} notification
+     * @returns {Object}
+     */
+    redactNotification(notification) {
+        if (!this.enabled || !notification) {
+            return notification;
+        }
+        const redacted = { ...notification, message: this.redact(notification.message) };
+        if (notification.metadata) {
+            redacted.metadata = { ...notification.metadata };
+            for (const field of Redactor.NOTIFICATION_FIELDS) {
+                if (typeof redacted.metadata[field] === 'string') {
+                    redacted.metadata[field] = this.redact(redacted.metadata[field]);
+                }
+            }
+        }
+        return redacted;
+    }
+
+    _isHighEntropy(candidate) {
+        if (candidate.length < this.entropy.minLength) return false;
+        // Hex ids (commit SHAs, UUIDs) and plain words are not what keys look like
+        if (!/[a-z]/.test(candidate) || !/[A-Z]/.test(candidate) || !/[0-9]/.test(candidate)) return false;
+        return Redactor.entropy(candidate) >= this.entropy.threshold;
+    }
+
+    _compilePatterns(patterns) {
+        const compiled = [];
+        [].concat(patterns).forEach((entry, index) => {
+            const spec = typeof entry === 'string' ? { pattern: entry } : entry || {};
+            try {
+                const flags = String(spec.flags || '').replace(/g/g, '');
+                compiled.push({ name: spec.name || `pattern-${index + 1}`, pattern: new RegExp(spec.pattern, `${flags}g`) });
+            } catch (error) {
+                this.logger.warn(`Ignoring redaction pattern ${spec.name || index + 1}: ${error.message}`);
+            }
+        });
+        return compiled;
+    }
+
+    /**
+     * Shannon entropy in bits per character
+     * @param {string} text
+     * @returns {number}
+     */
+    static entropy(text) {
+        const counts = new Map();
+        for (const char of text) {
+            counts.set(char, (counts.get(char) || 0) + 1);
+        }
+        let bits = 0;
+        for (const count of counts.values()) {
+            const p = count / text.length;
+            bits -= p * Math.log2(p);
+        }
+        return bits;
+    }
+
+    /**
+     * Shared redactor built from the `redaction` section of the configuration
+     * @returns {Redactor}
+     */
+    static getDefault() {
+        if (!defaultInstance) {
+            defaultInstance = new Redactor(new ConfigManager().get('redaction', {}));
+        }
+        return defaultInstance;
+    }
+}
+
+// Notification fields that carry pane text or conversation excerpts
+Redactor.NOTIFICATION_FIELDS = ['userQuestion', 'claudeResponse', 'fullExecutionTrace', 'subagentActivities', 'triggerText'];
+Redactor.DETECTORS = DETECTORS;
+
+module.exports = Redactor;
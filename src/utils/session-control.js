@@ -0,0 +1,208 @@
+/**
+ * Session Control
+ * Status, recent output, interrupts, restarts and new Codex sessions for remote control commands.
+ * tmux is called without a shell, and session names are checked, because targets come from chat messages.
+ */
+
+const { execFileSync } = require('child_process');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const Logger = require('../core/logger');
+const SessionStore = require('../core/session-store');
+const TmuxMonitor = require('./tmux-monitor');
+const TmuxInjector = require('../relay/tmux-injector');
+const CompletionMarker = require('./completion-marker');
+
+const SESSION_NAME_PATTERN = /^[A-Za-z0-9_.-]{1,64}$/;
+const DEFAULT_TAIL_LINES = 30;
+const MAX_TAIL_LINES = 200;
+const INTERRUPT_KEYS = { esc: 'Escape', ctrlc: 'C-c' };
+
+class SessionControl {
+    /**
+     * @param {Object} options
+     * @param {SessionStore} options.store - Where monitor states are read from (default: shared store)
+     * @param {Array<string>} options.baseDirs - Directories create() may start Codex in, including subdirectories (none: create() is disabled)
+     */
+    constructor(options = {}) {
+        this.logger = new Logger('SessionControl');
+        this.store = options.store || SessionStore.getDefault();
+        this.monitor = new TmuxMonitor();
+        this.baseDirs = [].concat(options.baseDirs || [])
+            .map(dir => String(dir).trim())
+            .filter(Boolean)
+            .map(dir => SessionControl._realpath(SessionControl._expandHome(dir)))
+            .filter(Boolean);
+    }
+
+    /**
+     * State, last activity and context left of a tmux session
+     * @param {string} session - tmux session name
+     * @returns {Object} { session, exists, state, since, reason, lastActivity, contextLeft, command, cwd }
+     */
+    status(session) {
+        SessionControl.assertName(session);
+        const monitored = this.store.get(SessionStore.COLLECTIONS.MONITOR_STATES, session);
+        const base = {
+            session,
+            exists: this.exists(session),
+            state: monitored ? monitored.state : null,
+            since: monitored ? monitored.since : null,
+            reason: monitored ? monitored.reason : null
+        };
+        if (!base.exists) {
+            return { ...base, lastActivity: null, contextLeft: null, command: null, cwd: null };
+        }
+
+        const [activity, command, cwd] = this._tmux(['display-message', '-p', '-t', session,
+            '#{session_activity}\t#{pane_current_command}\t#{pane_current_path}']).trim().split('\t');
+        return {
+            ...base,
+            lastActivity: activity ? new Date(parseInt(activity, 10) * 1000).toISOString() : null,
+            contextLeft: this.monitor._getContextLeft(this._capture(session, 0)),
+            command: command || null,
+            cwd: cwd || null
+        };
+    }
+
+    /**
+     * Recent pane output without the prompt box, footer and blank lines
+     * @param {string} session - tmux session name
+     * @param {number} lines - Lines to return (default 30, at most 200)
+     * @returns {string}
+     */
+    tail(session, lines = DEFAULT_TAIL_LINES) {
+        SessionControl.assertName(session);
+        this._assertExists(session);
+        const count = Math.min(MAX_TAIL_LINES, Math.max(1, parseInt(lines, 10) || DEFAULT_TAIL_LINES));
+        // Read further back than needed; cleaning drops blank lines and chrome
+        const pane = this._capture(session, count * 3);
+        return SessionControl.cleanLines(pane.split('\n'), this.monitor).slice(-count).join('\n');
+    }
+
+    /**
+     * Send Escape ('esc') or Ctrl-C ('ctrlc') to interrupt Codex
+     * @param {string} session - tmux session name
+     * @param {string} key - 'esc' or 'ctrlc'
+     */
+    interrupt(session, key) {
+        SessionControl.assertName(session);
+        this._assertExists(session);
+        if (!INTERRUPT_KEYS[key]) {
+            throw new Error(`Unknown interrupt key: ${key}`);
+        }
+        this._tmux(['send-keys', '-t', session, INTERRUPT_KEYS[key]]);
+        this.logger.info(`Sent ${INTERRUPT_KEYS[key]} to ${session}`);
+    }
+
+    /**
+     * Kill the session and start Codex again in the same directory
+     * @param {string} session - tmux session name
+     * @returns {Promise<Object>} { success, error }
+     */
+    async restart(session) {
+        SessionControl.assertName(session);
+        this._assertExists(session);
+        return new TmuxInjector(this.logger, session).restartCodexSession();
+    }
+
+    /**
+     * Start Codex in a new tmux session, named after the directory (codex-<dir>, codex-<dir>-2, ...)
+     * @param {string} dir - Working directory inside one of the base directories; ~ is expanded, relative paths start at the first base directory
+     * @returns {Promise<Object>} { success, session, cwd, error }
+     */
+    async create(dir) {
+        if (this.baseDirs.length === 0) {
+            throw new Error('Starting sessions remotely is disabled: no base directories are configured');
+        }
+        const cwd = dir ? SessionControl._realpath(path.resolve(this.baseDirs[0], SessionControl._expandHome(String(dir)))) : null;
+        if (!cwd || !fs.statSync(cwd).isDirectory()) {
+            throw new Error(`Not a directory: ${dir || '(none)'}`);
+        }
+        // Compared after resolving symlinks and "..", so neither can leave the allowed directories
+        if (!this.baseDirs.some(base => cwd === base || cwd.startsWith(base.endsWith(path.sep) ? base : base + path.sep))) {
+            throw new Error(`${dir} is outside the allowed directories (${this.baseDirs.join(', ')})`);
+        }
+
+        const base = `codex-${path.basename(cwd).replace(/[^A-Za-z0-9_-]/g, '-').substring(0, 40) || 'root'}`;
+        let session = base;
+        for (let n = 2; this.exists(session); n++) {
+            session = `${base}-${n}`;
+        }
+
+        const result = await new TmuxInjector(this.logger, session).createCodexSession(cwd);
+        return { ...result, session, cwd };
+    }
+
+    /**
+     * Whether a tmux session exists
+     * @param {string} session
+     * @returns {boolean}
+     */
+    exists(session) {
+        try {
+            this._tmux(['has-session', '-t', `=${session}`]);
+            return true;
+        } catch (error) {
+            return false;
+        }
+    }
+
+    _assertExists(session) {
+        if (!this.exists(session)) {
+            throw new Error(`tmux session ${session} not found`);
+        }
+    }
+
+    _capture(session, history) {
+        return this._tmux(['capture-pane', '-p', '-t', session, '-S', String(-history)]);
+    }
+
+    _tmux(args) {
+        return execFileSync('tmux', args, { encoding: 'utf8', stdio: ['ignore', 'pipe', 'pipe'], timeout: 5000 });
+    }
+
+    /**
+     * Pane lines as a reader wants them: no ANSI codes, box borders, prompt-only lines, footer or blank lines
+     * @param {Array<string>} lines - Raw pane lines
+     * @param {TmuxMonitor} monitor - For the prompt and ANSI helpers
+     * @returns {Array<string>}
+     */
+    static cleanLines(lines, monitor) {
+        return lines
+            .map(line => monitor._stripAnsi(line))
+            .map(line => line.replace(/^\s*[│|]\s?/, '').replace(/\s*[│|]\s*$/, '').trimEnd())
+            .filter(line => line.trim().length > 0)
+            .filter(line => !monitor._isPromptOnlyLine(line))
+            .filter(line => !line.includes('? for shortcuts') && !line.includes('context left'))
+            .filter(line => !/^[\s╭╰│─┤┐┘┌└╮╯]+$/.test(line))
+            .filter(line => !CompletionMarker.isInstruction(line));
+    }
+
+    static _expandHome(dir) {
+        return dir.replace(/^~(?=$|\/)/, os.homedir());
+    }
+
+    static _realpath(dir) {
+        try {
+            return fs.realpathSync(dir);
+        } catch (error) {
+            return null;
+        }
+    }
+
+    /**
+     * Reject anything that is not a plain tmux session name
+     * @param {string} session
+     */
+    static assertName(session) {
+        if (!SESSION_NAME_PATTERN.test(String(session || ''))) {
+            throw new Error(`Invalid session name: ${session || '(none)'}`);
+        }
+    }
+}
+
+SessionControl.DEFAULT_TAIL_LINES = DEFAULT_TAIL_LINES;
+
+module.exports = SessionControl;
@@ -0,0 +1,288 @@
+/**
+ * Session State Machine
+ * Lifecycle of one monitored Codex session: idle → running → awaiting-approval → completed/errored/crashed.
+ * Every detector (session log, idle pane, completion marker) reports through it, so each turn is
+ * announced once and a restarted monitor does not repeat what it already reported.
+ */
+
+const crypto = require('crypto');
+const EventEmitter = require('events');
+const SessionStore = require('../core/session-store');
+
+const STATES = {
+    IDLE: 'idle',
+    RUNNING: 'running',
+    AWAITING_APPROVAL: 'awaiting-approval',
+    COMPLETED: 'completed',
+    ERRORED: 'errored',
+    CRASHED: 'crashed'
+};
+
+// Allowed moves; anything else is ignored
+const TRANSITIONS = {
+    [STATES.IDLE]: [STATES.RUNNING, STATES.AWAITING_APPROVAL, STATES.CRASHED],
+    [STATES.RUNNING]: [STATES.IDLE, STATES.AWAITING_APPROVAL, STATES.COMPLETED, STATES.ERRORED, STATES.CRASHED],
+    [STATES.AWAITING_APPROVAL]: [STATES.IDLE, STATES.RUNNING, STATES.COMPLETED, STATES.ERRORED, STATES.CRASHED],
+    [STATES.COMPLETED]: [STATES.IDLE, STATES.RUNNING, STATES.CRASHED],
+    [STATES.ERRORED]: [STATES.IDLE, STATES.RUNNING, STATES.CRASHED],
+    [STATES.CRASHED]: [STATES.IDLE, STATES.RUNNING]
+};
+
+// Entering these states is reported to the user, once per key
+const NOTIFYING_STATES = [STATES.AWAITING_APPROVAL, STATES.COMPLETED, STATES.ERRORED, STATES.CRASHED];
+
+const DEFAULT_IDLE_MS = 5000;
+// Reported keys remembered per session, so an old screen or turn is never announced twice
+const MAX_RECENT_KEYS = 20;
+const TAIL_LINES = 8;
+// Codex status line while a turn is running
+const BUSY_PATTERN = /esc to interrupt/i;
+// Dialogs that leave the pane quiet while Codex waits for an answer
+const DIALOG_PATTERN = /\(y\/n\)|\[y\/N\]|Do you want|Would you like to|Yes, and don't ask again|Press enter to confirm/i;
+// Codex prints failed turns with a ■ bullet (stream errors, HTTP failures)
+const ERROR_PATTERN = /^\s*■\s+\S|stream error|unexpected status \d{3}/i;
+// Shell prompt left behind when Codex exits (user@host:~/dir$, %, #, ❯, ➜)
+const SHELL_PROMPT_PATTERN = /(?:^|\s)\S*[$%#❯➜]\s*$/;
+// Printed by Codex on exit
+const CODEX_EXIT_PATTERN = /To continue this session, run codex resume/i;
+const PROMPT_ONLY_PATTERN = /^\s*(?:[│|]\s*)?›\s*(?:[│|]\s*)?$/;
+// Status and footer text that only the Codex UI shows
+const CODEX_FOOTER_PATTERN = /\? for shortcuts|context left|esc to interrupt/i;
+// Footer lines that change without new output
+const UI_LINE_PATTERN = /\? for shortcuts|context left|esc to interrupt|^[\s╭╰│─┤┐┘┌└╮╯]+$/;
+
+class SessionStateMachine extends EventEmitter {
+    /**
+     * @param {string} sessionName - tmux session the state belongs to
+     * @param {Object} options
+     * @param {SessionStore} options.store - Where state is persisted (default: shared store)
+     * @param {boolean} options.persist - Keep state across restarts (default true)
+     * @param {number} options.idleMs - Quiet time at the prompt before a turn counts as finished
+     */
+    constructor(sessionName, options = {}) {
+        super();
+        this.sessionName = sessionName;
+        this.persist = options.persist !== false;
+        this.store = this.persist ? (options.store || SessionStore.getDefault()) : null;
+        this.idleMs = options.idleMs || parseInt(process.env.COMPLETION_IDLE_MS, 10) || DEFAULT_IDLE_MS;
+
+        const saved = this.store ? this.store.get(SessionStore.COLLECTIONS.MONITOR_STATES, sessionName) : null;
+        this.data = {
+            state: STATES.IDLE,
+            since: new Date().toISOString(),
+            reason: null,
+            recentKeys: [],
+            ...(saved || {})
+        };
+
+        // Pane observation is in-memory only: a restarted monitor starts from a fresh screen
+        this.lastPane = null;
+        this.lastChangeAt = 0;
+    }
+
+    get state() {
+        return this.data.state;
+    }
+
+    /**
+     * Whether the session is in one of the given states
+     * @param {...string} states
+     * @returns {boolean}
+     */
+    is(...states) {
+        return states.includes(this.data.state);
+    }
+
+    /**
+     * Move to another state
+     * @param {string} to - Target state
+     * @param {Object} options
+     * @param {string} options.key - Identity of what is being reported (turn id, screen fingerprint);
+     *   a notifying transition with a key that was already reported is dropped
+     * @param {string} options.reason - Why (shown in status output)
+     * @returns {Object|null} Transition ({ from, fromSince, to, key, reason, sessionName, at }), or null if not allowed
+     */
+    transition(to, options = {}) {
+        const from = this.data.state;
+        if (!TRANSITIONS[from] || !TRANSITIONS[from].includes(to)) {
+            return null;
+        }
+
+        const notify = NOTIFYING_STATES.includes(to);
+        if (notify && this.hasSeen(options.key)) {
+            return null;
+        }
+
+        const at = new Date().toISOString();
+        const fromSince = this.data.since;
+        this.data = {
+            state: to,
+            since: at,
+            reason: options.reason || null,
+            recentKeys: notify && options.key ? this._withKey(options.key) : this.data.recentKeys
+        };
+        this._save();
+
+        const transition = { sessionName: this.sessionName, from, fromSince, to, key: options.key || null, reason: this.data.reason, at, notify };
+        this.emit('transition', transition);
+        return transition;
+    }
+
+    /**
+     * Whether a key was already reported
+     * @param {string} key
+     * @returns {boolean}
+     */
+    hasSeen(key) {
+        return !!key && this.data.recentKeys.includes(key);
+    }
+
+    /**
+     * Record a key as reported without changing state (e.g. what is on screen when monitoring starts)
+     * @param {string} key
+     */
+    markSeen(key) {
+        if (!key || this.hasSeen(key)) return;
+        this.data.recentKeys = this._withKey(key);
+        this._save();
+    }
+
+    /**
+     * Feed one pane capture. A change means Codex is running; once the pane has been quiet
+     * for idleMs the screen decides between completed, errored and awaiting-approval.
+     * @param {string} paneText - capture-pane output
+     * @param {number} now - Current time in ms (for tests)
+     * @returns {Object|null} Transition made, if any
+     */
+    observe(paneText, now = Date.now()) {
+        const text = String(paneText || '');
+        if (this.lastPane === null) {
+            // First capture is the baseline, not activity
+            this.lastPane = text;
+            this.lastChangeAt = now;
+            return null;
+        }
+        if (text !== this.lastPane) {
+            const contentChanged = SessionStateMachine.fingerprint(text) !== SessionStateMachine.fingerprint(this.lastPane);
+            this.lastPane = text;
+            this.lastChangeAt = now;
+            if (contentChanged && !this.is(STATES.RUNNING)) {
+                return this.transition(STATES.RUNNING, { reason: 'output' });
+            }
+            return null;
+        }
+
+        if (!this.is(STATES.RUNNING) || now - this.lastChangeAt < this.idleMs) {
+            return null;
+        }
+
+        const screen = SessionStateMachine.classifyPane(text);
+        switch (screen.kind) {
+            case 'dialog':
+                return this.transition(STATES.AWAITING_APPROVAL, { key: screen.key, reason: 'dialog' });
+            case 'error':
+                return this.transition(STATES.ERRORED, { key: screen.key, reason: screen.line });
+            case 'prompt':
+                return this.transition(STATES.COMPLETED, { key: screen.key, reason: 'idle' });
+            default:
+                return null;
+        }
+    }
+
+    /**
+     * Persisted state for status output
+     * @returns {Object}
+     */
+    snapshot() {
+        return { sessionName: this.sessionName, ...this.data };
+    }
+
+    /**
+     * Forget persisted state (e.g. when the tmux session is gone for good)
+     */
+    reset() {
+        this.data = { state: STATES.IDLE, since: new Date().toISOString(), reason: null, recentKeys: [] };
+        if (this.store) {
+            this.store.delete(SessionStore.COLLECTIONS.MONITOR_STATES, this.sessionName);
+        }
+    }
+
+    /**
+     * What a quiet pane is showing
+     * @param {string} paneText - capture-pane output
+     * @returns {Object} { kind: busy|dialog|error|prompt|shell|unknown, key, line }
+     */
+    static classifyPane(paneText) {
+        const lines = String(paneText || '')
+            .split('\n')
+            .map(line => line.replace(/\u001b\[[0-9;]*m/g, ''))
+            .filter(line => line.trim().length > 0)
+            .slice(-TAIL_LINES);
+        const key = SessionStateMachine.fingerprint(paneText);
+
+        // The running status sits just above the composer
+        if (BUSY_PATTERN.test(lines.slice(-4).join('\n'))) {
+            return { kind: 'busy', key };
+        }
+
+        let promptIndex = -1;
+        for (let i = lines.length - 1; i >= 0; i--) {
+            if (PROMPT_ONLY_PATTERN.test(lines[i])) {
+                promptIndex = i;
+                break;
+            }
+        }
+
+        const belowPrompt = lines.slice(promptIndex + 1);
+        if (DIALOG_PATTERN.test(belowPrompt.join('\n'))) {
+            return { kind: 'dialog', key, line: belowPrompt.filter(line => DIALOG_PATTERN.test(line)).pop().trim() };
+        }
+        if (promptIndex === -1) {
+            // No composer: Codex is gone if the pane ends at a shell prompt
+            const last = lines[lines.length - 1] || '';
+            if (SHELL_PROMPT_PATTERN.test(last) && !lines.some(line => CODEX_FOOTER_PATTERN.test(line))) {
+                const exitLine = lines.find(line => CODEX_EXIT_PATTERN.test(line));
+                return { kind: 'shell', key, line: (exitLine || last).trim() };
+            }
+            return { kind: 'unknown', key };
+        }
+
+        // A failed turn ends with the error right above the composer
+        const lastOutput = lines.slice(0, promptIndex).filter(line => !UI_LINE_PATTERN.test(line)).pop();
+        if (lastOutput && ERROR_PATTERN.test(lastOutput)) {
+            return { kind: 'error', key, line: lastOutput.trim() };
+        }
+        return { kind: 'prompt', key };
+    }
+
+    /**
+     * Hash of the pane's content lines, ignoring footers and status lines that tick without new output
+     * @param {string} paneText - capture-pane output
+     * @returns {string}
+     */
+    static fingerprint(paneText) {
+        const content = String(paneText || '')
+            .split('\n')
+            .map(line => line.replace(/\u001b\[[0-9;]*m/g, '').trimEnd())
+            .filter(line => line.trim().length > 0 && !UI_LINE_PATTERN.test(line))
+            .slice(-40)
+            .join('\n');
+        return crypto.createHash('sha1').update(content).digest('hex').slice(0, 16);
+    }
+
+    _withKey(key) {
+        return [...this.data.recentKeys.filter(existing => existing !== key), key].slice(-MAX_RECENT_KEYS);
+    }
+
+    _save() {
+        if (!this.store) return;
+        this.store.set(SessionStore.COLLECTIONS.MONITOR_STATES, this.sessionName, {
+            ...this.data,
+            updatedAt: new Date().toISOString()
+        });
+    }
+}
+
+SessionStateMachine.STATES = STATES;
+
+module.exports = SessionStateMachine;
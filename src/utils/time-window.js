@@ -0,0 +1,109 @@
+/**
+ * Time Window
+ * Day and time-of-day windows such as { days: ["mon", "fri"], start: "22:00", end: "07:00" },
+ * evaluated in system time or an IANA timezone
+ */
+
+const DAYS = ['sun', 'mon', 'tue', 'wed', 'thu', 'fri', 'sat'];
+
+class TimeWindow {
+    /**
+     * Check whether a time falls inside a window (end before start wraps past midnight)
+     * @param {Object} window - { days, start, end }; missing start/end mean the whole day
+     * @param {Date} now - Time to check
+     * @param {string} timezone - IANA timezone (default: system time)
+     * @returns {boolean}
+     */
+    static contains(window, now, timezone) {
+        const { day, minutes } = TimeWindow.localTime(now, timezone);
+        const start = TimeWindow.parseTime(window.start, 0);
+        const end = TimeWindow.parseTime(window.end, 24 * 60);
+        const days = window.days ? [].concat(window.days).map(d => String(d).toLowerCase().slice(0, 3)) : null;
+
+        if (start <= end) {
+            return (!days || days.includes(DAYS[day])) && minutes >= start && minutes < end;
+        }
+
+        // Overnight window: the early-morning part belongs to the previous day's window
+        if (minutes >= start) {
+            return !days || days.includes(DAYS[day]);
+        }
+        if (minutes < end) {
+            return !days || days.includes(DAYS[(day + 6) % 7]);
+        }
+        return false;
+    }
+
+    /**
+     * Whether a time falls inside any of the windows
+     * @param {Array<Object>} windows
+     * @param {Date} now
+     * @param {string} timezone
+     * @returns {boolean}
+     */
+    static any(windows, now, timezone) {
+        return [].concat(windows || []).some(window => TimeWindow.contains(window, now, timezone));
+    }
+
+    /**
+     * Short text for a window, e.g. "mon,tue 22:00-07:00"
+     * @param {Object} window
+     * @returns {string}
+     */
+    static describe(window) {
+        const days = window.days ? `${[].concat(window.days).join(',')} ` : '';
+        return `${days}${window.start || '00:00'}-${window.end || '24:00'}`;
+    }
+
+    /**
+     * Day of week (0 = Sunday) and minutes since midnight
+     * @param {Date} now
+     * @param {string} timezone - IANA timezone (default: system time)
+     * @returns {Object} { day, minutes }
+     */
+    static localTime(now, timezone) {
+        if (!timezone) {
+            return { day: now.getDay(), minutes: now.getHours() * 60 + now.getMinutes() };
+        }
+        const parts = new Intl.DateTimeFormat('en-US', {
+            timeZone: timezone,
+            weekday: 'short',
+            hour: '2-digit',
+            minute: '2-digit',
+            hourCycle: 'h23'
+        }).formatToParts(now).reduce((acc, part) => ({ ...acc, [part.type]: part.value }), {});
+        return {
+            day: DAYS.indexOf(parts.weekday.toLowerCase().slice(0, 3)),
+            minutes: parseInt(parts.hour, 10) * 60 + parseInt(parts.minute, 10)
+        };
+    }
+
+    /**
+     * Whether Intl knows the timezone (an unknown one makes localTime() throw)
+     * @param {string} timezone - IANA timezone
+     * @returns {boolean}
+     */
+    static isValidTimezone(timezone) {
+        try {
+            new Intl.DateTimeFormat('en-US', { timeZone: timezone });
+            return true;
+        } catch (error) {
+            return false;
+        }
+    }
+
+    /**
+     * Minutes since midnight for "HH:MM"
+     * @param {string} value
+     * @param {number} fallback - Returned when the value is missing or malformed
+     * @returns {number}
+     */
+    static parseTime(value, fallback) {
+        const match = String(value || '').match(/^(\d{1,2}):(\d{2})$/);
+        return match ? parseInt(match[1], 10) * 60 + parseInt(match[2], 10) : fallback;
+    }
+}
+
+TimeWindow.DAYS = DAYS;
+
+module.exports = TimeWindow;
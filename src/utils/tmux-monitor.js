@@ -9,11 +9,38 @@ const EventEmitter = require('events');
 const fs = require('fs');
 const path = require('path');
 const TraceCapture = require('./trace-capture');
+const CodexSessionLog = require('./codex-session-log');
+const CompletionMarker = require('./completion-marker');
+const SessionStateMachine = require('./session-state-machine');
+
+const { STATES } = SessionStateMachine;
+
+// Look for a newer rollout file every N checks (Codex restarted or began a new session)
+const SESSION_LOG_LOOKUP_CHECKS = 5;
+// Quiet checks before a turn without task_complete (older CLIs) is treated as finished
+const SESSION_LOG_SETTLE_CHECKS = 2;
+// A running turn with no new output for this long is reported as stalled (MONITOR_STALL_MINUTES, 0 disables)
+const DEFAULT_STALL_MINUTES = 10;
+// Report once when the Codex footer drops to this much context left (CONTEXT_LOW_PERCENT, 0 disables)
+const DEFAULT_CONTEXT_LOW_PERCENT = 15;
+const CONTEXT_LEFT_PATTERN = /(\d+)% context left/gi;
+// Foreground processes that mean Codex has exited back to the shell
+const SHELL_COMMANDS = ['sh', 'bash', 'zsh', 'fish', 'dash', 'ksh', 'tcsh', 'csh', 'nu', 'pwsh'];
+// The Codex CLI, run directly or through its node wrapper (node .../bin/codex.js)
+const CODEX_EXECUTABLE_PATTERN = /^codex(?:\.js)?$/;
 
 class TmuxMonitor extends EventEmitter {
-    constructor(sessionName = null) {
+    /**
+     * @param {string} sessionName - tmux session to watch (default TMUX_SESSION or codex-real)
+     * @param {Object} options
+     * @param {string} options.target - tmux target to capture, e.g. a pane ('work:0.1' or '%3'); defaults to the session
+     * @param {string} options.label - Identity for persisted state and events (default: the target)
+     */
+    constructor(sessionName = null, options = {}) {
         super();
         this.sessionName = sessionName || process.env.TMUX_SESSION || 'codex-real';
+        this.target = options.target || this.sessionName;
+        this.label = options.label || this.target;
         this.captureDir = path.join(__dirname, '../data/tmux-captures');
         this.isMonitoring = false;
         this.monitorInterval = null;
@@ -21,9 +48,26 @@ class TmuxMonitor extends EventEmitter {
         this.outputBuffer = [];
         this.maxBufferSize = 1000; // Keep last 1000 lines
         this.checkInterval = 2000; // Check every 2 seconds
-        this.lastCompletionTail = '';
-        this.lastCompletionKey = '';
-        this.lastTelegramDoneKey = '';
+        // Lifecycle state (idle/running/awaiting-approval/completed/...), created on start()
+        this.state = null;
+
+        // auto: use the Codex session log when one is found for the pane, pane heuristics otherwise
+        this.detectionMode = process.env.COMPLETION_DETECTION === 'pane' ? 'pane' : 'auto';
+        this.sessionLog = null;
+        this.sessionLogChecks = 0;
+        this.sessionLogIdleChecks = 0;
+
+        // Health: a Codex UI seen in the pane makes a later shell prompt a crash; activity drives stall detection
+        const stallMinutes = parseFloat(process.env.MONITOR_STALL_MINUTES);
+        this.stallMs = (isNaN(stallMinutes) ? DEFAULT_STALL_MINUTES : stallMinutes) * 60 * 1000;
+        this.codexSeen = false;
+        this.lastFingerprint = null;
+        this.lastActivityAt = 0;
+        const contextLowPercent = parseInt(process.env.CONTEXT_LOW_PERCENT, 10);
+        this.contextLowPercent = isNaN(contextLowPercent) ? DEFAULT_CONTEXT_LOW_PERCENT : contextLowPercent;
+        this.contextLowReported = false;
+
+        this.markerEnabled = CompletionMarker.isEnabled(this.sessionName) || CompletionMarker.isEnabled(this.target);
         
         // Codex completion patterns (adapted for Codex CLI output)
         this.completionPatterns = [
@@ -114,7 +158,10 @@ class TmuxMonitor extends EventEmitter {
     }
 
     // Real-time monitoring methods (new functionality)
-    start() {
+    // options.skipExisting: treat the current pane as already seen, so only output produced
+    // after start() is emitted and earlier completions are not reported again
+    // options.persistState: save lifecycle state for restarts (default true; off for short-lived watchers)
+    start(options = {}) {
         if (this.isMonitoring) {
             console.log('⚠️ TmuxMonitor already running');
             return;
@@ -122,13 +169,23 @@ class TmuxMonitor extends EventEmitter {
 
         // Verify tmux session exists
         if (!this._sessionExists()) {
-            console.error(`❌ Tmux session '${this.sessionName}' not found`);
-            throw new Error(`Tmux session '${this.sessionName}' not found`);
+            console.error(`❌ Tmux target '${this.target}' not found`);
+            throw new Error(`Tmux target '${this.target}' not found`);
         }
 
         this.isMonitoring = true;
+        this.lastActivityAt = Date.now();
+        if (!this.state) {
+            this.state = new SessionStateMachine(this.label, { persist: options.persistState !== false });
+            this.state.on('transition', transition => this.emit('stateChanged', transition));
+        }
+        if (options.skipExisting) {
+            this._markCurrentContentSeen();
+        }
+        // Turns already in the log are history; only report what happens from now on
+        this._attachSessionLog(false);
         this._startRealTimeMonitoring();
-        console.log(`🔍 Started monitoring tmux session: ${this.sessionName}`);
+        console.log(`🔍 Started monitoring tmux target: ${this.label} (completion source: ${this.sessionLog ? 'session log' : 'pane'})`);
     }
 
     stop() {
@@ -141,10 +198,23 @@ class TmuxMonitor extends EventEmitter {
             clearInterval(this.monitorInterval);
             this.monitorInterval = null;
         }
+        this.sessionLog = null;
+        if (this.state) {
+            this.state.lastPane = null;
+        }
         console.log('⏹️ TmuxMonitor stopped');
     }
 
     _sessionExists() {
+        if (this.target !== this.sessionName) {
+            // has-session resolves pane targets too, so a closed pane reads as missing
+            try {
+                execSync(`tmux has-session -t ${this.target}`, { stdio: 'ignore' });
+                return true;
+            } catch (error) {
+                return false;
+            }
+        }
         try {
             const sessions = execSync('tmux list-sessions -F "#{session_name}"', { 
                 encoding: 'utf8',
@@ -163,16 +233,222 @@ class TmuxMonitor extends EventEmitter {
         
         // Set up periodic monitoring
         this.monitorInterval = setInterval(() => {
-            if (this.isMonitoring) {
+            if (this.isMonitoring && this.checkHealth() !== 'closed') {
+                this._checkSessionLog();
                 this._checkForChanges();
             }
         }, this.checkInterval);
     }
 
+    _getPaneCwd() {
+        try {
+            return execSync(`tmux display-message -p -t ${this.target} '#{pane_current_path}'`, {
+                encoding: 'utf8',
+                stdio: ['ignore', 'pipe', 'ignore']
+            }).trim() || null;
+        } catch (error) {
+            return null;
+        }
+    }
+
+    // Follow the rollout file of the Codex process running in the pane (see CodexSessionLog.locate()).
+    // When none matches, or several sessions share the directory, pane detection takes over again.
+    // emitHistory: report turns already in a newly found file (false for the file found at start)
+    _attachSessionLog(emitHistory) {
+        if (this.detectionMode === 'pane') {
+            return false;
+        }
+
+        const codex = this._getCodexProcess();
+        const filePath = codex ? CodexSessionLog.locate(this._getPaneCwd(), codex) : null;
+        if (!filePath) {
+            if (this.sessionLog) {
+                console.log(`📜 ${this.sessionLog.filePath} no longer matches ${this.label}; using pane detection`);
+                this.sessionLog = null;
+            }
+            return false;
+        }
+        if (this.sessionLog && this.sessionLog.filePath === filePath) {
+            return true;
+        }
+
+        const log = new CodexSessionLog(filePath);
+        const events = log.poll({ emit: emitHistory });
+        this.sessionLog = log;
+        this.sessionLogIdleChecks = 0;
+        console.log(`📜 Following Codex session log: ${filePath}`);
+        events.forEach(event => this._handleSessionLogEvent(event));
+        return true;
+    }
+
+    // The pane's Codex process: when it started, and the files it has open (Linux only; elsewhere the start time has to do)
+    _getCodexProcess() {
+        let panePid;
+        let table;
+        try {
+            panePid = execSync(`tmux display-message -p -t ${this.target} '#{pane_pid}'`, {
+                encoding: 'utf8',
+                stdio: ['ignore', 'pipe', 'ignore']
+            }).trim();
+            table = execSync('ps -A -o pid= -o ppid= -o etime= -o args=', {
+                encoding: 'utf8',
+                stdio: ['ignore', 'pipe', 'ignore']
+            });
+        } catch (error) {
+            return null;
+        }
+
+        const processes = table.split('\n').map(line => line.trim().match(/^(\d+)\s+(\d+)\s+(\S+)\s+(.*)$/)).filter(Boolean)
+            .map(([, pid, ppid, elapsed, args]) => ({ pid, ppid, elapsed: TmuxMonitor._parseElapsed(elapsed), args }));
+
+        // The pane's process and everything below it
+        const tree = processes.filter(proc => proc.pid === panePid);
+        for (let i = 0; i < tree.length; i++) {
+            tree.push(...processes.filter(proc => proc.ppid === tree[i].pid));
+        }
+        const codex = tree.filter(proc => proc.args.split(/\s+/).slice(0, 2)
+            .some(arg => CODEX_EXECUTABLE_PATTERN.test(path.basename(arg))));
+        if (codex.length === 0) {
+            return null;
+        }
+
+        const openFiles = [];
+        for (const proc of codex) {
+            const fdDir = `/proc/${proc.pid}/fd`;
+            try {
+                for (const fd of fs.readdirSync(fdDir)) {
+                    try {
+                        openFiles.push(fs.readlinkSync(path.join(fdDir, fd)));
+                    } catch (error) {
+                        // Closed while listing
+                    }
+                }
+            } catch (error) {
+                // No /proc here
+            }
+        }
+        // The wrapper starts first; its start time is the earliest the session can have begun
+        const elapsed = Math.max(...codex.map(proc => proc.elapsed));
+        return { startedAt: Date.now() - elapsed * 1000, openFiles };
+    }
+
+    _checkSessionLog() {
+        if (this.detectionMode === 'pane') {
+            return;
+        }
+
+        this.sessionLogChecks++;
+        if (this.sessionLogChecks % SESSION_LOG_LOOKUP_CHECKS === 0) {
+            this._attachSessionLog(true);
+        }
+        if (!this.sessionLog) {
+            return;
+        }
+
+        const previousOffset = this.sessionLog.offset;
+        const events = this.sessionLog.poll();
+        if (this.sessionLog.offset !== previousOffset) {
+            this.sessionLogIdleChecks = 0;
+            this.lastActivityAt = Date.now();
+            if (!this.state.is(STATES.RUNNING)) {
+                this.state.transition(STATES.RUNNING, { reason: 'session-log' });
+            }
+        } else if (++this.sessionLogIdleChecks === SESSION_LOG_SETTLE_CHECKS) {
+            const settled = this.sessionLog.settle();
+            if (settled) events.push(settled);
+        }
+        events.forEach(event => this._handleSessionLogEvent(event));
+    }
+
+    _handleSessionLogEvent(event) {
+        const userQuestion = CompletionMarker.strip(event.userMessage).trim();
+        const conversation = {
+            userQuestion: userQuestion || 'Recent command',
+            claudeResponse: event.agentMessage || (event.type === 'completed' ? 'Task completed' : ''),
+            fullContext: event.agentMessage || ''
+        };
+        if (event.reason === 'approval' && event.command) {
+            conversation.claudeResponse = `Approval needed: ${event.command}`;
+        }
+        const lines = conversation.claudeResponse ? conversation.claudeResponse.split('\n') : [];
+        const report = {
+            conversation,
+            newLines: lines,
+            detectedBy: 'session-log',
+            details: {
+                turnId: event.turnId,
+                codexSessionId: event.sessionId,
+                reason: event.reason || null
+            }
+        };
+
+        if (event.type === 'completed') {
+            console.log(`🎯 Task completion detected (session log, turn ${event.turnId})`);
+            this._report(STATES.COMPLETED, { ...report, key: `turn:${event.turnId}` });
+        } else if (event.type === 'errored') {
+            console.log(`❌ Task error detected (session log, turn ${event.turnId})`);
+            this._report(STATES.ERRORED, { ...report, key: `error:${event.turnId}:${event.timestamp}` });
+        } else if (event.reason === 'approval') {
+            console.log('⏳ Waiting for input detected (session log, approval)');
+            this._report(STATES.AWAITING_APPROVAL, { ...report, key: `approval:${event.callId || event.turnId}` });
+        } else if (event.type === 'waiting') {
+            // Interrupted at the keyboard: nothing to tell the user, the session is just idle again
+            this.state.transition(STATES.IDLE, { reason: event.reason });
+        }
+    }
+
+    /**
+     * Move the state machine and, if the move is new, emit the matching event
+     * @param {string} state - Target state
+     * @param {Object} report - { key, conversation, newLines, detectedBy, details }
+     * @returns {boolean} Whether the event was emitted
+     */
+    _report(state, report) {
+        const transition = this.state.transition(state, { key: report.key, reason: report.detectedBy });
+        if (!transition) {
+            return false;
+        }
+        this._announce(transition, report);
+        return true;
+    }
+
+    _announce(transition, report = {}) {
+        const newLines = report.newLines || [];
+        const details = { state: transition.to, ...(report.details || {}) };
+        // How long the turn ran, for digests
+        if (transition.from === STATES.RUNNING) {
+            details.startedAt = transition.fromSince;
+        }
+        switch (transition.to) {
+            case STATES.COMPLETED:
+                this._handleTaskCompletion(newLines, report.conversation || null, report.detectedBy, details);
+                break;
+            case STATES.AWAITING_APPROVAL:
+                this._handleWaitingForInput(newLines, report.conversation || null, { detectedBy: report.detectedBy, ...details });
+                break;
+            case STATES.ERRORED:
+                this._handleTaskError(newLines, report.conversation || null, { detectedBy: report.detectedBy, ...details });
+                break;
+        }
+    }
+
+    _markCurrentContentSeen() {
+        const content = this._captureCurrentContent();
+        this.lastPaneContent = content;
+        // The current screen is the baseline, and any completion already on it counts as reported
+        this.state.observe(content);
+        const marker = this._detectTelegramDoneCompletion(content);
+        this.state.markSeen(marker ? `marker:${marker.key}` : null);
+        const paneKey = this._detectCompletionFromPane(content);
+        this.state.markSeen(paneKey ? `pane:${paneKey}` : null);
+        const contextLeft = this._getContextLeft(content);
+        this.contextLowReported = contextLeft !== null && contextLeft <= this.contextLowPercent;
+    }
+
     _captureCurrentContent() {
         try {
             // Capture current pane content
-            const content = execSync(`tmux capture-pane -t ${this.sessionName} -p`, {
+            const content = execSync(`tmux capture-pane -t ${this.target} -p`, {
                 encoding: 'utf8',
                 stdio: ['ignore', 'pipe', 'ignore']
             });
@@ -188,11 +464,35 @@ class TmuxMonitor extends EventEmitter {
         const currentContent = this._captureCurrentContent();
         
         const contentChanged = currentContent !== this.lastPaneContent;
+        if (contentChanged && currentContent) {
+            // Status ticks ("Working (42s)") are not progress
+            const fingerprint = SessionStateMachine.fingerprint(currentContent);
+            if (fingerprint !== this.lastFingerprint) {
+                this.lastFingerprint = fingerprint;
+                this.lastActivityAt = Date.now();
+            }
+        }
+
+        // Without a session log the pane drives the state: changes mean running, a quiet pane decides the outcome
+        if (currentContent && !this.sessionLog) {
+            const transition = this.state.observe(currentContent);
+            if (transition && transition.notify) {
+                this._announceIdle(transition, currentContent);
+            }
+        }
+
         if (contentChanged) {
             // Get new content (lines that were added)
             const newLines = this._getNewLines(this.lastPaneContent, currentContent);
             
             if (newLines.length > 0) {
+                this.emit('output', {
+                    sessionName: this.sessionName,
+                    target: this.target,
+                    newLines: newLines,
+                    content: currentContent
+                });
+
                 // Add to buffer
                 this.outputBuffer.push(...newLines);
                 
@@ -210,24 +510,27 @@ class TmuxMonitor extends EventEmitter {
                     .split('\n')
                     .slice(-20)
                     .filter(line => line.trim().length > 0);
-                const tailText = tailLines.join('\n');
                 const lastTailLine = tailLines[tailLines.length - 1] || '';
-                const hasPromptReturn = this._isPromptOnlyLine(lastTailLine);
-
-                if (hasPromptReturn && tailText && tailText !== this.lastCompletionTail) {
-                    this.lastCompletionTail = tailText;
+                if (this._isPromptOnlyLine(lastTailLine)) {
                     this._analyzeNewContent(tailLines.slice(-5), currentContent);
                 }
             }
             
         }
 
+        if (contentChanged && currentContent) {
+            this._checkContextLeft(currentContent);
+        }
+
         // Always scan for Telegram completion marker when the pane changes
-        if (currentContent && contentChanged) {
+        if (currentContent && contentChanged && !this.sessionLog && this.markerEnabled) {
             const completionFromTelegramDone = this._detectTelegramDoneCompletion(currentContent);
-            if (completionFromTelegramDone) {
+            if (completionFromTelegramDone && this._report(STATES.COMPLETED, {
+                key: `marker:${completionFromTelegramDone.key}`,
+                conversation: completionFromTelegramDone,
+                detectedBy: 'telegram-done'
+            })) {
                 console.log('🎯 Task completion detected (Telegram done, pane scan)');
-                this._handleTaskCompletion([], completionFromTelegramDone);
             }
         }
 
@@ -236,9 +539,180 @@ class TmuxMonitor extends EventEmitter {
         }
     }
 
+    _announceIdle(transition, paneText) {
+        const screen = SessionStateMachine.classifyPane(paneText);
+        if (transition.to === STATES.COMPLETED) {
+            console.log(`🎯 Task completion detected (pane idle for ${Math.round(this.state.idleMs / 1000)}s at prompt)`);
+        } else if (transition.to === STATES.AWAITING_APPROVAL) {
+            console.log('⏳ Waiting for input detected (pane idle on a dialog)');
+        } else if (transition.to === STATES.ERRORED) {
+            console.log(`❌ Task error detected (${screen.line})`);
+        }
+        this._announce(transition, {
+            newLines: screen.line ? [screen.line] : [],
+            detectedBy: 'idle'
+        });
+    }
+
+    /**
+     * Look for a closed session, an exited Codex process and a turn that stopped making progress.
+     * Runs before every check; the supervisor also calls it before detaching a target that disappeared.
+     * @param {number} now - Current time in ms (for tests)
+     * @returns {string} ok | closed | crashed | stalled | stopped
+     */
+    checkHealth(now = Date.now()) {
+        if (!this.isMonitoring || !this.state) {
+            return 'stopped';
+        }
+        if (!this._sessionExists()) {
+            this._handleSessionClosed();
+            return 'closed';
+        }
+        if (this._checkCrashed()) {
+            return 'crashed';
+        }
+        if (this._checkStalled(now)) {
+            return 'stalled';
+        }
+        return 'ok';
+    }
+
+    _getPaneProcess() {
+        try {
+            const [command, dead, status] = execSync(`tmux display-message -p -t ${this.target} '#{pane_current_command}\t#{pane_dead}\t#{pane_dead_status}'`, {
+                encoding: 'utf8',
+                stdio: ['ignore', 'pipe', 'ignore']
+            }).replace(/\n$/, '').split('\t');
+            return { command, dead: dead === '1', exitStatus: status ? parseInt(status, 10) : null };
+        } catch (error) {
+            return null;
+        }
+    }
+
+    _checkCrashed() {
+        const pane = this._getPaneProcess();
+        if (!pane) {
+            return false;
+        }
+        const screen = SessionStateMachine.classifyPane(this.lastPaneContent);
+        const atShell = SHELL_COMMANDS.includes(path.basename(pane.command || ''));
+        if (!pane.dead && !atShell && ['busy', 'dialog', 'error', 'prompt'].includes(screen.kind)) {
+            this.codexSeen = true;
+            return false;
+        }
+        // Only a pane that was running Codex can crash; a plain shell at start is just not started yet
+        const exited = pane.dead || screen.kind === 'shell' || (atShell && screen.kind === 'unknown');
+        if (!this.codexSeen || !exited) {
+            return false;
+        }
+
+        this.codexSeen = false;
+        const reason = pane.dead
+            ? `Pane exited${pane.exitStatus !== null ? ` with status ${pane.exitStatus}` : ''}`
+            : (screen.line || 'Codex exited to the shell');
+        const transition = this.state.transition(STATES.CRASHED, {
+            key: `crash:${SessionStateMachine.fingerprint(this.lastPaneContent)}`,
+            reason
+        });
+        if (!transition) {
+            return false;
+        }
+
+        console.log(`💥 Codex exited in ${this.label} (${reason})`);
+        this._handleSessionHealth('sessionCrashed', 'session_crashed', {
+            reason,
+            exitStatus: pane.exitStatus,
+            previousState: transition.from,
+            state: transition.to
+        });
+        return true;
+    }
+
+    _checkStalled(now) {
+        if (!this.stallMs || !this.state.is(STATES.RUNNING) || now - this.lastActivityAt < this.stallMs) {
+            return false;
+        }
+        // Once per turn, also across restarts
+        const key = `stall:${this.state.snapshot().since}`;
+        if (this.state.hasSeen(key)) {
+            return false;
+        }
+        this.state.markSeen(key);
+
+        const quietMinutes = Math.max(1, Math.round((now - this.lastActivityAt) / 60000));
+        console.log(`🐢 No progress in ${this.label} for ${quietMinutes} minute(s)`);
+        this._handleSessionHealth('sessionStalled', 'session_stalled', {
+            reason: `No new output for ${quietMinutes} minute(s)`,
+            quietMinutes,
+            state: this.state.state
+        });
+        return true;
+    }
+
+    _handleSessionClosed() {
+        const previousState = this.state.state;
+        console.log(`🔌 Tmux target '${this.label}' closed`);
+        this._handleSessionHealth('sessionClosed', 'session_closed', {
+            reason: `tmux ${this.target === this.sessionName ? 'session' : 'pane'} closed`,
+            previousState
+        });
+        // The session is gone for good; a new one with the same name starts fresh
+        this.state.reset();
+        this.stop();
+    }
+
+    _getContextLeft(paneText) {
+        const matches = [...String(paneText || '').matchAll(CONTEXT_LEFT_PATTERN)];
+        return matches.length > 0 ? parseInt(matches[matches.length - 1][1], 10) : null;
+    }
+
+    // Once per drop below the threshold; a new conversation brings the footer back up
+    _checkContextLeft(paneText) {
+        const contextLeft = this._getContextLeft(paneText);
+        if (!this.contextLowPercent || contextLeft === null) {
+            return;
+        }
+        if (contextLeft > this.contextLowPercent) {
+            this.contextLowReported = false;
+            return;
+        }
+        if (this.contextLowReported) {
+            return;
+        }
+        this.contextLowReported = true;
+
+        console.log(`📉 ${contextLeft}% context left in ${this.label}`);
+        this._handleSessionHealth('contextLow', 'context_low', {
+            reason: `${contextLeft}% context left`,
+            contextLeft
+        });
+    }
+
+    _handleSessionHealth(eventName, type, details) {
+        const conversation = this._extractRecentConversation(this.lastPaneContent);
+        const tail = this.lastPaneContent
+            .split('\n')
+            .map(line => this._stripAnsi(line).trimEnd())
+            .filter(line => line.trim().length > 0)
+            .slice(-10);
+
+        this.emit(eventName, {
+            type,
+            sessionName: this.sessionName,
+            target: this.target,
+            label: this.label,
+            timestamp: new Date().toISOString(),
+            newOutput: tail,
+            conversation: { ...conversation, claudeResponse: [details.reason, ...tail].join('\n') },
+            triggerText: details.reason,
+            ...details
+        });
+    }
+
     _getNewLines(oldContent, newContent) {
-        const oldLines = oldContent.split('\n');
-        const newLines = newContent.split('\n');
+        // capture-pane pads the pane with blank lines; drop them so growing output shows up as added lines
+        const oldLines = oldContent.replace(/\s+$/, '').split('\n');
+        const newLines = newContent.replace(/\s+$/, '').split('\n');
         
         // Find lines that were added
         const addedLines = [];
@@ -263,7 +737,13 @@ class TmuxMonitor extends EventEmitter {
         return addedLines.filter(line => line.trim().length > 0);
     }
 
+    // Screen patterns for sessions that still use the completion marker. Everything else is decided
+    // by the session log or by the state machine once the pane goes quiet.
     _analyzeNewContent(newLines, currentContent = '') {
+        if (this.sessionLog || !this.markerEnabled) {
+            return;
+        }
+
         const recentText = newLines.join('\n');
         
         // Also check the entire recent buffer for context
@@ -273,15 +753,22 @@ class TmuxMonitor extends EventEmitter {
         console.log('🔍 Analyzing new content:', newLines.slice(0, 2).map(line => line.substring(0, 50))); // Debug log
         const completionFromTelegramDone = this._detectTelegramDoneCompletion(paneText);
         if (completionFromTelegramDone) {
-            console.log('🎯 Task completion detected (Telegram done)');
-            this._handleTaskCompletion(newLines, completionFromTelegramDone);
+            if (this._report(STATES.COMPLETED, {
+                key: `marker:${completionFromTelegramDone.key}`,
+                conversation: completionFromTelegramDone,
+                newLines,
+                detectedBy: 'telegram-done'
+            })) {
+                console.log('🎯 Task completion detected (Telegram done)');
+            }
             return;
         }
 
-        const completionFromPane = this._detectCompletionFromPane(paneText);
-        if (completionFromPane) {
-            console.log('🎯 Task completion detected (pane analysis)');
-            this._handleTaskCompletion(newLines);
+        const paneKey = this._detectCompletionFromPane(paneText);
+        if (paneKey) {
+            if (this._report(STATES.COMPLETED, { key: `pane:${paneKey}`, newLines, detectedBy: 'pane' })) {
+                console.log('🎯 Task completion detected (pane analysis)');
+            }
             return;
         }
         
@@ -290,13 +777,16 @@ class TmuxMonitor extends EventEmitter {
         const hasTaskCompletion = this._detectTaskCompletion(recentText, bufferText);
         
         if (hasTaskCompletion || hasResponseEnd) {
-            console.log('🎯 Task completion detected');
-               this._handleTaskCompletion(newLines);
-            }
-        // Don't constantly trigger waiting notifications for static content
-        else if (this._shouldTriggerWaitingNotification(recentText)) {
+            // Looks finished; the state machine confirms it once the pane settles at the prompt
+            return;
+        }
+        // One waiting report per screen; a screen already reported as completed is not reported again
+        if (this._shouldTriggerWaitingNotification(recentText) && this._report(STATES.AWAITING_APPROVAL, {
+            key: `screen:${SessionStateMachine.fingerprint(paneText)}`,
+            newLines,
+            detectedBy: 'pattern'
+        })) {
             console.log('⏳ New waiting state detected');
-            this._handleWaitingForInput(newLines);
         }
     }
     
@@ -340,33 +830,24 @@ class TmuxMonitor extends EventEmitter {
                isCompleteResponse;
     }
 
+    // Returns a key identifying the finished turn on screen, or null
     _detectCompletionFromPane(paneText) {
-        if (!paneText) return false;
+        if (!paneText) return null;
 
         const conversation = this._extractRecentConversation(paneText);
         const response = conversation?.claudeResponse || '';
-        if (!response) return false;
+        if (!response) return null;
 
-        const hasTelegramDone = /Telegram done/i.test(response);
+        const hasTelegramDone = CompletionMarker.MARKER_PATTERN.test(response);
         const hasWorkedFor = /Worked for \d+s/i.test(response) || /─ Worked for \d+s/i.test(response);
         const hasSummary = /(^|\n)•\s+/m.test(response) || /\(no output\)/i.test(response);
         // If we have a Telegram completion marker anywhere, prefer it over heuristics.
         if (hasTelegramDone) {
-            const key = `${conversation.userQuestion}::${response.match(/Telegram done/i)?.index || 0}`;
-            if (key === this.lastCompletionKey) {
-                return false;
-            }
-            this.lastCompletionKey = key;
-            return true;
+            return `${conversation.userQuestion}::${response.match(/Telegram done/i)?.index || 0}`;
         }
-        if (!(hasWorkedFor || hasSummary)) return false;
+        if (!(hasWorkedFor || hasSummary)) return null;
 
-        const key = `${conversation.userQuestion}::${response.slice(-500)}`;
-        if (key === this.lastCompletionKey) {
-            return false;
-        }
-        this.lastCompletionKey = key;
-        return true;
+        return `${conversation.userQuestion}::${response.slice(-500)}`;
     }
 
     _detectTelegramDoneCompletion(paneText) {
@@ -381,7 +862,7 @@ class TmuxMonitor extends EventEmitter {
         }
         if (lastIndex === -1) return null;
 
-        // Derive a stable key to avoid repeated notifications
+        // Derive a stable key so the state machine reports each marker once
         let promptLine = '';
         let promptIndex = -1;
         for (let i = lastIndex; i >= 0; i--) {
@@ -393,10 +874,6 @@ class TmuxMonitor extends EventEmitter {
         }
         const doneLine = this._stripAnsi(lines[lastIndex]).trim();
         const key = promptLine ? `${promptLine}::${doneLine}` : `${lastIndex}::${doneLine}`;
-        if (key === this.lastTelegramDoneKey) {
-            return null;
-        }
-        this.lastTelegramDoneKey = key;
         const isUiLine = (line) =>
             line.includes('? for shortcuts') ||
             line.includes('context left') ||
@@ -410,7 +887,7 @@ class TmuxMonitor extends EventEmitter {
             if (i > promptIndex && this._isPromptLine(trimmed)) break;
             if (this._isPromptOnlyLine(trimmed)) continue;
             if (isUiLine(trimmed)) continue;
-            if (/After task is completed, write \"Telegram done\" here/i.test(trimmed)) continue;
+            if (CompletionMarker.isInstruction(trimmed)) continue;
             responseLines.push(trimmed);
         }
 
@@ -419,7 +896,8 @@ class TmuxMonitor extends EventEmitter {
         return {
             userQuestion: promptLine || 'Recent command',
             claudeResponse: claudeResponse || 'Task completed',
-            fullContext: lines.slice(Math.max(0, responseStart - 5), Math.min(lines.length, lastIndex + 10)).join('\n')
+            fullContext: lines.slice(Math.max(0, responseStart - 5), Math.min(lines.length, lastIndex + 10)).join('\n'),
+            key: key
         };
     }
     
@@ -446,7 +924,7 @@ class TmuxMonitor extends EventEmitter {
                !recentText.includes('? for shortcuts'); // Ignore static shortcuts line
     }
 
-    _handleTaskCompletion(newLines, conversationOverride = null) {
+    _handleTaskCompletion(newLines, conversationOverride = null, detectedBy = 'pattern', details = {}) {
         const fullContent = this._captureCurrentContent();
         const conversation = conversationOverride || this._extractRecentConversation(fullContent);
         
@@ -455,26 +933,52 @@ class TmuxMonitor extends EventEmitter {
         this.emit('taskCompleted', {
             type: 'completed',
             sessionName: this.sessionName,
+            target: this.target,
+            label: this.label,
             timestamp: new Date().toISOString(),
             newOutput: newLines,
             conversation: conversation,
-            triggerText: newLines.join('\n')
+            triggerText: newLines.join('\n'),
+            detectedBy: detectedBy, // session-log | idle | telegram-done | pane | pattern
+            ...details
         });
     }
 
-    _handleWaitingForInput(newLines) {
-        const fullContent = this._captureCurrentContent();
-        const conversation = this._extractRecentConversation(fullContent);
+    _handleWaitingForInput(newLines, conversationOverride = null, details = {}) {
+        const conversation = conversationOverride || this._extractRecentConversation(this._captureCurrentContent());
         
         console.log('⏳ Codex waiting for input detected!');
         
         this.emit('waitingForInput', {
             type: 'waiting',
             sessionName: this.sessionName,
+            target: this.target,
+            label: this.label,
+            timestamp: new Date().toISOString(),
+            newOutput: newLines,
+            conversation: conversation,
+            triggerText: newLines.join('\n'),
+            detectedBy: 'pattern',
+            ...details
+        });
+    }
+
+    _handleTaskError(newLines, conversationOverride = null, details = {}) {
+        const conversation = conversationOverride || this._extractRecentConversation(this._captureCurrentContent());
+
+        console.log('❌ Codex task error detected!');
+
+        this.emit('taskErrored', {
+            type: 'error',
+            sessionName: this.sessionName,
+            target: this.target,
+            label: this.label,
             timestamp: new Date().toISOString(),
             newOutput: newLines,
             conversation: conversation,
-            triggerText: newLines.join('\n')
+            triggerText: newLines.join('\n'),
+            detectedBy: 'pattern',
+            ...details
         });
     }
 
@@ -875,9 +1379,15 @@ class TmuxMonitor extends EventEmitter {
         return {
             isMonitoring: this.isMonitoring,
             sessionName: this.sessionName,
+            target: this.target,
             sessionExists: this._sessionExists(),
             bufferSize: this.outputBuffer.length,
             checkInterval: this.checkInterval,
+            stallMs: this.stallMs,
+            lastActivityAt: this.lastActivityAt ? new Date(this.lastActivityAt).toISOString() : null,
+            completionSource: this.sessionLog ? 'session-log' : 'pane',
+            state: this.state ? this.state.snapshot() : null,
+            sessionLogFile: this.sessionLog ? this.sessionLog.filePath : null,
             patterns: {
                 completion: this.completionPatterns.length,
                 waiting: this.waitingPatterns.length
@@ -885,6 +1395,17 @@ class TmuxMonitor extends EventEmitter {
             lastCheck: new Date().toISOString()
         };
     }
+
+    /**
+     * Seconds from a ps elapsed time ([[dd-]hh:]mm:ss)
+     * @param {string} text
+     * @returns {number}
+     */
+    static _parseElapsed(text) {
+        const [days, clock] = String(text).includes('-') ? String(text).split('-') : [0, String(text)];
+        const seconds = clock.split(':').reduce((total, part) => total * 60 + (parseInt(part, 10) || 0), 0);
+        return (parseInt(days, 10) || 0) * 86400 + seconds;
+    }
 }
 
 module.exports = TmuxMonitor;
@@ -0,0 +1,281 @@
+/**
+ * Tmux Supervisor
+ * Watches every Codex session on the tmux server from one process: discovers sessions
+ * whose name matches a pattern and panes tagged with a tmux user option, attaches a
+ * TmuxMonitor to each, and detaches when the session or pane closes.
+ */
+
+const { execFileSync } = require('child_process');
+const EventEmitter = require('events');
+const path = require('path');
+const TmuxMonitor = require('./tmux-monitor');
+
+const DEFAULT_PATTERN = '^codex';
+const DEFAULT_TAG = '@codex-remote';
+const DEFAULT_SCAN_INTERVAL_MS = 10000;
+// Monitor events passed through with the target's identity
+const FORWARDED_EVENTS = [
+    'taskCompleted', 'waitingForInput', 'taskErrored', 'stateChanged',
+    'sessionCrashed', 'sessionClosed', 'sessionStalled', 'contextLow'
+];
+const FIELD_SEPARATOR = '|~|';
+
+class TmuxSupervisor extends EventEmitter {
+    /**
+     * @param {Object} options
+     * @param {string|RegExp} options.pattern - Session names to monitor (default MONITOR_SESSION_PATTERN or ^codex; '' disables)
+     * @param {string} options.tag - tmux user option marking sessions or panes to monitor (default MONITOR_TAG or @codex-remote)
+     * @param {number} options.scanIntervalMs - How often to look for new and closed targets (default 10s)
+     * @param {Object} options.monitorOptions - Passed to each TmuxMonitor.start()
+     */
+    constructor(options = {}) {
+        super();
+        const pattern = options.pattern !== undefined ? options.pattern
+            : (process.env.MONITOR_SESSION_PATTERN !== undefined ? process.env.MONITOR_SESSION_PATTERN : DEFAULT_PATTERN);
+        this.pattern = pattern instanceof RegExp ? pattern : (pattern ? new RegExp(pattern) : null);
+        this.tag = TmuxSupervisor.normalizeTag(options.tag || process.env.MONITOR_TAG || DEFAULT_TAG);
+        this.scanIntervalMs = options.scanIntervalMs || DEFAULT_SCAN_INTERVAL_MS;
+        this.monitorOptions = options.monitorOptions || {};
+        this.monitors = new Map();
+        this.scanTimer = null;
+    }
+
+    /**
+     * Attach to everything that matches now and keep scanning
+     */
+    start() {
+        if (this.scanTimer) {
+            return;
+        }
+        this.scan();
+        this.scanTimer = setInterval(() => this.scan(), this.scanIntervalMs);
+        console.log(`🛰️ Supervising tmux targets (pattern: ${this.pattern || 'none'}, tag: ${this.tag})`);
+    }
+
+    /**
+     * Stop scanning and detach every monitor
+     */
+    stop() {
+        if (this.scanTimer) {
+            clearInterval(this.scanTimer);
+            this.scanTimer = null;
+        }
+        for (const id of [...this.monitors.keys()]) {
+            this._detach(id, 'stopped');
+        }
+    }
+
+    /**
+     * Reconcile monitors with the targets currently on the tmux server
+     * @returns {Object} { attached: [ids], detached: [ids] }
+     */
+    scan() {
+        const targets = this.discover();
+        const wanted = new Map(targets.map(target => [target.id, target]));
+        const result = { attached: [], detached: [] };
+
+        for (const [id, entry] of this.monitors) {
+            const current = wanted.get(id);
+            if (current && current.target === entry.target.target && entry.monitor.isMonitoring) {
+                continue;
+            }
+            if (!current) {
+                // Let the monitor report the close before it goes away
+                entry.monitor.checkHealth();
+            }
+            this._detach(id, !current ? 'closed' : (entry.monitor.isMonitoring ? 'target moved' : 'monitor stopped'));
+            result.detached.push(id);
+        }
+        for (const target of targets) {
+            if (!this.monitors.has(target.id) && this._attach(target)) {
+                result.attached.push(target.id);
+            }
+        }
+        return result;
+    }
+
+    /**
+     * Sessions and panes that should be monitored
+     * A tagged pane is watched on its own; a matching or tagged session is watched through its active pane.
+     * @returns {Array<Object>} [{ id, sessionName, target, pane, cwd, reason }]
+     */
+    discover() {
+        const panes = TmuxSupervisor.listPanes(this.tag);
+        const bySession = new Map();
+        for (const pane of panes) {
+            if (!bySession.has(pane.sessionName)) bySession.set(pane.sessionName, []);
+            bySession.get(pane.sessionName).push(pane);
+        }
+
+        const targets = [];
+        for (const [sessionName, sessionPanes] of bySession) {
+            const tagged = sessionPanes.filter(pane => pane.paneTagged);
+            const single = sessionPanes.length === 1;
+            if (tagged.length > 0) {
+                for (const pane of tagged) {
+                    const address = `${sessionName}:${pane.window}.${pane.pane}`;
+                    targets.push({
+                        id: single ? sessionName : address,
+                        sessionName,
+                        // Pane indexes shift when a pane closes; the pane id does not
+                        target: single ? sessionName : pane.paneId,
+                        pane: address,
+                        cwd: pane.cwd,
+                        reason: 'tag'
+                    });
+                }
+                continue;
+            }
+
+            const sessionTagged = sessionPanes.some(pane => pane.sessionTagged);
+            if (sessionTagged || (this.pattern && this.pattern.test(sessionName))) {
+                const active = sessionPanes.find(pane => pane.active) || sessionPanes[0];
+                targets.push({
+                    id: sessionName,
+                    sessionName,
+                    target: sessionName,
+                    pane: `${sessionName}:${active.window}.${active.pane}`,
+                    cwd: active.cwd,
+                    reason: sessionTagged ? 'tag' : 'pattern'
+                });
+            }
+        }
+        return targets;
+    }
+
+    /**
+     * Monitored targets for status output
+     * @returns {Array<Object>}
+     */
+    list() {
+        return [...this.monitors.values()].map(({ target, monitor }) => ({
+            ...target,
+            state: monitor.state ? monitor.state.state : null,
+            completionSource: monitor.sessionLog ? 'session-log' : 'pane'
+        }));
+    }
+
+    _attach(target) {
+        const monitor = new TmuxMonitor(target.sessionName, { target: target.target, label: target.id });
+        const listeners = FORWARDED_EVENTS.map(event => {
+            const listener = (payload) => this.emit(event, {
+                ...payload,
+                sessionName: target.sessionName,
+                target: target.target,
+                pane: target.pane,
+                cwd: target.cwd,
+                project: target.cwd ? path.basename(target.cwd) : target.sessionName
+            });
+            monitor.on(event, listener);
+            return [event, listener];
+        });
+
+        try {
+            monitor.start({ skipExisting: true, ...this.monitorOptions });
+        } catch (error) {
+            console.error(`❌ Cannot monitor ${target.id}: ${error.message}`);
+            listeners.forEach(([event, listener]) => monitor.removeListener(event, listener));
+            return false;
+        }
+
+        this.monitors.set(target.id, { target, monitor });
+        console.log(`➕ Attached to ${target.id} (${target.reason})`);
+        this.emit('attached', target);
+        return true;
+    }
+
+    _detach(id, reason) {
+        const entry = this.monitors.get(id);
+        if (!entry) return;
+        entry.monitor.stop();
+        entry.monitor.removeAllListeners();
+        this.monitors.delete(id);
+        console.log(`➖ Detached from ${id} (${reason})`);
+        this.emit('detached', { ...entry.target, reason });
+    }
+
+    /**
+     * Every pane on the tmux server, with the tag as set on the pane and on its session
+     * @param {string} tag - tmux user option, e.g. @codex-remote
+     * @returns {Array<Object>} [{ sessionName, window, pane, paneId, active, cwd, paneTagged, sessionTagged }]
+     */
+    static listPanes(tag = DEFAULT_TAG) {
+        const option = TmuxSupervisor.normalizeTag(tag);
+        const format = [
+            '#{session_name}', '#{window_index}', '#{pane_index}', '#{pane_id}',
+            '#{?#{&&:#{window_active},#{pane_active}},1,0}', '#{pane_current_path}', `#{${option}}`
+        ].join(FIELD_SEPARATOR);
+
+        let output;
+        try {
+            // No shell: the tag comes from config or --tag and session names from whoever created them
+            output = execFileSync('tmux', ['list-panes', '-a', '-F', format], {
+                encoding: 'utf8',
+                stdio: ['ignore', 'pipe', 'ignore']
+            });
+        } catch (error) {
+            // No server running means nothing to monitor
+            return [];
+        }
+
+        const lines = output.split('\n').filter(Boolean);
+        const sessionTags = TmuxSupervisor._listSessionTags(option, new Set(lines.map(line => line.split(FIELD_SEPARATOR)[0])));
+        return lines.map(line => {
+            const [sessionName, window, pane, paneId, active, cwd, value] = line.split(FIELD_SEPARATOR);
+            const sessionTagged = sessionTags.has(sessionName);
+            return {
+                sessionName,
+                window,
+                pane,
+                paneId,
+                active: active === '1',
+                cwd: cwd || null,
+                // #{@option} falls back to the window and session value, so only count it as the pane's own if the session lacks it
+                paneTagged: TmuxSupervisor.isTagValue(value) && !sessionTagged,
+                sessionTagged
+            };
+        });
+    }
+
+    /**
+     * tmux user options start with @
+     * @param {string} tag
+     * @returns {string}
+     */
+    static normalizeTag(tag) {
+        const name = String(tag || DEFAULT_TAG).trim();
+        return name.startsWith('@') ? name : `@${name}`;
+    }
+
+    /**
+     * Whether a user option value switches monitoring on (anything but empty, 0, off, false, no)
+     * @param {string} value
+     * @returns {boolean}
+     */
+    static isTagValue(value) {
+        const normalized = String(value || '').trim().toLowerCase();
+        return normalized.length > 0 && !['0', 'off', 'false', 'no'].includes(normalized);
+    }
+
+    // Session-scope values only: formats in list-sessions resolve through the active pane
+    static _listSessionTags(option, sessionNames) {
+        const tagged = new Set();
+        for (const sessionName of sessionNames) {
+            try {
+                const value = execFileSync('tmux', ['show-options', '-q', '-v', '-t', sessionName, option], {
+                    encoding: 'utf8',
+                    stdio: ['ignore', 'pipe', 'ignore']
+                });
+                if (TmuxSupervisor.isTagValue(value)) tagged.add(sessionName);
+            } catch (error) {
+                // Session closed between list-panes and now
+            }
+        }
+        return tagged;
+    }
+}
+
+TmuxSupervisor.DEFAULT_PATTERN = DEFAULT_PATTERN;
+TmuxSupervisor.DEFAULT_TAG = DEFAULT_TAG;
+
+module.exports = TmuxSupervisor;
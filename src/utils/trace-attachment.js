@@ -0,0 +1,159 @@
+/**
+ * Trace Attachment
+ * Turns the full question, response and execution trace of a notification into a document
+ * for channels whose messages only show the first few hundred characters.
+ * Documents have ANSI codes stripped and secrets redacted; LINE links to them through saved copies.
+ */
+
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+const Redactor = require('./redactor');
+
+// What chat channels show inline; anything longer goes into the document
+const DEFAULT_INLINE_LIMITS = { question: 200, response: 300, trace: 300 };
+const SAVED_TTL_MS = 24 * 60 * 60 * 1000;
+const ID_PATTERN = /^[a-f0-9]{32}$/;
+const CONTENT_TYPES = { md: 'text/markdown; charset=utf-8', txt: 'text/plain; charset=utf-8' };
+
+class TraceAttachment {
+    /**
+     * @param {Object} options
+     * @param {boolean} options.enabled - Build documents at all (default: TRACE_ATTACHMENTS env, on unless 'false')
+     * @param {string} options.format - 'md' or 'txt' (default: TRACE_ATTACHMENT_FORMAT env, else md)
+     * @param {string} options.dir - Where saved documents are served from (default: TRACE_ATTACHMENT_DIR env, else src/data/attachments)
+     * @param {TmuxMonitor} options.monitor - Reads the trace when the notification does not carry one
+     * @param {Redactor} options.redactor
+     */
+    constructor(options = {}) {
+        this.enabled = options.enabled !== undefined ? options.enabled : process.env.TRACE_ATTACHMENTS !== 'false';
+        this.format = (options.format || process.env.TRACE_ATTACHMENT_FORMAT) === 'txt' ? 'txt' : 'md';
+        this.dir = options.dir || process.env.TRACE_ATTACHMENT_DIR || path.join(__dirname, '../data/attachments');
+        this.monitor = options.monitor || null;
+        this.redactor = options.redactor || Redactor.getDefault();
+    }
+
+    /**
+     * Build the document when the question, response or trace does not fit inline
+     * @param {Object} notification
+     * @param {Object} limits - { question, response, trace } characters shown inline
+     * @returns {Object|null} { filename, content, contentType }
+     */
+    build(notification, limits = DEFAULT_INLINE_LIMITS) {
+        if (!this.enabled) return null;
+
+        const metadata = notification.metadata || {};
+        const question = TraceAttachment.stripAnsi(metadata.userQuestion || '');
+        const response = TraceAttachment.stripAnsi(metadata.claudeResponse || '');
+        const trace = TraceAttachment.stripAnsi(this._getTrace(metadata)).trim();
+
+        const { question: maxQuestion, response: maxResponse, trace: maxTrace } = { ...DEFAULT_INLINE_LIMITS, ...limits };
+        if (question.length <= maxQuestion && response.length <= maxResponse && trace.length <= maxTrace) {
+            return null;
+        }
+
+        const time = new Date();
+        const project = String(notification.project || 'codex').replace(/[^A-Za-z0-9_.-]/g, '-').substring(0, 40);
+        const stamp = time.toISOString().replace(/[:.]/g, '-').substring(0, 19);
+        return {
+            filename: `trace-${project}-${stamp}.${this.format}`,
+            content: this.redactor.redact(this._render(notification, { question, response, trace, time })),
+            contentType: CONTENT_TYPES[this.format]
+        };
+    }
+
+    /**
+     * Keep a copy to serve by link (LINE cannot receive files from bots); expired copies are removed
+     * @param {Object} attachment - Result of build()
+     * @param {Date} now
+     * @returns {string} Id for load()
+     */
+    save(attachment, now = new Date()) {
+        this.cleanup(now);
+        fs.mkdirSync(this.dir, { recursive: true });
+        const id = crypto.randomBytes(16).toString('hex');
+        const record = { ...attachment, expiresAt: now.getTime() + SAVED_TTL_MS };
+        fs.writeFileSync(path.join(this.dir, `${id}.json`), JSON.stringify(record), { mode: 0o600 });
+        return id;
+    }
+
+    /**
+     * A saved document, unless the id is malformed, unknown or expired
+     * @param {string} id
+     * @param {Date} now
+     * @returns {Object|null} { filename, content, contentType }
+     */
+    load(id, now = new Date()) {
+        if (!ID_PATTERN.test(String(id))) return null;
+        try {
+            const record = JSON.parse(fs.readFileSync(path.join(this.dir, `${id}.json`), 'utf8'));
+            return record.expiresAt > now.getTime() ? record : null;
+        } catch (error) {
+            return null;
+        }
+    }
+
+    /**
+     * Remove expired saved documents
+     * @param {Date} now
+     */
+    cleanup(now = new Date()) {
+        if (!fs.existsSync(this.dir)) return;
+        for (const file of fs.readdirSync(this.dir)) {
+            const id = path.basename(file, '.json');
+            if (ID_PATTERN.test(id) && !this.load(id, now)) {
+                fs.rmSync(path.join(this.dir, file), { force: true });
+            }
+        }
+    }
+
+    _getTrace(metadata) {
+        if (metadata.fullExecutionTrace) {
+            return metadata.fullExecutionTrace;
+        }
+        if (this.monitor && metadata.tmuxSession) {
+            return this.monitor.getFullExecutionTrace(metadata.tmuxSession) || '';
+        }
+        return '';
+    }
+
+    _render(notification, { question, response, trace, time }) {
+        // A fence longer than any backtick run in the trace, so the trace cannot close it
+        const fence = text => {
+            const longest = (text.match(/`+/g) || []).reduce((max, run) => Math.max(max, run.length), 0);
+            const ticks = '`'.repeat(Math.max(3, longest + 1));
+            return `${ticks}\n${text}\n${ticks}`;
+        };
+        const sections = [
+            `# Codex ${notification.type || 'notification'}: ${notification.project || '-'}`,
+            [
+                `- Session: ${notification.metadata?.tmuxSession || '-'}`,
+                `- Time: ${time.toISOString()}`,
+                `- Summary: ${notification.message || '-'}`
+            ].join('\n')
+        ];
+        if (question) sections.push(`## Question\n\n${question}`);
+        if (response) sections.push(`## Response\n\n${response}`);
+        if (trace) sections.push(`## Execution trace\n\n${fence(trace)}`);
+        return `${sections.join('\n\n')}\n`;
+    }
+
+    /**
+     * Remove terminal escape sequences (colors, cursor movement, titles) and stray control characters
+     * @param {string} text
+     * @returns {string}
+     */
+    static stripAnsi(text) {
+        return String(text || '')
+            .replace(/\u001b\][^\u0007\u001b]*(?:\u0007|\u001b\\)/g, '')
+            .replace(/\u001b\[[0-?]*[ -/]*[@-~]/g, '')
+            .replace(/\u001b[@-Z\\-_]/g, '')
+            .replace(/\r(?!\n)/g, '\n')
+            .replace(/[\u0000-\u0008\u000b\u000c\u000e-\u001f\u007f]/g, '');
+    }
+}
+
+TraceAttachment.DEFAULT_INLINE_LIMITS = DEFAULT_INLINE_LIMITS;
+TraceAttachment.ID_PATTERN = ID_PATTERN;
+
+module.exports = TraceAttachment;
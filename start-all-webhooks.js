@@ -2,7 +2,7 @@
 
 /**
  * Multi-Platform Webhook Server
- * Starts all enabled webhook servers (Telegram, LINE) in parallel
+ * Starts all enabled webhook servers (Telegram, LINE, Slack, Discord) in parallel
  */
 
 const { spawn } = require('child_process');
@@ -51,6 +51,36 @@ if (process.env.LINE_ENABLED === 'true' && process.env.LINE_CHANNEL_ACCESS_TOKEN
     processes.push({ name: 'LINE', process: lineProcess });
 }
 
+// Start Slack webhook if enabled
+if (process.env.SLACK_ENABLED === 'true' && process.env.SLACK_BOT_TOKEN) {
+    console.log('💬 Starting Slack webhook server...');
+    const slackProcess = spawn('node', ['start-slack-webhook.js'], {
+        stdio: ['inherit', 'inherit', 'inherit'],
+        env: process.env
+    });
+    
+    slackProcess.on('exit', (code) => {
+        console.log(`💬 Slack webhook server exited with code ${code}`);
+    });
+    
+    processes.push({ name: 'Slack', process: slackProcess });
+}
+
+// Start Discord webhook if enabled
+if (process.env.DISCORD_ENABLED === 'true' && process.env.DISCORD_PUBLIC_KEY) {
+    console.log('🎮 Starting Discord webhook server...');
+    const discordProcess = spawn('node', ['start-discord-webhook.js'], {
+        stdio: ['inherit', 'inherit', 'inherit'],
+        env: process.env
+    });
+    
+    discordProcess.on('exit', (code) => {
+        console.log(`🎮 Discord webhook server exited with code ${code}`);
+    });
+    
+    processes.push({ name: 'Discord', process: discordProcess });
+}
+
 // Start Email daemon if enabled
 if (process.env.EMAIL_ENABLED === 'true' && process.env.SMTP_USER) {
     console.log('📧 Starting email daemon...');
@@ -70,6 +100,8 @@ if (processes.length === 0) {
     console.log('❌ No platforms enabled. Please configure at least one platform in ~/.codex_code_remote_env:');
     console.log('   - Set TELEGRAM_ENABLED=true and configure TELEGRAM_BOT_TOKEN');
     console.log('   - Set LINE_ENABLED=true and configure LINE_CHANNEL_ACCESS_TOKEN');
+    console.log('   - Set SLACK_ENABLED=true and configure SLACK_BOT_TOKEN');
+    console.log('   - Set DISCORD_ENABLED=true and configure DISCORD_PUBLIC_KEY');
     console.log('   - Set EMAIL_ENABLED=true and configure SMTP_USER');
     console.log('\n   Tip: run `npm run setup` for an interactive configuration wizard.');
     process.exit(1);
@@ -87,6 +119,12 @@ if (process.env.TELEGRAM_ENABLED === 'true') {
 if (process.env.LINE_ENABLED === 'true') {
     console.log('   LINE: Token TOKEN123 <command>');
 }
+if (process.env.SLACK_ENABLED === 'true') {
+    console.log('   Slack: Reply in the notification thread');
+}
+if (process.env.DISCORD_ENABLED === 'true') {
+    console.log('   Discord: /cmd token:TOKEN123 command:<command>');
+}
 if (process.env.EMAIL_ENABLED === 'true') {
     console.log('   Email: Reply to notification emails');
 }
@@ -0,0 +1,84 @@
+#!/usr/bin/env node
+
+/**
+ * Discord Webhook Server
+ * Starts the Discord interactions server for receiving slash commands
+ */
+
+const path = require('path');
+const os = require('os');
+const fs = require('fs');
+const dotenv = require('dotenv');
+const Logger = require('./src/core/logger');
+const DiscordWebhookHandler = require('./src/channels/discord/webhook');
+
+// Load environment variables
+const envPath = process.env.CODEX_CODE_REMOTE_ENV || path.join(os.homedir(), '.codex_code_remote_env');
+if (fs.existsSync(envPath)) {
+    dotenv.config({ path: envPath });
+}
+
+const logger = new Logger('Discord-Webhook-Server');
+
+// Load configuration
+const config = {
+    botToken: process.env.DISCORD_BOT_TOKEN,
+    applicationId: process.env.DISCORD_APPLICATION_ID,
+    publicKey: process.env.DISCORD_PUBLIC_KEY,
+    guildId: process.env.DISCORD_GUILD_ID,
+    channelId: process.env.DISCORD_CHANNEL_ID,
+    whitelist: process.env.DISCORD_WHITELIST ? process.env.DISCORD_WHITELIST.split(',').map(id => id.trim()) : [],
+    port: process.env.DISCORD_WEBHOOK_PORT || 3003
+};
+
+// Validate configuration
+if (!config.publicKey) {
+    logger.error('DISCORD_PUBLIC_KEY must be set in ~/.codex_code_remote_env');
+    process.exit(1);
+}
+
+if (!config.channelId && config.whitelist.length === 0) {
+    logger.error('Either DISCORD_CHANNEL_ID or DISCORD_WHITELIST must be set in ~/.codex_code_remote_env');
+    process.exit(1);
+}
+
+// Create and start webhook handler
+const webhookHandler = new DiscordWebhookHandler(config);
+
+async function start() {
+    logger.info('Starting Discord webhook server...');
+    logger.info(`Configuration:`);
+    logger.info(`- Port: ${config.port}`);
+    logger.info(`- Application ID: ${config.applicationId || 'Not set'}`);
+    logger.info(`- Channel ID: ${config.channelId || 'Not set'}`);
+    logger.info(`- Whitelist: ${config.whitelist.length > 0 ? config.whitelist.join(', ') : 'None (using configured channel)'}`);
+
+    // Register slash commands if the bot credentials are available
+    if (config.applicationId && config.botToken) {
+        try {
+            await webhookHandler.registerCommands();
+        } catch (error) {
+            logger.error('Failed to register slash commands:', error.message);
+        }
+    } else {
+        logger.warn('DISCORD_APPLICATION_ID/DISCORD_BOT_TOKEN not set. Slash commands were not registered.');
+    }
+
+    logger.info('Set the Interactions Endpoint URL in the Discord developer portal to:');
+    logger.info('https://your-domain.com/webhook/discord');
+
+    webhookHandler.start(config.port);
+}
+
+start();
+
+// Handle graceful shutdown
+process.on('SIGINT', () => {
+    logger.info('Shutting down Discord webhook server...');
+    process.exit(0);
+});
+
+process.on('SIGTERM', () => {
+    logger.info('Shutting down Discord webhook server...');
+    process.exit(0);
+});
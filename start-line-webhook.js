@@ -27,7 +27,8 @@ const config = {
     userId: process.env.LINE_USER_ID,
     groupId: process.env.LINE_GROUP_ID,
     whitelist: process.env.LINE_WHITELIST ? process.env.LINE_WHITELIST.split(',').map(id => id.trim()) : [],
-    port: process.env.LINE_WEBHOOK_PORT || 3000
+    port: process.env.LINE_WEBHOOK_PORT || 3000,
+    publicUrl: process.env.LINE_PUBLIC_URL
 };
 
 // Validate configuration
@@ -50,6 +51,7 @@ logger.info(`- Port: ${config.port}`);
 logger.info(`- User ID: ${config.userId || 'Not set'}`);
 logger.info(`- Group ID: ${config.groupId || 'Not set'}`);
 logger.info(`- Whitelist: ${config.whitelist.length > 0 ? config.whitelist.join(', ') : 'None (using configured IDs)'}`);
+logger.info(`- Trace links: ${config.publicUrl ? `${config.publicUrl}/files/<id>` : 'Off (set LINE_PUBLIC_URL)'}`);
 
 webhookHandler.start(config.port);
 
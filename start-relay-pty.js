@@ -40,35 +40,31 @@ function checkConfig() {
     console.log(`📧 IMAP server: ${process.env.IMAP_HOST}`);
     console.log(`👤 Email account: ${process.env.IMAP_USER}`);
     console.log(`🔒 Whitelist senders: ${process.env.ALLOWED_SENDERS || '(Not set, will accept all emails)'}`);
-    console.log(`💾 Session storage path: ${process.env.SESSION_MAP_PATH || '(Using default path)'}`);
+    console.log(`💾 Session store path: ${process.env.SESSION_STORE_PATH || '(Using default path)'}`);
     console.log('');
 }
 
 // Create example session
 function createExampleSession() {
-    const sessionMapPath = process.env.SESSION_MAP_PATH || path.join(__dirname, 'src/data/session-map.json');
-    const sessionDir = path.dirname(sessionMapPath);
+    const SessionStore = require('./src/core/session-store');
+    const TokenManager = require('./src/core/token-manager');
+    const store = SessionStore.getDefault();
     
-    // Ensure directory exists
-    if (!fs.existsSync(sessionDir)) {
-        fs.mkdirSync(sessionDir, { recursive: true });
-    }
-    
-    // If session file doesn't exist, create an example
-    if (!fs.existsSync(sessionMapPath)) {
+    // If no session mappings exist yet, create an example
+    if (store.list(SessionStore.COLLECTIONS.SESSION_MAP).length === 0) {
         const exampleToken = 'TEST123';
-        const exampleSession = {
-            [exampleToken]: {
-                type: 'pty',
-                createdAt: Math.floor(Date.now() / 1000),
-                expiresAt: Math.floor((Date.now() + 24 * 60 * 60 * 1000) / 1000), // Expires after 24 hours
-                cwd: process.cwd(),
-                description: 'Test session - Include [Codex-Code-Remote #TEST123] in email subject when sending'
-            }
-        };
+        store.set(SessionStore.COLLECTIONS.SESSION_MAP, exampleToken, {
+            type: 'pty',
+            createdAt: Math.floor(Date.now() / 1000),
+            expiresAt: Math.floor((Date.now() + 24 * 60 * 60 * 1000) / 1000), // Expires after 24 hours
+            cwd: process.cwd(),
+            description: 'Test session - Include [Codex-Code-Remote #TEST123] in email subject when sending'
+        });
+        
+        // Example token is not bound to a recipient so any whitelisted sender can test with it
+        new TokenManager({ store }).issue({ token: exampleToken, channel: 'email' });
         
-        fs.writeFileSync(sessionMapPath, JSON.stringify(exampleSession, null, 2));
-        console.log(`📝 Created example session file: ${sessionMapPath}`);
+        console.log(`📝 Created example session in: ${store.filePath}`);
         console.log(`🔑 Test Token: ${exampleToken}`);
         console.log('   When sending test email, include in subject: [Codex-Code-Remote #TEST123]');
         console.log('');
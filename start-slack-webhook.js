@@ -0,0 +1,66 @@
+#!/usr/bin/env node
+
+/**
+ * Slack Webhook Server
+ * Starts the Slack Events API / interactivity server for receiving thread replies
+ */
+
+const path = require('path');
+const os = require('os');
+const fs = require('fs');
+const dotenv = require('dotenv');
+const Logger = require('./src/core/logger');
+const SlackWebhookHandler = require('./src/channels/slack/webhook');
+
+// Load environment variables
+const envPath = process.env.CODEX_CODE_REMOTE_ENV || path.join(os.homedir(), '.codex_code_remote_env');
+if (fs.existsSync(envPath)) {
+    dotenv.config({ path: envPath });
+}
+
+const logger = new Logger('Slack-Webhook-Server');
+
+// Load configuration
+const config = {
+    botToken: process.env.SLACK_BOT_TOKEN,
+    channelId: process.env.SLACK_CHANNEL_ID,
+    signingSecret: process.env.SLACK_SIGNING_SECRET,
+    whitelist: process.env.SLACK_WHITELIST ? process.env.SLACK_WHITELIST.split(',').map(id => id.trim()) : [],
+    port: process.env.SLACK_WEBHOOK_PORT || 3002
+};
+
+// Validate configuration
+if (!config.botToken) {
+    logger.error('SLACK_BOT_TOKEN must be set in ~/.codex_code_remote_env');
+    process.exit(1);
+}
+
+if (!config.signingSecret) {
+    logger.error('SLACK_SIGNING_SECRET must be set in ~/.codex_code_remote_env');
+    process.exit(1);
+}
+
+// Create and start webhook handler
+const webhookHandler = new SlackWebhookHandler(config);
+
+logger.info('Starting Slack webhook server...');
+logger.info(`Configuration:`);
+logger.info(`- Port: ${config.port}`);
+logger.info(`- Channel ID: ${config.channelId || 'Not set'}`);
+logger.info(`- Whitelist: ${config.whitelist.length > 0 ? config.whitelist.join(', ') : 'None (using configured channel)'}`);
+logger.info('Configure these URLs in your Slack app settings:');
+logger.info('- Event Subscriptions: https://your-domain.com/webhook/slack/events (subscribe to message.channels)');
+logger.info('- Interactivity: https://your-domain.com/webhook/slack/interactions');
+
+webhookHandler.start(config.port);
+
+// Handle graceful shutdown
+process.on('SIGINT', () => {
+    logger.info('Shutting down Slack webhook server...');
+    process.exit(0);
+});
+
+process.on('SIGTERM', () => {
+    logger.info('Shutting down Slack webhook server...');
+    process.exit(0);
+});
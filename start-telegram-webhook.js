@@ -27,7 +27,14 @@ const config = {
     groupId: process.env.TELEGRAM_GROUP_ID,
     whitelist: process.env.TELEGRAM_WHITELIST ? process.env.TELEGRAM_WHITELIST.split(',').map(id => id.trim()) : [],
     port: process.env.TELEGRAM_WEBHOOK_PORT || 3001,
-    webhookUrl: process.env.TELEGRAM_WEBHOOK_URL
+    webhookUrl: process.env.TELEGRAM_WEBHOOK_URL,
+    webhookSecret: process.env.TELEGRAM_WEBHOOK_SECRET,
+    // 'webhook' (default) or 'polling' to long-poll getUpdates without a public URL
+    mode: process.env.TELEGRAM_MODE === 'polling' ? 'polling' : 'webhook',
+    pollingTimeout: process.env.TELEGRAM_POLLING_TIMEOUT,
+    streamOutput: process.env.TELEGRAM_STREAM_OUTPUT === 'true',
+    // Base directories /new may start sessions in; /new is disabled without them
+    newSessionDirs: process.env.TELEGRAM_NEW_SESSION_DIRS ? process.env.TELEGRAM_NEW_SESSION_DIRS.split(',').map(dir => dir.trim()).filter(Boolean) : []
 };
 
 // Validate configuration
@@ -45,13 +52,22 @@ if (!config.chatId && !config.groupId) {
 const webhookHandler = new TelegramWebhookHandler(config);
 
 async function start() {
-    logger.info('Starting Telegram webhook server...');
+    logger.info(config.mode === 'polling' ? 'Starting Telegram polling...' : 'Starting Telegram webhook server...');
     logger.info(`Configuration:`);
-    logger.info(`- Port: ${config.port}`);
+    logger.info(`- Mode: ${config.mode}`);
+    if (config.mode === 'webhook') {
+        logger.info(`- Port: ${config.port}`);
+    }
     logger.info(`- Chat ID: ${config.chatId || 'Not set'}`);
     logger.info(`- Group ID: ${config.groupId || 'Not set'}`);
+    logger.info(`- Live output streaming: ${config.streamOutput ? 'On' : 'Off'}`);
     logger.info(`- Whitelist: ${config.whitelist.length > 0 ? config.whitelist.join(', ') : 'None (using configured IDs)'}`);
     
+    if (config.mode === 'polling') {
+        await webhookHandler.startPolling();
+        return;
+    }
+
     // Set webhook if URL is provided
     if (config.webhookUrl) {
         try {
@@ -61,12 +77,13 @@ async function start() {
         } catch (error) {
             logger.error('Failed to set webhook:', error.message);
             logger.info('You can manually set the webhook using:');
-            logger.info(`curl -X POST https://api.telegram.org/bot${config.botToken}/setWebhook -d "url=${config.webhookUrl}/webhook/telegram"`);
+            logger.info(`curl -X POST https://api.telegram.org/bot${config.botToken}/setWebhook -d "url=${config.webhookUrl}/webhook/telegram" -d "secret_token=${webhookHandler.getWebhookSecret()}"`);
         }
     } else {
         logger.warn('TELEGRAM_WEBHOOK_URL not set. Please set the webhook manually.');
         logger.info('To set webhook manually, use:');
-        logger.info(`curl -X POST https://api.telegram.org/bot${config.botToken}/setWebhook -d "url=https://your-domain.com/webhook/telegram"`);
+        logger.info(`curl -X POST https://api.telegram.org/bot${config.botToken}/setWebhook -d "url=https://your-domain.com/webhook/telegram" -d "secret_token=${webhookHandler.getWebhookSecret()}"`);
+        logger.info('Or set TELEGRAM_MODE=polling to receive messages without a public URL.');
     }
     
     webhookHandler.start(config.port);
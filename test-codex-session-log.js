@@ -0,0 +1,151 @@
+#!/usr/bin/env node
+
+/**
+ * Codex session log parser test
+ * Replays the rollout fixtures in fixtures/codex-sessions and checks the turn events and how rollouts are matched to panes
+ * Usage: node test-codex-session-log.js
+ */
+
+const assert = require('assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const CodexSessionLog = require('./src/utils/codex-session-log');
+
+const FIXTURES = path.join(__dirname, 'fixtures', 'codex-sessions');
+
+function replay(name, chunkSize = 0) {
+    const content = fs.readFileSync(path.join(FIXTURES, name), 'utf8');
+    const log = new CodexSessionLog();
+    if (!chunkSize) {
+        return { log, events: log.ingest(content) };
+    }
+    // Feed in small pieces to exercise partial-line buffering
+    const events = [];
+    for (let i = 0; i < content.length; i += chunkSize) {
+        events.push(...log.ingest(content.slice(i, i + chunkSize)));
+    }
+    return { log, events };
+}
+
+function testCurrentFormat() {
+    for (const chunkSize of [0, 7]) {
+        const { log, events } = replay('rollout-current.jsonl', chunkSize);
+        assert.strictEqual(log.sessionId, '0199a1b2-1111-7000-8000-000000000001');
+        assert.strictEqual(log.cwd, '/home/dev/project');
+        assert.deepStrictEqual(events.map(event => `${event.type}:${event.turnId}:${event.reason || ''}`), [
+            'waiting:turn-1:approval',
+            'completed:turn-1:',
+            'waiting:turn-2:interrupted'
+        ]);
+
+        const [approval, completed, aborted] = events;
+        assert.strictEqual(approval.command, 'npm test');
+        assert.strictEqual(completed.userMessage, 'Run the tests and fix anything that is done wrong');
+        assert.strictEqual(completed.agentMessage, 'Fixed the failing date test; all 42 tests pass now.');
+        assert.strictEqual(completed.timestamp, '2025-10-01T09:00:25.030Z');
+        // The user message was logged before task_started; it still belongs to turn-2
+        assert.strictEqual(aborted.userMessage, 'Now refactor the parser');
+        assert.strictEqual(aborted.agentMessage, 'Starting with the tokenizer.');
+        // task_complete is logged, so nothing is inferred from silence
+        assert.strictEqual(log.settle(), null);
+    }
+}
+
+function testLegacyFormat() {
+    const { log, events } = replay('rollout-legacy.jsonl');
+    assert.strictEqual(log.sessionId, '5973b6c0-94b8-487b-a530-2aeb6098ae0e');
+    assert.strictEqual(log.cwd, '/home/dev/legacy');
+    // The next user message closes the first turn
+    assert.strictEqual(events.length, 1);
+    assert.strictEqual(events[0].type, 'completed');
+    assert.strictEqual(events[0].userMessage, 'List the files in src');
+    assert.strictEqual(events[0].agentMessage, 'src contains index.js and util.js.');
+    // The second turn still has a tool call running
+    assert.strictEqual(log.settle(), null);
+
+    log.ingest('{"type":"function_call_output","call_id":"call_2","output":"{}"}\n');
+    assert.strictEqual(log.settle(), null, 'no assistant reply yet');
+    log.ingest('{"type":"message","role":"assistant","content":[{"type":"output_text","text":"You are welcome."}]}\n');
+    const settled = log.settle();
+    assert.strictEqual(settled.userMessage, 'Thanks');
+    assert.strictEqual(settled.agentMessage, 'You are welcome.');
+    assert.strictEqual(log.settle(), null, 'a turn is only reported once');
+}
+
+function testErroredTurn() {
+    const log = new CodexSessionLog();
+    const events = log.ingest([
+        '{"timestamp":"2025-10-01T10:00:00.000Z","type":"event_msg","payload":{"type":"task_started","turn_id":"turn-e"}}',
+        '{"timestamp":"2025-10-01T10:00:00.100Z","type":"event_msg","payload":{"type":"user_message","message":"Deploy"}}',
+        '{"timestamp":"2025-10-01T10:00:03.000Z","type":"event_msg","payload":{"type":"error","message":"unexpected status 401 Unauthorized"}}'
+    ].join('\n') + '\n');
+    assert.deepStrictEqual(events.map(event => [event.type, event.turnId, event.userMessage, event.reason]), [
+        ['errored', 'turn-e', 'Deploy', 'unexpected status 401 Unauthorized']
+    ]);
+}
+
+function testLocateAndPoll() {
+    const home = fs.mkdtempSync(path.join(os.tmpdir(), 'codex-home-'));
+    try {
+        const now = new Date();
+        const dayDir = path.join(home, 'sessions', String(now.getFullYear()),
+            String(now.getMonth() + 1).padStart(2, '0'), String(now.getDate()).padStart(2, '0'));
+        fs.mkdirSync(dayDir, { recursive: true });
+        const current = path.join(dayDir, 'rollout-2025-10-01T09-00-00-current.jsonl');
+        const legacy = path.join(dayDir, 'rollout-2025-08-15T14-02-11-legacy.jsonl');
+        fs.copyFileSync(path.join(FIXTURES, 'rollout-current.jsonl'), current);
+        fs.copyFileSync(path.join(FIXTURES, 'rollout-legacy.jsonl'), legacy);
+
+        const sessionsDir = path.join(home, 'sessions');
+        assert.strictEqual(CodexSessionLog.locate('/home/dev/project', { sessionsDir }), current);
+        assert.strictEqual(CodexSessionLog.locate('/home/dev/legacy/', { sessionsDir }), legacy);
+        assert.strictEqual(CodexSessionLog.locate('/home/dev/other', { sessionsDir }), null);
+        // Rollouts begun before the pane's process started belong to an earlier run
+        assert.strictEqual(CodexSessionLog.locate('/home/dev/project', { sessionsDir, startedAt: Date.now() }), null);
+        // A rollout the process has open wins outright
+        assert.strictEqual(CodexSessionLog.locate('/home/dev/project', { sessionsDir, openFiles: ['/dev/null', legacy] }), legacy);
+
+        // History already on disk builds state without producing events
+        const log = new CodexSessionLog(current);
+        assert.deepStrictEqual(log.poll({ emit: false }), []);
+        assert.deepStrictEqual(log.poll(), []);
+
+        fs.appendFileSync(current, [
+            '{"timestamp":"2025-10-01T09:02:00.000Z","type":"event_msg","payload":{"type":"task_started","turn_id":"turn-3"}}',
+            '{"timestamp":"2025-10-01T09:02:00.100Z","type":"event_msg","payload":{"type":"user_message","message":"Try again"}}',
+            '{"timestamp":"2025-10-01T09:02:09.000Z","type":"event_msg","payload":{"type":"task_complete","turn_id":"turn-3","last_agent_message":"Refactor finished."}}'
+        ].join('\n') + '\n{"timestamp":"2025-10-01T09:03');
+        const events = log.poll();
+        assert.deepStrictEqual(events.map(event => [event.type, event.turnId, event.userMessage, event.agentMessage]), [
+            ['completed', 'turn-3', 'Try again', 'Refactor finished.']
+        ]);
+
+        // A second session started in the same directory and both are being written: no telling which is the pane's
+        const startedAt = Date.now() - 60000;
+        const second = path.join(dayDir, 'rollout-second.jsonl');
+        fs.writeFileSync(second, JSON.stringify({
+            timestamp: new Date(startedAt).toISOString(),
+            type: 'session_meta',
+            payload: { id: 'second', timestamp: new Date(startedAt).toISOString(), cwd: '/home/dev/project' }
+        }) + '\n');
+        assert.strictEqual(CodexSessionLog.locate('/home/dev/project', { sessionsDir }), null);
+        assert.deepStrictEqual(CodexSessionLog.readHeader(second), {
+            sessionId: 'second', cwd: '/home/dev/project', startedAt: new Date(startedAt).toISOString()
+        });
+
+        // After /new the earlier rollout is no longer written, so the newer one is the session
+        const before = (startedAt - 5000) / 1000;
+        fs.utimesSync(current, before, before);
+        assert.strictEqual(CodexSessionLog.locate('/home/dev/project', { sessionsDir }), second);
+        assert.strictEqual(CodexSessionLog.locate('/home/dev/project', { sessionsDir, startedAt: startedAt - 1000 }), second);
+    } finally {
+        fs.rmSync(home, { recursive: true, force: true });
+    }
+}
+
+testCurrentFormat();
+testLegacyFormat();
+testErroredTurn();
+testLocateAndPoll();
+console.log('✅ Codex session log tests passed');
@@ -0,0 +1,151 @@
+#!/usr/bin/env node
+
+/**
+ * Notification outbox test
+ * Checks retry backoff, giving up after maxAttempts, delivery dedupe and settling, and the notifier's retry pass
+ * Usage: node test-notification-outbox.js
+ */
+
+const assert = require('assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'notification-outbox-'));
+process.env.SESSION_STORE_PATH = path.join(dir, 'session-store.jsonl');
+
+const SessionStore = require('./src/core/session-store');
+const NotificationOutbox = require('./src/core/notification-outbox');
+const Notifier = require('./src/core/notifier');
+
+const T0 = new Date('2025-10-01T09:00:00Z');
+
+function at(seconds) {
+    return new Date(T0.getTime() + seconds * 1000);
+}
+
+function notification(id) {
+    return { id, type: 'completed', project: 'demo', metadata: { tmuxSession: 'codex-demo' } };
+}
+
+function testBackoff(store) {
+    const outbox = new NotificationOutbox({ baseDelaySeconds: 30, maxDelaySeconds: 600 }, { store });
+
+    // Equal jitter: between half and all of the exponential delay
+    for (const [attempts, delay] of [[1, 30000], [2, 60000], [3, 120000], [5, 480000]]) {
+        assert.strictEqual(outbox.backoff(attempts, () => 0), delay / 2);
+        assert.strictEqual(outbox.backoff(attempts, () => 0.999999), delay);
+    }
+    // Capped at maxDelaySeconds however many attempts failed
+    assert.strictEqual(outbox.backoff(6, () => 0.999999), 600000);
+    assert.strictEqual(outbox.backoff(40, () => 0), 300000);
+    for (let attempts = 1; attempts <= 12; attempts++) {
+        const delay = outbox.backoff(attempts);
+        assert.ok(delay >= 15000 && delay <= 600000, `attempt ${attempts}: ${delay}ms`);
+    }
+}
+
+function testGivingUp(store) {
+    const outbox = new NotificationOutbox({ maxAttempts: 3, baseDelaySeconds: 10 }, { store });
+    const sent = notification('n-dead');
+
+    const first = outbox.recordFailure(sent, 'telegram', 'ETIMEDOUT', T0);
+    assert.strictEqual(first.status, 'pending');
+    assert.strictEqual(first.attempts, 1);
+    assert.ok(first.nextAttemptAt >= at(5).getTime() && first.nextAttemptAt <= at(10).getTime());
+    assert.deepStrictEqual(outbox.due(at(4)), []);
+    assert.deepStrictEqual(outbox.due(at(10)).map(entry => entry.key), ['n-dead:telegram']);
+
+    // Retries keep the notification as it was first queued
+    const second = outbox.recordFailure({ ...sent, message: 'changed' }, 'telegram', '502', at(10));
+    assert.strictEqual(second.attempts, 2);
+    assert.strictEqual(second.notification.message, undefined);
+    assert.strictEqual(second.createdAt, T0.getTime());
+
+    const third = outbox.recordFailure(sent, 'telegram', '502', at(40));
+    assert.strictEqual(third.status, 'dead');
+    assert.strictEqual(third.nextAttemptAt, null);
+    assert.deepStrictEqual(outbox.due(at(100000)), []);
+
+    // A dead entry stays dead
+    assert.strictEqual(outbox.recordFailure(sent, 'telegram', '502', at(50)), null);
+    outbox.recordSuccess(sent, 'telegram', at(60));
+    assert.strictEqual(outbox.list('dead').length, 1);
+    assert.strictEqual(outbox.isDelivered('n-dead', 'telegram'), false);
+
+    // Excluded channels, notifications without an id and a disabled outbox queue nothing
+    assert.strictEqual(outbox.recordFailure(notification('n-desktop'), 'desktop', 'no display', T0), null);
+    assert.strictEqual(outbox.recordFailure({ type: 'completed' }, 'telegram', '502', T0), null);
+    assert.strictEqual(new NotificationOutbox({ enabled: false }, { store }).recordFailure(notification('n-off'), 'telegram', '502', T0), null);
+}
+
+function testDeliveredOnce(store) {
+    const outbox = new NotificationOutbox({}, { store });
+    const sent = notification('n-retry');
+
+    // A success with nothing queued leaves no entry behind
+    outbox.recordSuccess(notification('n-direct'), 'slack', T0);
+    assert.strictEqual(store.has(SessionStore.COLLECTIONS.OUTBOX, 'n-direct:slack'), false);
+    assert.strictEqual(outbox.isDelivered('n-direct', 'slack'), false);
+
+    outbox.recordFailure(sent, 'slack', 'rate limited', T0);
+    outbox.recordFailure(sent, 'email', 'SMTP down', T0);
+    assert.strictEqual(outbox.isDelivered('n-retry', 'slack'), false);
+
+    outbox.recordSuccess(sent, 'slack', at(60));
+    const settled = store.get(SessionStore.COLLECTIONS.OUTBOX, 'n-retry:slack');
+    assert.strictEqual(settled.status, 'delivered');
+    assert.strictEqual(settled.nextAttemptAt, null);
+    assert.strictEqual(outbox.isDelivered('n-retry', 'slack'), true);
+    // Delivery is per channel
+    assert.strictEqual(outbox.isDelivered('n-retry', 'email'), false);
+
+    // A late failure report cannot requeue a delivered notification
+    assert.strictEqual(outbox.recordFailure(sent, 'slack', 'timeout', at(70)), null);
+    assert.deepStrictEqual(outbox.due(at(100000)).map(entry => entry.key), ['n-retry:email']);
+
+    assert.deepStrictEqual(outbox.summary().slack, { failures: 1, pending: 0, delivered: 1, dead: 0, lastError: 'rate limited' });
+}
+
+async function testNotifierRetry() {
+    const notifier = new Notifier();
+    let failing = true;
+    const attempts = [];
+    notifier.registerChannel('flaky', {
+        enabled: true,
+        send: async sent => {
+            attempts.push(sent.id);
+            return !failing;
+        }
+    });
+
+    const result = await notifier._deliver(notifier._buildNotification('completed', { project: 'demo', tmuxSession: 'codex-retry' }));
+    assert.strictEqual(result.results.flaky.success, false);
+    assert.ok(result.results.flaky.retryAt);
+
+    const later = new Date(Date.now() + 2 * 60 * 60 * 1000);
+    failing = false;
+    assert.deepStrictEqual(await notifier.retryOutbox(later), { retried: 1, delivered: 1, failed: 0 });
+    assert.deepStrictEqual(await notifier.retryOutbox(later), { retried: 0, delivered: 0, failed: 0 });
+    // The retry sent the notification as first built, and it is not delivered again
+    assert.deepStrictEqual(attempts, [result.notification.id, result.notification.id]);
+    const again = await notifier._deliver(result.notification);
+    assert.deepStrictEqual(again.results.flaky, { success: true, duplicate: true });
+    assert.strictEqual(attempts.length, 2);
+}
+
+(async () => {
+    try {
+        const store = SessionStore.getDefault({ autoMigrate: false });
+        testBackoff(store);
+        testGivingUp(store);
+        testDeliveredOnce(store);
+        await testNotifierRetry();
+        console.log('✅ Notification outbox tests passed');
+    } finally {
+        fs.rmSync(dir, { recursive: true, force: true });
+    }
+})().catch(error => {
+    console.error(error);
+    process.exit(1);
+});
@@ -0,0 +1,135 @@
+#!/usr/bin/env node
+
+/**
+ * Session state machine test
+ * Replays recorded Codex pane captures from fixtures/pane-captures and checks the lifecycle transitions
+ * Usage: node test-session-state-machine.js
+ */
+
+const assert = require('assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const SessionStore = require('./src/core/session-store');
+const SessionStateMachine = require('./src/utils/session-state-machine');
+
+const { STATES } = SessionStateMachine;
+const FIXTURES = path.join(__dirname, 'fixtures', 'pane-captures');
+const IDLE_MS = 5000;
+
+function pane(name) {
+    return fs.readFileSync(path.join(FIXTURES, `${name}.txt`), 'utf8');
+}
+
+// Feed captures as [name, atMs] pairs and collect the states entered
+function replay(machine, steps) {
+    return steps
+        .map(([name, at]) => machine.observe(pane(name), at))
+        .filter(Boolean)
+        .map(transition => transition.to);
+}
+
+function testClassification() {
+    assert.strictEqual(SessionStateMachine.classifyPane(pane('01-idle')).kind, 'prompt');
+    assert.strictEqual(SessionStateMachine.classifyPane(pane('02-running')).kind, 'busy');
+    assert.strictEqual(SessionStateMachine.classifyPane(pane('04-approval')).kind, 'dialog');
+    assert.strictEqual(SessionStateMachine.classifyPane(pane('06-completed')).kind, 'prompt');
+    const error = SessionStateMachine.classifyPane(pane('08-error'));
+    assert.strictEqual(error.kind, 'error');
+    assert.ok(error.line.startsWith('■ unexpected status 401'));
+    // Codex exited back to the shell
+    const shell = SessionStateMachine.classifyPane(pane('09-shell'));
+    assert.strictEqual(shell.kind, 'shell');
+    assert.ok(shell.line.includes('codex resume'));
+
+    // Status ticks and footer changes are not new content
+    assert.strictEqual(SessionStateMachine.fingerprint(pane('02-running')), SessionStateMachine.fingerprint(pane('03-running-tick')));
+    assert.strictEqual(SessionStateMachine.fingerprint(pane('06-completed')), SessionStateMachine.fingerprint(pane('07-completed-footer')));
+}
+
+function testLifecycle(store) {
+    const machine = new SessionStateMachine('codex-test', { store, idleMs: IDLE_MS });
+    const seen = [];
+    machine.on('transition', transition => seen.push(`${transition.from}>${transition.to}`));
+
+    assert.deepStrictEqual(replay(machine, [
+        ['01-idle', 0],                    // baseline
+        ['01-idle', 10000],                // idle screen was not a turn
+        ['02-running', 11000],
+        ['03-running-tick', 12000],
+        ['03-running-tick', 30000],        // quiet but still working
+        ['04-approval', 31000],
+        ['04-approval', 37000],
+        ['04-approval', 60000],            // reported once
+        ['05-running-after-approval', 61000],
+        ['06-completed', 70000],
+        ['07-completed-footer', 72000],    // footer update does not restart the wait
+        ['07-completed-footer', 77000],
+        ['07-completed-footer', 90000]
+    ]), [STATES.RUNNING, STATES.AWAITING_APPROVAL, STATES.RUNNING, STATES.COMPLETED]);
+    assert.deepStrictEqual(seen, ['idle>running', 'running>awaiting-approval', 'awaiting-approval>running', 'running>completed']);
+
+    // A completed screen cannot also be reported as waiting
+    const completedKey = SessionStateMachine.fingerprint(pane('06-completed'));
+    assert.strictEqual(machine.transition(STATES.AWAITING_APPROVAL, { key: completedKey }), null);
+    // Illegal moves are ignored
+    assert.strictEqual(machine.transition(STATES.ERRORED, { key: 'x' }), null);
+    assert.strictEqual(machine.state, STATES.COMPLETED);
+}
+
+function testRestartDoesNotRenotify(store) {
+    // Same tmux session, new process: state and reported keys come from the store
+    const machine = new SessionStateMachine('codex-test', { store, idleMs: IDLE_MS });
+    assert.strictEqual(machine.state, STATES.COMPLETED);
+
+    assert.deepStrictEqual(replay(machine, [
+        ['07-completed-footer', 0],
+        ['07-completed-footer', 10000]
+    ]), []);
+
+    // Even if the screen flickers through running, the same finished turn is not announced again
+    assert.deepStrictEqual(replay(machine, [
+        ['05-running-after-approval', 11000],
+        ['06-completed', 12000],
+        ['06-completed', 20000]
+    ]), [STATES.RUNNING]);
+    assert.strictEqual(machine.state, STATES.RUNNING);
+}
+
+function testErrored(store) {
+    const machine = new SessionStateMachine('codex-error', { store, idleMs: IDLE_MS });
+    assert.deepStrictEqual(replay(machine, [
+        ['01-idle', 0],
+        ['08-error', 1000],
+        ['08-error', 7000]
+    ]), [STATES.RUNNING, STATES.ERRORED]);
+    assert.ok(machine.snapshot().reason.includes('401 Unauthorized'));
+}
+
+function testReportedKeys(store) {
+    const machine = new SessionStateMachine('codex-keys', { store });
+    machine.markSeen('turn:already-on-screen');
+    assert.ok(machine.transition(STATES.RUNNING));
+    assert.strictEqual(machine.transition(STATES.COMPLETED, { key: 'turn:already-on-screen' }), null);
+    const transition = machine.transition(STATES.COMPLETED, { key: 'turn:1' });
+    assert.strictEqual(transition.notify, true);
+    assert.ok(machine.transition(STATES.RUNNING));
+    assert.strictEqual(machine.transition(STATES.COMPLETED, { key: 'turn:1' }), null);
+    assert.ok(machine.transition(STATES.CRASHED, { key: 'crash:1' }));
+
+    machine.reset();
+    assert.strictEqual(new SessionStateMachine('codex-keys', { store }).state, STATES.IDLE);
+}
+
+const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'state-machine-'));
+try {
+    const store = new SessionStore({ filePath: path.join(dir, 'session-store.jsonl'), autoMigrate: false });
+    testClassification();
+    testLifecycle(store);
+    testRestartDoesNotRenotify(store);
+    testErrored(store);
+    testReportedKeys(store);
+    console.log('✅ Session state machine tests passed');
+} finally {
+    fs.rmSync(dir, { recursive: true, force: true });
+}
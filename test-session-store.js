@@ -0,0 +1,177 @@
+#!/usr/bin/env node
+
+/**
+ * Session store test
+ * Concurrent writers under the lock file, stale lock recovery, compaction and the legacy import
+ * Usage: node test-session-store.js
+ */
+
+const assert = require('assert');
+const { spawn } = require('child_process');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const SessionStore = require('./src/core/session-store');
+
+const { COLLECTIONS } = SessionStore;
+const WRITERS = 3;
+const WRITES_PER_WRITER = 40;
+// Low enough that writers compact the log while the others are still appending
+const COMPACT_THRESHOLD = 30;
+
+// Child mode: bump a shared counter under the lock, as another webhook or daemon process would
+if (process.argv[2] === '--writer') {
+    const store = new SessionStore({ filePath: process.argv[3], autoMigrate: false, compactThreshold: COMPACT_THRESHOLD });
+    for (let i = 0; i < WRITES_PER_WRITER; i++) {
+        store.update(COLLECTIONS.META, 'counter', counter => ({ ...counter, value: counter.value + 1 }));
+        store.set(COLLECTIONS.META, `writer-${process.pid}`, { writes: i + 1 });
+    }
+    process.exit(0);
+}
+
+function runWriter(filePath) {
+    return new Promise((resolve, reject) => {
+        const child = spawn(process.execPath, [__filename, '--writer', filePath], { stdio: 'ignore' });
+        const timer = setTimeout(() => child.kill(), 60000);
+        child.on('exit', code => {
+            clearTimeout(timer);
+            code === 0 ? resolve() : reject(new Error(`writer exited with ${code}`));
+        });
+    });
+}
+
+function testSharedFile(dir) {
+    const filePath = path.join(dir, 'shared.jsonl');
+    const a = new SessionStore({ filePath, autoMigrate: false });
+    const b = new SessionStore({ filePath, autoMigrate: false });
+
+    a.createSession({ id: 's1', token: 'TOKEN111', type: 'telegram', expiresAt: Math.floor(Date.now() / 1000) + 60 });
+    assert.strictEqual(b.findSessionByToken('TOKEN111').id, 's1');
+
+    // A new token replaces the old one in the index
+    b.updateSession('s1', { token: 'TOKEN222' });
+    assert.strictEqual(a.findSessionByToken('TOKEN111'), null);
+    assert.strictEqual(a.findSessionByToken('TOKEN222').id, 's1');
+    assert.strictEqual(a.update(COLLECTIONS.SESSIONS, 'missing', { x: 1 }), null);
+
+    // A record another process is still writing is picked up once its line is complete
+    fs.appendFileSync(filePath, '{"op":"put","c":"meta","k":"late","v":{"ok":tr');
+    assert.strictEqual(b.get(COLLECTIONS.META, 'late'), null);
+    fs.appendFileSync(filePath, 'ue}}\n');
+    assert.deepStrictEqual(b.get(COLLECTIONS.META, 'late'), { ok: true });
+
+    assert.strictEqual(b.removeSession('s1'), true);
+    assert.strictEqual(a.getSession('s1'), null);
+    assert.strictEqual(a.removeSession('s1'), false);
+}
+
+async function testConcurrentWriters(dir) {
+    const filePath = path.join(dir, 'concurrent.jsonl');
+    const store = new SessionStore({ filePath, autoMigrate: false, compactThreshold: COMPACT_THRESHOLD });
+    store.set(COLLECTIONS.META, 'counter', { value: 0 });
+
+    await Promise.all(Array.from({ length: WRITERS }, () => runWriter(filePath)));
+
+    // No update was lost, even with compactions running in between
+    assert.strictEqual(store.get(COLLECTIONS.META, 'counter').value, WRITERS * WRITES_PER_WRITER);
+    const writers = store.entries(COLLECTIONS.META).filter(([key]) => key.startsWith('writer-'));
+    assert.deepStrictEqual(writers.map(([, value]) => value.writes), Array(WRITERS).fill(WRITES_PER_WRITER));
+    // Compacted along the way: far fewer lines than writes
+    assert.ok(fs.readFileSync(filePath, 'utf8').trim().split('\n').length < WRITERS * WRITES_PER_WRITER);
+    assert.strictEqual(fs.existsSync(store.lockPath), false);
+}
+
+function testLocks(dir) {
+    const filePath = path.join(dir, 'locks.jsonl');
+    const store = new SessionStore({ filePath, autoMigrate: false, lockTimeout: 200, staleLockMs: 1000 });
+
+    // Held by a live process: wait, then give up
+    fs.writeFileSync(store.lockPath, `${process.pid} ${Date.now()}`);
+    assert.throws(() => store.set(COLLECTIONS.META, 'k', 1), /Timed out waiting for session store lock/);
+
+    // Left behind by a crashed process, or too old: taken over
+    fs.writeFileSync(store.lockPath, `999999999 ${Date.now()}`);
+    assert.strictEqual(store.set(COLLECTIONS.META, 'k', 2), 2);
+    fs.writeFileSync(store.lockPath, `${process.pid} ${Date.now() - 5000}`);
+    assert.strictEqual(store.set(COLLECTIONS.META, 'k', 3), 3);
+    assert.strictEqual(fs.existsSync(store.lockPath), false);
+}
+
+function testCompaction(dir) {
+    const filePath = path.join(dir, 'compact.jsonl');
+    const store = new SessionStore({ filePath, autoMigrate: false, compactThreshold: 1000 });
+    const reader = new SessionStore({ filePath, autoMigrate: false });
+    const now = Math.floor(Date.now() / 1000);
+
+    for (let i = 0; i < 20; i++) {
+        store.set(COLLECTIONS.SNOOZES, 'codex-demo', { until: Date.now() + 60000, count: i });
+    }
+    store.createSession({ id: 'live', token: 'LIVE1234', expiresAt: now + 3600 });
+    store.createSession({ id: 'old', token: 'OLD12345', expiresAt: now - 30 * 24 * 3600 });
+    store.set(COLLECTIONS.CONFIRMATIONS, 'EXPIRED1', { expiresAt: now - 1 });
+    assert.strictEqual(reader.list(COLLECTIONS.SESSIONS).length, 2);
+
+    const { before, after } = store.compact();
+    assert.strictEqual(before, 23);
+    assert.strictEqual(after, 2);
+    assert.strictEqual(fs.readFileSync(filePath, 'utf8').trim().split('\n').length, 2);
+
+    // Another instance notices the rewrite and reloads instead of reading from its old offset
+    assert.strictEqual(reader.get(COLLECTIONS.SNOOZES, 'codex-demo').count, 19);
+    assert.strictEqual(reader.findSessionByToken('LIVE1234').id, 'live');
+    assert.strictEqual(reader.getSession('old'), null);
+    assert.strictEqual(reader.get(COLLECTIONS.CONFIRMATIONS, 'EXPIRED1'), null);
+    reader.set(COLLECTIONS.META, 'after-compact', true);
+    assert.strictEqual(store.get(COLLECTIONS.META, 'after-compact'), true);
+}
+
+function testMigration(dir) {
+    const legacyDir = path.join(dir, 'legacy');
+    fs.mkdirSync(path.join(legacyDir, 'sessions'), { recursive: true });
+    fs.writeFileSync(path.join(legacyDir, 'sessions', 'abc.json'), JSON.stringify({ id: 'abc', token: 'LEGACY12' }));
+    fs.writeFileSync(path.join(legacyDir, 'sessions', 'broken.json'), '{');
+    fs.writeFileSync(path.join(legacyDir, 'session-map.json'), JSON.stringify({ LEGACY12: { tmuxSession: 'codex-old' } }));
+    fs.writeFileSync(path.join(legacyDir, 'email-threads.json'), JSON.stringify({ 'codex-old': { messageId: '<m1@x>' } }));
+    fs.writeFileSync(path.join(legacyDir, 'sent-messages.json'), JSON.stringify({ messages: [{ messageId: '<m1@x>' }] }));
+    fs.writeFileSync(path.join(legacyDir, 'processed-messages.json'), JSON.stringify([{ id: 'uid-1' }]));
+
+    // Legacy files are read from the directory the store lives in
+    const store = new SessionStore({ filePath: path.join(legacyDir, 'session-store.jsonl') });
+    assert.strictEqual(store.findSessionByToken('LEGACY12').id, 'abc');
+    assert.deepStrictEqual(store.get(COLLECTIONS.SESSION_MAP, 'LEGACY12'), { tmuxSession: 'codex-old' });
+    assert.ok(store.has(COLLECTIONS.EMAIL_THREADS, 'codex-old'));
+    assert.ok(store.has(COLLECTIONS.SENT_MESSAGES, '<m1@x>'));
+    assert.ok(store.has(COLLECTIONS.PROCESSED_MESSAGES, 'uid-1'));
+    assert.strictEqual(store.get(COLLECTIONS.META, 'migration').dataDir, legacyDir);
+
+    // Running it again never overwrites what the store already has
+    store.updateSession('abc', { project: 'kept' });
+    assert.deepStrictEqual(store.migrate(), {});
+    assert.strictEqual(store.getSession('abc').project, 'kept');
+
+    // A store elsewhere does not pick up these files unless pointed at them
+    const elsewhere = path.join(dir, 'elsewhere');
+    assert.strictEqual(new SessionStore({ filePath: path.join(elsewhere, 'store.jsonl') }).list(COLLECTIONS.SESSIONS).length, 0);
+    const explicit = new SessionStore({ filePath: path.join(elsewhere, 'explicit.jsonl'), dataDir: legacyDir });
+    assert.strictEqual(explicit.getSession('abc').token, 'LEGACY12');
+    const empty = new SessionStore({ filePath: path.join(legacyDir, 'empty.jsonl'), autoMigrate: false });
+    assert.strictEqual(empty.list(COLLECTIONS.SESSIONS).length, 0);
+    assert.strictEqual(fs.existsSync(path.join(legacyDir, 'session-map.json')), true);
+}
+
+(async () => {
+    const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'session-store-'));
+    try {
+        testSharedFile(dir);
+        await testConcurrentWriters(dir);
+        testLocks(dir);
+        testCompaction(dir);
+        testMigration(dir);
+        console.log('✅ Session store tests passed');
+    } finally {
+        fs.rmSync(dir, { recursive: true, force: true });
+    }
+})().catch(error => {
+    console.error(error);
+    process.exit(1);
+});
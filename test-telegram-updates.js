@@ -0,0 +1,303 @@
+#!/usr/bin/env node
+
+/**
+ * Telegram update intake test
+ * Runs the webhook handler against a local mock Bot API: webhook secret-token checks, getUpdates polling,
+ * routing replies, /sessions picks and plain text to the right session, and which sessions control commands may reach
+ * Usage: node test-telegram-updates.js
+ */
+
+const assert = require('assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'telegram-updates-'));
+process.env.SESSION_STORE_PATH = path.join(dir, 'session-store.jsonl');
+process.env.AUDIT_LOG_PATH = path.join(dir, 'audit.jsonl');
+
+const SessionStore = require('./src/core/session-store');
+// Every module shares this store; start it empty instead of importing legacy files
+SessionStore.getDefault({ autoMigrate: false });
+
+const axios = require('axios');
+const express = require('express');
+const TelegramChannel = require('./src/channels/telegram/telegram');
+const TelegramWebhookHandler = require('./src/channels/telegram/webhook');
+const TokenManager = require('./src/core/token-manager');
+const CommandPolicy = require('./src/core/command-policy');
+
+const BOT_TOKEN = '123456:test-token';
+const CHAT_ID = 42;
+
+// Minimal Bot API: records every call and serves queued updates to getUpdates
+function startMockBotApi() {
+    const api = { calls: [], updates: [], nextMessageId: 1000 };
+    const app = express();
+    app.use(express.json());
+    app.post(`/bot${BOT_TOKEN}/:method`, (req, res) => {
+        api.calls.push({ method: req.params.method, body: req.body });
+        if (req.params.method === 'getUpdates') {
+            const offset = req.body.offset || 0;
+            const result = api.updates.filter(update => update.update_id >= offset);
+            // Hold an empty long poll briefly instead of spinning
+            return setTimeout(() => res.json({ ok: true, result }), result.length > 0 ? 0 : 50);
+        }
+        if (req.params.method === 'sendMessage') {
+            return res.json({ ok: true, result: { message_id: api.nextMessageId++, chat: { id: req.body.chat_id } } });
+        }
+        res.json({ ok: true, result: true });
+    });
+    return new Promise(resolve => {
+        const server = app.listen(0, () => {
+            api.url = `http://127.0.0.1:${server.address().port}`;
+            api.server = server;
+            resolve(api);
+        });
+    });
+}
+
+function listen(app) {
+    return new Promise(resolve => {
+        const server = app.listen(0, () => resolve(server));
+    });
+}
+
+function message(updateId, chatId, text) {
+    return { update_id: updateId, message: { message_id: updateId, chat: { id: chatId }, from: { id: chatId }, text } };
+}
+
+function sentTo(api, chatId) {
+    return api.calls.filter(call => call.method === 'sendMessage' && call.body.chat_id === chatId);
+}
+
+async function waitFor(condition, timeoutMs = 5000) {
+    const deadline = Date.now() + timeoutMs;
+    while (!condition()) {
+        assert.ok(Date.now() < deadline, 'timed out waiting for the handler');
+        await new Promise(resolve => setTimeout(resolve, 20));
+    }
+}
+
+async function testWebhookSecret(api) {
+    const handler = new TelegramWebhookHandler({ botToken: BOT_TOKEN, chatId: String(CHAT_ID), apiBaseUrl: api.url });
+    await handler.setWebhook('https://example.test/webhook/telegram');
+
+    const registered = api.calls.find(call => call.method === 'setWebhook').body;
+    assert.ok(/^[A-Za-z0-9_-]{32,256}$/.test(registered.secret_token));
+    assert.deepStrictEqual(registered.allowed_updates, ['message', 'callback_query']);
+    // The generated secret survives a restart
+    assert.strictEqual(new TelegramWebhookHandler({ botToken: BOT_TOKEN }).getWebhookSecret(), registered.secret_token);
+
+    const server = await listen(handler.app);
+    const url = `http://127.0.0.1:${server.address().port}/webhook/telegram`;
+    const post = headers => axios.post(url, message(1, CHAT_ID, '/help'), { headers, validateStatus: () => true });
+    try {
+        assert.strictEqual((await post({})).status, 401);
+        assert.strictEqual((await post({ [TelegramWebhookHandler.SECRET_HEADER]: 'wrong' })).status, 401);
+        assert.strictEqual(sentTo(api, CHAT_ID).length, 0);
+
+        assert.strictEqual((await post({ [TelegramWebhookHandler.SECRET_HEADER]: registered.secret_token })).status, 200);
+        assert.strictEqual(sentTo(api, CHAT_ID).length, 1);
+    } finally {
+        server.close();
+    }
+
+    // A configured secret wins over the generated one
+    const configured = new TelegramWebhookHandler({ botToken: BOT_TOKEN, webhookSecret: 'configured-secret' });
+    assert.strictEqual(configured.getWebhookSecret(), 'configured-secret');
+}
+
+async function testPolling(api) {
+    api.calls = [];
+    api.updates = [message(10, CHAT_ID, '/help'), message(11, 99, '/help')];
+    const handler = new TelegramWebhookHandler({
+        botToken: BOT_TOKEN,
+        chatId: String(CHAT_ID),
+        apiBaseUrl: api.url,
+        pollingTimeout: 1
+    });
+
+    const polling = handler.startPolling();
+    await waitFor(() => api.calls.some(call => call.method === 'getUpdates' && call.body.offset === 12));
+    handler.stopPolling();
+    await polling;
+
+    assert.strictEqual(api.calls[0].method, 'deleteWebhook');
+    const firstPoll = api.calls.find(call => call.method === 'getUpdates');
+    assert.strictEqual(firstPoll.body.offset, undefined);
+    assert.strictEqual(firstPoll.body.timeout, 1);
+    assert.strictEqual(sentTo(api, CHAT_ID).length, 1);
+    assert.ok(sentTo(api, 99)[0].body.text.includes('not authorized'));
+
+    // After a restart polling resumes after the last update, so commands are not replayed
+    api.calls = [];
+    const restarted = new TelegramWebhookHandler({ botToken: BOT_TOKEN, chatId: String(CHAT_ID), apiBaseUrl: api.url, pollingTimeout: 1 });
+    const resumed = restarted.startPolling();
+    await waitFor(() => api.calls.some(call => call.method === 'getUpdates'));
+    restarted.stopPolling();
+    await resumed;
+    assert.strictEqual(api.calls.find(call => call.method === 'getUpdates').body.offset, 12);
+    assert.strictEqual(sentTo(api, CHAT_ID).length, 0);
+}
+
+function callback(id, chatId, data) {
+    return { update_id: id, callback_query: { id: String(id), from: { id: chatId }, message: { chat: { id: chatId } }, data } };
+}
+
+async function notify(api, tmuxSession, project) {
+    const channel = new TelegramChannel({ botToken: BOT_TOKEN, chatId: String(CHAT_ID), apiBaseUrl: api.url });
+    assert.ok(await channel.send({
+        type: 'completed',
+        title: 'Task completed',
+        message: `${project} finished`,
+        project,
+        metadata: { tmuxSession, userQuestion: 'q', claudeResponse: 'done' }
+    }));
+    const sent = api.calls.filter(call => call.method === 'sendMessage').pop();
+    const token = sent.body.reply_markup.inline_keyboard[0][0].callback_data.split(':')[1];
+    return { token, messageId: api.nextMessageId - 1 };
+}
+
+async function testContextualReplies(api) {
+    api.calls = [];
+    const alpha = await notify(api, 'codex-alpha', 'alpha');
+    const beta = await notify(api, 'codex-beta', 'beta');
+
+    const handler = new TelegramWebhookHandler({ botToken: BOT_TOKEN, chatId: String(CHAT_ID), apiBaseUrl: api.url });
+    const injected = [];
+    handler.injector = { injectCommand: async (command, tmuxSession) => injected.push({ command, tmuxSession }) };
+    const lastText = () => sentTo(api, CHAT_ID).pop().body.text;
+
+    // Replying to a notification targets its session
+    const reply = message(20, CHAT_ID, 'run the tests');
+    reply.message.reply_to_message = { message_id: alpha.messageId };
+    await handler._processUpdate(reply);
+    assert.deepStrictEqual(injected.pop(), { command: 'run the tests', tmuxSession: 'codex-alpha' });
+
+    // Plain text needs a current session
+    await handler._processUpdate(message(21, CHAT_ID, 'hello'));
+    assert.strictEqual(injected.length, 0);
+    assert.ok(lastText().includes('/sessions'));
+
+    // /sessions lists the newest live token per tmux session
+    await handler._processUpdate(message(22, CHAT_ID, '/sessions'));
+    const picker = sentTo(api, CHAT_ID).pop().body.reply_markup.inline_keyboard;
+    assert.deepStrictEqual(picker.map(row => row[0].callback_data).sort(), [`use:${alpha.token}`, `use:${beta.token}`].sort());
+
+    await handler._processUpdate(callback(23, CHAT_ID, `use:${beta.token}`));
+    assert.ok(lastText().includes('codex-beta'));
+    await handler._processUpdate(message(24, CHAT_ID, 'deploy to staging'));
+    assert.deepStrictEqual(injected.pop(), { command: 'deploy to staging', tmuxSession: 'codex-beta' });
+
+    // A leading upper-case word that is not a token is text for the current session; a token still picks its own
+    await handler._processUpdate(message(25, CHAT_ID, 'CHANGELOG needs an entry'));
+    assert.deepStrictEqual(injected.pop(), { command: 'CHANGELOG needs an entry', tmuxSession: 'codex-beta' });
+    await handler._processUpdate(message(26, CHAT_ID, `${alpha.token} check the logs`));
+    assert.deepStrictEqual(injected.pop(), { command: 'check the logs', tmuxSession: 'codex-alpha' });
+
+    // The current session follows the tmux session to its newest notification's token
+    const newerBeta = await notify(api, 'codex-beta', 'beta');
+    new TokenManager().revoke(beta.token);
+    await handler._processUpdate(message(27, CHAT_ID, 'and roll back'));
+    assert.deepStrictEqual(injected.pop(), { command: 'and roll back', tmuxSession: 'codex-beta' });
+    await handler._processUpdate(message(28, CHAT_ID, '/sessions'));
+    const refreshed = sentTo(api, CHAT_ID).pop().body.reply_markup.inline_keyboard;
+    assert.ok(refreshed.some(row => row[0].callback_data === `use:${newerBeta.token}` && row[0].text.startsWith('✅')));
+
+    // Other chats cannot pick this chat's sessions
+    await handler._processUpdate(callback(29, 99, `use:${alpha.token}`));
+    assert.strictEqual(handler._getCurrentSession(99), null);
+
+    await handler._processUpdate(callback(30, CHAT_ID, 'use:clear'));
+    await handler._processUpdate(message(31, CHAT_ID, 'anything'));
+    assert.strictEqual(injected.length, 0);
+}
+
+async function testControlTargets(api) {
+    api.calls = [];
+    const gamma = await notify(api, 'codex-gamma', 'gamma');
+
+    const handler = new TelegramWebhookHandler({ botToken: BOT_TOKEN, chatId: String(CHAT_ID), apiBaseUrl: api.url });
+    const controlled = [];
+    handler.control = {
+        interrupt: (tmuxSession, key) => controlled.push(`${key} ${tmuxSession}`),
+        restart: async (tmuxSession) => {
+            controlled.push(`restart ${tmuxSession}`);
+            return { success: true };
+        },
+        create: async (dir) => {
+            controlled.push(`new ${dir}`);
+            return { success: true, cwd: dir, session: `codex-${dir}` };
+        }
+    };
+    handler.supervisor = { discover: () => [{ sessionName: 'codex-watched' }] };
+    handler.policy = new CommandPolicy({
+        policy: {
+            rules: [
+                { id: 'confirm-restart', action: 'confirm', pattern: '^/restart\\b' },
+                { id: 'no-new', action: 'deny', pattern: '^/new\\b' },
+                { id: 'confirm-push', action: 'confirm', pattern: '^git push' }
+            ]
+        }
+    });
+    const injected = [];
+    handler.injector = { injectCommand: async (command, tmuxSession) => injected.push({ command, tmuxSession }) };
+    const lastText = () => sentTo(api, CHAT_ID).pop().body.text;
+
+    // Sessions that are neither notified to this chat nor monitored are out of reach, by name or by another chat's token
+    await handler._processUpdate(message(40, CHAT_ID, '/ctrlc main'));
+    assert.ok(lastText().includes('main is not a token issued to this chat'));
+    assert.strictEqual(await handler._resolveControlTarget(99, gamma.token), null);
+    assert.deepStrictEqual(controlled, []);
+
+    // A token issued to this chat, a notified session and a monitored one are reachable
+    await handler._processUpdate(message(42, CHAT_ID, `/esc ${gamma.token.toLowerCase()}`));
+    await handler._processUpdate(message(43, CHAT_ID, '/ctrlc codex-gamma'));
+    await handler._processUpdate(message(44, CHAT_ID, '/ctrlc codex-watched'));
+    assert.deepStrictEqual(controlled.splice(0), ['esc codex-gamma', 'ctrlc codex-gamma', 'ctrlc codex-watched']);
+
+    // The command policy applies: /restart waits for its code, /new is denied
+    await handler._processUpdate(message(45, CHAT_ID, '/restart codex-gamma'));
+    assert.deepStrictEqual(controlled, []);
+    const code = lastText().match(/\/restart confirm ([A-Z0-9]+)/)[1];
+
+    // Its code cannot be spent through /cmd, where it would type "/restart ..." into a session
+    await handler._processUpdate(message(46, CHAT_ID, `/cmd ${gamma.token} confirm ${code}`));
+    assert.ok(lastText().includes('session control command'));
+    assert.deepStrictEqual(injected, []);
+
+    // Nor can /restart spend a held /cmd code
+    await handler._processUpdate(message(47, CHAT_ID, `/cmd ${gamma.token} git push`));
+    const pushCode = lastText().match(/confirm ([A-Z0-9]+)/)[1];
+    await handler._processUpdate(message(48, CHAT_ID, `/restart confirm ${pushCode}`));
+    assert.deepStrictEqual(controlled, []);
+    await handler._processUpdate(message(49, CHAT_ID, `/cmd ${gamma.token} confirm ${pushCode}`));
+    assert.deepStrictEqual(injected.splice(0), [{ command: 'git push', tmuxSession: 'codex-gamma' }]);
+
+    await handler._processUpdate(message(50, CHAT_ID, `/restart confirm ${code}`));
+    assert.deepStrictEqual(controlled.splice(0), ['restart codex-gamma']);
+    await handler._processUpdate(message(51, CHAT_ID, `/restart confirm ${code}`));
+    assert.deepStrictEqual(controlled, []);
+
+    await handler._processUpdate(message(52, CHAT_ID, '/new demo'));
+    assert.ok(lastText().includes('no-new'));
+    assert.deepStrictEqual(controlled, []);
+}
+
+(async () => {
+    const api = await startMockBotApi();
+    try {
+        await testWebhookSecret(api);
+        await testPolling(api);
+        await testContextualReplies(api);
+        await testControlTargets(api);
+        console.log('✅ Telegram update tests passed');
+    } finally {
+        api.server.close();
+        fs.rmSync(dir, { recursive: true, force: true });
+    }
+})().catch(error => {
+    console.error(error);
+    process.exit(1);
+});
@@ -0,0 +1,125 @@
+#!/usr/bin/env node
+
+/**
+ * Token manager test
+ * Token format, channel and recipient scoping, use limits, expiry and revocation
+ * Usage: node test-token-manager.js
+ */
+
+const assert = require('assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const SessionStore = require('./src/core/session-store');
+const TokenManager = require('./src/core/token-manager');
+
+function testFormat(store) {
+    const pattern = new RegExp(`^${TokenManager.TOKEN_PATTERN}$`);
+    for (const [length, expected] of [[undefined, 12], [8, 8], [3, 8], [20, 20], [99, 32], ['abc', 12]]) {
+        const token = TokenManager.generate(length);
+        assert.strictEqual(token.length, expected);
+        assert.ok(pattern.test(token), token);
+    }
+    assert.strictEqual(new TokenManager({ store, length: 16 }).issue({ channel: 'telegram' }).length, 16);
+    assert.throws(() => new TokenManager({ store }).issue({}), /channel is required/);
+
+    const seen = new Set(Array.from({ length: 500 }, () => TokenManager.generate()));
+    assert.strictEqual(seen.size, 500);
+}
+
+function testScoping(store) {
+    const tokens = new TokenManager({ store });
+    const token = tokens.issue({ channel: 'telegram', recipient: '  12345 ', sessionId: 's1' });
+
+    // Lower case is accepted, as users type it
+    const ok = tokens.verify(token.toLowerCase(), { channel: 'telegram', recipient: 12345 });
+    assert.strictEqual(ok.valid, true);
+    assert.strictEqual(ok.record.sessionId, 's1');
+
+    assert.match(tokens.verify(token, { channel: 'slack', recipient: '12345' }).reason, /not issued for slack/);
+    assert.match(tokens.verify(token, { channel: 'telegram', recipient: '999' }).reason, /different chat or user/);
+    assert.match(tokens.verify(token, { channel: 'telegram' }).reason, /different chat or user/);
+    assert.match(tokens.verify('NOTATOKEN1', { channel: 'telegram' }).reason, /Invalid or expired/);
+    assert.strictEqual(tokens.verify(null).valid, false);
+
+    // Email recipients compare case-insensitively; no recipient means any sender on the channel
+    const email = tokens.issue({ channel: 'email', recipient: 'Dev@Example.com' });
+    assert.strictEqual(tokens.verify(email, { channel: 'email', recipient: 'dev@example.COM' }).valid, true);
+    const open = tokens.issue({ channel: 'line' });
+    assert.strictEqual(tokens.verify(open, { channel: 'line', recipient: 'U123' }).valid, true);
+}
+
+function testUseLimits(store, filePath) {
+    const tokens = new TokenManager({ store, maxUses: 2 });
+    const token = tokens.issue({ channel: 'telegram', recipient: '1' });
+    const context = { channel: 'telegram', recipient: '1' };
+
+    // verify() never uses a token up
+    for (let i = 0; i < 5; i++) {
+        assert.strictEqual(tokens.verify(token, context).valid, true);
+    }
+    // A rejected use does not count either
+    assert.strictEqual(tokens.consume(token, { channel: 'telegram', recipient: '2' }).valid, false);
+
+    assert.strictEqual(tokens.consume(token, context).record.uses, 1);
+    assert.strictEqual(tokens.consume(token, context).record.uses, 2);
+    const spent = tokens.consume(token, context);
+    assert.strictEqual(spent.valid, false);
+    assert.match(spent.reason, /already been used 2 time/);
+    assert.strictEqual(TokenManager.status(spent.record), 'exhausted');
+
+    // Per-token overrides: 0 is unlimited
+    const unlimited = tokens.issue({ channel: 'telegram', recipient: '1', maxUses: 0 });
+    for (let i = 0; i < 5; i++) {
+        assert.strictEqual(tokens.consume(unlimited, context).valid, true);
+    }
+
+    // Another process holding a stale view still cannot overspend a single-use token
+    const once = tokens.issue({ channel: 'telegram', recipient: '1', maxUses: 1 });
+    const other = new TokenManager({ store: new SessionStore({ filePath, autoMigrate: false }) });
+    assert.strictEqual(other.verify(once, context).valid, true);
+    assert.strictEqual(tokens.consume(once, context).valid, true);
+    assert.strictEqual(other.consume(once, context).valid, false);
+}
+
+function testLifetime(store) {
+    const tokens = new TokenManager({ store });
+    const context = { channel: 'telegram', recipient: '1' };
+
+    const expired = tokens.issue({ channel: 'telegram', recipient: '1', ttlMs: -60000 });
+    assert.match(tokens.verify(expired, context).reason, /expired/);
+    tokens.extend(expired, 60000);
+    assert.strictEqual(tokens.verify(expired, context).valid, true);
+
+    const a = tokens.issue({ channel: 'telegram', recipient: '1', sessionId: 'sess-a' });
+    const b = tokens.issue({ channel: 'slack', recipient: 'U1', sessionId: 'sess-a' });
+    const c = tokens.issue({ channel: 'telegram', recipient: '1', sessionId: 'sess-c' });
+    assert.strictEqual(tokens.revoke(a.toLowerCase()), true);
+    assert.strictEqual(tokens.revoke(a), false);
+    assert.match(tokens.verify(a, context).reason, /revoked/);
+
+    assert.strictEqual(tokens.revokeSession('sess-a'), 1);
+    assert.strictEqual(tokens.verify(b, { channel: 'slack', recipient: 'U1' }).valid, false);
+    assert.strictEqual(tokens.verify(c, context).valid, true);
+
+    const statuses = tokens.list({ includeInactive: true }).reduce((acc, record) => ({ ...acc, [record.token]: record.status }), {});
+    assert.strictEqual(statuses[a], 'revoked');
+    assert.strictEqual(statuses[c], 'active');
+    assert.ok(tokens.list().every(record => record.status === 'active'));
+
+    assert.ok(tokens.revokeAll() > 0);
+    assert.deepStrictEqual(tokens.list(), []);
+}
+
+const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'token-manager-'));
+try {
+    const filePath = path.join(dir, 'session-store.jsonl');
+    const store = new SessionStore({ filePath, autoMigrate: false });
+    testFormat(store);
+    testScoping(store);
+    testUseLimits(store, filePath);
+    testLifetime(store);
+    console.log('✅ Token manager tests passed');
+} finally {
+    fs.rmSync(dir, { recursive: true, force: true });
+}